@@ -0,0 +1,98 @@
+// Achievements - Goals tracked across runs by src/systems/achievements.js
+//
+// Every boss in bossTypes also gets a "defeat <boss>" achievement of its own (id 'boss:<type>'),
+// generated when the achievements system starts, so bosses added by content packs are included.
+//
+// goal: what has to happen, checked from the game events
+//   reachWave    { wave }   start that wave
+//   reachLevel   { level }  reach that level
+//   allBosses    {}         defeat every boss in bossTypes (over any number of runs)
+//   flawlessBoss {}         defeat a boss without losing health between its arrival and its death
+//   allAbilities {}         own every ability in ABILITY_DEFINITIONS in a single run
+//   activeRelics { count }  have that many converted relics fighting at once
+//   totalKills   { count }  enemies killed over all runs
+//
+// reward (optional): a starting loadout the achievement unlocks. One unlocked loadout can be
+// equipped at a time in the achievements gallery; it is added to the meta shop loadout, so
+// it uses the same shape: statBonuses (added to createPlayerStats()), relics (keys of relicInfo)
+// and abilities (keys of ABILITY_DEFINITIONS).
+
+const achievements = {
+    wave10: {
+        name: 'Holding the Line',
+        icon: '🌊',
+        description: 'Reach wave 10',
+        goal: { type: 'reachWave', wave: 10 }
+    },
+    wave25: {
+        name: 'Survivor',
+        icon: '🏰',
+        description: 'Reach wave 25',
+        goal: { type: 'reachWave', wave: 25 },
+        reward: {
+            name: 'Veteran',
+            description: '+25 max health, +3 armor',
+            statBonuses: { maxHealth: 25, armor: 3 }
+        }
+    },
+    level20: {
+        name: 'Ascended',
+        icon: '⭐',
+        description: 'Reach level 20',
+        goal: { type: 'reachLevel', level: 20 }
+    },
+    allBosses: {
+        name: 'Boss Hunter',
+        icon: '👑',
+        description: 'Defeat every boss',
+        goal: { type: 'allBosses' },
+        reward: {
+            name: 'Hunter',
+            description: '+5 damage, starts with Lightning Strike',
+            statBonuses: { damage: 5 },
+            abilities: ['lightningStrike']
+        }
+    },
+    flawlessBoss: {
+        name: 'Untouchable',
+        icon: '🛡️',
+        description: 'Defeat a boss without taking damage during the fight',
+        goal: { type: 'flawlessBoss' },
+        reward: {
+            name: 'Duelist',
+            description: '+10% crit chance, +10% dodge chance',
+            statBonuses: { critChance: 0.1, dodgeChance: 0.1 }
+        }
+    },
+    allAbilities: {
+        name: 'Arsenal',
+        icon: '🎒',
+        description: 'Own every ability in a single run',
+        goal: { type: 'allAbilities' },
+        reward: {
+            name: 'Battlemage',
+            description: '-15% ability cooldowns, starts with Frost Nova',
+            statBonuses: { cooldownReduction: 0.15 },
+            abilities: ['frostNova']
+        }
+    },
+    relics10: {
+        name: 'Relic Lord',
+        icon: '💎',
+        description: 'Have 10 converted relics at once',
+        goal: { type: 'activeRelics', count: 10 },
+        reward: {
+            name: 'Engineer',
+            description: 'Starts with a Cannon and a Drone Swarm',
+            relics: ['damage', 'droneSwarm']
+        }
+    },
+    kills1000: {
+        name: 'Exterminator',
+        icon: '💀',
+        description: 'Defeat 1000 enemies over all runs',
+        goal: { type: 'totalKills', count: 1000 }
+    }
+};
+
+export default achievements;
@@ -9,6 +9,7 @@
  */
 
 import * as THREE from 'three';
+import { defaultRandom } from '../utils/SeededRandom.js';
 
 /**
  * Boss type definitions
@@ -842,11 +843,12 @@ export function getAvailableBossTypes(level) {
 /**
  * Get a random unlocked boss type
  * @param {number} level - Current player level
+ * @param {SeededRandom} [rng] - Random source (defaults to unseeded)
  * @returns {string} Boss type name
  */
-export function getRandomBossType(level) {
+export function getRandomBossType(level, rng = defaultRandom) {
   const available = getAvailableBossTypes(level);
-  return available[Math.floor(Math.random() * available.length)];
+  return rng.pick(available);
 }
 
 /**
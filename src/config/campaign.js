@@ -0,0 +1,30 @@
+// Campaign - The acts and final boss of campaign mode (see src/systems/campaign.js)
+//
+// acts: played in order. Each act lasts `waves` waves; the last one is its boss wave, which
+//   always brings `boss` (key of bossTypes) instead of a random boss. The difficulty's boss
+//   frequency doesn't apply in the campaign.
+// finalBoss: the wave after the last act. Its stages are fought one after another, each a boss
+//   of an existing type (`bossType`, so it keeps that boss's attacks and phases) with its health
+//   multiplied by `healthMultiplier`. Defeating the last stage wins the campaign.
+//
+// Swarm and mortar bosses don't fit here: they don't spawn through the regular boss system.
+
+const campaign = {
+    acts: [
+        { name: 'The Outskirts', waves: 5, boss: 'box' },
+        { name: 'The Proving Grounds', waves: 5, boss: 'tank' },
+        { name: 'The Gravity Well', waves: 5, boss: 'magnetic' },
+        { name: 'The War Room', waves: 5, boss: 'elite' }
+    ],
+
+    finalBoss: {
+        name: 'The Arena Tyrant',
+        stages: [
+            { name: 'Siege Engine', bossType: 'shooter', healthMultiplier: 1.5 },
+            { name: 'Blade Dancer', bossType: 'berserker', healthMultiplier: 1.75 },
+            { name: 'Shadow Crown', bossType: 'phantom', healthMultiplier: 2 }
+        ]
+    }
+};
+
+export default campaign;
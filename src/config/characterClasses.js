@@ -0,0 +1,60 @@
+// Character classes - Archetypes picked on the class select screen before a run
+//
+// stats:     overrides of the default stat block from createPlayerStats() (src/systems/playerStats.js)
+// abilities: abilities owned from the start (keys of ABILITY_DEFINITIONS)
+// relics:    relics placed next to the player, already converted (keys of relicInfo)
+// mesh:      player geometry (declarative spec, see createGeometry() in src/utils/helpers.js) and color
+//
+// The meta shop loadout and an equipped achievement loadout are added on top of the class.
+
+export const DEFAULT_CLASS = 'ranger';
+
+const characterClasses = {
+    ranger: {
+        name: 'Ranger',
+        icon: '🏹',
+        description: 'The all-rounder. No strengths, no weaknesses',
+        stats: {},
+        abilities: [],
+        relics: [],
+        mesh: { geometry: { type: 'cone', radius: 1.5, height: 6, radialSegments: 32 }, color: 0x00ff00 }
+    },
+    glassCannon: {
+        name: 'Glass Cannon',
+        icon: '💥',
+        description: 'Hits hard and crits often, but folds quickly',
+        stats: { damage: 40, critChance: 0.25, critMultiplier: 2.5, maxHealth: 60 },
+        abilities: ['shotgunBlast'],
+        relics: [],
+        mesh: { geometry: { type: 'octahedron', radius: 3 }, color: 0xff3344 }
+    },
+    bulwark: {
+        name: 'Bulwark',
+        icon: '🛡️',
+        description: 'Heavy armor and steady regeneration, slower to fire',
+        stats: { maxHealth: 160, armor: 8, regenRate: 1, attackSpeed: 0.65 },
+        abilities: ['shieldBurst'],
+        relics: [],
+        mesh: { geometry: { type: 'cylinder', radiusTop: 2, radiusBottom: 2.5, height: 5, radialSegments: 8 }, color: 0x4488ff }
+    },
+    summoner: {
+        name: 'Summoner',
+        icon: '🐺',
+        description: 'Weak blaster, but spirit wolves hunt from the start',
+        stats: { damage: 22, cooldownReduction: 0.1 },
+        abilities: ['spiritWolves'],
+        relics: [],
+        mesh: { geometry: { type: 'tetrahedron', radius: 3.5 }, color: 0xaa55ff }
+    },
+    engineer: {
+        name: 'Relic Engineer',
+        icon: '🔧',
+        description: 'Starts with a working Drone Swarm, finds more gems and picks them up from further away',
+        stats: { luck: 0.6, pickupRadius: 25 },
+        abilities: [],
+        relics: ['droneSwarm'],
+        mesh: { geometry: { type: 'dodecahedron', radius: 3 }, color: 0xffcc00 }
+    }
+};
+
+export default characterClasses;
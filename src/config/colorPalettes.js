@@ -0,0 +1,26 @@
+// Color palettes - Gameplay feedback colors, switchable in the settings for colourblind players
+// CSS color strings: damage numbers (damage, critical, heal, dodge) and the player health bar.
+// The colourblind palettes avoid the color pairs each type of colour blindness confuses.
+
+const colorPalettes = {
+    default: {
+        name: 'Default',
+        damage: '#FF4444', critical: '#FF0000', heal: '#44FF44', dodge: '#FFFF00', healthBar: '#FF0000'
+    },
+    // Red-green (the most common types): orange/vermillion against sky blue
+    deuteranopia: {
+        name: 'Deuteranopia',
+        damage: '#E69F00', critical: '#D55E00', heal: '#56B4E9', dodge: '#F0E442', healthBar: '#E69F00'
+    },
+    protanopia: {
+        name: 'Protanopia',
+        damage: '#F0E442', critical: '#E69F00', heal: '#0072B2', dodge: '#FFFFFF', healthBar: '#F0E442'
+    },
+    // Blue-yellow: red against teal, pink instead of yellow
+    tritanopia: {
+        name: 'Tritanopia',
+        damage: '#FF4444', critical: '#D40000', heal: '#00C2B2', dodge: '#FF9ECD', healthBar: '#FF4444'
+    }
+};
+
+export default colorPalettes;
@@ -20,6 +20,11 @@ export const MAX_ENEMIES_TOTAL = 20;
 export const MAX_BOSSES = 3;
 export const MIN_BOX_RATIO = 0.6;
 
+// Simulation timing - the game loop advances in fixed steps so runs are reproducible
+export const FIXED_TIMESTEP = 1 / 60;       // Seconds per simulation step
+export const MAX_STEPS_PER_FRAME = 5;       // Drop time beyond this instead of spiralling after a stall
+export const AUTOSAVE_INTERVAL = 5;         // Seconds of play between saves of the in-progress run
+
 // Wave + Trickle Spawn System Constants
 export const WAVE_INITIAL_SPAWN_COUNT = 8;  // Enemies spawned at wave start
 export const TRICKLE_SPAWN_INTERVAL = 2.5;  // Seconds between trickle spawns
@@ -28,6 +33,7 @@ export const BOSS_WAVE_ENEMY_COUNT = 4;     // Enemies spawned with boss
 
 export const RELIC_SPAWN_Y = 400;
 export const MAX_RELICS = 20;
+export const RELIC_INTERACTION_RADIUS = 35; // Player distance from a relic's circle to convert, feed, move or repair it
 
 // Relic spawn priority: White > Yellow > Blue > Green > Cyan > Military Green > Red > Purple
 export const relicPriority = ['luck', 'crit', 'vacuum', 'speed', 'droneSwarm', 'adaptiveTargeting', 'damage', 'attackSpeed'];
@@ -0,0 +1,80 @@
+// Content pack schema - What a JSON content pack may contain (checked by src/systems/contentPacks.js)
+//
+// A pack is { name, description, enemies, bosses, relics, gems, abilities }; only name is required.
+// Each section maps an id (enemy type, boss type, relic/gem type, ability id) to the fields to change.
+//
+// Sections without `fields` accept any tunable of the built-in entry with a value of the same type:
+// numbers, strings, booleans and nested objects. Arrays of objects (boss phases) are merged entry by
+// entry, other arrays are replaced whole.
+//
+// Value types:
+// - 'number', 'string'
+// - { type: 'number', min, max }: a number within the bounds (either may be left out)
+// - 'color':     a number (0xRRGGBB written in decimal) or a '#RRGGBB' string
+// - 'geometry':  { type, ...parameters }, types and parameters from GEOMETRY_PARAMETERS in src/utils/helpers.js
+// - 'behaviors': enemy behavior list, see src/config/enemyTypes.js. Names are the behaviors registered
+//                in src/systems/enemyBehaviors.js; options are numbers or arrays of numbers
+// - 'targets':   enemy target priority list, see src/config/enemyTypes.js
+
+const contentPackSchema = {
+    topLevel: {
+        name: 'string',
+        description: 'string'
+    },
+
+    sections: {
+        // Enemies can be added as well as tuned: new types need every field in requiredForNew
+        enemies: {
+            allowNew: true,
+            fields: {
+                geometry: 'geometry',
+                color: 'color',
+                emissiveIntensity: { type: 'number', min: 0 },
+                opacity: { type: 'number', min: 0, max: 1 },
+                baseHealth: { type: 'number', min: 1 },
+                healthRand: { type: 'number', min: 0 },
+                healthLevelScale: { type: 'number', min: 0 },
+                baseSpeed: { type: 'number', min: 0 },
+                speedLevelScale: { type: 'number', min: 0 },
+                contactDamage: { type: 'number', min: 0 },
+                unlockLevel: { type: 'number', min: 1 },
+                spawnWeight: { type: 'number', min: 0 },
+                behaviors: 'behaviors',
+                targetPriority: 'targets'
+            },
+            requiredForNew: [
+                'geometry', 'color', 'baseHealth', 'healthRand', 'healthLevelScale',
+                'baseSpeed', 'speedLevelScale', 'contactDamage', 'behaviors'
+            ]
+        },
+        // Boss AI is written per boss type, so bosses, relics, gems and abilities can only be tuned
+        bosses: {
+            allowNew: false,
+            extraFields: { unlockLevel: { type: 'number', min: 1 } }, // Level the boss joins the boss pool
+            lockedFields: ['baseName']
+        },
+        relics: {
+            allowNew: false,
+            lockedFields: ['shape']
+        },
+        gems: {
+            allowNew: false
+        },
+        abilities: {
+            allowNew: false,
+            lockedFields: ['id']
+        }
+    },
+
+    // Bounds of enemy behavior options; options not listed here (distances, cooldowns, ranges,
+    // strengths, counts) can't be negative
+    behaviorOptions: {
+        direction: { min: -1, max: 1 },       // strafe: 1 or -1 picks the orbit direction
+        spreadAngles: { min: -180, max: 180 } // ranged: degrees off the aim direction
+    },
+
+    // Names accepted in enemy target priority lists
+    targetTypes: ['player', 'relic']
+};
+
+export default contentPackSchema;
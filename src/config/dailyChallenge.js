@@ -0,0 +1,31 @@
+// Daily challenge - How each day's challenge is rolled (see src/systems/dailyChallenge.js)
+//
+// The UTC calendar date seeds the run and the roll below, so everyone gets the same challenge on
+// the same day (it rolls over at UTC midnight):
+//   classes:       one of them is the class every attempt plays (keys of characterClasses)
+//   relicSets:     one set is picked; its relics are placed near the player like the meta shop's
+//                  starting relics
+//   modifiers:     `modifierCount` different modifiers are picked from this pool
+//   difficulty:    preset every daily challenge is played on
+//
+// The meta shop and achievement loadouts don't apply, so every attempt starts the same way.
+// Only one attempt per day is allowed.
+
+const dailyChallenge = {
+    difficulty: 'normal',
+    modifierCount: 2,
+
+    classes: ['ranger', 'glassCannon', 'bulwark', 'summoner', 'engineer'],
+
+    relicSets: [
+        { name: 'Empty Handed', relics: [] },
+        { name: 'Artillery', relics: ['damage', 'attackSpeed'] },
+        { name: 'Sharpshooter', relics: ['crit', 'luck'] },
+        { name: 'Fleet Foot', relics: ['speed', 'vacuum'] },
+        { name: 'Hive', relics: ['droneSwarm', 'droneSwarm'] }
+    ],
+
+    modifiers: ['toughEnemies', 'noRegen', 'frequentBosses', 'elitesOnly', 'fastProjectiles']
+};
+
+export default dailyChallenge;
@@ -0,0 +1,95 @@
+// Difficulty - Presets and opt-in run modifiers picked on the pre-run screen
+//
+// A run plays one preset plus any number of modifiers. They are combined by resolveDifficulty()
+// (src/systems/difficulty.js) into the rules the simulation reads:
+//   enemyHealth          multiplier on enemy and boss health
+//   enemyDamage          multiplier on enemy contact and projectile damage
+//   enemyProjectileSpeed multiplier on how fast enemy shots travel
+//   speedCurve           exponent on the game speed-up of every level-up (1 = the normal curve)
+//   bossWaveInterval     a boss arrives every this many waves (the lowest value wins)
+//   elitesOnly           regular enemies always spawn as elites
+//   noRegen              the player's health regeneration is switched off
+//
+// Leaving a field out keeps the normal value. scoreMultiplier of the preset and of every
+// modifier are multiplied together and applied to the run's final score.
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+const difficulty = {
+    presets: {
+        easy: {
+            name: 'Easy',
+            icon: '🌱',
+            description: 'Weaker enemies and a gentler speed-up',
+            enemyHealth: 0.75,
+            enemyDamage: 0.75,
+            speedCurve: 0.8,
+            scoreMultiplier: 0.5
+        },
+        normal: {
+            name: 'Normal',
+            icon: '⚔️',
+            description: 'The arena as intended',
+            scoreMultiplier: 1
+        },
+        hard: {
+            name: 'Hard',
+            icon: '🔥',
+            description: 'Tougher, harder-hitting enemies and a steeper speed-up',
+            enemyHealth: 1.3,
+            enemyDamage: 1.25,
+            speedCurve: 1.15,
+            scoreMultiplier: 1.5
+        },
+        nightmare: {
+            name: 'Nightmare',
+            icon: '💀',
+            description: 'Everything hurts, and bosses come every 4 waves',
+            enemyHealth: 1.75,
+            enemyDamage: 1.5,
+            speedCurve: 1.3,
+            bossWaveInterval: 4,
+            scoreMultiplier: 2.5
+        }
+    },
+
+    modifiers: {
+        toughEnemies: {
+            name: 'Tough Enemies',
+            icon: '🪨',
+            description: 'Enemies have +50% health',
+            enemyHealth: 1.5,
+            scoreMultiplier: 1.3
+        },
+        noRegen: {
+            name: 'No Regen',
+            icon: '🩸',
+            description: 'Health no longer regenerates',
+            noRegen: true,
+            scoreMultiplier: 1.2
+        },
+        frequentBosses: {
+            name: 'Boss Rush',
+            icon: '👹',
+            description: 'A boss every 3 waves',
+            bossWaveInterval: 3,
+            scoreMultiplier: 1.4
+        },
+        elitesOnly: {
+            name: 'Elites Only',
+            icon: '⭐',
+            description: 'Every regular enemy spawns as an elite',
+            elitesOnly: true,
+            scoreMultiplier: 1.6
+        },
+        fastProjectiles: {
+            name: 'Bullet Hell',
+            icon: '☄️',
+            description: 'Enemy projectiles fly 50% faster',
+            enemyProjectileSpeed: 1.5,
+            scoreMultiplier: 1.2
+        }
+    }
+};
+
+export default difficulty;
@@ -1,56 +1,93 @@
 // Enemy prototypes configuration - Defines base stats and appearance for all enemy types
 // Extracted from index-reference.html (lines ~1964-2011)
+//
+// behaviors: AI strategies from src/systems/enemyBehaviors.js, run in order every step.
+// Each entry is a behavior name, or { type, ...options } to tune it:
+// - chase:    move straight at the player
+// - strafe:   circle the player at { distance }, { direction } 1 or -1
+// - flock:    boids movement with the rest of the enemy's swarm
+// - ranged:   fire at the player { cooldown, range, spreadAngles (degrees), projectileHeight }
+// - lob:      mortar shells onto the player's position (MORTAR_CONFIG)
+// - teleport: dodge blaster hits by teleporting { teleportsBeforeVulnerable, vulnerableDuration }
+// - aura:     pull the player in (negative strength pushes) { range, strength }
+// Use exactly one movement behavior (chase, strafe or flock). Omitted behaviors default to chase.
+// "The player" above is the enemy's target: see targetPriority.
+//
+// targetPriority: what the enemy's behaviors go after, first match wins. Each entry is 'player'
+// or { type: 'relic', range }: the nearest active relic within range of the enemy (default 400).
+// An enemy walking into its target relic damages it (src/config/relicDefense.js). The aura
+// always pulls the player. Omitted: ['player'].
+//
+// unlockLevel / spawnWeight: player level from which the type joins random spawns, and its
+// weight in the weighted pick. Types without them (box) only spawn directly.
 
 import * as THREE from 'three';
+import { defaultRandom } from '../utils/SeededRandom.js';
+
+// Shooters are common, so they share one geometry (not disposed on death)
+const shooterGeometry = new THREE.CylinderGeometry(4, 8, 16, 8);
 
 const enemyPrototypes = {
     box: {
         geometry: (size) => new THREE.BoxGeometry(size, size, size),
-        getMaterial: () => {
-            const materialColor = new THREE.Color().setHSL(0.1 + Math.random() * 0.8, 1, 0.5);
+        getMaterial: (rng = defaultRandom) => {
+            const materialColor = new THREE.Color().setHSL(0.1 + rng.next() * 0.8, 1, 0.5);
             return new THREE.MeshStandardMaterial({ color: materialColor, emissive: materialColor, emissiveIntensity: 0.4 });
         },
         baseHealth: 30, healthRand: 40, healthLevelScale: 10,
         baseSpeed: 0.2, speedLevelScale: 0.02,
         contactDamage: 10,
+        behaviors: ['chase']
     },
     shooter: {
-        // These will be overridden in main.js with shared geometry/material for performance
-        geometry: null,
-        material: null,
+        geometry: () => shooterGeometry, geometryShared: true,
+        material: new THREE.MeshStandardMaterial({ color: 0x8A2BE2, emissive: 0x8A2BE2, emissiveIntensity: 0.4 }),
         baseHealth: 20, healthRand: 20, healthLevelScale: 5,
         baseSpeed: 0.1, speedLevelScale: 0.01,
         contactDamage: 10,
+        unlockLevel: 2, spawnWeight: 20,
+        behaviors: [{ type: 'ranged', cooldown: 2.0, range: 150, projectileHeight: 1 }, 'chase']
     },
     tank: { // Damage
         geometry: () => new THREE.BoxGeometry(25, 25, 25), material: new THREE.MeshStandardMaterial({ color: 0xFF1493, emissive: 0xFF1493, emissiveIntensity: 0.4 }),
         baseHealth: 120, healthRand: 80, healthLevelScale: 30,
         baseSpeed: 0.1, speedLevelScale: 0.01,
-        contactDamage: 25
+        contactDamage: 25,
+        unlockLevel: 3, spawnWeight: 15,
+        behaviors: ['chase'],
+        targetPriority: [{ type: 'relic', range: 500 }, 'player'] // Siege: breaks relics first
     },
     berserker: { // Speed
         geometry: () => new THREE.DodecahedronGeometry(6), material: new THREE.MeshStandardMaterial({ color: 0xFF4500, emissive: 0xFF4500, emissiveIntensity: 0.4 }),
         baseHealth: 1, healthRand: 0, healthLevelScale: 0,
         baseSpeed: 0.4, speedLevelScale: 0.04,
-        contactDamage: 5
+        contactDamage: 5,
+        unlockLevel: 4, spawnWeight: 12,
+        behaviors: ['chase']
     },
     magnetic: {
         geometry: () => new THREE.TorusGeometry(8, 3, 8, 16), material: new THREE.MeshStandardMaterial({ color: 0x00BFFF, emissive: 0x00BFFF, emissiveIntensity: 0.4 }),
         baseHealth: 40, healthRand: 20, healthLevelScale: 8,
         baseSpeed: 0.15, speedLevelScale: 0.015,
-        contactDamage: 10
+        contactDamage: 10,
+        unlockLevel: 5, spawnWeight: 8,
+        behaviors: ['chase', { type: 'aura', range: 50, strength: 0.5 }]
     },
     elite: {
         geometry: () => new THREE.IcosahedronGeometry(12), material: new THREE.MeshStandardMaterial({ color: 0xFFFF33, emissive: 0xFFFF33, emissiveIntensity: 0.6 }),
         baseHealth: 250, healthRand: 50, healthLevelScale: 20,
         baseSpeed: 0.18, speedLevelScale: 0.01,
-        contactDamage: 15
+        contactDamage: 15,
+        unlockLevel: 6, spawnWeight: 5,
+        behaviors: [{ type: 'ranged', cooldown: 1.5, range: 200, spreadAngles: [-15, 0, 15] }, 'chase']
     },
     phantom: {
         geometry: () => new THREE.OctahedronGeometry(10), material: new THREE.MeshStandardMaterial({ color: 0xFFFFFF, transparent: true, opacity: 0.4, emissive: 0xFFFFFF, emissiveIntensity: 0.6 }),
         baseHealth: 1, healthRand: 0, healthLevelScale: 0, // Takes 1 hit when vulnerable
         baseSpeed: 0.2, speedLevelScale: 0.02,
         contactDamage: 10,
+        unlockLevel: 7, spawnWeight: 3,
+        behaviors: [{ type: 'teleport', teleportsBeforeVulnerable: 3, vulnerableDuration: 2.0 }, 'chase']
     },
     swarm: {
         geometry: () => new THREE.IcosahedronGeometry(4),
@@ -64,6 +101,8 @@ const enemyPrototypes = {
         baseHealth: 15, healthRand: 5, healthLevelScale: 3, // Low individual health (4-10 members total)
         baseSpeed: 0.25, speedLevelScale: 0.025, // Fast for responsive flocking
         contactDamage: 5, // Low individual damage
+        unlockLevel: 8, spawnWeight: 7,
+        behaviors: ['flock']
     },
     mortar: { // Artillery/Mortar enemy
         geometry: () => new THREE.CylinderGeometry(7, 9, 14, 8),
@@ -77,6 +116,9 @@ const enemyPrototypes = {
         baseHealth: 80, healthRand: 40, healthLevelScale: 18, // Medium-high durability
         baseSpeed: 0.15, speedLevelScale: 0.015, // Slow but mobile (3x faster than original)
         contactDamage: 20, // Medium contact damage
+        unlockLevel: 10, spawnWeight: 6, // Late-game artillery enemy
+        behaviors: ['lob', 'chase'],
+        targetPriority: [{ type: 'relic', range: 400 }, 'player'] // Shells relics in range
     }
 };
 
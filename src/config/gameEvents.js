@@ -0,0 +1,51 @@
+// Game events - Every event the EventBus (src/utils/EventBus.js) carries, with its payload fields
+//
+// Emitters send one payload object with every listed field; subscribers receive it as-is.
+// Emitting or subscribing to a name missing here is reported as a mistake, so add new
+// events to this list first.
+//
+// Events fire synchronously during the simulation step, in live play, replays and headless
+// runs alike. Subscribers must not roll the gameplay RNG or change run state, or replays desync.
+
+const gameEvents = {
+    // Run lifecycle (gameSimulation.js)
+    runStarted: ['seed'],                                      // New or restored run
+    runEnded: ['result'],                                      // Player died or won the campaign; result from getResult()
+
+    // Waves (waveManager.js)
+    waveStarted: ['wave', 'style'],                            // style: 'directional' | 'pattern' | 'trickle' | 'boss' | 'final'
+    waveCompleted: ['wave'],
+    actStarted: ['act', 'name', 'wave'],                       // Campaign runs only; act is 1-based, the final boss is the act after the last
+
+    // Enemies and bosses
+    enemyKilled: ['enemy', 'type', 'isBoss', 'position'],      // gems.js handleEnemyDeath (bosses included)
+    bossSpawned: ['boss', 'bossType'],                         // gameSimulation.js, first step the boss is alive
+    bossPhaseChanged: ['boss', 'bossType', 'phase', 'previousPhase'], // bossSystem.js transitionToPhase
+    bossDefeated: ['boss', 'bossType'],                        // gameSimulation.js
+
+    // Player
+    playerDamaged: ['amount', 'source', 'health'],             // source: 'enemy:<type>' or 'boss:<type>:<attack>'
+    levelUp: ['level'],                                        // progression.js levelUp
+    upgradeChosen: ['options', 'index'],                       // Offer from getUpgradeOptions(), index -1 = skipped
+    abilityTriggered: ['abilityId'],                           // playerAbilities.js, every automatic cast
+    abilityUnlocked: ['abilityId', 'owned'],                   // playerAbilities.js; owned: every ability id held now
+
+    // Relics
+    relicActivated: ['relic', 'type', 'activeCount'],          // Conversion finished; activeCount includes this relic
+    relicTierUp: ['relic', 'type', 'tier'],                    // relicTiers.js, a fed relic reached a new tier
+    relicFused: ['relic', 'types'],                            // relicTiers.js; relic: the new hybrid, types: its parents
+    relicPlaced: ['relic', 'type', 'moved'],                   // relicPlacement.js; moved: a picked-up relic was put down again
+    relicPickedUp: ['type', 'cost'],                           // relicPlacement.js, an active relic was picked up to be moved
+    relicRepaired: ['relic', 'type', 'amount'],                // relicDefense.js, one repair tick; amount: health restored
+    synergyFormed: ['synergy', 'relics'],                      // relicSynergies.js; synergy: id in relicSynergies.js, relics: the linked pair
+
+    // Run shop (runShop.js)
+    shopPurchase: ['item', 'price', 'wave'],                   // item: offer id (overclock:<abilityId> for cooldowns); wave: the wave just cleared
+
+    // Run state (gameSimulation.js, once the change is made)
+    scoreGained: ['amount', 'type'],                           // type: the enemy type killed, or 'coin' for a picked-up coin
+    bossCountChanged: ['change', 'type'],                      // +1 when a boss-tier enemy or the Hivemind spawns, -1 when it dies
+    pauseChanged: ['paused', 'reason']                         // A choice screen opened or closed; reason: 'upgrade' | 'ability' | 'shop'
+};
+
+export default gameEvents;
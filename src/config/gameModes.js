@@ -0,0 +1,28 @@
+// Game modes - Picked on the run setup screen; the run history keeps a leaderboard per mode
+//
+// endless:  waves go on until the player dies, with a random boss every few waves
+// campaign: a fixed run of acts with a set boss order and a final boss (src/config/campaign.js)
+// daily:    an endless run with the seed, class, relics and modifiers of the day, one attempt
+//           per day (src/config/dailyChallenge.js)
+
+export const DEFAULT_MODE = 'endless';
+
+const gameModes = {
+    endless: {
+        name: 'Endless',
+        icon: '♾️',
+        description: 'Survive as long as you can. A random boss every few waves'
+    },
+    campaign: {
+        name: 'Campaign',
+        icon: '🗺️',
+        description: 'Four acts with a set boss order, then the Arena Tyrant. Win by defeating it'
+    },
+    daily: {
+        name: 'Daily Challenge',
+        icon: '📅',
+        description: "Today's seed, class, relics and modifiers, the same for everyone. One attempt a day"
+    }
+};
+
+export default gameModes;
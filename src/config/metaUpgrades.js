@@ -0,0 +1,30 @@
+// Meta upgrades - Permanent upgrades bought with coins between runs
+// Costs are in coins; a stat upgrade's next level costs baseCost * (level + 1)
+
+const metaUpgrades = {
+    // Starting stat bonuses, added on top of createPlayerStats()
+    stats: {
+        vitality: { name: 'Vitality', icon: '❤️', description: '+10 max health', stat: 'maxHealth', amount: 10, maxLevel: 5, baseCost: 25 },
+        power: { name: 'Power', icon: '⚔️', description: '+3 damage', stat: 'damage', amount: 3, maxLevel: 5, baseCost: 30 },
+        haste: { name: 'Haste', icon: '⚡', description: '-0.03s attack cooldown', stat: 'attackSpeed', amount: -0.03, maxLevel: 5, baseCost: 35 },
+        plating: { name: 'Plating', icon: '🛡️', description: '+2 armor', stat: 'armor', amount: 2, maxLevel: 5, baseCost: 30 },
+        recovery: { name: 'Recovery', icon: '✚', description: '+0.3 health regen per second', stat: 'regenRate', amount: 0.3, maxLevel: 5, baseCost: 30 },
+        fortune: { name: 'Fortune', icon: '🍀', description: '+0.05 luck', stat: 'luck', amount: 0.05, maxLevel: 5, baseCost: 25 },
+        magnet: { name: 'Magnet', icon: '🧲', description: '+4 pickup radius', stat: 'pickupRadius', amount: 4, maxLevel: 5, baseCost: 20 }
+    },
+
+    // Extra relics placed near the player at the start of every run (keys match relicInfo)
+    relics: {
+        damage: { cost: 150 },
+        speed: { cost: 150 },
+        crit: { cost: 200 },
+        vacuum: { cost: 200 },
+        luck: { cost: 250 },
+        droneSwarm: { cost: 250 }
+    },
+
+    // Abilities (keys of ABILITY_DEFINITIONS) owned from the start of every run
+    abilityCost: 300
+};
+
+export default metaUpgrades;
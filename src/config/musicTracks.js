@@ -0,0 +1,71 @@
+// Music tracks - Sequenced patterns played by the adaptive music system (src/systems/adaptiveMusic.js)
+//
+// A track is played in 16-step bars (one step = a 16th note at the track's tempo).
+// Each layer loops a pattern of one or more bars, one entry per step:
+// - melodic layers ({ wave, octave, length }): semitones above the track root (MIDI note),
+//   or null for a rest; length is the note length in steps
+// - drum layers ({ drum: 'kick' | 'snare' | 'hat' }): 1 to hit, 0 to rest
+// A layer only plays once the track's intensity reaches its minIntensity.
+
+const _ = null; // Rest
+
+const musicTracks = {
+    // Between waves
+    calm: {
+        tempo: 70,
+        root: 57, // A3
+        layers: [
+            { wave: 'sine', octave: -1, length: 16, gain: 0.09, minIntensity: 0,
+                pattern: [0, _, _, _, _, _, _, _, _, _, _, _, _, _, _, _,
+                          -4, _, _, _, _, _, _, _, _, _, _, _, _, _, _, _] },
+            { wave: 'sine', octave: 0, length: 16, gain: 0.05, minIntensity: 0,
+                pattern: [7, _, _, _, _, _, _, _, _, _, _, _, _, _, _, _,
+                          3, _, _, _, _, _, _, _, _, _, _, _, _, _, _, _] },
+            { wave: 'triangle', octave: 1, length: 2, gain: 0.035, minIntensity: 0,
+                pattern: [0, _, 7, _, 12, _, 7, _, 3, _, 7, _, 10, _, 7, _,
+                          -4, _, 3, _, 8, _, 3, _, 0, _, 3, _, 7, _, 3, _] }
+        ]
+    },
+
+    // Regular waves; intensity rises with the number of enemies alive
+    combat: {
+        tempo: 120,
+        root: 45, // A2
+        intensityThresholds: [1, 6, 14], // Enemies alive for intensity 1, 2, 3
+        layers: [
+            { wave: 'triangle', octave: 0, length: 1, gain: 0.14, minIntensity: 0,
+                pattern: [0, _, 0, 12, 0, _, 0, 12, -2, _, -2, 10, -4, _, -5, 7] },
+            { drum: 'kick', gain: 0.5, minIntensity: 1,
+                pattern: [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0] },
+            { drum: 'hat', gain: 0.12, minIntensity: 2,
+                pattern: [0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 1] },
+            { drum: 'snare', gain: 0.25, minIntensity: 2,
+                pattern: [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0] },
+            { wave: 'square', octave: 2, length: 1, gain: 0.035, minIntensity: 3,
+                pattern: [12, 7, 3, 7, 12, 7, 3, 7, 10, 5, 2, 5, 8, 3, 0, 3] }
+        ]
+    },
+
+    // Boss alive; intensity is the boss's phase, each phase transposes the track and adds layers
+    boss: {
+        tempo: 140,
+        root: 40, // E2
+        phaseTranspose: [0, 1, 3],
+        layers: [
+            { wave: 'sawtooth', octave: 0, length: 1, gain: 0.09, minIntensity: 0,
+                pattern: [0, 0, 12, 0, 0, 0, 12, 0, 1, 1, 13, 1, -2, -2, 10, -1] },
+            { drum: 'kick', gain: 0.55, minIntensity: 0,
+                pattern: [1, 0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 0, 1, 0, 1, 0] },
+            { drum: 'snare', gain: 0.3, minIntensity: 0,
+                pattern: [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0] },
+            { wave: 'square', octave: 2, length: 2, gain: 0.04, minIntensity: 1,
+                pattern: [0, _, 3, _, 7, _, 6, _, 3, _, 1, _, 0, _, -1, _] },
+            { drum: 'hat', gain: 0.1, minIntensity: 2,
+                pattern: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1] },
+            { wave: 'sawtooth', octave: 1, length: 4, gain: 0.04, minIntensity: 2,
+                pattern: [12, _, _, _, 15, _, _, _, 13, _, _, _, 11, _, _, _] }
+        ]
+    }
+};
+
+export default musicTracks;
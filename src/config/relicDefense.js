@@ -0,0 +1,30 @@
+// Relic defense - Enemies attacking relics, and the player shielding and repairing them
+// (see src/systems/relicDefense.js, src/systems/relicHealthBars.js and combat.js)
+//
+// Enemy types with a relic entry in their targetPriority (src/config/enemyTypes.js) go after the
+// nearest active relic instead of the player. Their hits on a relic are multiplied by
+// `enemyDamageMultiplier`: walking into it (contact damage, the enemy dies like it does on the
+// player) and mortar blasts. Stray enemy shots still take a flat 10 off a relic they hit.
+//
+// shieldedDamageMultiplier: while the player stands in a relic's circle, the relic only takes
+// this share of every hit.
+//
+// repair: holding the repair key (R) in a damaged active relic's circle restores
+// `healPerTick` of its max health every `tickInterval` seconds, for `goldPerTick` of the run's
+// gold (src/config/runShop.js) each. Without the gold a gem of the relic's type (either parent's for a hybrid) is taken
+// from the gem counter instead and restores `healPerGem`. Drone Swarm relics have no gem
+// counter, so they can only be repaired with gold.
+
+const relicDefense = {
+    enemyDamageMultiplier: 4,
+    shieldedDamageMultiplier: 0.5,
+
+    repair: {
+        tickInterval: 0.25,
+        healPerTick: 0.05,
+        goldPerTick: 2,
+        healPerGem: 0.25
+    }
+};
+
+export default relicDefense;
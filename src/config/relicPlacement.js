@@ -0,0 +1,28 @@
+// Relic placement - Where earned relics land and moving them later (see src/systems/relicPlacement.js)
+//
+// A relic earned during the run isn't dropped at a random spot: a ghost of it, with its attack
+// range drawn on the ground, follows the player `distance` units in front of them, and the
+// interact key (E) puts it down there. The ghost turns red where it would land closer than
+// `spacing` to another relic, and can't be placed there. After `timeout` seconds the relic lands
+// at the ghost anyway, or at a random spot like before if the ghost is on a blocked spot.
+//
+// The opening relics, the character class's relics and the meta shop's starting relics are still
+// placed automatically.
+//
+// relocateCost: the run's gold (src/config/runShop.js) it costs to pick up an active relic
+// (interact while standing in its circle). It keeps its tier and health and is put down again
+// the same way, already active; if the ghost times out on a blocked spot it goes back to where
+// it was picked up.
+
+const relicPlacement = {
+    distance: 70,
+    timeout: 10,
+    spacing: 80,        // Keeps summoning circles apart; random placement keeps 148
+    relocateCost: 25,
+
+    ghostOpacity: 0.35,
+    validColor: 0x33ff66,
+    blockedColor: 0xff3333
+};
+
+export default relicPlacement;
@@ -0,0 +1,63 @@
+// Relic synergies - Bonuses for active relics of matching types placed near each other
+// (see src/systems/relicSynergies.js)
+//
+// Two active relics whose types make up a synergy's `types` link up when they are within
+// `linkRange` of each other. While linked, every relic of a type listed in `bonuses` gets the
+// bonus, once per synergy however many partners it has:
+//   number:  the stat is multiplied by it (stats from relicInfo, scaled for the relic's tier)
+//   true:    the stat is set, for behaviors a strategy switches on (spreadTargets: each drone
+//            shoots a different one of the nearest enemies, like Multi-Shot)
+// A hybrid links with its parents' types, but its two parents don't link with each other.
+//
+// color: the beam drawn between linked relics.
+
+const relicSynergies = {
+    linkRange: 250,
+
+    synergies: {
+        crushingPull: {
+            name: 'Crushing Pull',
+            types: ['vacuum', 'damage'],
+            color: 0x7f6aff,
+            description: 'Gravity Well drags enemies into Cannon splash: +50% splash radius',
+            bonuses: { damage: { splashRadius: 1.5 } }
+        },
+        hiveMind: {
+            name: 'Hive Mind',
+            types: ['droneSwarm', 'crit'],
+            color: 0x80ff66,
+            description: 'Drones take Multi-Shot targeting: each drone fires at a different enemy',
+            bonuses: { droneSwarm: { spreadTargets: true } }
+        },
+        overcharge: {
+            name: 'Overcharge',
+            types: ['attackSpeed', 'speed'],
+            color: 0xc43a70,
+            description: 'Speed Booster overclocks the Octahedron: beam fires 25% faster',
+            bonuses: { attackSpeed: { cooldown: 0.8 } }
+        },
+        killZone: {
+            name: 'Kill Zone',
+            types: ['vacuum', 'luck'],
+            color: 0x80dfff,
+            description: 'Precision strikes land on pulled-in crowds: +40% strike radius, +20% damage',
+            bonuses: { luck: { radius: 1.4, damagePerSecond: 1.2 } }
+        },
+        spotter: {
+            name: 'Spotter',
+            types: ['luck', 'crit'],
+            color: 0xffff99,
+            description: 'Precision Striker spots for Multi-Shot: +20% range',
+            bonuses: { crit: { range: 1.2 } }
+        },
+        escort: {
+            name: 'Escort',
+            types: ['droneSwarm', 'speed'],
+            color: 0x80a055,
+            description: 'Boosted drones orbit 50% faster and fire 15% faster',
+            bonuses: { droneSwarm: { orbitSpeed: 1.5, cooldown: 0.85 } }
+        }
+    }
+};
+
+export default relicSynergies;
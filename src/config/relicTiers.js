@@ -0,0 +1,56 @@
+// Relic tiers - Levelling converted relics with gems, and fusing max-tier relics into hybrids
+// (see src/systems/relicTiers.js)
+//
+// Standing in an active relic's circle feeds it the gems of its type from the gem counter, one
+// every `feedInterval` seconds. gemsPerTier[n] gems take a relic from tier n + 1 to tier n + 2.
+// Relic types without a gem counter (Drone Swarm) can't be fed.
+//
+// Every tier above the first scales the relic's relicInfo stats:
+//   multipliers: stat * multiplier ^ (tier - 1), e.g. damage, range; below 1 for cooldowns
+//   increments:  stat + increment * (tier - 1), for counts like targets and drones
+// Stats a relic type doesn't have are left out. A tier-up also restores the relic to full health.
+//
+// fusion: standing at a max-tier relic for `duration` seconds fuses it with the nearest max-tier
+// relic of a different type within `range`. The hybrid appears between them and fights with both
+// parents' attacks at once, each boosted by `statMultiplier`, plus a resonance pulse that hits
+// every enemy within `resonanceRange` every `resonanceInterval` seconds. Its health is the sum of
+// both parents'; destroying it drops a gem of each parent type.
+
+const relicTiers = {
+    maxTier: 3,
+    gemsPerTier: [3, 5],
+    feedInterval: 0.4,
+
+    multipliers: {
+        health: 1.3,
+        damage: 1.35,
+        splashDamage: 1.35,
+        damagePerSecond: 1.35,
+        droneDamage: 1.35,
+        baseDamage: 1.35,
+        range: 1.1,
+        splashRadius: 1.15,
+        radius: 1.15,
+        pullStrength: 1.2,
+        cooldown: 0.85
+    },
+
+    increments: {
+        targets: 2,
+        droneCount: 1
+    },
+
+    // Mesh growth per tier above the first
+    scalePerTier: 0.15,
+
+    fusion: {
+        range: 220,
+        duration: 3,
+        statMultiplier: 1.2,
+        resonanceInterval: 4,
+        resonanceDamage: 150,
+        resonanceRange: 160
+    }
+};
+
+export default relicTiers;
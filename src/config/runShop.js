@@ -0,0 +1,32 @@
+// Run shop - What the between-waves shop sells for the run's gold (see src/systems/runShop.js)
+//
+// Every coin picked up adds its gold to the run's wallet (1-5 from enemies, 15 from bosses).
+// Gold is spent in the shop, on moving relics and on repairing them, and is lost when the run
+// ends; the meta shop's coins are counted separately, one per coin picked up.
+//
+// The shop opens when a wave is cleared, if the wallet affords at least one item, and the game
+// waits until it is closed. Prices are baseCost * (1 + priceScalePerWave * (wave - 1)), rounded.
+//
+// Items, by `kind`:
+//   reroll:   one more reroll of the level-up upgrade choices
+//   heal:     restores `amount` of max health (not sold at full health)
+//   gems:     `amount` gems for the gem counter closest to earning a relic
+//   buff:     multiplies one of the player's buffs (damageMult, moveSpeedMult) by `multiplier`
+//             for `duration` seconds; buying it again restarts the timer
+//   cooldown: sold once per unlocked ability, `maxLevel` times each; every level multiplies the
+//             ability's cooldown by `multiplier`
+
+const runShop = {
+    priceScalePerWave: 0.15,
+
+    items: {
+        reroll: { kind: 'reroll', name: 'Reroll', icon: '🎲', description: 'Reroll the upgrade choices once at a level-up', baseCost: 15 },
+        medkit: { kind: 'heal', name: 'Medkit', icon: '✚', description: 'Restore 30% of your max health', amount: 0.3, baseCost: 20 },
+        gemBundle: { kind: 'gems', name: 'Gem Bundle', icon: '💎', description: '2 gems toward your closest relic', amount: 2, baseCost: 35 },
+        frenzy: { kind: 'buff', name: 'Frenzy', icon: '⚔️', description: '+30% damage for 60s', buff: 'damageMult', multiplier: 1.3, duration: 60, baseCost: 30 },
+        haste: { kind: 'buff', name: 'Haste', icon: '👟', description: '+25% move speed for 60s', buff: 'moveSpeedMult', multiplier: 1.25, duration: 60, baseCost: 25 },
+        overclock: { kind: 'cooldown', name: 'Overclock', icon: '⏱️', description: '-10% cooldown', multiplier: 0.9, maxLevel: 3, baseCost: 50 }
+    }
+};
+
+export default runShop;
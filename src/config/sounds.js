@@ -0,0 +1,61 @@
+// Sound effects - Procedural recipes synthesised by AudioManager (no asset files)
+//
+// Each sound plays on a volume bus ('sfx', 'ui' or 'music') and is built from layers:
+// - tone:  { wave, frequency, frequencyEnd?, delay?, duration, attack?, gain }
+// - noise: { noise: true, filter, cutoff, cutoffEnd?, delay?, duration, attack?, gain }
+// Frequencies are in Hz, times in seconds. Pitch and filter sweeps are exponential.
+// maxVoices caps how many copies of the sound can overlap; extra plays are dropped.
+
+const sounds = {
+    // Player auto-attack
+    laser: { category: 'sfx', maxVoices: 4, layers: [
+        { wave: 'square', frequency: 1200, frequencyEnd: 300, duration: 0.09, gain: 0.12 }
+    ] },
+    // Ability casts
+    shoot: { category: 'sfx', maxVoices: 3, layers: [
+        { wave: 'sawtooth', frequency: 600, frequencyEnd: 150, duration: 0.18, gain: 0.15 },
+        { noise: true, filter: 'highpass', cutoff: 3000, duration: 0.08, gain: 0.1 }
+    ] },
+    enemyShoot: { category: 'sfx', maxVoices: 4, layers: [
+        { wave: 'sawtooth', frequency: 420, frequencyEnd: 160, duration: 0.14, gain: 0.1 }
+    ] },
+    hit: { category: 'sfx', maxVoices: 6, layers: [
+        { noise: true, filter: 'bandpass', cutoff: 1800, duration: 0.05, gain: 0.3 },
+        { wave: 'triangle', frequency: 220, frequencyEnd: 80, duration: 0.08, gain: 0.25 }
+    ] },
+    explosion: { category: 'sfx', maxVoices: 5, layers: [
+        { noise: true, filter: 'lowpass', cutoff: 1600, cutoffEnd: 80, duration: 0.7, gain: 0.6 },
+        { wave: 'sine', frequency: 110, frequencyEnd: 35, duration: 0.45, gain: 0.5 }
+    ] },
+    // Relic pushing enemies away
+    windChime: { category: 'sfx', maxVoices: 2, layers: [
+        { wave: 'sine', frequency: 1568, duration: 0.9, gain: 0.12 },
+        { wave: 'sine', frequency: 2093, delay: 0.06, duration: 0.8, gain: 0.1 },
+        { wave: 'sine', frequency: 2637, delay: 0.12, duration: 0.7, gain: 0.08 }
+    ] },
+    // Experience gem
+    pickup: { category: 'sfx', maxVoices: 3, layers: [
+        { wave: 'sine', frequency: 660, frequencyEnd: 1320, duration: 0.1, gain: 0.2 }
+    ] },
+    coin: { category: 'sfx', maxVoices: 3, layers: [
+        { wave: 'square', frequency: 988, duration: 0.07, gain: 0.1 },
+        { wave: 'square', frequency: 1319, delay: 0.07, duration: 0.25, gain: 0.1 }
+    ] },
+    // Level up
+    powerup: { category: 'ui', maxVoices: 1, layers: [
+        { wave: 'triangle', frequency: 523, duration: 0.12, gain: 0.25 },
+        { wave: 'triangle', frequency: 659, delay: 0.1, duration: 0.12, gain: 0.25 },
+        { wave: 'triangle', frequency: 784, delay: 0.2, duration: 0.12, gain: 0.25 },
+        { wave: 'triangle', frequency: 1047, delay: 0.3, duration: 0.35, gain: 0.25 }
+    ] },
+    gameOver: { category: 'ui', maxVoices: 1, layers: [
+        { wave: 'sawtooth', frequency: 440, frequencyEnd: 110, duration: 1.4, gain: 0.2 },
+        { wave: 'triangle', frequency: 220, frequencyEnd: 55, delay: 0.2, duration: 1.4, gain: 0.25 }
+    ] },
+    // Menu buttons
+    uiClick: { category: 'ui', maxVoices: 2, layers: [
+        { wave: 'square', frequency: 1500, duration: 0.03, gain: 0.08 }
+    ] }
+};
+
+export default sounds;
@@ -0,0 +1,234 @@
+/**
+ * Headless Runner - Arena Roguelike
+ *
+ * Runs the game simulation in Node with no renderer, DOM or audio, stepping
+ * at the fixed timestep as fast as the CPU allows. Used for balance tuning
+ * and regression runs on machines without a GPU.
+ *
+ * Usage:
+ *   node --experimental-default-type=module src/headless.js [options]
+ *
+ * Options:
+ *   --runs <n>         Number of runs (default 1)
+ *   --seed <seed>      Seed of the first run; run i uses seed + i (default: random)
+ *   --max-minutes <m>  Stop a run after this much game time (default 10)
+ *   --policy <name>    Movement policy: 'idle' or 'wander' (default 'wander')
+ *   --mode <id>        Game mode: 'endless' or 'campaign' (default 'endless')
+ *   --daily <date>     Play the daily challenge of a day ('YYYY-MM-DD' or 'today'). Sets the
+ *                      seed, class, relics and modifiers, so every run plays the same way
+ *   --class <id>       Character class to play (key of config/characterClasses.js, default 'ranger')
+ *   --difficulty <id>  Difficulty preset (key of presets in config/difficulty.js, default 'normal')
+ *   --modifier <id>    Add a run modifier (key of modifiers in config/difficulty.js, repeatable)
+ *   --pack <file>      Load a JSON content pack over the built-in content (repeatable)
+ *   --telemetry        Add each run's telemetry report (damage by source, boss phases, ...) to its result
+ *   --verbose          Keep the simulation's console.log output
+ *
+ * Prints one JSON object with every run's result and the averages.
+ * Runs start without meta upgrades, so results reflect the base game.
+ * Requires `three` to be resolvable from node_modules (same version as the
+ * importmap in index.html).
+ */
+
+import { readFileSync } from 'node:fs';
+import { FIXED_TIMESTEP } from './config/constants.js';
+import { createGameSimulation } from './systems/gameSimulation.js';
+import SeededRandom from './utils/SeededRandom.js';
+import { loadContentPack } from './systems/contentPacks.js';
+import { createDailyChallenge, getDateKey } from './systems/dailyChallenge.js';
+
+// Steps between direction changes for the 'wander' policy
+const WANDER_INTERVAL = 90;
+
+// Drag directions are rounded like live input so runs can be exported as replays
+const DRAG_PRECISION = 1000;
+
+/**
+ * Parses --flag value pairs from the command line
+ * @param {string[]} args - process.argv without node and script
+ * @returns {Object} Runner options
+ */
+function parseArgs(args) {
+    const options = {
+        runs: 1,
+        seed: null,
+        maxMinutes: 10,
+        policy: 'wander',
+        mode: null,
+        daily: null,
+        characterClass: null,
+        difficulty: null,
+        modifiers: [],
+        packs: [],
+        telemetry: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--runs') {
+            options.runs = Math.max(1, parseInt(args[++i], 10) || 1);
+        } else if (arg === '--seed') {
+            options.seed = args[++i];
+        } else if (arg === '--max-minutes') {
+            options.maxMinutes = Number(args[++i]) || options.maxMinutes;
+        } else if (arg === '--policy') {
+            options.policy = args[++i];
+        } else if (arg === '--mode') {
+            options.mode = args[++i];
+        } else if (arg === '--daily') {
+            options.daily = args[++i];
+        } else if (arg === '--class') {
+            options.characterClass = args[++i];
+        } else if (arg === '--difficulty') {
+            options.difficulty = args[++i];
+        } else if (arg === '--modifier') {
+            options.modifiers.push(args[++i]);
+        } else if (arg === '--pack') {
+            options.packs.push(args[++i]);
+        } else if (arg === '--telemetry') {
+            options.telemetry = true;
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else {
+            console.warn(`[Headless] Ignoring unknown argument: ${arg}`);
+        }
+    }
+
+    if (options.policy !== 'idle' && options.policy !== 'wander') {
+        console.warn(`[Headless] Unknown policy '${options.policy}', using 'wander'`);
+        options.policy = 'wander';
+    }
+
+    return options;
+}
+
+/**
+ * Creates the input policy that stands in for the player
+ * @param {string} policy - 'idle' or 'wander'
+ * @param {number} seed - Run seed (the policy has its own generator so it never shifts gameplay rolls)
+ * @returns {Function} (step) => input frame
+ */
+function createInputPolicy(policy, seed) {
+    const idleFrame = { keys: 0, dragX: 0, dragY: 0 };
+    if (policy === 'idle') {
+        return () => idleFrame;
+    }
+
+    const policyRng = new SeededRandom(`${seed}-wander`);
+    let frame = idleFrame;
+    return (step) => {
+        if (step % WANDER_INTERVAL === 0) {
+            const angle = policyRng.range(0, Math.PI * 2);
+            frame = {
+                keys: 0,
+                dragX: Math.round(Math.cos(angle) * DRAG_PRECISION) / DRAG_PRECISION,
+                dragY: Math.round(Math.sin(angle) * DRAG_PRECISION) / DRAG_PRECISION
+            };
+        }
+        return frame;
+    };
+}
+
+/**
+ * Averages a numeric field over all results
+ */
+function average(results, field) {
+    const total = results.reduce((sum, result) => sum + result[field], 0);
+    return Math.round((total / results.length) * 100) / 100;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+
+    // Packs change the content every run uses, so a rejected one stops the runner
+    for (const file of options.packs) {
+        let pack;
+        try {
+            pack = JSON.parse(readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`[Headless] Could not read content pack ${file}: ${error.message}`);
+            process.exit(1);
+        }
+        if (loadContentPack(pack).length > 0) {
+            process.exit(1);
+        }
+    }
+
+    // Upgrade, ability and shop picks stand in for the player, so like the input
+    // policy they use their own generator instead of the gameplay one
+    const rng = new SeededRandom();
+    const choiceRng = new SeededRandom();
+    const simulation = createGameSimulation({
+        rng,
+        // Damage numbers are HTML overlays; nothing to show without a DOM
+        damageNumberManager: { create() {}, update() {} },
+        chooseUpgrade: (upgradeOptions) => choiceRng.int(0, upgradeOptions.length - 1),
+        chooseAbility: (abilityIds) => choiceRng.pick(abilityIds),
+        // Buys random affordable items until it picks leaving the shop (null)
+        chooseShopItem: (offer) => choiceRng.pick([
+            ...offer.filter(entry => entry.available).map(entry => entry.id),
+            null
+        ])
+    });
+
+    const firstSeed = SeededRandom.normalizeSeed(options.seed ?? SeededRandom.generateSeed());
+    const maxSteps = Math.ceil((options.maxMinutes * 60) / FIXED_TIMESTEP);
+    const results = [];
+    const startTime = Date.now();
+
+    const daily = options.daily
+        ? createDailyChallenge(options.daily === 'today' ? getDateKey() : options.daily)
+        : null;
+
+    for (let run = 0; run < options.runs; run++) {
+        const seed = daily ? daily.seed : (firstSeed + run) >>> 0;
+        simulation.reset(daily ? { ...daily, mode: 'daily' } : {
+            seed,
+            mode: options.mode,
+            characterClass: options.characterClass,
+            difficulty: options.difficulty,
+            modifiers: options.modifiers
+        });
+        choiceRng.setSeed(`${seed}-choices`);
+        const nextFrame = createInputPolicy(options.policy, seed);
+
+        while (!simulation.isGameOver() && simulation.getStep() < maxSteps) {
+            simulation.step(FIXED_TIMESTEP, nextFrame(simulation.getStep()));
+        }
+
+        const runResult = simulation.getResult();
+        const result = {
+            ...runResult,
+            died: simulation.isGameOver() && !runResult.victory // Won runs end too
+        };
+        if (options.telemetry) {
+            result.telemetry = simulation.telemetry.getReport();
+        }
+        results.push(result);
+        process.stderr.write(`[Headless] Run ${run + 1}/${options.runs} done\n`);
+    }
+
+    const summary = {
+        runs: results.length,
+        policy: options.policy,
+        packs: options.packs,
+        maxMinutes: options.maxMinutes,
+        deaths: results.filter(result => result.died).length,
+        victories: results.filter(result => result.victory).length,
+        averageScore: average(results, 'score'),
+        averageCoins: average(results, 'coins'),
+        averageLevel: average(results, 'level'),
+        averageWave: average(results, 'wave'),
+        averageDuration: average(results, 'duration'),
+        wallTimeSeconds: (Date.now() - startTime) / 1000,
+        results
+    };
+
+    process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+}
+
+main();
@@ -1,36 +1,259 @@
+import sounds from '../config/sounds.js';
+
 /**
- * AudioManager - Manages game sound effects.
+ * AudioManager - Procedural Web Audio engine for game sound effects.
+ *
+ * Sounds are synthesised from the recipes in src/config/sounds.js, so no asset
+ * files are needed. Every sound plays through a volume bus per category
+ * (sfx, ui, music), then a master gain and a compressor that keeps loud chains
+ * of effects from clipping.
  *
- * Handles loading and playing sound effects with volume control.
+ * - Voice limiting: each sound has its own cap (maxVoices) and the engine as a
+ *   whole never plays more than MAX_VOICES at once, cutting the oldest first.
+ * - Spatial panning: play() takes an optional world position; it is panned and
+ *   attenuated relative to the listener object (the player cone).
+ *
+ * Without Web Audio (e.g. the headless Node runner) play() is a silent no-op.
  * Automatically initializes on module load.
  */
+
+const CATEGORIES = ['sfx', 'ui', 'music'];
+const MAX_VOICES = 24;
+const PAN_DISTANCE = 250;       // World units left/right of the listener for a full pan
+const FALLOFF_DISTANCE = 600;   // World units at which a sound reaches MIN_DISTANCE_GAIN
+const MIN_DISTANCE_GAIN = 0.25;
+const SILENCE = 0.0001;         // Exponential ramps can't reach zero
+
+/**
+ * One second of white noise, looped by noise layers
+ */
+function createNoiseBuffer(context) {
+    const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+}
+
 const AudioManager = {
-    sounds: {},
+    context: null,
+    masterGain: null,
+    buses: {},
+    noiseBuffer: null,
+    voices: [],
+    listener: null,
+    volumes: { master: 1.0, sfx: 0.8, ui: 0.8, music: 0.5 },
+    muted: false,
 
     init() {
-        // Sound files disabled - uncomment when sound files are added
-        /*
-        const soundList = {
-            explosion: 'sounds/explosion.wav',
-            hit: 'sounds/hit.wav',
-            coin: 'sounds/coin.wav',
-            laser: 'sounds/laser.wav',
-            pickup: 'sounds/pickup.wav',
-            windChime: 'sounds/wind-chime.wav',
-            gameOver: 'sounds/game-over.wav'
+        if (this.context) return;
+
+        const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        try {
+            this.context = new AudioContextClass();
+        } catch (error) {
+            console.warn('[Audio] Could not create audio context:', error.message);
+            return;
+        }
+
+        const context = this.context;
+        const compressor = context.createDynamicsCompressor();
+        compressor.threshold.value = -12;
+        compressor.ratio.value = 12;
+        compressor.connect(context.destination);
+
+        this.masterGain = context.createGain();
+        this.masterGain.connect(compressor);
+
+        CATEGORIES.forEach(category => {
+            const bus = context.createGain();
+            bus.connect(this.masterGain);
+            this.buses[category] = bus;
+        });
+        this.applyVolumes();
+
+        this.noiseBuffer = createNoiseBuffer(context);
+
+        // Browsers keep the context suspended until the first user gesture
+        const resume = () => {
+            if (context.state === 'suspended') context.resume();
         };
-        for (const name in soundList) {
-            this.sounds[name] = new Audio(soundList[name]);
+        globalThis.addEventListener('pointerdown', resume);
+        globalThis.addEventListener('keydown', resume);
+    },
+
+    /**
+     * Sets the object sounds are positioned relative to
+     * @param {Object} listener - Anything with a position ({ x, z }), e.g. the player cone
+     */
+    setListener(listener) {
+        this.listener = listener;
+    },
+
+    /**
+     * Plays a sound effect
+     * @param {string} name - Key of src/config/sounds.js
+     * @param {number} volume - 0..1, scaled by the sound's bus
+     * @param {Object} position - World position of the source (optional, centred if omitted)
+     */
+    play(name, volume = 1.0, position = null) {
+        const context = this.context;
+        const sound = sounds[name];
+        if (!context || !sound || this.muted || context.state !== 'running') return;
+
+        const now = context.currentTime;
+        this.voices = this.voices.filter(voice => voice.endTime > now);
+
+        // A burst of the same sound adds nothing past a few copies
+        const playing = this.voices.filter(voice => voice.name === name).length;
+        if (playing >= (sound.maxVoices || 4)) return;
+        if (this.voices.length >= MAX_VOICES) {
+            this.voices.shift().stop();
+        }
+
+        const { pan, gain } = this.getSpatial(position);
+
+        const output = context.createGain();
+        output.gain.value = volume * gain;
+        if (context.createStereoPanner) {
+            const panner = context.createStereoPanner();
+            panner.pan.value = pan;
+            output.connect(panner);
+            panner.connect(this.buses[sound.category] || this.buses.sfx);
+        } else {
+            output.connect(this.buses[sound.category] || this.buses.sfx);
         }
-        */
+
+        const sources = [];
+        let endTime = now;
+        sound.layers.forEach(layer => {
+            const { source, end } = this.playLayer(layer, output, now);
+            sources.push(source);
+            endTime = Math.max(endTime, end);
+        });
+
+        this.voices.push({
+            name,
+            endTime,
+            stop: () => {
+                const stopTime = context.currentTime;
+                output.gain.setTargetAtTime(0, stopTime, 0.01);
+                sources.forEach(source => source.stop(stopTime + 0.05));
+            }
+        });
     },
 
-    play(name, volume = 1.0) {
-        if (this.sounds[name]) {
-            const sound = this.sounds[name].cloneNode();
-            sound.volume = volume;
-            sound.play().catch(e => {}); // Ignore play errors if context not ready
+    /**
+     * Schedules one layer of a recipe
+     * @returns {Object} { source, end } - The started source node and when it ends
+     */
+    playLayer(layer, output, startTime) {
+        const context = this.context;
+        const start = startTime + (layer.delay || 0);
+        const end = start + layer.duration;
+
+        const envelope = context.createGain();
+        envelope.gain.setValueAtTime(SILENCE, start);
+        envelope.gain.exponentialRampToValueAtTime(layer.gain, start + (layer.attack || 0.005));
+        envelope.gain.exponentialRampToValueAtTime(SILENCE, end);
+        envelope.connect(output);
+
+        let source;
+        if (layer.noise) {
+            source = context.createBufferSource();
+            source.buffer = this.noiseBuffer;
+            source.loop = true;
+
+            const filter = context.createBiquadFilter();
+            filter.type = layer.filter;
+            filter.frequency.setValueAtTime(layer.cutoff, start);
+            if (layer.cutoffEnd) {
+                filter.frequency.exponentialRampToValueAtTime(layer.cutoffEnd, end);
+            }
+            source.connect(filter);
+            filter.connect(envelope);
+        } else {
+            source = context.createOscillator();
+            source.type = layer.wave;
+            source.frequency.setValueAtTime(layer.frequency, start);
+            if (layer.frequencyEnd) {
+                source.frequency.exponentialRampToValueAtTime(layer.frequencyEnd, end);
+            }
+            source.connect(envelope);
         }
+
+        source.start(start);
+        source.stop(end + 0.05);
+        return { source, end };
+    },
+
+    /**
+     * Pan and distance gain of a source relative to the listener
+     */
+    getSpatial(position) {
+        if (!position || !this.listener) return { pan: 0, gain: 1 };
+
+        const dx = position.x - this.listener.position.x;
+        const dz = position.z - this.listener.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        return {
+            pan: Math.max(-1, Math.min(1, dx / PAN_DISTANCE)),
+            gain: Math.max(MIN_DISTANCE_GAIN, 1 - distance / FALLOFF_DISTANCE)
+        };
+    },
+
+    // ===== Volume =====
+
+    /**
+     * @param {string} category - 'master', 'sfx', 'ui' or 'music'
+     * @param {number} value - 0..1
+     */
+    setVolume(category, value) {
+        if (!(category in this.volumes)) return;
+        this.volumes[category] = Math.max(0, Math.min(1, value));
+        this.applyVolumes();
+    },
+
+    getVolume(category) {
+        return this.volumes[category];
+    },
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+    },
+
+    isMuted() {
+        return this.muted;
+    },
+
+    toggleMute() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    },
+
+    /**
+     * Pushes the volume settings to the gain nodes (smoothed to avoid clicks)
+     */
+    applyVolumes() {
+        if (!this.context) return;
+        const now = this.context.currentTime;
+        this.masterGain.gain.setTargetAtTime(this.muted ? 0 : this.volumes.master, now, 0.02);
+        CATEGORIES.forEach(category => {
+            this.buses[category].gain.setTargetAtTime(this.volumes[category], now, 0.02);
+        });
+    },
+
+    /**
+     * Audio context and bus of a category, for other audio sources (e.g. music)
+     * @returns {Object|null} { context, bus }, or null without Web Audio
+     */
+    getOutput(category) {
+        if (!this.context) return null;
+        return { context: this.context, bus: this.buses[category] };
     }
 };
 
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import colorPalettes from '../config/colorPalettes.js';
 
 /**
  * DamageNumberManager - Manages floating damage/heal numbers that appear above entities.
@@ -19,6 +20,27 @@ class DamageNumberManager {
         this.font = 'bold 24px Arial';
         this.STACK_TIME_WINDOW = 0.3; // seconds
         this.STACK_Y_OFFSET = 5;
+        this.enabled = true;
+        this.colors = colorPalettes.default;
+    }
+
+    /**
+     * Shows or hides damage numbers (hiding also clears the ones on screen)
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.activeNumbers.forEach(num => this._releaseToPool(num));
+            this.activeNumbers = [];
+        }
+    }
+
+    /**
+     * @param {Object} palette - Entry of src/config/colorPalettes.js
+     */
+    setPalette(palette) {
+        this.colors = palette;
     }
 
     _createPooledObject() {
@@ -48,7 +70,9 @@ class DamageNumberManager {
     }
 
     create(targetObject, text, options = {}) {
-        const color = options.isHeal ? '#44FF44' : (options.isCritical ? '#FF0000' : '#FF4444');
+        if (!this.enabled) return;
+
+        const color = options.isHeal ? this.colors.heal : (options.isCritical ? this.colors.critical : this.colors.damage);
         const textToDisplay = options.isDodge ? 'DODGE' : (options.isHeal ? `+${text}` : String(Math.round(text)));
 
         // Stacking logic using userData on the THREE.Object3D
@@ -66,7 +90,7 @@ class DamageNumberManager {
 
         context.clearRect(0, 0, canvas.width, canvas.height);
         context.font = this.font;
-        context.fillStyle = options.isDodge ? '#FFFF00' : color;
+        context.fillStyle = options.isDodge ? this.colors.dodge : color;
         context.textAlign = 'center';
         context.textBaseline = 'middle';
         context.strokeStyle = 'black';
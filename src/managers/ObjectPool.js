@@ -4,12 +4,18 @@
  * This class maintains a collection of inactive objects that can be reused,
  * improving performance by avoiding frequent object creation and destruction.
  *
- * Note: Depends on a scene object being available for add/remove operations.
- * The scene should be injected or passed to get/release methods in refactored code.
+ * Objects are added to / removed from the injected scene as they are taken and
+ * returned. Without one, the legacy global `scene` (window.scene) is used.
  */
 class ObjectPool {
-    constructor(createFn, size = 20) {
+    /**
+     * @param {Function} createFn - Factory returning a pooled object with a `mesh`
+     * @param {number} size - Number of objects to pre-create
+     * @param {THREE.Scene} [scene] - Scene pooled meshes are added to
+     */
+    constructor(createFn, size = 20, scene = null) {
         this.createFn = createFn;
+        this.scene = scene;
         this.inactive = [];
         for (let i = 0; i < size; i++) {
             this.inactive.push(this.createFn());
@@ -24,13 +30,13 @@ class ObjectPool {
             // Pool is empty, create a new one as a fallback
             obj = this.createFn();
         }
-        scene.add(obj.mesh);
+        (this.scene || globalThis.scene).add(obj.mesh);
         obj.active = true;
         return obj;
     }
 
     release(obj) {
-        scene.remove(obj.mesh);
+        (this.scene || globalThis.scene).remove(obj.mesh);
         obj.active = false;
         this.inactive.push(obj);
     }
@@ -0,0 +1,226 @@
+/**
+ * Achievements System
+ * Long-term goals checked from the game events, kept in localStorage
+ *
+ * Definitions come from src/config/achievements.js, plus one "defeat <boss>"
+ * achievement per boss in bossTypes (id 'boss:<type>'). Progress is checked as
+ * the simulation emits events; runs that don't count (replays being watched)
+ * are skipped through isTracking().
+ *
+ * Some achievements unlock a starting loadout. One unlocked loadout can be
+ * equipped at a time and is added to the meta shop loadout of the next run.
+ *
+ * Stored data (JSON):
+ * { version, unlocked: { id: date }, bossesDefeated: [type], totalKills, equipped: id | null }
+ *
+ * Dependencies:
+ * - events: EventBus the game simulation emits on
+ * - storage: Web Storage object (optional, defaults to localStorage when available)
+ * - isTracking: () => whether the current run counts (optional, defaults to always)
+ * - onUnlock: Called with the achievement when it is completed (optional, e.g. to show a toast)
+ */
+
+import achievementConfig from '../config/achievements.js';
+import bossTypes from '../config/bossTypes.js';
+import { ABILITY_DEFINITIONS } from './playerAbilities.js';
+
+export const ACHIEVEMENTS_VERSION = 1;
+
+const ACHIEVEMENTS_KEY = 'arenaRoguelike.achievements';
+
+function createEmptyProgress() {
+    return {
+        version: ACHIEVEMENTS_VERSION,
+        unlocked: {},
+        bossesDefeated: [],
+        totalKills: 0,
+        equipped: null
+    };
+}
+
+/**
+ * Lists every achievement: one per boss type, then the configured ones
+ * @returns {Object[]} [{ id, name, icon, description, goal, reward }]
+ */
+function buildDefinitions() {
+    const bossAchievements = Object.entries(bossTypes).map(([bossType, boss]) => ({
+        id: `boss:${bossType}`,
+        name: `${boss.name} Slain`,
+        icon: '⚔️',
+        description: `Defeat ${boss.name}`,
+        goal: { type: 'killBoss', bossType }
+    }));
+
+    const configured = Object.entries(achievementConfig).map(([id, achievement]) => ({ id, ...achievement }));
+
+    return [...bossAchievements, ...configured];
+}
+
+/**
+ * Creates the achievements tracker and subscribes it to the game events
+ * @param {Object} dependencies - See file header
+ * @returns {Object} Achievements API
+ */
+export function createAchievements(dependencies) {
+    const {
+        events,
+        storage = globalThis.localStorage ?? null,
+        isTracking = () => true,
+        onUnlock = () => {}
+    } = dependencies;
+
+    // Built once the content packs are in, so their bosses get an achievement too
+    const definitions = buildDefinitions();
+    let progress = load();
+
+    // Bosses fought so far this run without the player losing health
+    const untouchedBosses = new Set();
+
+    function load() {
+        const json = storage ? storage.getItem(ACHIEVEMENTS_KEY) : null;
+        if (!json) return createEmptyProgress();
+
+        try {
+            const data = JSON.parse(json);
+            if (data && data.version === ACHIEVEMENTS_VERSION) {
+                return { ...createEmptyProgress(), ...data };
+            }
+            console.warn(`[Achievements] Ignoring progress with unsupported version: ${data && data.version}`);
+        } catch (error) {
+            console.warn('[Achievements] Ignoring unreadable progress:', error.message);
+        }
+        return createEmptyProgress();
+    }
+
+    function persist() {
+        if (!storage) return;
+        try {
+            storage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(progress));
+        } catch (error) {
+            console.warn('[Achievements] Could not save progress:', error.message);
+        }
+    }
+
+    function isUnlocked(id) {
+        return id in progress.unlocked;
+    }
+
+    /**
+     * Unlocks every achievement of a goal type whose goal is met
+     * @param {string} goalType - e.g. 'reachWave'
+     * @param {Function} isMet - (goal) => boolean
+     */
+    function completeGoals(goalType, isMet) {
+        for (const achievement of definitions) {
+            if (achievement.goal.type !== goalType || isUnlocked(achievement.id)) continue;
+            if (!isMet(achievement.goal)) continue;
+
+            progress.unlocked[achievement.id] = Date.now();
+            persist();
+            console.log(`[Achievements] Unlocked: ${achievement.name}`);
+            onUnlock(achievement);
+        }
+    }
+
+    /**
+     * @returns {Object|null} { current, target } for goals that build up over several runs
+     */
+    function getProgress(goal) {
+        switch (goal.type) {
+            case 'allBosses':
+                return {
+                    current: Object.keys(bossTypes).filter(type => progress.bossesDefeated.includes(type)).length,
+                    target: Object.keys(bossTypes).length
+                };
+            case 'totalKills':
+                return { current: Math.min(progress.totalKills, goal.count), target: goal.count };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @returns {Object[]} Every achievement with { unlocked, date, progress } added, in display order
+     */
+    function getAchievements() {
+        return definitions.map(achievement => ({
+            ...achievement,
+            unlocked: isUnlocked(achievement.id),
+            date: progress.unlocked[achievement.id] ?? null,
+            progress: getProgress(achievement.goal)
+        }));
+    }
+
+    // ===== Reward Loadouts =====
+
+    /**
+     * Equips an unlocked reward loadout for the next runs
+     * @param {string|null} id - Achievement id, or null to start without one
+     * @returns {boolean} Whether the loadout changed
+     */
+    function equipLoadout(id) {
+        if (id !== null) {
+            const achievement = definitions.find(entry => entry.id === id);
+            if (!achievement || !achievement.reward || !isUnlocked(id)) return false;
+        }
+        progress.equipped = id;
+        persist();
+        return true;
+    }
+
+    /**
+     * @returns {Object|null} The equipped reward as a loadout { statBonuses, relics, abilities }
+     */
+    function getEquippedLoadout() {
+        const achievement = definitions.find(entry => entry.id === progress.equipped);
+        if (!achievement || !achievement.reward || !isUnlocked(achievement.id)) return null;
+
+        const { statBonuses = {}, relics = [], abilities = [] } = achievement.reward;
+        return { statBonuses, relics, abilities };
+    }
+
+    // ===== Event Subscriptions =====
+    function on(type, handler) {
+        events.on(type, (payload) => {
+            if (isTracking()) handler(payload);
+        });
+    }
+
+    on('runStarted', () => untouchedBosses.clear());
+    on('runEnded', () => persist()); // Kill count is only written once per run
+
+    on('waveStarted', ({ wave }) => completeGoals('reachWave', goal => wave >= goal.wave));
+    on('levelUp', ({ level }) => completeGoals('reachLevel', goal => level >= goal.level));
+
+    on('enemyKilled', ({ isBoss }) => {
+        if (isBoss) return;
+        progress.totalKills++;
+        completeGoals('totalKills', goal => progress.totalKills >= goal.count);
+    });
+
+    on('bossSpawned', ({ boss }) => untouchedBosses.add(boss));
+    on('playerDamaged', () => untouchedBosses.clear());
+    on('bossDefeated', ({ boss, bossType }) => {
+        if (!progress.bossesDefeated.includes(bossType)) {
+            progress.bossesDefeated.push(bossType);
+            persist();
+        }
+        completeGoals('killBoss', goal => goal.bossType === bossType);
+        completeGoals('allBosses', () => Object.keys(bossTypes).every(type => progress.bossesDefeated.includes(type)));
+        completeGoals('flawlessBoss', () => untouchedBosses.has(boss));
+        untouchedBosses.delete(boss);
+    });
+
+    on('abilityUnlocked', ({ owned }) => {
+        completeGoals('allAbilities', () => Object.keys(ABILITY_DEFINITIONS).every(id => owned.includes(id)));
+    });
+    on('relicActivated', ({ activeCount }) => completeGoals('activeRelics', goal => activeCount >= goal.count));
+
+    return {
+        getAchievements,
+        isUnlocked,
+        equipLoadout,
+        getEquippedLoadout,
+        getEquippedId: () => progress.equipped
+    };
+}
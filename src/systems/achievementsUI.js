@@ -0,0 +1,129 @@
+/**
+ * Achievements UI
+ * In-game unlock toasts and the between-runs achievements gallery, where
+ * unlocked starting loadouts are equipped
+ *
+ * EXTERNAL DEPENDENCIES (via DOM):
+ * - HTML elements with IDs: achievement-toasts, achievements-overlay,
+ *   achievements-summary, achievements-loadouts, achievements-list, achievements-close
+ *
+ * Dependencies:
+ * - achievements: Tracker from createAchievements()
+ */
+
+const TOAST_DURATION = 4000; // ms on screen, including the fade
+
+/**
+ * Creates the toasts and the gallery screen
+ * @param {Object} dependencies - See file header
+ * @returns {Object} { showToast, open, close }
+ */
+export function createAchievementsUI(dependencies) {
+    const { achievements } = dependencies;
+
+    const toastContainer = document.getElementById('achievement-toasts');
+    const overlay = document.getElementById('achievements-overlay');
+    const summaryElement = document.getElementById('achievements-summary');
+    const loadoutsElement = document.getElementById('achievements-loadouts');
+    const listElement = document.getElementById('achievements-list');
+    const closeButton = document.getElementById('achievements-close');
+
+    /**
+     * Pops up a short notice for a newly completed achievement
+     * @param {Object} achievement - Definition passed to onUnlock
+     */
+    function showToast(achievement) {
+        if (!toastContainer) return;
+
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        toast.innerHTML = `
+            <div class="meta-icon">${achievement.icon}</div>
+            <div>
+                <div class="achievement-toast-title">Achievement unlocked</div>
+                <div class="meta-name">${achievement.name}</div>
+                ${achievement.reward ? `<div class="meta-detail">Loadout unlocked: ${achievement.reward.name}</div>` : ''}
+            </div>
+        `;
+        toastContainer.appendChild(toast);
+
+        // Real time, not game time: toasts stay readable while paused
+        setTimeout(() => toast.classList.add('fading'), TOAST_DURATION - 500);
+        setTimeout(() => toast.remove(), TOAST_DURATION);
+    }
+
+    function createAchievementCard(achievement) {
+        const card = document.createElement('div');
+        card.className = 'meta-card';
+        card.classList.add(achievement.unlocked ? 'owned' : 'locked');
+
+        let detail = '';
+        if (achievement.unlocked) {
+            detail = new Date(achievement.date).toLocaleDateString();
+        } else if (achievement.progress) {
+            detail = `${achievement.progress.current}/${achievement.progress.target}`;
+        }
+
+        card.innerHTML = `
+            <div class="meta-icon">${achievement.icon}</div>
+            <div class="meta-name">${achievement.name}</div>
+            <div class="meta-description">${achievement.description}</div>
+            <div class="meta-detail">${detail}</div>
+            ${achievement.reward ? `<div class="meta-cost">Unlocks: ${achievement.reward.name}</div>` : ''}
+        `;
+        return card;
+    }
+
+    /**
+     * Loadout card; clicking equips it, or takes it off when already equipped
+     */
+    function createLoadoutCard(achievement) {
+        const equipped = achievements.getEquippedId() === achievement.id;
+
+        const card = document.createElement('div');
+        card.className = 'meta-card';
+        if (equipped) card.classList.add('owned');
+
+        card.innerHTML = `
+            <div class="meta-icon">${achievement.icon}</div>
+            <div class="meta-name">${achievement.reward.name}</div>
+            <div class="meta-description">${achievement.reward.description}</div>
+            <div class="meta-cost">${equipped ? 'EQUIPPED' : 'Equip'}</div>
+        `;
+
+        card.addEventListener('click', () => {
+            achievements.equipLoadout(equipped ? null : achievement.id);
+            render();
+        });
+        return card;
+    }
+
+    function render() {
+        const list = achievements.getAchievements();
+        const unlockedCount = list.filter(achievement => achievement.unlocked).length;
+        summaryElement.textContent = `${unlockedCount}/${list.length} unlocked`;
+
+        loadoutsElement.innerHTML = '';
+        const loadouts = list.filter(achievement => achievement.unlocked && achievement.reward);
+        if (loadouts.length === 0) {
+            loadoutsElement.textContent = 'Complete achievements to unlock starting loadouts';
+        }
+        loadouts.forEach(achievement => loadoutsElement.appendChild(createLoadoutCard(achievement)));
+
+        listElement.innerHTML = '';
+        list.forEach(achievement => listElement.appendChild(createAchievementCard(achievement)));
+    }
+
+    function open() {
+        render();
+        overlay.classList.add('visible');
+    }
+
+    function close() {
+        overlay.classList.remove('visible');
+    }
+
+    closeButton.addEventListener('click', close);
+
+    return { showToast, open, close };
+}
@@ -0,0 +1,258 @@
+/**
+ * Adaptive Music System
+ * Sequences the procedural tracks in src/config/musicTracks.js and switches
+ * between them as the game state changes:
+ * - calm: wave intermissions
+ * - combat: layers come in as the number of enemies alive rises
+ * - boss: while a boss is alive; each boss phase transposes the track, adds
+ *   layers and plays a crash
+ *
+ * Notes are scheduled a little ahead on the Web Audio clock from update(),
+ * which is called every frame. Track changes crossfade; combat intensity
+ * changes wait for the next bar so layers enter on the beat.
+ *
+ * Dependencies:
+ * - output: { context, bus } from AudioManager.getOutput('music'); null disables the music
+ */
+
+import musicTracks from '../config/musicTracks.js';
+
+const STEPS_PER_BAR = 16;
+const LOOKAHEAD = 0.15;     // Seconds of notes scheduled ahead of the audio clock
+const FADE_TIME = 1.5;      // Seconds to crossfade between tracks
+const SILENCE = 0.0001;     // Exponential ramps can't reach zero
+
+/**
+ * @param {number} midiNote - MIDI note number (69 = A4)
+ * @returns {number} Frequency in Hz
+ */
+function midiToFrequency(midiNote) {
+    return 440 * Math.pow(2, (midiNote - 69) / 12);
+}
+
+/**
+ * Creates the adaptive music player
+ * @param {Object} dependencies - See file header
+ * @returns {Object} { update, stop }
+ */
+export function createAdaptiveMusic(dependencies) {
+    const { output } = dependencies;
+
+    // Without Web Audio there is nothing to play
+    if (!output) {
+        return { update: () => {}, stop: () => {} };
+    }
+
+    const { context, bus } = output;
+    const noiseBuffer = createNoiseBuffer();
+
+    let currentTrack = null; // { name, config, gain, step, nextStepTime, intensity, pendingIntensity }
+
+    function createNoiseBuffer() {
+        const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    // ===== Instruments =====
+
+    /**
+     * Schedules a gain envelope: fast attack, exponential decay to silence
+     */
+    function createEnvelope(destination, gain, time, duration) {
+        const envelope = context.createGain();
+        envelope.gain.setValueAtTime(SILENCE, time);
+        envelope.gain.exponentialRampToValueAtTime(gain, time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(SILENCE, time + duration);
+        envelope.connect(destination);
+        return envelope;
+    }
+
+    function playTone(destination, wave, frequency, gain, time, duration) {
+        const oscillator = context.createOscillator();
+        oscillator.type = wave;
+        oscillator.frequency.setValueAtTime(frequency, time);
+        oscillator.connect(createEnvelope(destination, gain, time, duration));
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.05);
+    }
+
+    function playNoise(destination, filterType, cutoff, gain, time, duration) {
+        const source = context.createBufferSource();
+        source.buffer = noiseBuffer;
+        source.loop = true;
+
+        const filter = context.createBiquadFilter();
+        filter.type = filterType;
+        filter.frequency.setValueAtTime(cutoff, time);
+
+        source.connect(filter);
+        filter.connect(createEnvelope(destination, gain, time, duration));
+        source.start(time);
+        source.stop(time + duration + 0.05);
+    }
+
+    function playDrum(destination, drum, gain, time) {
+        switch (drum) {
+            case 'kick': {
+                const oscillator = context.createOscillator();
+                oscillator.type = 'sine';
+                oscillator.frequency.setValueAtTime(150, time);
+                oscillator.frequency.exponentialRampToValueAtTime(40, time + 0.12);
+                oscillator.connect(createEnvelope(destination, gain, time, 0.2));
+                oscillator.start(time);
+                oscillator.stop(time + 0.25);
+                break;
+            }
+            case 'snare':
+                playNoise(destination, 'bandpass', 1800, gain, time, 0.15);
+                playTone(destination, 'triangle', 180, gain * 0.5, time, 0.08);
+                break;
+            case 'hat':
+                playNoise(destination, 'highpass', 7000, gain, time, 0.04);
+                break;
+            case 'crash':
+                playNoise(destination, 'highpass', 3000, gain, time, 1.5);
+                break;
+        }
+    }
+
+    // ===== Sequencer =====
+
+    /**
+     * @returns {number} Seconds per step (a 16th note) of a track
+     */
+    function getStepDuration(track) {
+        return 60 / track.config.tempo / 4;
+    }
+
+    /**
+     * Plays every layer's note for one step
+     */
+    function scheduleStep(track, time) {
+        const { config, step } = track;
+
+        // Intensity changes land on the next bar
+        if (step % STEPS_PER_BAR === 0) {
+            track.intensity = track.pendingIntensity;
+        }
+
+        const transpose = config.phaseTranspose
+            ? config.phaseTranspose[Math.min(track.intensity, config.phaseTranspose.length - 1)]
+            : 0;
+        const stepDuration = getStepDuration(track);
+
+        config.layers.forEach(layer => {
+            if (track.intensity < layer.minIntensity) return;
+
+            const note = layer.pattern[step % layer.pattern.length];
+            if (layer.drum) {
+                if (note) playDrum(track.gain, layer.drum, layer.gain, time);
+            } else if (note !== null) {
+                const midiNote = config.root + transpose + note + layer.octave * 12;
+                playTone(track.gain, layer.wave, midiToFrequency(midiNote), layer.gain, time, layer.length * stepDuration);
+            }
+        });
+    }
+
+    /**
+     * Schedules the current track's steps up to LOOKAHEAD ahead of the audio clock
+     */
+    function schedule() {
+        if (!currentTrack) return;
+
+        const now = context.currentTime;
+        // After the tab was hidden, skip the missed steps rather than playing them all at once
+        if (currentTrack.nextStepTime < now) {
+            currentTrack.nextStepTime = now;
+        }
+
+        while (currentTrack.nextStepTime < now + LOOKAHEAD) {
+            scheduleStep(currentTrack, currentTrack.nextStepTime);
+            currentTrack.nextStepTime += getStepDuration(currentTrack);
+            currentTrack.step++;
+        }
+    }
+
+    /**
+     * Fades out the current track and fades in another (null for silence)
+     */
+    function switchTrack(name, intensity) {
+        const now = context.currentTime;
+
+        if (currentTrack) {
+            const oldGain = currentTrack.gain;
+            oldGain.gain.setTargetAtTime(0, now, FADE_TIME / 4);
+            setTimeout(() => oldGain.disconnect(), FADE_TIME * 2000);
+            currentTrack = null;
+        }
+        if (!name) return;
+
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.setTargetAtTime(1, now, FADE_TIME / 4);
+        gain.connect(bus);
+
+        currentTrack = {
+            name,
+            config: musicTracks[name],
+            gain,
+            step: 0,
+            nextStepTime: now + 0.05,
+            intensity,
+            pendingIntensity: intensity
+        };
+    }
+
+    /**
+     * Picks the track and intensity for the game state
+     * @returns {Object} { name, intensity } - name is null when the music should stop
+     */
+    function selectTrack(state) {
+        if (state.isGameOver) {
+            return { name: null, intensity: 0 };
+        }
+        if (state.bossPhase !== null) {
+            return { name: 'boss', intensity: state.bossPhase };
+        }
+        if (state.inIntermission) {
+            return { name: 'calm', intensity: 0 };
+        }
+        const thresholds = musicTracks.combat.intensityThresholds;
+        return {
+            name: 'combat',
+            intensity: thresholds.filter(threshold => state.enemyCount >= threshold).length
+        };
+    }
+
+    /**
+     * Follows the game state and keeps the sequencer fed (call every frame)
+     * @param {Object} state - { isGameOver, inIntermission, enemyCount, bossPhase } from simulation.getMusicState()
+     */
+    function update(state) {
+        const { name, intensity } = selectTrack(state);
+        const trackName = currentTrack ? currentTrack.name : null;
+
+        if (name !== trackName) {
+            switchTrack(name, intensity);
+        } else if (currentTrack && name === 'boss' && intensity !== currentTrack.intensity) {
+            // A boss phase change shifts the music straight away
+            currentTrack.intensity = intensity;
+            currentTrack.pendingIntensity = intensity;
+            playDrum(currentTrack.gain, 'crash', 0.3, context.currentTime);
+        } else if (currentTrack) {
+            currentTrack.pendingIntensity = intensity;
+        }
+
+        schedule();
+    }
+
+    function stop() {
+        switchTrack(null, 0);
+    }
+
+    return { update, stop };
+}
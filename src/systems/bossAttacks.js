@@ -184,6 +184,7 @@ export function fireSpreadShot(params) {
 
     projectileObj.distanceTraveled = 0;
     projectileObj.damage = params.damage || 25; // Set damage from params
+    projectileObj.source = params.source ?? null; // Telemetry source, e.g. 'boss:shooter:spreadPattern'
 
     // Add to projectiles array
     projectiles.push(projectileObj);
@@ -339,6 +340,7 @@ export function createOrbitalProjectiles(params) {
     projectile.userData.orbitRadius = orbitRadius;
     projectile.userData.orbitCenter = new THREE.Vector3(centerPosition.x, 2, centerPosition.z); // Use player height
     projectile.userData.damage = params.damage || 20;
+    projectile.userData.source = params.source ?? null;
 
     scene.add(projectile);
     orbitals.push(projectile);
@@ -392,6 +394,7 @@ export function launchOrbitalProjectiles(orbitals, speed, projectiles) {
       direction: direction,
       distanceTraveled: 0,
       damage: orbital.userData.damage || 20,
+      source: orbital.userData.source,
     };
 
     projectiles.push(projectile);
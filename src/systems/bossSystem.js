@@ -7,6 +7,10 @@
  * - Boss AI and behaviors
  * - Attack pattern execution
  * - Integration with boss attacks and UI
+ *
+ * Delayed and repeating actions (telegraphs, bursts, hit flashes) run on
+ * gameState.scheduler, a GameScheduler advanced by game time, so they pause
+ * and follow the game speed with the rest of the simulation.
  */
 
 import * as THREE from 'three';
@@ -14,9 +18,24 @@ import bossTypes, { calculateBossHealth } from '../config/bossTypes.js';
 import enemyTypes from '../config/enemyTypes.js';
 import * as BossAttacks from './bossAttacks.js';
 import { ARENA_PLAYABLE_HALF_SIZE } from '../config/constants.js';
+import { defaultRandom } from '../utils/SeededRandom.js';
 
 let nextBossId = 1;
 
+/**
+ * Gameplay RNG for boss rolls (falls back to unseeded when gameState has none)
+ */
+function getRng(gameState) {
+  return gameState.rng || defaultRandom;
+}
+
+/**
+ * Telemetry source for damage the player takes from a boss attack
+ */
+function attackSource(boss, attack) {
+  return `boss:${boss.bossType}:${attack}`;
+}
+
 /**
  * Create a boss entity
  * @param {Object} params - Boss creation parameters
@@ -437,9 +456,9 @@ function transitionToPhase(boss, phaseIndex, gameState) {
 
   // Brief invulnerability during transition
   boss.isInvulnerable = true;
-  setTimeout(() => {
+  gameState.scheduler.after(0.5, () => {
     boss.isInvulnerable = false;
-  }, 500);
+  });
 
   // Clear active attacks and reset cooldown
   boss.activeAttacks = [];
@@ -528,6 +547,15 @@ function transitionToPhase(boss, phaseIndex, gameState) {
   if (gameState.bossUIManager) {
     gameState.bossUIManager.showPhaseTransition(boss, phaseIndex);
   }
+
+  if (gameState.events) {
+    gameState.events.emit('bossPhaseChanged', {
+      boss,
+      bossType: boss.bossType,
+      phase: phaseIndex,
+      previousPhase: oldPhase
+    });
+  }
 }
 
 /**
@@ -744,20 +772,21 @@ function executeBoxKingAttack(boss, behaviors, gameState) {
     boss.activeWarnings.push(warning);
 
     // Execute charge after telegraph
-    setTimeout(() => {
+    gameState.scheduler.after(chargeData.telegraphDuration, () => {
       if (boss.isActive) {
         executeChargeAttack(boss, playerPos, chargeData, gameState);
       }
-    }, chargeData.telegraphDuration * 1000);
+    });
 
     boss.attackCooldown = chargeData.cooldown;
   }
 
   // Summon minions
   if (behaviors.summonMinions && behaviors.summonMinions.enabled) {
-    if (Math.random() < 0.5) { // 50% chance
+    const rng = getRng(gameState);
+    if (rng.chance(0.5)) { // 50% chance
       const summonData = behaviors.summonMinions;
-      const count = summonData.count[0] + Math.floor(Math.random() * (summonData.count[1] - summonData.count[0] + 1));
+      const count = rng.int(summonData.count[0], summonData.count[1]);
 
       const minions = BossAttacks.spawnBossMinions(
         {
@@ -823,13 +852,14 @@ function executeArtilleryTowerAttack(boss, behaviors, gameState) {
       damage: 25,
       projectiles: enemyProjectiles,
       projectilePool: objectPools.enemyProjectiles,
+      source: attackSource(boss, 'spreadPattern'),
     });
     boss.attackCooldown = 2.0;
   }
   else if (currentPattern === 'burstShot') {
     // Fire 5 projectiles in a row
     for (let i = 0; i < behaviors.burstShot.projectileCount; i++) {
-      setTimeout(() => {
+      gameState.scheduler.after(i * behaviors.burstShot.delayBetweenShots, () => {
         if (boss.isActive) {
           BossAttacks.fireSpreadShot({
             scene,
@@ -843,9 +873,10 @@ function executeArtilleryTowerAttack(boss, behaviors, gameState) {
             damage: 20,
             projectiles: enemyProjectiles,
             projectilePool: objectPools.enemyProjectiles,
+            source: attackSource(boss, 'burstShot'),
           });
         }
-      }, i * (behaviors.burstShot.delayBetweenShots * 1000));
+      });
     }
     boss.attackCooldown = 3.0;
   }
@@ -862,6 +893,7 @@ function executeArtilleryTowerAttack(boss, behaviors, gameState) {
       damage: 22,
       projectiles: enemyProjectiles,
       projectilePool: objectPools.enemyProjectiles,
+      source: attackSource(boss, 'rotatingBarrage'),
     });
     boss.attackCooldown = 2.5;
   }
@@ -879,6 +911,7 @@ function executeArtilleryTowerAttack(boss, behaviors, gameState) {
       damage: 40,
       projectiles: enemyProjectiles,
       projectilePool: objectPools.enemyProjectiles,
+      source: attackSource(boss, 'laserBeam'),
     });
     boss.attackCooldown = 4.0;
   }
@@ -917,18 +950,18 @@ function executeJuggernautAttack(boss, behaviors, gameState) {
       boss.activeWarnings.push(warning);
 
       // Execute slam after telegraph
-      setTimeout(() => {
+      gameState.scheduler.after(slamData.telegraphDuration, () => {
         if (boss.isActive) {
           // Damage players in radius (handled in main.js)
           boss.slamDamageRadius = slamData.radius;
           boss.slamDamage = slamData.damage;
           boss.slamActive = true;
 
-          setTimeout(() => {
+          gameState.scheduler.after(0.2, () => {
             boss.slamActive = false;
-          }, 200); // Brief damage window
+          }); // Brief damage window
         }
-      }, slamData.telegraphDuration * 1000);
+      });
 
       boss.lastAttackType = 'slam';
       boss.attackCooldown = slamData.cooldown;
@@ -950,11 +983,11 @@ function executeJuggernautAttack(boss, behaviors, gameState) {
       boss.activeWarnings.push(warning);
 
       // Execute charge
-      setTimeout(() => {
+      gameState.scheduler.after(chargeData.telegraphDuration, () => {
         if (boss.isActive) {
           executeChargeAttack(boss, playerCone.position.clone(), chargeData, gameState);
         }
-      }, chargeData.telegraphDuration * 1000);
+      });
 
       boss.lastAttackType = 'charge';
       boss.attackCooldown = chargeData.cooldown;
@@ -993,9 +1026,9 @@ function executePhantomBladeAttack(boss, behaviors, gameState) {
 
     // Execute dash sequence
     let dashesCompleted = 0;
-    const dashInterval = setInterval(() => {
+    const dashTask = gameState.scheduler.every(dashData.dashDelay, () => {
       if (!boss.isActive || dashesCompleted >= dashData.dashCount) {
-        clearInterval(dashInterval);
+        gameState.scheduler.cancel(dashTask);
 
         // Reset emissive
         const bossConfig = bossTypes[boss.bossType];
@@ -1037,7 +1070,7 @@ function executePhantomBladeAttack(boss, behaviors, gameState) {
       boss.mesh.position.copy(newPos);
 
       dashesCompleted++;
-    }, dashData.dashDelay * 1000);
+    });
 
     boss.attackCooldown = dashData.cooldown;
   }
@@ -1070,12 +1103,13 @@ function executeVoidCoreAttack(boss, behaviors, gameState) {
         damage: orbitData.damage || 30,
         projectileColor: 0x00BFFF, // DeepSkyBlue
         projectileSize: 2,
+        source: attackSource(boss, 'orbitAttack'),
       });
 
       boss.activeOrbitals.push(...orbitals);
 
       // Launch after orbit duration
-      setTimeout(() => {
+      gameState.scheduler.after(orbitData.orbitDuration || 2.0, () => {
         if (boss.isActive) {
           BossAttacks.launchOrbitalProjectiles(
             boss.activeOrbitals,
@@ -1084,7 +1118,7 @@ function executeVoidCoreAttack(boss, behaviors, gameState) {
           );
           boss.activeOrbitals = [];
         }
-      }, (orbitData.orbitDuration || 2.0) * 1000);
+      });
 
       boss.lastAttackType = 'orbital';
       boss.attackCooldown = orbitData.cooldown || 5.0;
@@ -1097,8 +1131,8 @@ function executeVoidCoreAttack(boss, behaviors, gameState) {
       // Create multiple gravity zones
       for (let i = 0; i < zoneData.zoneCount; i++) {
         // Random position near player
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 80 + Math.random() * 100;
+        const angle = getRng(gameState).next() * Math.PI * 2;
+        const distance = 80 + getRng(gameState).next() * 100;
         const zonePos = new THREE.Vector3(
           playerCone.position.x + Math.cos(angle) * distance,
           playerCone.position.y,
@@ -1152,6 +1186,7 @@ function executeWarlordAttack(boss, behaviors, gameState) {
         damage: 20,
         projectiles: enemyProjectiles,
         projectilePool: objectPools.enemyProjectiles,
+        source: attackSource(boss, 'spreadShot'),
       });
     }
 
@@ -1169,6 +1204,7 @@ function executeWarlordAttack(boss, behaviors, gameState) {
         damage: 25,
         projectiles: enemyProjectiles,
         projectilePool: objectPools.enemyProjectiles,
+        source: attackSource(boss, 'homingMissiles'),
       });
     }
 
@@ -1186,6 +1222,7 @@ function executeWarlordAttack(boss, behaviors, gameState) {
         damage: 30,
         projectiles: enemyProjectiles,
         projectilePool: objectPools.enemyProjectiles,
+        source: attackSource(boss, 'plasmaRain'),
       });
     }
 
@@ -1218,6 +1255,7 @@ function executeWarlordAttack(boss, behaviors, gameState) {
         damage: 20,
         projectiles: enemyProjectiles,
         projectilePool: objectPools.enemyProjectiles,
+        source: attackSource(boss, 'spreadShot'),
       });
       boss.attackCooldown = behaviors.spreadShot.cooldown || 2.0;
     } else {
@@ -1247,14 +1285,14 @@ function executeShadeMonarchAttack(boss, behaviors, gameState) {
       boss.mesh.material.opacity -= 0.1;
     }
 
-    setTimeout(() => {
+    gameState.scheduler.after(0.5, () => {
       if (!boss.isActive) return;
 
       // Teleport to new position
       const minDist = teleportData.teleportRange[0];
       const maxDist = teleportData.teleportRange[1];
-      const distance = minDist + Math.random() * (maxDist - minDist);
-      const angle = Math.random() * Math.PI * 2;
+      const distance = minDist + getRng(gameState).next() * (maxDist - minDist);
+      const angle = getRng(gameState).next() * Math.PI * 2;
 
       const oldPos = boss.mesh.position.clone();
       boss.mesh.position.set(
@@ -1293,6 +1331,7 @@ function executeShadeMonarchAttack(boss, behaviors, gameState) {
           damage: 20,
           projectiles: enemyProjectiles,
           projectilePool: objectPools.enemyProjectiles,
+          source: attackSource(boss, 'projectileOnTeleport'),
         });
       }
 
@@ -1307,7 +1346,7 @@ function executeShadeMonarchAttack(boss, behaviors, gameState) {
           );
         });
       }
-    }, 500); // Teleport delay
+    }); // Teleport delay
 
     boss.attackCooldown = teleportData.cooldown;
   }
@@ -1334,8 +1373,9 @@ function executeMortarBossAttack(boss, behaviors, gameState) {
   const bossPos = boss.mesh.position.clone();
 
   // Simple mortar barrage - fire 3-5 mortars in a pattern
-  const mortarCount = 3 + Math.floor(Math.random() * 3); // 3-5 mortars
-  const pattern = Math.random();
+  const rng = getRng(gameState);
+  const mortarCount = rng.int(3, 5); // 3-5 mortars
+  const pattern = rng.next();
 
   for (let i = 0; i < mortarCount; i++) {
     let impactPos;
@@ -1356,8 +1396,8 @@ function executeMortarBossAttack(boss, behaviors, gameState) {
       ));
     } else {
       // Random scatter near player
-      const offsetX = (Math.random() - 0.5) * 120;
-      const offsetZ = (Math.random() - 0.5) * 120;
+      const offsetX = (rng.next() - 0.5) * 120;
+      const offsetZ = (rng.next() - 0.5) * 120;
       impactPos = playerPos.clone().add(new THREE.Vector3(offsetX, 0, offsetZ));
     }
 
@@ -1385,7 +1425,7 @@ function executeMortarBossAttack(boss, behaviors, gameState) {
 
     // Schedule projectile launch with small stagger for visual effect
     const launchDelay = 0.15 + (i * 0.1); // Small initial delay + stagger
-    setTimeout(() => {
+    gameState.scheduler.after(launchDelay, () => {
       if (!boss.isActive) return;
 
       const proj = objectPools.enemyProjectiles.get();
@@ -1399,11 +1439,12 @@ function executeMortarBossAttack(boss, behaviors, gameState) {
       proj.explosionRadius = MORTAR_CONFIG.explosionRadius * 1.2;
       proj.isLobbing = true;
       proj.isBossProjectile = true;
+      proj.source = attackSource(boss, 'mortarBarrage');
       proj.distanceTraveled = 0;
       proj.range = 999;
 
       enemyProjectiles.push(proj);
-    }, launchDelay * 1000);
+    });
   }
 
   // Set cooldown based on phase
@@ -1539,7 +1580,7 @@ function applyGravityPull(boss, gameState) {
  */
 
 function spawnMinionForBoss(type, level, position, gameState) {
-  const { spawnSpecificEnemy, scene, enemies, enemyPrototypes, playerCone, enemyCounts, getBossCount, setBossCount, gameSpeedMultiplier, createGravityVortex, gravityWellEffects } = gameState;
+  const { spawnSpecificEnemy, scene, enemies, enemyPrototypes, playerCone, enemyCounts, gameSpeedMultiplier, createGravityVortex, gravityWellEffects, rng } = gameState;
 
   if (!spawnSpecificEnemy) {
     console.warn('[Boss] spawnSpecificEnemy not available in gameState');
@@ -1556,12 +1597,11 @@ function spawnMinionForBoss(type, level, position, gameState) {
     enemyPrototypes,
     playerCone,
     enemyCounts,
-    getBossCount: getBossCount || (() => 0),
-    setBossCount: setBossCount || (() => {}),
     level,
     gameSpeedMultiplier,
     createGravityVortex,
-    gravityWellEffects
+    gravityWellEffects,
+    rng
   });
 
   // Get the newly spawned enemy (last in array)
@@ -1772,10 +1812,10 @@ export function bossTakeDamage(boss, damage, gameState) {
 
         // Set timer to return to invulnerable
         const vulnerableDuration = boss.phaseData.behaviors.invulnerability.vulnerableDuration || 3.0;
-        setTimeout(() => {
+        gameState.scheduler.after(vulnerableDuration, () => {
           boss.isInvulnerable = true;
           boss.mesh.material.emissiveIntensity = 0.5;
-        }, vulnerableDuration * 1000);
+        });
       } else {
         // Teleport away
         teleportBoss(boss, gameState);
@@ -1824,7 +1864,7 @@ export function bossTakeDamage(boss, damage, gameState) {
     boss.mesh.material.emissiveIntensity = 2.0;
   }
 
-  setTimeout(() => {
+  gameState.scheduler.after(0.1, () => {
     const bossConfig = bossTypes[boss.bossType];
     if (Array.isArray(boss.mesh.material)) {
       boss.mesh.material.forEach(mat => {
@@ -1835,7 +1875,7 @@ export function bossTakeDamage(boss, damage, gameState) {
       boss.mesh.material.emissive.setHex(bossConfig.emissiveColor || bossConfig.color);
       boss.mesh.material.emissiveIntensity = bossConfig.emissiveIntensity || 0.5;
     }
-  }, 100);
+  });
 
   return true;
 }
@@ -1850,8 +1890,9 @@ function teleportBoss(boss, gameState) {
   const minDist = teleportData.teleportRange[0];
   const maxDist = teleportData.teleportRange[1];
 
-  const angle = Math.random() * Math.PI * 2;
-  const distance = minDist + Math.random() * (maxDist - minDist);
+  const rng = getRng(gameState);
+  const angle = rng.next() * Math.PI * 2;
+  const distance = minDist + rng.next() * (maxDist - minDist);
 
   const newPos = new THREE.Vector3(
     boss.mesh.position.x + Math.cos(angle) * distance,
@@ -100,7 +100,7 @@ function drawHealthBar(ctx, bossData, width, height) {
   ctx.font = 'bold 28px Arial';
   ctx.textAlign = 'center';
   const icon = BOSS_ICONS[bossData.bossType] || '';
-  const nameText = `${icon} ${bossConfig.name} ${icon}`;
+  const nameText = `${icon} ${bossData.displayName || bossConfig.name} ${icon}`;
 
   ctx.strokeStyle = '#000000';
   ctx.lineWidth = 4;
@@ -241,9 +241,11 @@ export function createBossHealthBar(scene, bossData) {
  * Create boss entrance effect as UI overlay
  * @param {Object} scene - THREE.js scene (not used, kept for compatibility)
  * @param {Object} bossData - Boss entity data
+ * @param {GameScheduler} scheduler - Game-time scheduler for the auto-remove
+ * @param {Function} [onFinish] - Called once the overlay has removed itself
  * @returns {Object} Effect objects for cleanup
  */
-export function createBossEntranceEffect(scene, bossData) {
+export function createBossEntranceEffect(scene, bossData, scheduler, onFinish = () => {}) {
   const bossConfig = bossTypes[bossData.bossType];
 
   // Create UI overlay
@@ -269,7 +271,7 @@ export function createBossEntranceEffect(scene, bossData) {
       ⚠️ WARNING ⚠️
     </div>
     <div style="color: #ffff00; font-size: 28px; font-weight: bold; font-family: Arial, sans-serif; text-shadow: 2px 2px 4px #000; margin-bottom: 5px;">
-      ${bossConfig.name}
+      ${bossData.displayName || bossConfig.name}
     </div>
     <div style="color: #ffffff; font-size: 20px; font-family: Arial, sans-serif; text-shadow: 1px 1px 2px #000;">
       has appeared!
@@ -297,19 +299,23 @@ export function createBossEntranceEffect(scene, bossData) {
 
   document.body.appendChild(overlay);
 
-  // Auto-remove after 3 seconds
-  setTimeout(() => {
+  const destroy = () => {
     if (overlay.parentNode) {
       overlay.parentNode.removeChild(overlay);
     }
-  }, 3000);
+  };
+
+  // Auto-remove after 3 seconds of game time
+  const removeTask = scheduler.after(3, () => {
+    destroy();
+    onFinish();
+  });
 
   return {
     effects: [overlay],
     destroy: () => {
-      if (overlay.parentNode) {
-        overlay.parentNode.removeChild(overlay);
-      }
+      scheduler.cancel(removeTask);
+      destroy();
     },
   };
 }
@@ -319,8 +325,11 @@ export function createBossEntranceEffect(scene, bossData) {
  * @param {Object} scene - THREE.js scene
  * @param {Object} bossData - Boss entity data
  * @param {number} phaseIndex - New phase index
+ * @param {GameScheduler} scheduler - Game-time scheduler driving the animation
+ * @param {Function} [onFinish] - Called once the ring and the announcement have removed themselves
+ * @returns {Object|undefined} { destroy } for cleanup
  */
-export function createPhaseTransitionEffect(scene, bossData, phaseIndex) {
+export function createPhaseTransitionEffect(scene, bossData, phaseIndex, scheduler, onFinish = () => {}) {
   if (!bossData.mesh) return;
 
   const bossConfig = bossTypes[bossData.bossType];
@@ -360,39 +369,41 @@ export function createPhaseTransitionEffect(scene, bossData, phaseIndex) {
   ring.rotation.x = Math.PI / 2;
   scene.add(ring);
 
-  // Animate ring
-  let time = 0;
+  const removeRing = () => {
+    scene.remove(ring);
+    ringGeometry.dispose();
+    ringMaterial.dispose();
+  };
+
+  // Animate ring once per simulation step
+  const startTime = scheduler.getTime();
   const animationDuration = 1.0;
 
-  const animateRing = () => {
-    time += 0.016;
+  const ringTask = scheduler.every(0, () => {
+    const time = scheduler.getTime() - startTime;
 
     if (time < animationDuration) {
       const progress = time / animationDuration;
       const scale = 1 + progress * 10;
       ring.scale.set(scale, scale, 1);
       ring.material.opacity = 0.8 * (1 - progress);
+      return;
+    }
 
-      requestAnimationFrame(animateRing);
+    removeRing();
+
+    // Restore original emissive - handle both single and array materials
+    if (Array.isArray(bossData.mesh.material)) {
+      bossData.mesh.material.forEach(mat => {
+        mat.emissive.setHex(originalEmissive);
+        mat.emissiveIntensity = originalIntensity;
+      });
     } else {
-      scene.remove(ring);
-      ringGeometry.dispose();
-      ringMaterial.dispose();
-
-      // Restore original emissive - handle both single and array materials
-      if (Array.isArray(bossData.mesh.material)) {
-        bossData.mesh.material.forEach(mat => {
-          mat.emissive.setHex(originalEmissive);
-          mat.emissiveIntensity = originalIntensity;
-        });
-      } else {
-        bossData.mesh.material.emissive.setHex(originalEmissive);
-        bossData.mesh.material.emissiveIntensity = originalIntensity;
-      }
+      bossData.mesh.material.emissive.setHex(originalEmissive);
+      bossData.mesh.material.emissiveIntensity = originalIntensity;
     }
-  };
-
-  animateRing();
+    return false;
+  });
 
   // Phase announcement (smaller, above boss)
   const { canvas, ctx } = createHealthBarCanvas(256, 64);
@@ -423,12 +434,30 @@ export function createPhaseTransitionEffect(scene, bossData, phaseIndex) {
 
   scene.add(sprite);
 
-  // Auto-remove after 2 seconds
-  setTimeout(() => {
+  const removeSprite = () => {
     scene.remove(sprite);
     texture.dispose();
     spriteMaterial.dispose();
-  }, 2000);
+  };
+
+  // Auto-remove after 2 seconds of game time (the ring is gone by then)
+  const spriteTask = scheduler.after(2, () => {
+    removeSprite();
+    onFinish();
+  });
+
+  return {
+    destroy: () => {
+      if (scheduler.isPending(ringTask)) {
+        scheduler.cancel(ringTask);
+        removeRing();
+      }
+      if (scheduler.isPending(spriteTask)) {
+        scheduler.cancel(spriteTask);
+        removeSprite();
+      }
+    },
+  };
 }
 
 /**
@@ -436,9 +465,15 @@ export function createPhaseTransitionEffect(scene, bossData, phaseIndex) {
  * Manages all boss UI elements
  */
 export class BossUIManager {
-  constructor(scene) {
+  /**
+   * @param {THREE.Scene} scene - Scene the health bars and effects are added to
+   * @param {GameScheduler} scheduler - Game-time scheduler shared with the simulation
+   */
+  constructor(scene, scheduler) {
     this.scene = scene;
+    this.scheduler = scheduler;
     this.activeHealthBars = new Map(); // bossId -> healthBar
+    this.activeEffects = []; // Entrance and phase effects that may still be showing
   }
 
   /**
@@ -458,7 +493,8 @@ export class BossUIManager {
     this.activeHealthBars.set(bossData.id, healthBar);
 
     // Create entrance effect
-    createBossEntranceEffect(this.scene, bossData);
+    const effect = createBossEntranceEffect(this.scene, bossData, this.scheduler, () => this.forgetEffect(effect));
+    this.activeEffects.push(effect);
 
     return healthBar;
   }
@@ -492,7 +528,10 @@ export class BossUIManager {
    * @param {number} phaseIndex - New phase index
    */
   showPhaseTransition(bossData, phaseIndex) {
-    createPhaseTransitionEffect(this.scene, bossData, phaseIndex);
+    const effect = createPhaseTransitionEffect(this.scene, bossData, phaseIndex, this.scheduler, () => this.forgetEffect(effect));
+    if (effect) {
+      this.activeEffects.push(effect);
+    }
 
     const healthBar = this.activeHealthBars.get(bossData.id);
     if (healthBar) {
@@ -500,14 +539,29 @@ export class BossUIManager {
     }
   }
 
+  /**
+   * Stops tracking an effect once its own teardown has run
+   * @param {Object} effect - Effect from activeEffects
+   */
+  forgetEffect(effect) {
+    const index = this.activeEffects.indexOf(effect);
+    if (index > -1) {
+      this.activeEffects.splice(index, 1);
+    }
+  }
+
   /**
    * Clear all boss UI elements
+   * Call before the scheduler is cleared, while effects can still cancel their removal
    */
   clear() {
     this.activeHealthBars.forEach((healthBar) => {
       healthBar.destroy();
     });
     this.activeHealthBars.clear();
+
+    this.activeEffects.forEach(effect => effect.destroy());
+    this.activeEffects = [];
   }
 }
 
@@ -0,0 +1,70 @@
+/**
+ * Campaign System
+ * Maps the waves of a campaign run onto its acts and final boss
+ * (src/config/campaign.js)
+ *
+ * Waves 1..N are split into the acts in order; the last wave of every act is
+ * its boss wave. Wave N + 1 is the final boss encounter, whose stages the wave
+ * manager spawns one after another. The plan is plain lookups, so it adds no
+ * RNG rolls of its own.
+ *
+ * Dependencies:
+ * - config: Campaign definition (optional, defaults to src/config/campaign.js)
+ */
+
+import campaignConfig from '../config/campaign.js';
+import bossTypes from '../config/bossTypes.js';
+
+/**
+ * Creates the wave plan of a campaign
+ * @param {Object} [config] - { acts, finalBoss }
+ * @returns {Object} Campaign plan API
+ */
+export function createCampaignPlan(config = campaignConfig) {
+    const { acts, finalBoss } = config;
+
+    // Bosses are checked here rather than at import, so content pack bosses can be used
+    for (const bossType of [...acts.map(act => act.boss), ...finalBoss.stages.map(stage => stage.bossType)]) {
+        if (!bossTypes[bossType]) {
+            console.warn(`[Campaign] Unknown boss '${bossType}' in the campaign`);
+        }
+    }
+
+    // First and last wave of every act
+    let nextWave = 1;
+    const actRanges = acts.map((act, index) => {
+        const range = { index, name: act.name, boss: act.boss, firstWave: nextWave, lastWave: nextWave + act.waves - 1 };
+        nextWave += act.waves;
+        return range;
+    });
+    const finalWave = nextWave;
+
+    /**
+     * @param {number} wave - Wave number (1-based)
+     * @returns {Object} { index, name, firstWave, lastWave, boss }; the final boss
+     *   counts as the act after the last one
+     */
+    function getAct(wave) {
+        const act = actRanges.find(range => wave <= range.lastWave);
+        if (act) return act;
+        return { index: acts.length, name: finalBoss.name, firstWave: finalWave, lastWave: finalWave, boss: null };
+    }
+
+    /**
+     * @param {number} wave - Wave number
+     * @returns {string|null} Boss type of the act whose boss wave this is, or null
+     */
+    function getBossType(wave) {
+        const act = actRanges.find(range => range.lastWave === wave);
+        return act ? act.boss : null;
+    }
+
+    return {
+        getAct,
+        getBossType,
+        isFinalWave: (wave) => wave === finalWave,
+        getFinalWave: () => finalWave,
+        getActCount: () => acts.length,
+        finalBoss
+    };
+}
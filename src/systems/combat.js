@@ -8,10 +8,22 @@
  * - Managers: objectPools, spatialGrid, damageNumberManager, AudioManager
  * - Config: relicInfo
  * - Effects: createExplosion, createDebris
+ * - rng: SeededRandom for crit/dodge rolls (optional)
+ * - enemyBehaviors: Registry from createEnemyBehaviors(), lets enemies react to hits (optional)
+ * - recordDamageDealt: (source, amount) telemetry hook, see telemetry.js (optional)
+ * - events: EventBus, gets playerDamaged for every hit that reaches the player's health (optional)
+ * - difficulty: Run rules in the enemy projectile game state, scale shot speed and damage (optional)
+ *
+ * Relics take hits from stray enemy shots, from mortar blasts and from enemies
+ * that target them walking into them (src/config/relicDefense.js).
  */
 
 import * as THREE from 'three';
 import { MORTAR_CONFIG } from '../config/constants.js';
+import { defaultRandom } from '../utils/SeededRandom.js';
+import { NORMAL_RULES } from './difficulty.js';
+import relicDefense from '../config/relicDefense.js';
+import { getRelicDamage } from './relicDefense.js';
 
 export function createCombatSystem({
     scene,
@@ -23,13 +35,43 @@ export function createCombatSystem({
     relicInfo,
     createExplosion,
     createDebris,
-    destroyRelic
+    destroyRelic,
+    rng = defaultRandom,
+    enemyBehaviors = null,
+    recordDamageDealt = () => {},
+    events = null
 }) {
     // ===== Constants =====
     const MAX_PLAYER_SHOTS = 1000;
     const MAX_ENEMY_SHOTS = 1000;
     const BASE_ENEMY_PROJECTILE_SPEED = 2.0;
 
+    /**
+     * Announces a hit on the player's health
+     * @param {number} amount - Damage after armor
+     * @param {string} source - 'enemy:<type>' or 'boss:<type>:<attack>'
+     * @param {number} health - Player health after the hit
+     */
+    function emitPlayerDamaged(amount, source, health) {
+        if (events) events.emit('playerDamaged', { amount, source, health });
+    }
+
+    /**
+     * Deals an enemy hit to a relic, destroying it when its health runs out
+     * @param {Object} group - Relic group that is hit
+     * @param {number} amount - Damage before the player's shielding
+     * @param {Object} gameState - Game state with relics and playerCone
+     */
+    function damageRelic(group, amount, gameState) {
+        group.health -= getRelicDamage(group, amount, gameState.playerCone.position);
+        if (group.health <= 0) {
+            destroyRelic(group, gameState.relics.indexOf(group));
+            AudioManager.play('explosion', 1.0, group.relic.position);
+        } else {
+            AudioManager.play('hit', 0.4, group.relic.position);
+        }
+    }
+
     // ===== State (to be passed from main game loop) =====
     let lastShotTime = 0;
 
@@ -97,11 +139,12 @@ export function createCombatSystem({
                 if (blasterShots.length < MAX_PLAYER_SHOTS) {
                     const shot = objectPools.blasterShots.get();
                     shot.mesh.position.copy(origin);
-                    shot.trail.activate();
+                    if (shot.trail) shot.trail.activate();
                     shot.targetPoint = origin.clone().addScaledVector(dir, 1000);
                     shot.initialPosition = origin.clone();
                     shot.pierceLeft = playerStats.pierceCount;
                     shot.hitEnemies.length = 0;
+                    shot.source = 'blaster';
                     blasterShots.push(shot);
                     AudioManager.play('laser', 0.5);
                 }
@@ -136,21 +179,8 @@ export function createCombatSystem({
                 if (!enemy.health || enemy.health <= 0 || shot.hitEnemies.includes(enemy)) continue;
 
                 if (shot.mesh.position.distanceTo(enemy.mesh.position) < (shot.mesh.geometry.parameters.radius + enemy.radius)) {
-                    // Handle phantom enemy special behavior
-                    if (enemy.type === 'phantom' && !enemy.isVulnerable) {
-                        enemy.teleportCount++;
-                        if (enemy.teleportCount >= enemy.teleportsBeforeVulnerable) {
-                            enemy.isVulnerable = true;
-                            enemy.vulnerableUntil = clock.getElapsedTime() + 2.0;
-                            enemy.mesh.material.emissive.set(0xffffff);
-                            enemy.mesh.material.emissiveIntensity = 2;
-                        } else {
-                            const angle = Math.random() * Math.PI * 2;
-                            const distance = 50 + Math.random() * 50;
-                            enemy.mesh.position.x += Math.cos(angle) * distance;
-                            enemy.mesh.position.z += Math.sin(angle) * distance;
-                        }
-                        AudioManager.play('windChime', 0.6);
+                    // Behaviors such as the phantom's teleport can deflect the hit
+                    if (enemyBehaviors && enemyBehaviors.onHit(enemy)) {
                         shot.pierceLeft = 0; // Consume shot
                     } else {
                         shot.pierceLeft--;
@@ -158,12 +188,13 @@ export function createCombatSystem({
 
                         let currentDamage = playerStats.damage * playerBuffs.damageMult;
                         let isCritical = false;
-                        if (Math.random() < playerStats.critChance) {
+                        if (rng.chance(playerStats.critChance)) {
                             currentDamage *= playerStats.critMultiplier;
                             isCritical = true;
                         }
 
                         enemy.health -= currentDamage;
+                        recordDamageDealt(shot.source, currentDamage);
                         damageNumberManager.create(enemy.mesh, currentDamage, { isCritical });
 
                         // Area Damage
@@ -184,6 +215,7 @@ export function createCombatSystem({
                                 // Final distance check for accuracy
                                 if (enemy.mesh.position.distanceTo(otherEnemy.mesh.position) < playerStats.AOERadius + otherEnemy.radius) {
                                     otherEnemy.health -= areaDamage;
+                                    recordDamageDealt(shot.source, areaDamage);
                                     damageNumberManager.create(otherEnemy.mesh, areaDamage, { isCritical: false });
                                 }
                             }
@@ -194,12 +226,12 @@ export function createCombatSystem({
                             enemy.mesh.material.emissive.set(0xffffff);
                             enemy.mesh.material.emissiveIntensity = 1;
                             enemy.hitEffectUntil = clock.getElapsedTime() + 0.1;
-                            AudioManager.play('hit', 0.3);
+                            AudioManager.play('hit', 0.3, enemy.mesh.position);
                         }
                     }
 
                     if (shot.pierceLeft <= 0) {
-                        shot.trail.deactivate();
+                        if (shot.trail) shot.trail.deactivate();
                         objectPools.blasterShots.release(shot);
                         blasterShots.splice(i, 1);
                         shotConsumed = true;
@@ -228,24 +260,26 @@ export function createCombatSystem({
 
                             let currentDamage = playerStats.damage * playerBuffs.damageMult;
                             let isCritical = false;
-                            if (Math.random() < playerStats.critChance) {
+                            if (rng.chance(playerStats.critChance)) {
                                 currentDamage *= playerStats.critMultiplier;
                                 isCritical = true;
                             }
 
+                            const healthBefore = boss.health;
                             const damageApplied = gameState.bossTakeDamage(boss, currentDamage, gameState);
+                            recordDamageDealt(shot.source, healthBefore - boss.health); // After shields
 
                             if (damageApplied) {
                                 damageNumberManager.create(boss.mesh, currentDamage, { isCritical });
-                                AudioManager.play('hit', 0.4);
+                                AudioManager.play('hit', 0.4, boss.mesh.position);
                             } else {
                                 // Hit invulnerable boss
-                                AudioManager.play('windChime', 0.6);
+                                AudioManager.play('windChime', 0.6, boss.mesh.position);
                             }
                         }
 
                         if (shot.pierceLeft <= 0) {
-                            shot.trail.deactivate();
+                            if (shot.trail) shot.trail.deactivate();
                             objectPools.blasterShots.release(shot);
                             blasterShots.splice(i, 1);
                             shotConsumed = true;
@@ -259,7 +293,7 @@ export function createCombatSystem({
 
             // Remove shots that traveled too far
             if (shot.active && shot.mesh.position.distanceTo(shot.initialPosition) > playerStats.attackDistance + 50) {
-                shot.trail.deactivate();
+                if (shot.trail) shot.trail.deactivate();
                 objectPools.blasterShots.release(shot);
                 blasterShots.splice(i, 1);
             }
@@ -279,7 +313,8 @@ export function createCombatSystem({
             relics,
             playerIsBoosted,
             healthBarElement,
-            temporaryEffects
+            temporaryEffects,
+            difficulty = NORMAL_RULES
         } = gameState;
 
         let playerHealth = gameState.playerHealth;
@@ -296,7 +331,7 @@ export function createCombatSystem({
         }
 
         // Audio
-        AudioManager.play('explosion', 0.5);
+        AudioManager.play('explosion', 0.5, impactPos);
 
         // Calculate damage to player
         const distanceToPlayer = impactPos.distanceTo(playerCone.position);
@@ -304,13 +339,13 @@ export function createCombatSystem({
 
         if (distanceToPlayer < explosionRadius) {
             // Check dodge
-            if (Math.random() < playerStats.dodgeChance) {
+            if (rng.chance(playerStats.dodgeChance)) {
                 damageNumberManager.create(playerCone, '', { isDodge: true });
                 AudioManager.play('hit', 0.2);
             } else {
                 // Distance-based falloff
                 const falloff = 1.0 - (distanceToPlayer / explosionRadius);
-                const baseDamage = projectile.damage || MORTAR_CONFIG.projectileDamage;
+                const baseDamage = (projectile.damage || MORTAR_CONFIG.projectileDamage) * difficulty.enemyDamage;
                 let damageTaken = Math.floor(baseDamage * falloff);
 
                 // Apply armor reduction
@@ -328,7 +363,9 @@ export function createCombatSystem({
                     } else {
                         // No shield - damage player
                         playerHealth -= damageTaken;
-                        healthBarElement.style.width = (playerHealth / playerStats.maxHealth) * 100 + '%';
+                        gameState.lastDamageSource = 'mortar';
+                        emitPlayerDamaged(damageTaken, projectile.source, playerHealth);
+                        if (healthBarElement) healthBarElement.style.width = (playerHealth / playerStats.maxHealth) * 100 + '%';
                         damageNumberManager.create(playerCone, damageTaken, {});
                         isPlayerHit = true;
                         hitAnimationTime = 0;
@@ -343,7 +380,16 @@ export function createCombatSystem({
             gameState.hitAnimationTime = hitAnimationTime;
         }
 
-        // TODO: Add AoE damage to relics if needed
+        // Relics in the blast, with the same falloff (copy: destroyed relics leave the array)
+        const baseDamage = (projectile.damage || MORTAR_CONFIG.projectileDamage) * difficulty.enemyDamage;
+        for (const group of [...relics]) {
+            if (group.state !== 'active') continue;
+            const distanceToRelic = impactPos.distanceTo(group.ring.position);
+            if (distanceToRelic >= explosionRadius) continue;
+
+            const falloff = 1.0 - (distanceToRelic / explosionRadius);
+            damageRelic(group, baseDamage * falloff * relicDefense.enemyDamageMultiplier, gameState);
+        }
     }
 
     // ===== Enemy Projectile Update =====
@@ -359,7 +405,8 @@ export function createCombatSystem({
             relics,
             gameSpeedMultiplier,
             playerIsBoosted,
-            healthBarElement
+            healthBarElement,
+            difficulty = NORMAL_RULES
         } = gameState;
 
         let playerHealth = gameState.playerHealth;
@@ -451,7 +498,7 @@ export function createCombatSystem({
             }
 
             // Normal horizontal projectile logic
-            const travelDistance = BASE_ENEMY_PROJECTILE_SPEED * gameSpeedMultiplier;
+            const travelDistance = BASE_ENEMY_PROJECTILE_SPEED * gameSpeedMultiplier * difficulty.enemyProjectileSpeed;
             projectile.mesh.position.addScaledVector(projectile.direction, travelDistance);
             spatialGrid.add(projectile);
             projectile.distanceTraveled += travelDistance;
@@ -461,13 +508,13 @@ export function createCombatSystem({
                 objectPools.enemyProjectiles.release(projectile);
                 enemyProjectiles.splice(i, 1);
 
-                if (Math.random() < playerStats.dodgeChance) {
+                if (rng.chance(playerStats.dodgeChance)) {
                     // DODGE!
                     damageNumberManager.create(playerCone, '', { isDodge: true });
                     AudioManager.play('hit', 0.2);
                 } else {
                     // Use projectile damage if available, otherwise default to 5
-                    const baseDamage = projectile.damage || 5;
+                    const baseDamage = (projectile.damage || 5) * difficulty.enemyDamage;
                     let damageTaken = baseDamage * (50 / (50 + playerStats.armor));
                     if (playerIsBoosted) damageTaken *= relicInfo.speed.damageTakenMultiplier;
 
@@ -481,7 +528,9 @@ export function createCombatSystem({
                     } else {
                         // No shield or shield broken - damage player
                         playerHealth -= damageTaken;
-                        healthBarElement.style.width = (playerHealth / playerStats.maxHealth) * 100 + '%';
+                        gameState.lastDamageSource = 'projectile';
+                        emitPlayerDamaged(damageTaken, projectile.source, playerHealth);
+                        if (healthBarElement) healthBarElement.style.width = (playerHealth / playerStats.maxHealth) * 100 + '%';
                         damageNumberManager.create(playerCone, damageTaken, {});
                         isPlayerHit = true;
                         hitAnimationTime = 0;
@@ -500,15 +549,9 @@ export function createCombatSystem({
             for (let k = relics.length - 1; k >= 0; k--) {
                 const group = relics[k];
                 if (group.state === 'active' && projectile.mesh.position.distanceTo(group.relic.position) < group.radius) {
-                    group.health -= 10;
                     objectPools.enemyProjectiles.release(projectile);
                     enemyProjectiles.splice(i, 1);
-                    if (group.health <= 0) {
-                        destroyRelic(group, k);
-                        AudioManager.play('explosion', 1.0);
-                    } else {
-                        AudioManager.play('hit', 0.4);
-                    }
+                    damageRelic(group, 10, gameState);
                     projectileConsumed = true;
                     break;
                 }
@@ -552,7 +595,7 @@ export function createCombatSystem({
             if (!enemy.health || enemy.health <= 0 || !enemy.radius) continue;
 
             if (playerCone.position.distanceTo(enemy.mesh.position) < (playerStats.playerRadius + enemy.radius)) {
-                if (Math.random() < playerStats.dodgeChance) {
+                if (rng.chance(playerStats.dodgeChance)) {
                     damageNumberManager.create(playerCone, '', { isDodge: true });
                     continue;
                 }
@@ -570,12 +613,14 @@ export function createCombatSystem({
                 } else {
                     // No shield or shield broken - damage player
                     playerHealth -= damageTaken;
-                    healthBarElement.style.width = (playerHealth / playerStats.maxHealth) * 100 + '%';
+                    gameState.lastDamageSource = `contact:${enemy.type}`;
+                    emitPlayerDamaged(damageTaken, `enemy:${enemy.type}`, playerHealth);
+                    if (healthBarElement) healthBarElement.style.width = (playerHealth / playerStats.maxHealth) * 100 + '%';
                     damageNumberManager.create(playerCone, damageTaken, {});
                     isPlayerHit = true;
                     hitAnimationTime = 0;
                     AudioManager.play('hit', 0.8);
-                    healthBarElement.parentElement.classList.add('health-bar-shaking');
+                    if (healthBarElement) healthBarElement.parentElement.classList.add('health-bar-shaking');
                     healthBarShakeUntil = clock.getElapsedTime() + 0.3;
                 }
                 enemy.health = 0; // Mark for death
@@ -589,6 +634,31 @@ export function createCombatSystem({
         gameState.healthBarShakeUntil = healthBarShakeUntil;
     }
 
+    // ===== Relic-Enemy Collision =====
+    /**
+     * Enemies walking into the relic they target damage it and die, like on the player
+     * @param {Object} gameState - Current game state
+     * @param {Array} gameState.enemies - Array of enemies
+     * @param {Array} gameState.relics - Array of relic groups
+     * @param {Object} gameState.playerCone - Player mesh (shields relics it stands at)
+     */
+    function updateRelicCollision(gameState) {
+        const { enemies } = gameState;
+
+        for (const enemy of enemies) {
+            const group = enemy.targetRelic;
+            if (!group || !enemy.health || enemy.health <= 0 || !enemy.radius) continue;
+            if (group.state !== 'active' || !gameState.relics.includes(group)) continue;
+
+            const dx = enemy.mesh.position.x - group.ring.position.x;
+            const dz = enemy.mesh.position.z - group.ring.position.z;
+            if (Math.hypot(dx, dz) < group.radius + enemy.radius) {
+                damageRelic(group, enemy.contactDamage * relicDefense.enemyDamageMultiplier, gameState);
+                enemy.health = 0; // Mark for death
+            }
+        }
+    }
+
     // ===== Beam Update =====
     /**
      * Update and clean up visual beams
@@ -625,7 +695,7 @@ export function createCombatSystem({
      * @returns {Object} - { damage, isCritical }
      */
     function calculateCritical(baseDamage, critChance, critMultiplier) {
-        const isCritical = Math.random() < critChance;
+        const isCritical = rng.chance(critChance);
         const damage = isCritical ? baseDamage * critMultiplier : baseDamage;
         return { damage, isCritical };
     }
@@ -636,6 +706,7 @@ export function createCombatSystem({
         updateBlasterShots,
         updateEnemyProjectiles,
         updatePlayerCollision,
+        updateRelicCollision,
         updateBeams,
         calculateArmorReduction,
         calculateCritical,
@@ -0,0 +1,478 @@
+/**
+ * Content Packs System
+ * Loads JSON content packs that rebalance or extend the built-in game content
+ * (enemies, bosses and their phases, relics, gems, abilities)
+ *
+ * Packs are checked against src/config/contentPackSchema.js first; a pack with
+ * any error is rejected whole, with one message per problem naming its path
+ * (e.g. "enemies.tank.baseHealth: expected a number, got "lots"").
+ * A valid pack is merged into the shared config objects, so it has to be
+ * loaded at startup, before the simulation is created. Ids and fields are
+ * only looked up as own properties, and keys like __proto__ are rejected, so
+ * a pack can't reach Object.prototype through the shared objects.
+ *
+ * Dependencies:
+ * - fetch: Only for fetchContentPack() (browser)
+ */
+
+import * as THREE from 'three';
+import contentPackSchema from '../config/contentPackSchema.js';
+import enemyTypes from '../config/enemyTypes.js';
+import bossTypes, { bossUnlockLevels } from '../config/bossTypes.js';
+import relicInfo from '../config/relicInfo.js';
+import gemTypes from '../config/gemTypes.js';
+import { ABILITY_DEFINITIONS } from './playerAbilities.js';
+import { getBehaviorNames } from './enemyBehaviors.js';
+import { GEOMETRY_PARAMETERS, createGeometry } from '../utils/helpers.js';
+
+// Built-in content each pack section applies to
+const SECTION_TARGETS = {
+    enemies: enemyTypes,
+    bosses: bossTypes,
+    relics: relicInfo,
+    gems: gemTypes,
+    abilities: ABILITY_DEFINITIONS
+};
+
+// Enemy fields that describe the material rather than a prototype property
+const MATERIAL_FIELDS = ['color', 'emissiveIntensity', 'opacity'];
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Keys that would reach object prototypes when merged
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isColorField(key) {
+    return /color/i.test(key);
+}
+
+/**
+ * @returns {string[]} An object's own keys, reserved keys left out (none for a missing section)
+ */
+function ownKeys(object) {
+    return object ? Object.keys(object).filter(key => !RESERVED_KEYS.includes(key)) : [];
+}
+
+function describe(value) {
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    if (typeof value === 'object') return 'an object';
+    return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * @returns {number} A pack color ('#RRGGBB' or number) as a number
+ */
+function parseColor(value) {
+    return typeof value === 'string' ? parseInt(value.slice(1), 16) : value;
+}
+
+// ===== Validation =====
+
+/**
+ * Adds an error for every reserved key anywhere in a parsed pack value
+ */
+function validateKeys(path, value, errors) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => validateKeys(`${path}[${index}]`, item, errors));
+    } else if (value !== null && typeof value === 'object') {
+        for (const key of Object.keys(value)) {
+            const keyPath = path ? `${path}.${key}` : key;
+            if (RESERVED_KEYS.includes(key)) {
+                errors.push(`${keyPath}: ${JSON.stringify(key)} can't be used as an id or field name`);
+            } else {
+                validateKeys(keyPath, value[key], errors);
+            }
+        }
+    }
+}
+
+/**
+ * Checks a number against optional { min, max } bounds
+ */
+function validateRange(path, value, { min, max }, errors) {
+    if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+        const bounds = min === undefined ? `at most ${max}`
+            : max === undefined ? `at least ${min}`
+            : `between ${min} and ${max}`;
+        errors.push(`${path}: expected a number ${bounds}, got ${value}`);
+    }
+}
+
+/**
+ * Checks a value against a schema value type, adding messages to errors
+ * @param {string|Object} type - Type name, or { type, min, max } for a bounded number
+ */
+function validateType(path, value, type, errors) {
+    if (isPlainObject(type)) {
+        const errorCount = errors.length;
+        validateType(path, value, type.type, errors);
+        if (errors.length === errorCount) {
+            validateRange(path, value, type, errors);
+        }
+        return;
+    }
+
+    switch (type) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${path}: expected a number, got ${describe(value)}`);
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push(`${path}: expected a string, got ${describe(value)}`);
+            }
+            break;
+        case 'color':
+            if (!(typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xFFFFFF)
+                && !(typeof value === 'string' && COLOR_PATTERN.test(value))) {
+                errors.push(`${path}: expected a color ('#RRGGBB' or a number), got ${describe(value)}`);
+            }
+            break;
+        case 'geometry':
+            validateGeometry(path, value, errors);
+            break;
+        case 'behaviors':
+            validateBehaviors(path, value, errors);
+            break;
+        case 'targets':
+            validateTargets(path, value, errors);
+            break;
+        default:
+            errors.push(`${path}: unknown schema type '${type}'`);
+    }
+}
+
+function validateGeometry(path, spec, errors) {
+    if (!isPlainObject(spec)) {
+        errors.push(`${path}: expected a geometry object like { "type": "box", "width": 10 }, got ${describe(spec)}`);
+        return;
+    }
+    const parameters = GEOMETRY_PARAMETERS[spec.type];
+    if (!parameters) {
+        errors.push(`${path}.type: unknown geometry type ${JSON.stringify(spec.type)} (expected one of ${Object.keys(GEOMETRY_PARAMETERS).join(', ')})`);
+        return;
+    }
+    for (const key in spec) {
+        if (key === 'type') continue;
+        if (!parameters.includes(key)) {
+            errors.push(`${path}.${key}: unknown ${spec.type} parameter (expected ${parameters.join(', ')})`);
+        } else if (typeof spec[key] !== 'number' || !(spec[key] > 0)) {
+            errors.push(`${path}.${key}: expected a positive number, got ${describe(spec[key])}`);
+        }
+    }
+}
+
+function validateBehaviors(path, behaviors, errors) {
+    if (!Array.isArray(behaviors)) {
+        errors.push(`${path}: expected an array of behaviors, got ${describe(behaviors)}`);
+        return;
+    }
+    behaviors.forEach((entry, index) => {
+        const entryPath = `${path}[${index}]`;
+        const type = isPlainObject(entry) ? entry.type : entry;
+        if (typeof type !== 'string') {
+            errors.push(`${entryPath}: expected a behavior name or { "type": ... }, got ${describe(entry)}`);
+            return;
+        }
+        const behaviorNames = getBehaviorNames();
+        if (!behaviorNames.includes(type)) {
+            errors.push(`${entryPath}: unknown behavior ${JSON.stringify(type)} (expected one of ${behaviorNames.join(', ')})`);
+            return;
+        }
+        if (!isPlainObject(entry)) return;
+
+        for (const key of Object.keys(entry)) {
+            if (key === 'type') continue;
+            const option = entry[key];
+            const optionPath = `${entryPath}.${key}`;
+            const bounds = Object.hasOwn(contentPackSchema.behaviorOptions, key)
+                ? contentPackSchema.behaviorOptions[key]
+                : { min: 0 };
+            if (typeof option === 'number' && Number.isFinite(option)) {
+                validateRange(optionPath, option, bounds, errors);
+            } else if (Array.isArray(option) && option.every(item => typeof item === 'number' && Number.isFinite(item))) {
+                option.forEach((item, index) => validateRange(`${optionPath}[${index}]`, item, bounds, errors));
+            } else {
+                errors.push(`${optionPath}: expected a number or an array of numbers, got ${describe(option)}`);
+            }
+        }
+    });
+}
+
+function validateTargets(path, targets, errors) {
+    if (!Array.isArray(targets)) {
+        errors.push(`${path}: expected an array of targets, got ${describe(targets)}`);
+        return;
+    }
+    targets.forEach((entry, index) => {
+        const entryPath = `${path}[${index}]`;
+        const type = isPlainObject(entry) ? entry.type : entry;
+        if (!contentPackSchema.targetTypes.includes(type)) {
+            errors.push(`${entryPath}: unknown target ${JSON.stringify(type)} (expected one of ${contentPackSchema.targetTypes.join(', ')})`);
+            return;
+        }
+        if (isPlainObject(entry) && Object.hasOwn(entry, 'range') && !(typeof entry.range === 'number' && entry.range > 0)) {
+            errors.push(`${entryPath}.range: expected a positive number, got ${describe(entry.range)}`);
+        }
+    });
+}
+
+/**
+ * Checks a value against the built-in value it replaces (same type, known fields only)
+ */
+function validateAgainstBase(path, key, value, base, errors) {
+    if (key === 'geometry' && base instanceof THREE.BufferGeometry) {
+        validateGeometry(path, value, errors);
+    } else if (typeof base === 'number') {
+        validateType(path, value, isColorField(key) ? 'color' : 'number', errors);
+    } else if (typeof base === 'string' || typeof base === 'boolean') {
+        if (typeof value !== typeof base) {
+            errors.push(`${path}: expected a ${typeof base}, got ${describe(value)}`);
+        }
+    } else if (Array.isArray(base)) {
+        validateArray(path, value, base, errors);
+    } else if (isPlainObject(base)) {
+        if (!isPlainObject(value)) {
+            errors.push(`${path}: expected an object, got ${describe(value)}`);
+            return;
+        }
+        for (const childKey of Object.keys(value)) {
+            if (!Object.hasOwn(base, childKey)) {
+                errors.push(`${path}.${childKey}: unknown field (expected one of ${Object.keys(base).join(', ')})`);
+                continue;
+            }
+            validateAgainstBase(`${path}.${childKey}`, childKey, value[childKey], base[childKey], errors);
+        }
+    } else {
+        errors.push(`${path}: can't be changed from a content pack`);
+    }
+}
+
+function validateArray(path, value, base, errors) {
+    if (!Array.isArray(value)) {
+        errors.push(`${path}: expected an array, got ${describe(value)}`);
+        return;
+    }
+
+    // Arrays of objects (boss phases) are merged entry by entry
+    if (base.length > 0 && isPlainObject(base[0])) {
+        if (value.length > base.length) {
+            errors.push(`${path}: has ${value.length} entries but the built-in one has ${base.length}; entries can be changed, not added`);
+        }
+        value.slice(0, base.length).forEach((entry, index) => {
+            validateAgainstBase(`${path}[${index}]`, '', entry, base[index], errors);
+        });
+        return;
+    }
+
+    const itemType = base.length > 0 ? typeof base[0] : 'number';
+    value.forEach((item, index) => {
+        if (typeof item !== itemType) {
+            errors.push(`${path}[${index}]: expected a ${itemType}, got ${describe(item)}`);
+        }
+    });
+}
+
+function validateEntry(sectionName, section, id, entry, errors) {
+    const path = `${sectionName}.${id}`;
+    const target = SECTION_TARGETS[sectionName];
+    const base = Object.hasOwn(target, id) ? target[id] : undefined;
+
+    if (!isPlainObject(entry)) {
+        errors.push(`${path}: expected an object, got ${describe(entry)}`);
+        return;
+    }
+    if (!base && !section.allowNew) {
+        errors.push(`${path}: unknown id (expected one of ${Object.keys(target).join(', ')}); ${sectionName} can be changed, not added`);
+        return;
+    }
+
+    if (section.fields) {
+        for (const key of Object.keys(entry)) {
+            if (!Object.hasOwn(section.fields, key)) {
+                errors.push(`${path}.${key}: unknown field (expected one of ${Object.keys(section.fields).join(', ')})`);
+            } else {
+                validateType(`${path}.${key}`, entry[key], section.fields[key], errors);
+            }
+        }
+        if (base && !base.material && !Object.hasOwn(entry, 'color') && MATERIAL_FIELDS.some(key => Object.hasOwn(entry, key))) {
+            errors.push(`${path}: has random colors, so changing its material needs a color too`);
+        }
+        if (!base) {
+            const missing = section.requiredForNew.filter(key => !Object.hasOwn(entry, key));
+            if (missing.length > 0) {
+                errors.push(`${path}: new entries must set ${missing.join(', ')}`);
+            }
+        }
+        return;
+    }
+
+    for (const key of Object.keys(entry)) {
+        const keyPath = `${path}.${key}`;
+        if (section.extraFields && Object.hasOwn(section.extraFields, key)) {
+            validateType(keyPath, entry[key], section.extraFields[key], errors);
+        } else if (section.lockedFields && section.lockedFields.includes(key)) {
+            errors.push(`${keyPath}: can't be changed from a content pack`);
+        } else if (!Object.hasOwn(base, key)) {
+            errors.push(`${keyPath}: unknown field`);
+        } else {
+            validateAgainstBase(keyPath, key, entry[key], base[key], errors);
+        }
+    }
+}
+
+/**
+ * Checks a parsed pack against the schema
+ * @param {Object} pack - Parsed pack JSON
+ * @returns {string[]} Error messages (empty when the pack is valid)
+ */
+export function validateContentPack(pack) {
+    const errors = [];
+    if (!isPlainObject(pack)) {
+        return [`pack: expected a JSON object, got ${describe(pack)}`];
+    }
+    if (typeof pack.name !== 'string' || pack.name === '') {
+        errors.push('name: every pack needs a name');
+    }
+    validateKeys('', pack, errors);
+    if (errors.length > 0) return errors;
+
+    for (const key of Object.keys(pack)) {
+        const section = Object.hasOwn(contentPackSchema.sections, key) ? contentPackSchema.sections[key] : null;
+        if (Object.hasOwn(contentPackSchema.topLevel, key)) {
+            validateType(key, pack[key], contentPackSchema.topLevel[key], errors);
+        } else if (!section) {
+            const known = [...Object.keys(contentPackSchema.topLevel), ...Object.keys(contentPackSchema.sections)];
+            errors.push(`${key}: unknown section (expected one of ${known.join(', ')})`);
+        } else if (!isPlainObject(pack[key])) {
+            errors.push(`${key}: expected an object of ${key} by id, got ${describe(pack[key])}`);
+        } else {
+            for (const id of Object.keys(pack[key])) {
+                validateEntry(key, section, id, pack[key][id], errors);
+            }
+        }
+    }
+    return errors;
+}
+
+// ===== Applying =====
+
+/**
+ * Merges pack values into a built-in entry (colors parsed, geometry specs built)
+ */
+function mergeInto(target, values) {
+    for (const key of ownKeys(values)) {
+        const value = values[key];
+        const current = target[key];
+
+        if (key === 'geometry' && isPlainObject(value)) {
+            target[key] = createGeometry(value);
+        } else if (isColorField(key) && typeof value === 'string') {
+            target[key] = parseColor(value);
+        } else if (Array.isArray(value) && Array.isArray(current) && isPlainObject(current[0])) {
+            value.forEach((entry, index) => mergeInto(current[index], entry));
+        } else if (isPlainObject(value) && isPlainObject(current)) {
+            mergeInto(current, value);
+        } else {
+            target[key] = Array.isArray(value) ? [...value] : value;
+        }
+    }
+}
+
+function applyEnemy(id, values) {
+    const enemy = Object.hasOwn(enemyTypes, id) ? enemyTypes[id] : (enemyTypes[id] = {});
+
+    for (const key of ownKeys(values)) {
+        if (key === 'geometry') {
+            const spec = values.geometry;
+            enemy.geometry = () => createGeometry(spec);
+            enemy.geometryShared = false;
+        } else if (!MATERIAL_FIELDS.includes(key)) {
+            enemy[key] = Array.isArray(values[key]) ? [...values[key]] : values[key];
+        }
+    }
+
+    if (MATERIAL_FIELDS.some(key => Object.hasOwn(values, key))) {
+        const material = enemy.material ? enemy.material.clone() : new THREE.MeshStandardMaterial({ emissiveIntensity: 0.4 });
+        if (Object.hasOwn(values, 'color')) {
+            material.color.setHex(parseColor(values.color));
+            material.emissive.setHex(parseColor(values.color));
+        }
+        if (Object.hasOwn(values, 'emissiveIntensity')) {
+            material.emissiveIntensity = values.emissiveIntensity;
+        }
+        if (Object.hasOwn(values, 'opacity')) {
+            material.opacity = values.opacity;
+            material.transparent = values.opacity < 1;
+        }
+        enemy.material = material;
+    }
+}
+
+/**
+ * Merges a validated pack into the built-in content
+ * @param {Object} pack - Pack that passed validateContentPack()
+ */
+export function applyContentPack(pack) {
+    for (const id of ownKeys(pack.enemies)) {
+        applyEnemy(id, pack.enemies[id]);
+    }
+    for (const id of ownKeys(pack.bosses)) {
+        const { unlockLevel, ...values } = pack.bosses[id];
+        if (unlockLevel !== undefined) {
+            bossUnlockLevels[id] = unlockLevel;
+        }
+        mergeInto(bossTypes[id], values);
+    }
+    for (const sectionName of ['relics', 'gems', 'abilities']) {
+        for (const id of ownKeys(pack[sectionName])) {
+            mergeInto(SECTION_TARGETS[sectionName][id], pack[sectionName][id]);
+        }
+    }
+}
+
+/**
+ * Validates a parsed pack and applies it when valid, logging the outcome
+ * @param {Object} pack - Parsed pack JSON
+ * @returns {string[]} Error messages (empty when the pack was applied)
+ */
+export function loadContentPack(pack) {
+    const errors = validateContentPack(pack);
+    const name = pack && typeof pack.name === 'string' ? pack.name : 'unnamed pack';
+
+    if (errors.length > 0) {
+        console.error(`[ContentPacks] Rejected "${name}" (${errors.length} error${errors.length === 1 ? '' : 's'}):\n  ${errors.join('\n  ')}`);
+        return errors;
+    }
+
+    applyContentPack(pack);
+    console.log(`[ContentPacks] Loaded "${name}"`);
+    return errors;
+}
+
+/**
+ * Downloads a pack and loads it (browser)
+ * @param {string} url - URL of the pack JSON
+ * @returns {Promise<string[]>} Error messages (empty when the pack was applied)
+ */
+export async function fetchContentPack(url) {
+    let pack;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        pack = await response.json();
+    } catch (error) {
+        const message = `${url}: could not load pack (${error.message})`;
+        console.error(`[ContentPacks] ${message}`);
+        return [message];
+    }
+    return loadContentPack(pack);
+}
@@ -0,0 +1,179 @@
+/**
+ * Daily Challenge System
+ * Rolls the challenge of a calendar day (src/config/dailyChallenge.js) and
+ * keeps the one attempt a day allows in localStorage
+ *
+ * A challenge is plain run options: the seed, class, difficulty, modifiers and
+ * loadout a run is started with. The simulation plays it like any endless run -
+ * the wave manager and spawning get the same inputs they always do, just rolled
+ * from the date instead of picked by the player. Everything is derived from the
+ * date's key (UTC 'YYYY-MM-DD'), so the same day always gives the same challenge,
+ * wherever the player is. The day rolls over at UTC midnight.
+ *
+ * An attempt is recorded when the run starts, so quitting and starting over
+ * doesn't give a second try, and gets its result when the run ends.
+ *
+ * Stored data (JSON):
+ * { version, attempts: [{ date, seed, characterClass, relicSet, modifiers,
+ *   score, wave, level, finished }, ...newest first] }
+ *
+ * Dependencies:
+ * - storage: Web Storage object (optional, defaults to localStorage when available)
+ */
+
+import dailyConfig from '../config/dailyChallenge.js';
+import SeededRandom from '../utils/SeededRandom.js';
+
+export const DAILY_VERSION = 1;
+
+const DAILY_KEY = 'arenaRoguelike.dailyChallenge';
+const MAX_ATTEMPTS = 60;
+
+/**
+ * @param {Date} [date] - Day to get the key of (today if omitted)
+ * @returns {string} UTC calendar date as 'YYYY-MM-DD'
+ */
+export function getDateKey(date = new Date()) {
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    return `${date.getUTCFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Rolls the challenge of a day
+ * @param {string} [dateKey] - 'YYYY-MM-DD' (today if omitted)
+ * @param {Object} [config] - Challenge pools (defaults to src/config/dailyChallenge.js)
+ * @returns {Object} { date, seed, characterClass, relicSet, difficulty, modifiers, loadout }
+ */
+export function createDailyChallenge(dateKey = getDateKey(), config = dailyConfig) {
+    // The rules get their own generator, so the run's seed isn't advanced by rolling them
+    const rules = new SeededRandom(`daily-rules-${dateKey}`);
+    const relicSet = rules.pick(config.relicSets);
+
+    return {
+        date: dateKey,
+        seed: SeededRandom.normalizeSeed(`daily-${dateKey}`),
+        characterClass: rules.pick(config.classes),
+        relicSet: relicSet.name,
+        difficulty: config.difficulty,
+        modifiers: rules.shuffle([...config.modifiers]).slice(0, config.modifierCount),
+        loadout: { statBonuses: {}, relics: [...relicSet.relics], abilities: [] }
+    };
+}
+
+function createEmptyData() {
+    return { version: DAILY_VERSION, attempts: [] };
+}
+
+/**
+ * Creates the store of daily attempts
+ * @param {Object} dependencies - { storage } (optional)
+ * @returns {Object} Daily challenge API
+ */
+export function createDailyChallenges(dependencies = {}) {
+    const {
+        storage = globalThis.localStorage ?? null
+    } = dependencies;
+
+    let data = load();
+
+    function load() {
+        const json = storage ? storage.getItem(DAILY_KEY) : null;
+        if (!json) return createEmptyData();
+
+        try {
+            const parsed = JSON.parse(json);
+            if (parsed && parsed.version === DAILY_VERSION) {
+                return { ...createEmptyData(), ...parsed };
+            }
+            console.warn(`[Daily] Ignoring attempts with unsupported version: ${parsed && parsed.version}`);
+        } catch (error) {
+            console.warn('[Daily] Ignoring unreadable attempts:', error.message);
+        }
+        return createEmptyData();
+    }
+
+    function persist() {
+        if (!storage) return;
+        try {
+            storage.setItem(DAILY_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('[Daily] Could not save attempts:', error.message);
+        }
+    }
+
+    /**
+     * @returns {Object} Today's challenge
+     */
+    function getToday() {
+        return createDailyChallenge();
+    }
+
+    /**
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     * @returns {Object|null} The attempt of that day, or null if it hasn't been played
+     */
+    function getAttempt(dateKey) {
+        return data.attempts.find(attempt => attempt.date === dateKey) || null;
+    }
+
+    /**
+     * Uses up the day's attempt
+     * @param {Object} challenge - From createDailyChallenge()
+     * @returns {boolean} False if the day has already been played
+     */
+    function startAttempt(challenge) {
+        if (getAttempt(challenge.date)) {
+            console.warn(`[Daily] The challenge of ${challenge.date} has already been played`);
+            return false;
+        }
+
+        data.attempts.unshift({
+            date: challenge.date,
+            seed: challenge.seed,
+            characterClass: challenge.characterClass,
+            relicSet: challenge.relicSet,
+            modifiers: challenge.modifiers,
+            score: 0,
+            wave: 0,
+            level: 1,
+            finished: false
+        });
+        data.attempts.length = Math.min(data.attempts.length, MAX_ATTEMPTS);
+        persist();
+        return true;
+    }
+
+    /**
+     * Scores the attempt a finished run was played for (matched by its seed, so a
+     * run that goes on past midnight still counts for the day it started)
+     * @param {Object} result - Run summary from the simulation (getResult())
+     * @returns {Object|null} The scored attempt, or null if the run wasn't an open attempt
+     */
+    function finishAttempt(result) {
+        const attempt = data.attempts.find(entry => entry.seed === result.seed && !entry.finished);
+        if (!attempt) return null;
+
+        attempt.score = result.score;
+        attempt.wave = result.wave;
+        attempt.level = result.level;
+        attempt.finished = true;
+        persist();
+        return { ...attempt };
+    }
+
+    /**
+     * @returns {Object[]} Attempts of past days, newest first
+     */
+    function getAttempts() {
+        return data.attempts.map(attempt => ({ ...attempt }));
+    }
+
+    return {
+        getToday,
+        getAttempt,
+        startAttempt,
+        finishAttempt,
+        getAttempts
+    };
+}
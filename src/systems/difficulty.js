@@ -0,0 +1,83 @@
+/**
+ * Difficulty System
+ * Turns a difficulty preset and a set of run modifiers into the rules a run is
+ * played with (see src/config/difficulty.js for what each rule does)
+ *
+ * The rules are plain data resolved once when a run starts. The game simulation
+ * hands them to the systems that read them (spawning, waves, level-ups, enemy
+ * projectiles, regeneration). The normal preset without modifiers resolves to
+ * rules that change nothing, so such runs play exactly like before.
+ */
+
+import difficultyConfig, { DEFAULT_DIFFICULTY } from '../config/difficulty.js';
+import { BOSS_WAVE_INTERVAL } from '../config/constants.js';
+
+// Rules multiplied together when several sources set them
+const MULTIPLIED_RULES = ['enemyHealth', 'enemyDamage', 'enemyProjectileSpeed', 'speedCurve', 'scoreMultiplier'];
+
+// Rules switched on by any source
+const FLAG_RULES = ['elitesOnly', 'noRegen'];
+
+/**
+ * Resolves the rules of a run
+ * @param {string|null} [difficultyId] - Key of the presets (default preset if omitted or unknown)
+ * @param {string[]} [modifierIds] - Keys of the modifiers; unknown ones and repeats are dropped
+ * @returns {Object} { difficulty, modifiers, enemyHealth, enemyDamage, enemyProjectileSpeed,
+ *   speedCurve, bossWaveInterval, elitesOnly, noRegen, scoreMultiplier }
+ */
+export function resolveDifficulty(difficultyId = DEFAULT_DIFFICULTY, modifierIds = []) {
+    const { presets, modifiers } = difficultyConfig;
+
+    difficultyId = difficultyId ?? DEFAULT_DIFFICULTY;
+    if (!presets[difficultyId]) {
+        console.warn(`[Difficulty] Unknown difficulty '${difficultyId}', using '${DEFAULT_DIFFICULTY}'`);
+        difficultyId = DEFAULT_DIFFICULTY;
+    }
+
+    for (const id of modifierIds ?? []) {
+        if (!modifiers[id]) console.warn(`[Difficulty] Ignoring unknown modifier '${id}'`);
+    }
+    // Kept in config order, so the same selection is always recorded the same way
+    const activeModifiers = Object.keys(modifiers).filter(id => (modifierIds ?? []).includes(id));
+
+    const rules = {
+        difficulty: difficultyId,
+        modifiers: activeModifiers,
+        enemyHealth: 1,
+        enemyDamage: 1,
+        enemyProjectileSpeed: 1,
+        speedCurve: 1,
+        bossWaveInterval: BOSS_WAVE_INTERVAL,
+        elitesOnly: false,
+        noRegen: false,
+        scoreMultiplier: 1
+    };
+
+    for (const source of [presets[difficultyId], ...activeModifiers.map(id => modifiers[id])]) {
+        for (const rule of MULTIPLIED_RULES) {
+            if (source[rule] !== undefined) rules[rule] *= source[rule];
+        }
+        for (const rule of FLAG_RULES) {
+            if (source[rule]) rules[rule] = true;
+        }
+        if (source.bossWaveInterval !== undefined) {
+            rules.bossWaveInterval = Math.min(rules.bossWaveInterval, source.bossWaveInterval);
+        }
+    }
+
+    rules.scoreMultiplier = Math.round(rules.scoreMultiplier * 100) / 100;
+    return rules;
+}
+
+// Rules of a normal run, the default of systems used without difficulty rules
+export const NORMAL_RULES = Object.freeze(resolveDifficulty());
+
+/**
+ * Applies a run's score multiplier
+ * @param {number} score - Score collected during the run
+ * @param {Object} rules - From resolveDifficulty()
+ * @returns {number} Final score
+ */
+export function applyScoreMultiplier(score, rules) {
+    return Math.round(score * rules.scoreMultiplier);
+}
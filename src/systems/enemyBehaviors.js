@@ -0,0 +1,532 @@
+/**
+ * Enemy Behaviors System
+ * Registry of composable enemy AI strategies. Each enemy type lists the
+ * behaviors it uses in its `behaviors` config (src/config/enemyTypes.js);
+ * a new enemy type only needs a config entry, plus a strategy here (or one
+ * added with registerEnemyBehavior()) when it needs a new kind of behavior.
+ *
+ * Strategies are registered as factories that receive the runner's
+ * dependencies, so each simulation gets its own instances.
+ *
+ * Each strategy defines:
+ * - update(enemy, options, context): Called every step; context is
+ *   { delta, now, target } where target is the position the enemy goes after
+ * - onHit(enemy, options): Called when a blaster shot hits; return true to
+ *   deflect the hit (optional)
+ * - whileFrozen: Keep running while the enemy is frozen (optional, default false)
+ * `options` is the behavior's config entry, so { type: 'ranged', range: 200 }
+ * reaches the ranged strategy as options.range.
+ *
+ * The target follows the type's `targetPriority`: the player, or the nearest
+ * active relic in range for types that attack relics. The chosen relic is kept
+ * in enemy.targetRelic (null while the enemy goes after the player), which the
+ * combat system reads for relic contact damage.
+ *
+ * EXTERNAL DEPENDENCIES (must be passed/injected):
+ * - enemies: Array of active enemies (flocking neighbours)
+ * - enemyPrototypes: Enemy type configuration (from src/config/enemyTypes.js)
+ * - playerCone: Player mesh
+ * - relics: Array of relic groups (relic targets, optional)
+ * - enemyProjectiles: Array of active enemy projectiles
+ * - objectPools: Object containing pooled objects (enemyProjectiles)
+ * - AudioManager: Audio playback manager
+ * - AreaWarningManager: Manager for area warning indicators
+ * - calculateLobTrajectory: Function from utils/helpers.js
+ * - rng: SeededRandom for teleport rolls
+ * - getGameSpeedMultiplier: Current game speed modifier
+ * - getClock: Simulation clock
+ */
+
+import * as THREE from 'three';
+import { ARENA_PLAYABLE_HALF_SIZE, MORTAR_CONFIG } from '../config/constants.js';
+
+// Enemy types without a behaviors list just walk at the player
+const DEFAULT_BEHAVIORS = ['chase'];
+
+// Enemy types without a targetPriority list hunt the player only
+const DEFAULT_TARGET_PRIORITY = ['player'];
+const DEFAULT_RELIC_RANGE = 400;
+
+/**
+ * Keeps an enemy inside the arena walls
+ */
+function clampToArena(position) {
+    position.x = Math.max(-ARENA_PLAYABLE_HALF_SIZE, Math.min(ARENA_PLAYABLE_HALF_SIZE, position.x));
+    position.z = Math.max(-ARENA_PLAYABLE_HALF_SIZE, Math.min(ARENA_PLAYABLE_HALF_SIZE, position.z));
+}
+
+/**
+ * Moves an enemy on the ground plane (Y stays constant to prevent sinking/floating)
+ */
+function moveOnGround(enemy, movement) {
+    const originalY = enemy.mesh.position.y;
+    enemy.mesh.position.add(movement);
+    enemy.mesh.position.y = originalY;
+    clampToArena(enemy.mesh.position);
+}
+
+// Strategy factories by behavior name: createStrategy(dependencies) => strategy
+const strategyFactories = new Map();
+
+/**
+ * Adds or replaces a behavior strategy. Registered names can be used in enemy
+ * configs and content packs; register before the simulation that uses them starts.
+ * @param {string} name - Behavior name used in enemy configs
+ * @param {Function} createStrategy - (dependencies) => { update, onHit?, whileFrozen? },
+ *   called once per simulation with the runner's dependencies
+ */
+export function registerEnemyBehavior(name, createStrategy) {
+    strategyFactories.set(name, createStrategy);
+}
+
+/**
+ * @returns {string[]} Names of all registered behaviors
+ */
+export function getBehaviorNames() {
+    return [...strategyFactories.keys()];
+}
+
+// Straight at the target
+registerEnemyBehavior('chase', () => ({
+    update(enemy, options, { delta, target }) {
+        const directionToTarget = new THREE.Vector3(
+            target.x - enemy.mesh.position.x,
+            0,
+            target.z - enemy.mesh.position.z
+        ).normalize();
+
+        // delta is gameDelta, which already includes the game speed multiplier
+        const movement = directionToTarget.multiplyScalar(enemy.baseSpeed * delta * 60);
+        movement.add(enemy.pullForces);
+        moveOnGround(enemy, movement);
+    }
+}));
+
+// Circle the target at a preferred distance
+registerEnemyBehavior('strafe', () => ({
+    update(enemy, options, { delta, target }) {
+        const distance = options.distance ?? 120;
+        const direction = options.direction ?? 1;
+
+        const toTarget = new THREE.Vector3(
+            target.x - enemy.mesh.position.x,
+            0,
+            target.z - enemy.mesh.position.z
+        );
+        const currentDistance = toTarget.length();
+        toTarget.normalize();
+
+        // Orbit sideways, closing in or backing off towards the preferred distance
+        const sideways = new THREE.Vector3(-toTarget.z, 0, toTarget.x).multiplyScalar(direction);
+        const radial = toTarget.multiplyScalar(Math.max(-1, Math.min(1, (currentDistance - distance) / distance)));
+
+        const movement = sideways.add(radial).normalize().multiplyScalar(enemy.baseSpeed * delta * 60);
+        movement.add(enemy.pullForces);
+        moveOnGround(enemy, movement);
+    }
+}));
+
+// Boids movement with the rest of the swarm
+registerEnemyBehavior('flock', ({ enemies }) => ({
+    update(enemy, options, { delta, target }) {
+        if (!enemy.flockingVelocity) {
+            enemy.separationForce = new THREE.Vector3();
+            enemy.alignmentForce = new THREE.Vector3();
+            enemy.cohesionForce = new THREE.Vector3();
+            enemy.flockingVelocity = new THREE.Vector3();
+        }
+
+        // Get all swarm members from same group
+        const swarmMembers = enemies.filter(e => e.swarmId === enemy.swarmId && e.health > 0);
+
+        // Update isLastSwarmMember flag
+        if (swarmMembers.length === 1) {
+            enemy.isLastSwarmMember = true;
+        }
+
+        // Reset flocking forces
+        enemy.separationForce.set(0, 0, 0);
+        enemy.alignmentForce.set(0, 0, 0);
+        enemy.cohesionForce.set(0, 0, 0);
+
+        const separationRadius = 20; // Avoid crowding within this distance
+        const alignmentRadius = 40;  // Match velocity with neighbors within this distance
+        const cohesionRadius = 60;   // Move toward swarm center within this distance
+
+        let separationCount = 0;
+        let alignmentCount = 0;
+        let cohesionCount = 0;
+        const cohesionCenter = new THREE.Vector3();
+
+        // Calculate flocking forces from neighbors
+        for (const other of swarmMembers) {
+            if (other === enemy) continue;
+
+            const distance = enemy.mesh.position.distanceTo(other.mesh.position);
+
+            // Separation: steer away from nearby members
+            if (distance < separationRadius && distance > 0) {
+                const diff = new THREE.Vector3()
+                    .subVectors(enemy.mesh.position, other.mesh.position)
+                    .normalize()
+                    .divideScalar(distance); // Stronger force when closer
+                enemy.separationForce.add(diff);
+                separationCount++;
+            }
+
+            // Alignment: match velocity with neighbors
+            if (distance < alignmentRadius && other.flockingVelocity) {
+                enemy.alignmentForce.add(other.flockingVelocity);
+                alignmentCount++;
+            }
+
+            // Cohesion: move toward swarm center
+            if (distance < cohesionRadius) {
+                cohesionCenter.add(other.mesh.position);
+                cohesionCount++;
+            }
+        }
+
+        // Average the forces
+        if (separationCount > 0) {
+            enemy.separationForce.divideScalar(separationCount).normalize().multiplyScalar(2.5);
+        }
+        if (alignmentCount > 0) {
+            enemy.alignmentForce.divideScalar(alignmentCount).normalize().multiplyScalar(0.8);
+        }
+        if (cohesionCount > 0) {
+            cohesionCenter.divideScalar(cohesionCount);
+            enemy.cohesionForce.subVectors(cohesionCenter, enemy.mesh.position).normalize().multiplyScalar(1.2);
+        }
+
+        // Target-seeking force
+        const directionToTarget = new THREE.Vector3(
+            target.x - enemy.mesh.position.x,
+            0,
+            target.z - enemy.mesh.position.z
+        ).normalize().multiplyScalar(1.5);
+
+        // Combine all forces
+        const combinedForce = new THREE.Vector3()
+            .add(enemy.separationForce)
+            .add(enemy.alignmentForce)
+            .add(enemy.cohesionForce)
+            .add(directionToTarget)
+            .add(enemy.pullForces);
+
+        // Apply combined force as velocity
+        enemy.flockingVelocity.copy(combinedForce).normalize();
+
+        const movement = enemy.flockingVelocity.clone().multiplyScalar(enemy.baseSpeed * delta * 60);
+        moveOnGround(enemy, movement);
+    }
+}));
+
+// Fire at the target; spreadAngles fires one projectile per angle
+registerEnemyBehavior('ranged', ({ enemyProjectiles, objectPools, AudioManager, getGameSpeedMultiplier }) => ({
+    update(enemy, options, { now, target }) {
+        if (enemy.lastShotTime === undefined) {
+            enemy.lastShotTime = 0; // Ready to fire as soon as the target is in range
+        }
+
+        const shootCooldown = options.cooldown / getGameSpeedMultiplier();
+        if (now - enemy.lastShotTime < shootCooldown) return;
+
+        const distance = enemy.mesh.position.distanceTo(target);
+        if (distance >= options.range) return;
+
+        enemy.lastShotTime = now;
+
+        if (options.spreadAngles) {
+            const baseDirection = new THREE.Vector3()
+                .subVectors(target, enemy.mesh.position)
+                .normalize();
+
+            options.spreadAngles.forEach(angleDegrees => {
+                const projectile = objectPools.enemyProjectiles.get();
+                projectile.mesh.position.copy(enemy.mesh.position);
+
+                // Rotate direction by the spread angle
+                const angle = Math.atan2(baseDirection.x, baseDirection.z) + angleDegrees * Math.PI / 180;
+                projectile.direction.set(
+                    Math.sin(angle),
+                    0,
+                    Math.cos(angle)
+                ).normalize();
+
+                projectile.distanceTraveled = 0;
+                projectile.source = `enemy:${enemy.type}`;
+                enemyProjectiles.push(projectile);
+            });
+        } else {
+            const projectile = objectPools.enemyProjectiles.get();
+            projectile.mesh.position.copy(enemy.mesh.position);
+            if (options.projectileHeight !== undefined) {
+                projectile.mesh.position.setY(options.projectileHeight);
+            }
+
+            // Horizontal direction only
+            const dx = target.x - enemy.mesh.position.x;
+            const dz = target.z - enemy.mesh.position.z;
+            projectile.direction.set(dx, 0, dz).normalize();
+
+            projectile.distanceTraveled = 0;
+            projectile.source = `enemy:${enemy.type}`;
+            enemyProjectiles.push(projectile);
+        }
+
+        AudioManager.play('enemyShoot', 0.4, enemy.mesh.position);
+    }
+}));
+
+// Mortar shells onto the target's position
+registerEnemyBehavior('lob', ({ enemyProjectiles, objectPools, AudioManager, AreaWarningManager, calculateLobTrajectory, getGameSpeedMultiplier }) => ({
+    update(enemy, options, { now, target }) {
+        const config = MORTAR_CONFIG;
+        const shootCooldown = config.shootCooldown / getGameSpeedMultiplier();
+
+        // Initialize if needed
+        if (enemy.lastShotTime === undefined) {
+            enemy.lastShotTime = now;
+            enemy.pendingShots = [];
+        }
+
+        // Check for shooting
+        const distance = enemy.mesh.position.distanceTo(target);
+        if (now - enemy.lastShotTime >= shootCooldown && distance < config.shootRange) {
+            enemy.lastShotTime = now;
+
+            // Simple prediction: target's current position
+            const impactPos = target.clone();
+            impactPos.y = 0; // Ground level
+            clampToArena(impactPos);
+
+            // Calculate trajectory to get actual flight time
+            const startPos = enemy.mesh.position.clone();
+            startPos.y = 10; // Projectile start height
+            const trajectory = calculateLobTrajectory(
+                startPos,
+                impactPos,
+                config.projectileFlightTime,
+                config.gravity,
+                config.lobApex
+            );
+
+            // Create ground warning with actual flight time as duration
+            AreaWarningManager.create(
+                impactPos,
+                config.explosionRadius,
+                0xFF0000, // Red warning
+                trajectory.impactTime, // Use calculated flight time
+                'gradient'
+            );
+
+            // Launch almost immediately (small delay for visual effect)
+            enemy.pendingShots.push({
+                launchTime: now + 0.1,
+                impactPos: impactPos.clone(),
+                preCalculatedVelocity: trajectory.velocity
+            });
+        }
+
+        // Launch pending shots
+        for (let i = enemy.pendingShots.length - 1; i >= 0; i--) {
+            const pending = enemy.pendingShots[i];
+            if (now < pending.launchTime) continue;
+
+            const proj = objectPools.enemyProjectiles.get();
+            proj.mesh.position.copy(enemy.mesh.position);
+            proj.mesh.position.y = 10; // Start above enemy
+
+            // Use pre-calculated velocity
+            proj.velocity = pending.preCalculatedVelocity;
+            proj.impactPosition = pending.impactPos;
+            proj.damage = config.projectileDamage;
+            proj.explosionRadius = config.explosionRadius;
+            proj.isLobbing = true;
+            proj.distanceTraveled = 0;
+            proj.range = 999; // No range limit for mortars
+            proj.source = `enemy:${enemy.type}`;
+
+            enemyProjectiles.push(proj);
+            enemy.pendingShots.splice(i, 1);
+
+            AudioManager.play('enemyShoot', 0.3, enemy.mesh.position);
+        }
+    }
+}));
+
+// Teleports away from blaster hits until worn down, then is briefly vulnerable
+registerEnemyBehavior('teleport', ({ rng, AudioManager, getClock }) => ({
+    whileFrozen: true,
+
+    update(enemy) {
+        if (enemy.isVulnerable && getClock().getElapsedTime() > enemy.vulnerableUntil) {
+            enemy.isVulnerable = false;
+            enemy.teleportCount = 0;
+            enemy.mesh.material.emissive.set(0xffffff);
+            enemy.mesh.material.emissiveIntensity = 0.6;
+        }
+    },
+
+    onHit(enemy, options) {
+        if (enemy.isVulnerable) return false;
+
+        enemy.teleportCount = (enemy.teleportCount || 0) + 1;
+        if (enemy.teleportCount >= (options.teleportsBeforeVulnerable ?? 3)) {
+            enemy.isVulnerable = true;
+            enemy.vulnerableUntil = getClock().getElapsedTime() + (options.vulnerableDuration ?? 2.0);
+            enemy.mesh.material.emissive.set(0xffffff);
+            enemy.mesh.material.emissiveIntensity = 2;
+        } else {
+            const angle = rng.next() * Math.PI * 2;
+            const distance = 50 + rng.next() * 50;
+            enemy.mesh.position.x += Math.cos(angle) * distance;
+            enemy.mesh.position.z += Math.sin(angle) * distance;
+        }
+        AudioManager.play('windChime', 0.6, enemy.mesh.position);
+        return true;
+    }
+}));
+
+// Pulls the player in while in range, whatever the target
+registerEnemyBehavior('aura', ({ playerCone }) => ({
+    update(enemy, options) {
+        if (enemy.mesh.position.distanceTo(playerCone.position) >= options.range) return;
+
+        const pullDirection = new THREE.Vector3().subVectors(enemy.mesh.position, playerCone.position).normalize();
+        playerCone.position.addScaledVector(pullDirection, options.strength);
+    }
+}));
+
+/**
+ * Creates the behavior runner for one simulation
+ * @param {Object} dependencies - Object containing all external dependencies
+ * @returns {Object} { update, onHit }
+ */
+export function createEnemyBehaviors(dependencies) {
+    const {
+        enemyPrototypes,
+        playerCone,
+        relics = []
+    } = dependencies;
+
+    // Strategies built from the registry on first use, by behavior name
+    const strategies = new Map();
+
+    function getStrategy(name) {
+        let strategy = strategies.get(name);
+        if (!strategy) {
+            strategy = strategyFactories.get(name)(dependencies);
+            strategies.set(name, strategy);
+        }
+        return strategy;
+    }
+
+    // Normalized behavior lists per enemy type: [{ type, ...options }]
+    const behaviorLists = new Map();
+
+    /**
+     * @param {string} enemyType - Key of enemyPrototypes
+     * @returns {Array} The type's behaviors as { type, ...options } entries
+     */
+    function getBehaviors(enemyType) {
+        let behaviors = behaviorLists.get(enemyType);
+        if (behaviors) return behaviors;
+
+        const configured = enemyPrototypes[enemyType]?.behaviors ?? DEFAULT_BEHAVIORS;
+        behaviors = configured
+            .map(entry => (typeof entry === 'string' ? { type: entry } : entry))
+            .filter(entry => {
+                if (strategyFactories.has(entry.type)) return true;
+                console.warn(`[EnemyBehaviors] Unknown behavior "${entry.type}" for enemy type "${enemyType}"`);
+                return false;
+            });
+        behaviorLists.set(enemyType, behaviors);
+        return behaviors;
+    }
+
+    // Normalized target priorities per enemy type: [{ type, ...options }]
+    const targetLists = new Map();
+
+    function getTargetPriority(enemyType) {
+        let priority = targetLists.get(enemyType);
+        if (priority) return priority;
+
+        const configured = enemyPrototypes[enemyType]?.targetPriority ?? DEFAULT_TARGET_PRIORITY;
+        priority = configured
+            .map(entry => (typeof entry === 'string' ? { type: entry } : entry))
+            .filter(entry => {
+                if (entry.type === 'player' || entry.type === 'relic') return true;
+                console.warn(`[EnemyBehaviors] Unknown target "${entry.type}" for enemy type "${enemyType}"`);
+                return false;
+            });
+        targetLists.set(enemyType, priority);
+        return priority;
+    }
+
+    function findNearestRelic(enemy, range) {
+        let nearest = null;
+        let nearestDistance = range;
+        for (const group of relics) {
+            if (group.state !== 'active') continue;
+            const distance = enemy.mesh.position.distanceTo(group.ring.position);
+            if (distance < nearestDistance) {
+                nearest = group;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Picks what the enemy goes after this step, following its type's targetPriority
+     * @param {Object} enemy - Enemy entity; enemy.targetRelic is set to the relic it picked, or null
+     * @returns {THREE.Vector3} Position of the target
+     */
+    function getTarget(enemy) {
+        enemy.targetRelic = null;
+        for (const entry of getTargetPriority(enemy.type)) {
+            if (entry.type === 'player') break;
+
+            const group = findNearestRelic(enemy, entry.range ?? DEFAULT_RELIC_RANGE);
+            if (group) {
+                enemy.targetRelic = group;
+                return group.ring.position;
+            }
+        }
+        return playerCone.position;
+    }
+
+    /**
+     * Runs an enemy's behaviors for one step
+     * @param {Object} enemy - Enemy entity
+     * @param {Object} context - { delta, now, isFrozen }
+     */
+    function update(enemy, context) {
+        const strategyContext = { ...context, target: getTarget(enemy) };
+        for (const options of getBehaviors(enemy.type)) {
+            const strategy = getStrategy(options.type);
+            if (context.isFrozen && !strategy.whileFrozen) continue;
+            strategy.update(enemy, options, strategyContext);
+        }
+    }
+
+    /**
+     * Lets an enemy's behaviors react to a blaster hit
+     * @param {Object} enemy - Enemy entity
+     * @returns {boolean} True if a behavior deflected the hit (no damage is dealt)
+     */
+    function onHit(enemy) {
+        for (const options of getBehaviors(enemy.type)) {
+            const strategy = getStrategy(options.type);
+            if (strategy.onHit && strategy.onHit(enemy, options)) return true;
+        }
+        return false;
+    }
+
+    return {
+        update,
+        onHit
+    };
+}
@@ -15,36 +15,17 @@
  * - createGravityVortex: Function from effects.js
  * - MAX_BOSSES: Maximum number of bosses allowed
  * - MIN_BOX_RATIO: Minimum ratio of box enemies to maintain
+ * - rng: SeededRandom instance for gameplay rolls (optional, falls back to unseeded)
+ * - difficulty: Run rules from resolveDifficulty() (optional, normal rules by default)
  */
 
 import * as THREE from 'three';
 import { createBoss } from './bossSystem.js';
 import { getRandomBossType } from '../config/bossTypes.js';
+import enemyTypes from '../config/enemyTypes.js';
 import { BOSS_WAVE_INTERVAL, MAX_ACTIVE_BOSSES, ARENA_PLAYABLE_HALF_SIZE } from '../config/constants.js';
-
-// Enemy unlock levels
-const enemyUnlockLevels = {
-    shooter: 2,
-    tank: 3,
-    berserker: 4,
-    magnetic: 5,
-    elite: 6,
-    phantom: 7,
-    swarm: 8,
-    mortar: 10  // Late-game artillery enemy
-};
-
-// Spawn weights for weighted random selection
-const spawnWeights = {
-    shooter: 20,
-    tank: 15,
-    berserker: 12,
-    magnetic: 8,
-    swarm: 7,
-    mortar: 6,  // Between magnetic and elite
-    elite: 5,
-    phantom: 3
-};
+import { defaultRandom } from '../utils/SeededRandom.js';
+import { NORMAL_RULES } from './difficulty.js';
 
 // Tier multipliers for enemy difficulty scaling
 const TIER_MULTIPLIERS = {
@@ -65,11 +46,13 @@ const TIER_MULTIPLIERS = {
  * - enemyPrototypes: Configuration for enemy types
  * - playerCone: Player object with position
  * - enemyCounts: Object tracking enemy counts by type
- * - bossCount: Current boss count (passed as mutable object/getter)
  * - level: Current game level
  * - gameSpeedMultiplier: Speed modifier
  * - createGravityVortex: Function from effects.js
  * - gravityWellEffects: Array of gravity well effects
+ * - rng: SeededRandom instance (optional)
+ * - difficulty: Run rules (optional) - health/damage multipliers, elites only
+ * - changeBossCount: Callback(change, type), +1 for a boss-tier enemy (needed for the 'boss' tier only)
  */
 export function spawnSpecificEnemy(type, tier = 'normal', dependencies) {
     const {
@@ -78,32 +61,36 @@ export function spawnSpecificEnemy(type, tier = 'normal', dependencies) {
         enemyPrototypes,
         playerCone,
         enemyCounts,
-        getBossCount,
-        setBossCount,
         level,
         gameSpeedMultiplier,
         createGravityVortex,
-        gravityWellEffects
+        gravityWellEffects,
+        rng = defaultRandom,
+        difficulty = NORMAL_RULES,
+        changeBossCount
     } = dependencies;
 
     const proto = enemyPrototypes[type];
     if (!proto) return;
 
+    // Elites-only runs promote every regular enemy
+    if (difficulty.elitesOnly && tier !== 'boss') tier = 'elite';
+
     // Get tier multipliers
     const mult = TIER_MULTIPLIERS[tier] || TIER_MULTIPLIERS.normal;
 
     // Calculate stats with tier multipliers
-    const baseHealth = proto.baseHealth + Math.random() * proto.healthRand + (level * proto.healthLevelScale);
-    const health = baseHealth * mult.health;
+    const baseHealth = proto.baseHealth + rng.next() * proto.healthRand + (level * proto.healthLevelScale);
+    const health = baseHealth * mult.health * difficulty.enemyHealth;
     const baseSpeed = proto.baseSpeed + level * proto.speedLevelScale;
     const speed = baseSpeed * gameSpeedMultiplier;
     const scale = mult.scale;
 
     let enemyMesh;
     if (proto.material) {
-        enemyMesh = new THREE.Mesh(proto.geometry(), proto.material.clone());
+        enemyMesh = new THREE.Mesh(proto.geometry(10 * scale), proto.material.clone());
     } else {
-        const material = proto.getMaterial();
+        const material = proto.getMaterial(rng);
         enemyMesh = new THREE.Mesh(proto.geometry(10 * scale), material);
     }
     enemyMesh.scale.set(scale, scale, scale);
@@ -117,8 +104,8 @@ export function spawnSpecificEnemy(type, tier = 'normal', dependencies) {
 
     let x, z, attempts = 0;
     do {
-        x = (Math.random() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2);
-        z = (Math.random() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2);
+        x = (rng.next() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2);
+        z = (rng.next() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2);
         if (attempts++ > 100) {
             console.warn("Could not place enemy far from player after 100 attempts.");
             break;
@@ -134,9 +121,9 @@ export function spawnSpecificEnemy(type, tier = 'normal', dependencies) {
         maxHealth: health,
         type: type,
         radius: (type === 'tank' ? 12.5 : 8) * scale,
-        contactDamage: proto.contactDamage * mult.damage,
+        contactDamage: proto.contactDamage * mult.damage * difficulty.enemyDamage,
         isBoss: tier === 'boss', // Only 'boss' tier counts as boss
-        isGeometryShared: type === 'shooter',
+        isGeometryShared: proto.geometryShared === true,
         hitEffectUntil: null,
         baseEmissiveIntensity: enemyMesh.material.emissiveIntensity,
         pullForces: new THREE.Vector3()
@@ -156,19 +143,11 @@ export function spawnSpecificEnemy(type, tier = 'normal', dependencies) {
         enemyData.initialColor = enemyMesh.material.color.clone();
     }
 
-    if (type === 'shooter' || type === 'elite') enemyData.lastShotTime = 0;
-    if (type === 'phantom') {
-        enemyData.teleportCount = 0;
-        enemyData.teleportsBeforeVulnerable = 3;
-        enemyData.isVulnerable = false;
-    }
-
     scene.add(enemyMesh);
     enemies.push(enemyData);
     enemyCounts[type] = (enemyCounts[type] || 0) + 1;
     if (tier === 'boss') {
-        const newCount = getBossCount() + 1;
-        setBossCount(newCount);
+        changeBossCount(1, type);
     }
 }
 
@@ -179,27 +158,30 @@ export function spawnSpecificEnemy(type, tier = 'normal', dependencies) {
  *
  * Dependencies:
  * - All dependencies required by spawnSpecificEnemy
+ * - getBossCount: Returns the current boss count
  * - MAX_BOSSES: Maximum number of bosses allowed
  */
 export function spawnBoss(dependencies) {
-    const { getBossCount, MAX_BOSSES } = dependencies;
+    const { getBossCount, MAX_BOSSES, rng = defaultRandom } = dependencies;
 
     if (getBossCount() >= MAX_BOSSES) return;
 
     const bossTypes = ['tank', 'elite', 'magnetic', 'phantom'];
-    const randomBossType = bossTypes[Math.floor(Math.random() * bossTypes.length)];
+    const randomBossType = rng.pick(bossTypes);
     spawnSpecificEnemy(randomBossType, 'boss', dependencies);
 }
 
 /**
  * Gets a weighted random enemy type based on current level
  * @param {number} currentLevel - Current game level
+ * @param {SeededRandom} [rng] - Random source (defaults to unseeded)
  * @returns {string|null} Enemy type to spawn, or null if no types available
  */
-export function getWeightedRandomEnemyType(currentLevel) {
+export function getWeightedRandomEnemyType(currentLevel, rng = defaultRandom) {
     const availableTypes = [];
-    for (const type in enemyUnlockLevels) {
-        if (currentLevel >= enemyUnlockLevels[type]) {
+    for (const type in enemyTypes) {
+        const unlockLevel = enemyTypes[type].unlockLevel;
+        if (unlockLevel !== undefined && currentLevel >= unlockLevel) {
             availableTypes.push(type);
         }
     }
@@ -209,15 +191,16 @@ export function getWeightedRandomEnemyType(currentLevel) {
     const availableWeights = {};
     let currentTotalWeight = 0;
     for (const type of availableTypes) {
-        if (spawnWeights[type]) {
-            availableWeights[type] = spawnWeights[type];
-            currentTotalWeight += spawnWeights[type];
+        const spawnWeight = enemyTypes[type].spawnWeight;
+        if (spawnWeight) {
+            availableWeights[type] = spawnWeight;
+            currentTotalWeight += spawnWeight;
         }
     }
 
     if (currentTotalWeight === 0) return availableTypes[0];
 
-    let rand = Math.random() * currentTotalWeight;
+    let rand = rng.next() * currentTotalWeight;
     for (const type in availableWeights) {
         if (rand < availableWeights[type]) return type;
         rand -= availableWeights[type];
@@ -234,6 +217,7 @@ export function getWeightedRandomEnemyType(currentLevel) {
  * - enemies: Array of active enemies
  * - enemyCounts: Object tracking enemy counts by type
  * - level: Current game level
+ * - getBossCount: Returns the current boss count
  * - MIN_BOX_RATIO: Minimum ratio of box enemies
  */
 export function spawnEnemy(dependencies) {
@@ -242,12 +226,13 @@ export function spawnEnemy(dependencies) {
         enemyCounts,
         level,
         getBossCount,
-        MIN_BOX_RATIO
+        MIN_BOX_RATIO,
+        rng
     } = dependencies;
 
     const nonBossCount = enemies.length - getBossCount();
     const boxCount = enemyCounts['box'] || 0;
-    const typeToSpawn = getWeightedRandomEnemyType(level);
+    const typeToSpawn = getWeightedRandomEnemyType(level, rng);
 
     if (typeToSpawn === null || nonBossCount === 0 || (boxCount / nonBossCount < MIN_BOX_RATIO)) {
         spawnSpecificEnemy('box', false, dependencies);
@@ -264,10 +249,11 @@ export function spawnEnemy(dependencies) {
 /**
  * Check if current wave should spawn a boss
  * @param {number} waveNumber - Current wave number
+ * @param {number} [interval] - Waves between bosses (difficulty rules can shorten it)
  * @returns {boolean} True if this is a boss wave
  */
-export function isBossWave(waveNumber) {
-    return waveNumber > 0 && waveNumber % BOSS_WAVE_INTERVAL === 0;
+export function isBossWave(waveNumber, interval = BOSS_WAVE_INTERVAL) {
+    return waveNumber > 0 && waveNumber % interval === 0;
 }
 
 /**
@@ -282,6 +268,10 @@ export function isBossWave(waveNumber) {
  * - bosses: Array of active bosses
  * - bossUIManager: Boss UI manager instance
  * - bossType: (Optional) Specific boss type to spawn. If not provided, random based on level.
+ * - rng: SeededRandom instance (optional)
+ * - difficulty: Run rules (optional) - boss health and contact damage multipliers
+ * - healthMultiplier: Extra health multiplier, e.g. for campaign final boss stages (optional)
+ * - displayName: Name shown instead of the boss type's name (optional)
  */
 export function spawnNewBoss(dependencies) {
     const {
@@ -291,7 +281,11 @@ export function spawnNewBoss(dependencies) {
         bosses,
         bossUIManager,
         playerCone,
-        bossType: specifiedBossType
+        bossType: specifiedBossType,
+        rng = defaultRandom,
+        difficulty = NORMAL_RULES,
+        healthMultiplier = 1,
+        displayName = null
     } = dependencies;
 
     // Check if we can spawn more bosses
@@ -301,7 +295,7 @@ export function spawnNewBoss(dependencies) {
     }
 
     // Get boss type - use specified type or get random based on player level
-    const bossType = specifiedBossType || getRandomBossType(level);
+    const bossType = specifiedBossType || getRandomBossType(level, rng);
 
     // Handle swarm bosses specially - they use the enemy system
     if (bossType === 'swarm') {
@@ -326,8 +320,8 @@ export function spawnNewBoss(dependencies) {
     let attempts = 0;
 
     do {
-        const x = (Math.random() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 1.8);
-        const z = (Math.random() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 1.8);
+        const x = (rng.next() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 1.8);
+        const z = (rng.next() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 1.8);
         spawnPosition = new THREE.Vector3(x, 100, z); // Spawns high in sky
 
         attempts++;
@@ -355,6 +349,11 @@ export function spawnNewBoss(dependencies) {
         return null;
     }
 
+    boss.maxHealth *= difficulty.enemyHealth * healthMultiplier;
+    boss.health = boss.maxHealth;
+    boss.contactDamage *= difficulty.enemyDamage;
+    if (displayName) boss.displayName = displayName;
+
     // Add to bosses array
     bosses.push(boss);
 
@@ -414,12 +413,17 @@ export function spawnSwarm(dependencies, tier = 'normal') {
         enemyCounts,
         level,
         gameSpeedMultiplier,
-        waveNumber
+        waveNumber,
+        rng = defaultRandom,
+        difficulty = NORMAL_RULES
     } = dependencies;
 
     const proto = enemyPrototypes.swarm;
     if (!proto) return [];
 
+    // Elites-only runs promote every regular swarm
+    if (difficulty.elitesOnly && tier !== 'boss') tier = 'elite';
+
     // Generate unique swarm ID
     const swarmId = `swarm_${Date.now()}_${Math.random()}`;
 
@@ -429,15 +433,15 @@ export function spawnSwarm(dependencies, tier = 'normal') {
 
     if (tier === 'boss') {
         // Boss variant: The Hivemind (20-30 members)
-        memberCount = 20 + Math.floor(Math.random() * 11); // 20-30
+        memberCount = rng.int(20, 30); // 20-30
         mult = { health: 1.5, scale: 1.5, damage: 1.6 }; // Boss swarms are tougher
     } else if (tier === 'elite') {
         // Elite swarm: More members, stronger (10-15 members)
-        memberCount = 10 + Math.floor(Math.random() * 6); // 10-15
+        memberCount = rng.int(10, 15); // 10-15
         mult = TIER_MULTIPLIERS.elite; // 2.5x health, 1.5x scale/damage
     } else {
         // Regular swarm (4-10 members, increases slightly with level)
-        const baseMemberCount = 4 + Math.floor(Math.random() * 7); // 4-10
+        const baseMemberCount = rng.int(4, 10); // 4-10
         const levelBonus = Math.min(Math.floor(level / 5), 3); // +1 member every 5 levels, max +3
         memberCount = baseMemberCount + levelBonus;
         mult = TIER_MULTIPLIERS.normal; // 1x stats
@@ -447,8 +451,8 @@ export function spawnSwarm(dependencies, tier = 'normal') {
     let spawnCenter;
     let attempts = 0;
     do {
-        const x = (Math.random() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2);
-        const z = (Math.random() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2);
+        const x = (rng.next() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2);
+        const z = (rng.next() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2);
         spawnCenter = new THREE.Vector3(x, 5 * mult.scale, z); // Match enemy spawn height
         attempts++;
         if (attempts > 100) {
@@ -470,8 +474,8 @@ export function spawnSwarm(dependencies, tier = 'normal') {
         const z = spawnCenter.z + formationRadius * Math.sin(theta) * Math.sin(phi);
 
         // Calculate health and speed (with tier multipliers)
-        const baseHealth = proto.baseHealth + Math.random() * proto.healthRand + (level * proto.healthLevelScale);
-        const health = baseHealth * mult.health;
+        const baseHealth = proto.baseHealth + rng.next() * proto.healthRand + (level * proto.healthLevelScale);
+        const health = baseHealth * mult.health * difficulty.enemyHealth;
         const baseSpeed = proto.baseSpeed + level * proto.speedLevelScale;
         const speed = baseSpeed * gameSpeedMultiplier;
 
@@ -505,7 +509,7 @@ export function spawnSwarm(dependencies, tier = 'normal') {
             maxHealth: health,
             type: 'swarm',
             radius: 5 * mult.scale,
-            contactDamage: proto.contactDamage * mult.damage,
+            contactDamage: proto.contactDamage * mult.damage * difficulty.enemyDamage,
             isBoss: tier === 'boss',
             isGeometryShared: false,
             hitEffectUntil: null,
@@ -558,7 +562,7 @@ export function spawnSwarm(dependencies, tier = 'normal') {
  * @returns {Array} Array of spawned boss swarm members
  */
 export function spawnBossSwarm(dependencies) {
-    const { getBossCount, setBossCount, MAX_BOSSES } = dependencies;
+    const { getBossCount, changeBossCount, MAX_BOSSES } = dependencies;
 
     if (getBossCount() >= MAX_BOSSES) {
         console.log('Max bosses reached, cannot spawn The Hivemind');
@@ -568,10 +572,9 @@ export function spawnBossSwarm(dependencies) {
     // Spawn boss variant
     const members = spawnSwarm(dependencies, 'boss');
 
-    // Increment boss count (only count once for the whole swarm)
+    // Count the whole swarm as one boss
     if (members.length > 0) {
-        const newCount = getBossCount() + 1;
-        setBossCount(newCount);
+        changeBossCount(1, 'swarm');
     }
 
     return members;
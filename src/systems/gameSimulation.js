@@ -0,0 +1,2835 @@
+/**
+ * Game Simulation
+ * Owns the run state, entities and every per-step gameplay update
+ *
+ * Everything that decides how a run plays out lives here: the arena, the player,
+ * enemies, bosses, combat, relics, gems and waves. It needs a THREE.Scene but no
+ * renderer or DOM, so the same code drives the browser game (main.js) and
+ * headless runs in Node (headless.js).
+ *
+ * Presentation is only reached through optional dependencies. The browser passes
+ * its managers and `ui` callbacks; a headless run leaves them out and resolves
+ * level-up, ability and run shop choices through `chooseUpgrade` / `chooseAbility` /
+ * `chooseShopItem` instead of waiting on a popup.
+ *
+ * Dependencies:
+ * - scene: THREE.Scene to build the arena in (a new one by default)
+ * - rng: SeededRandom for all gameplay rolls
+ * - scheduler: GameScheduler for delayed gameplay actions (a new one by default;
+ *   share it with bossUIManager)
+ * - damageNumberManager: Damage number popups (anything with create())
+ * - bossUIManager: Boss health bars and phase effects (optional)
+ * - relicHealthBars: Health bars over damaged relics, a RelicHealthBarManager (optional)
+ * - trailRenderer: Blaster shot trails (optional)
+ * - camera: Camera the boss health bars face (optional, used with bossUIManager)
+ * - replaySystem: Records or verifies the run (optional, a fresh one by default)
+ * - events: EventBus the run's game events are emitted on (a new one by default)
+ * - healthBarElement: DOM element for the player health bar (optional)
+ * - ui: Presentation callbacks, see DEFAULT_UI (optional)
+ * - chooseUpgrade: (options) => index, resolves level-ups without the popup (optional)
+ * - chooseAbility: (abilityIds) => id, resolves boss rewards without the popup (optional)
+ * - chooseShopItem: (offer) => offer id or null to close, shops between waves without the popup (optional)
+ * - onGameOver: Callback(result) when the run ends: the player died, or won the campaign (optional)
+ */
+
+import * as THREE from 'three';
+
+// ===== Config Imports =====
+import {
+    INITIAL_ENEMY_COUNT,
+    BASE_PLAYER_SPEED,
+    BASE_PLAYER_RADIUS,
+    BASE_ENEMY_PROJECTILE_SPEED,
+    MAX_BOSSES,
+    MIN_BOX_RATIO,
+    RELIC_SPAWN_Y,
+    MAX_RELICS,
+    RELIC_INTERACTION_RADIUS,
+    relicPriority,
+    BOSS_XP_REWARD,
+    ARENA_SIZE,
+    ARENA_HALF_SIZE,
+    ARENA_PLAYABLE_HALF_SIZE,
+    WALL_HEIGHT,
+    WALL_THICKNESS,
+    MORTAR_CONFIG,
+    FIXED_TIMESTEP
+} from '../config/constants.js';
+import enemyPrototypes from '../config/enemyTypes.js';
+import gemTypes from '../config/gemTypes.js';
+import relicInfo from '../config/relicInfo.js';
+import characterClasses, { DEFAULT_CLASS } from '../config/characterClasses.js';
+import gameModes, { DEFAULT_MODE } from '../config/gameModes.js';
+
+// ===== Manager Imports =====
+import ObjectPool from '../managers/ObjectPool.js';
+import SpatialGrid from '../managers/SpatialGrid.js';
+import AreaWarningManager from '../managers/AreaWarningManager.js';
+import AudioManager from '../managers/AudioManager.js';
+
+// ===== System Imports =====
+import { createPlayerStats, resetPlayerStats } from './playerStats.js';
+import { getFrameMovement } from './input.js';
+import { createCombatSystem } from './combat.js';
+import {
+    levelUp,
+    showLevelUpPopup,
+    getUpgradeOptions,
+    applyUpgrade
+} from './progression.js';
+import { spawnEnemy, spawnSpecificEnemy } from './enemySpawning.js';
+import { updateBoss, bossTakeDamage, destroyBoss } from './bossSystem.js';
+import { createGem, handleEnemyDeath } from './gems.js';
+import createRelicCombatStrategies from './relicCombat.js';
+import { createEnemyBehaviors } from './enemyBehaviors.js';
+import { spawnRelic, spawnInitialRelics, scheduleRelicSpawn, restoreRelic, fuseRelics, destroyRelic } from './relicSpawning.js';
+import { createRelicTiers, getRelicParts } from './relicTiers.js';
+import { createRelicPlacement } from './relicPlacement.js';
+import { createRelicSynergies } from './relicSynergies.js';
+import { createRelicRepair } from './relicDefense.js';
+import { createRunShop } from './runShop.js';
+import {
+    createExplosion,
+    createDebris,
+    createGravityVortex,
+    updateGravityVortexEffects,
+    updateTemporaryEffects
+} from './effects.js';
+import { createPlayerAbilitySystem } from './playerAbilities.js';
+import { createWaveManager } from './waveManager.js';
+import { createReplaySystem, CHECKPOINT_INTERVAL } from './replay.js';
+import { createTelemetry } from './telemetry.js';
+import { resolveDifficulty, applyScoreMultiplier, NORMAL_RULES } from './difficulty.js';
+import { createCampaignPlan } from './campaign.js';
+
+// ===== Utility Imports =====
+import { calculateLobTrajectory, createGeometry } from '../utils/helpers.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import EventBus from '../utils/EventBus.js';
+import GameClock from '../utils/GameClock.js';
+import GameScheduler from '../utils/GameScheduler.js';
+
+// Presentation callbacks the simulation reports to. Any subset can be supplied.
+const DEFAULT_UI = {
+    updateScoreUI: () => {},
+    updateLevelUI: () => {},
+    updateWaveUI: () => {},
+    updateStatsUI: () => {},
+    updateExperienceBar: () => {},
+    updateGemCounter: () => {},         // (type, current, required, completed)
+    showAbilitySelection: () => {},     // (abilityIds, onChoose)
+    hideAbilitySelection: () => {},
+    updateRelicPrompt: () => {},        // (prompt) what interacting would do, see relicPlacement.js
+    updateSynergyPanel: () => {},       // (synergies) active relic synergies, see relicSynergies.js
+    updateWallet: () => {},             // (gold) the run's wallet
+    showRunShop: () => {},              // (shop, onClose) the run shop API, see runShop.js
+    hideRunShop: () => {}
+};
+
+// Run start without any permanent upgrades
+const EMPTY_LOADOUT = { statBonuses: {}, relics: [], abilities: [] };
+
+// Distance from the player at which a character class's starting relics are placed
+const CLASS_RELIC_DISTANCE = 45;
+
+/**
+ * Creates a game simulation with its own scene, state and systems
+ * @param {Object} dependencies - See file header
+ * @returns {Object} Simulation API
+ */
+export function createGameSimulation(dependencies = {}) {
+    const {
+        scene = new THREE.Scene(),
+        rng = new SeededRandom(),
+        scheduler = new GameScheduler(),
+        damageNumberManager,
+        bossUIManager = null,
+        relicHealthBars = null,
+        trailRenderer = null,
+        camera = null,
+        replaySystem = createReplaySystem(),
+        events = new EventBus(),
+        healthBarElement = null,
+        chooseUpgrade = null,
+        chooseAbility = null,
+        chooseShopItem = null,
+        onGameOver = () => {}
+    } = dependencies;
+    const ui = { ...DEFAULT_UI, ...dependencies.ui };
+
+    // Simulated time: advances exactly one fixed step per stepSimulation() call
+    const clock = new GameClock();
+
+    // ===== Telemetry =====
+    // Collects the run's balance numbers from the game events
+    const telemetry = createTelemetry({
+        events,
+        getTime: () => clock.getElapsedTime(),
+        getWave: () => waveNumber
+    });
+
+    // ===== THREE.js Scene Setup (lines ~1122-1135) =====
+    scene.background = new THREE.Color(0x38222B);
+
+    // ===== Lighting Setup (lines ~1125-1255) =====
+    const ambientLight = new THREE.AmbientLight(0x9932CC, 0.3);
+    scene.add(ambientLight);
+
+    const moonlight = new THREE.DirectionalLight(0xC0C0C0, 0.3);
+    moonlight.position.set(0, 100, 100);
+    scene.add(moonlight);
+
+    // ===== Ground Plane Setup (lines ~1137-1143) =====
+    const groundGeometry = new THREE.PlaneGeometry(ARENA_SIZE * 2, ARENA_SIZE * 2);
+    const groundMaterial = new THREE.MeshStandardMaterial({
+        color: 0x38222B,
+        side: THREE.DoubleSide,
+        metalness: 0.2,
+        roughness: 0.5,
+        emissive: 0x38222B,
+        emissiveIntensity: 0.6
+    });
+    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+    ground.rotation.x = -Math.PI / 2;
+    ground.receiveShadow = true;
+    scene.add(ground);
+
+    // ===== Arena Walls =====
+    const wallMaterial = new THREE.MeshStandardMaterial({
+        color: 0x8B4513,
+        emissive: 0x5D2E0F,
+        emissiveIntensity: 0.3,
+        metalness: 0.1,
+        roughness: 0.8
+    });
+
+    // Create four walls around the arena
+    // North wall (positive Z)
+    const wallNorthGeometry = new THREE.BoxGeometry(ARENA_SIZE + WALL_THICKNESS * 2, WALL_HEIGHT, WALL_THICKNESS);
+    const wallNorth = new THREE.Mesh(wallNorthGeometry, wallMaterial);
+    wallNorth.position.set(0, WALL_HEIGHT / 2, ARENA_HALF_SIZE + WALL_THICKNESS / 2);
+    wallNorth.castShadow = true;
+    wallNorth.receiveShadow = true;
+    scene.add(wallNorth);
+
+    // South wall (negative Z)
+    const wallSouth = new THREE.Mesh(wallNorthGeometry.clone(), wallMaterial);
+    wallSouth.position.set(0, WALL_HEIGHT / 2, -ARENA_HALF_SIZE - WALL_THICKNESS / 2);
+    wallSouth.castShadow = true;
+    wallSouth.receiveShadow = true;
+    scene.add(wallSouth);
+
+    // East wall (positive X)
+    const wallEastGeometry = new THREE.BoxGeometry(WALL_THICKNESS, WALL_HEIGHT, ARENA_SIZE);
+    const wallEast = new THREE.Mesh(wallEastGeometry, wallMaterial);
+    wallEast.position.set(ARENA_HALF_SIZE + WALL_THICKNESS / 2, WALL_HEIGHT / 2, 0);
+    wallEast.castShadow = true;
+    wallEast.receiveShadow = true;
+    scene.add(wallEast);
+
+    // West wall (negative X)
+    const wallWest = new THREE.Mesh(wallEastGeometry.clone(), wallMaterial);
+    wallWest.position.set(-ARENA_HALF_SIZE - WALL_THICKNESS / 2, WALL_HEIGHT / 2, 0);
+    wallWest.castShadow = true;
+    wallWest.receiveShadow = true;
+    scene.add(wallWest);
+
+    // Initialize AreaWarningManager with ground material
+    AreaWarningManager.init(groundMaterial);
+
+    // ===== Player Setup (lines ~1259-1270) =====
+    // Shape and colors are replaced by the character class when a run starts
+    const playerConeOriginalColor = new THREE.Color(0x00ff00);
+    const playerGeometry = new THREE.ConeGeometry(BASE_PLAYER_RADIUS, 6, 32);
+    const playerMaterial = new THREE.MeshStandardMaterial({
+        color: playerConeOriginalColor,
+        emissive: 0x00ff00,
+        emissiveIntensity: 0.4,
+        toneMapped: false
+    });
+    const playerCone = new THREE.Mesh(playerGeometry, playerMaterial);
+    playerCone.position.set(0, 2, 5);
+    playerCone.castShadow = true;
+    scene.add(playerCone);
+
+    // Add point light to player cone for glow effect
+    const coneLight = new THREE.PointLight(0x00ff00, 0.9, 75);
+    playerCone.add(coneLight);
+
+    // ===== Game State Variables =====
+    let score = 0;
+    let coinsCollected = 0; // Banked as meta currency when the run ends
+    let gold = 0; // The run's wallet: coin gold, spent in the run shop and on relics
+    let bossesKilled = 0;
+    let lastDamageSource = null; // e.g. 'projectile', 'contact:box', 'boss:tank' - reported as cause of death
+    let characterClass = DEFAULT_CLASS; // Key of characterClasses the run is played with
+    let difficulty = NORMAL_RULES; // Rules of the run's difficulty preset and modifiers, see resolveDifficulty()
+    let mode = DEFAULT_MODE; // Key of gameModes the run is played in
+    let campaign = null; // Wave plan of a campaign run, see createCampaignPlan()
+    let level = 1;
+    let experience = 0;
+    let experienceToNextLevel = 20;
+    let playerHealth = 100;
+    let maxEnemies = INITIAL_ENEMY_COUNT;
+    let gameSpeedMultiplier = 1.0;
+    let playerScaleMultiplier = 1.0;
+    let bossCount = 0;
+    let waveNumber = 0; // Track current wave for boss spawning
+    let autoSpawnEnabled = true; // Control enemy auto-spawning (for debug panel)
+    let lastTrickleSpawnTime = 0; // Track time of last trickle spawn
+    let waveJustStarted = false; // Flag to spawn initial wave enemies
+    let isGameOver = false;
+    let isVictory = false; // The run ended by winning the campaign
+    let isGamePaused = false;
+    let isPlayerHit = false;
+    let hitAnimationTime = 0;
+    let healthBarShakeUntil = 0;
+    let playerIsBoosted = false;
+    let accumulatedRegen = 0;
+    let lastRegenNumberTime = 0;
+    let simulationStep = 0; // Index of the next fixed simulation step
+
+    // Every change to the score, the boss count and the choice-screen pause goes through
+    // these: the run state is updated first, then observers get the event
+    function addScore(amount, type) {
+        score += amount;
+        ui.updateScoreUI(score);
+        events.emit('scoreGained', { amount, type });
+    }
+
+    function changeBossCount(change, type) {
+        bossCount += change;
+        events.emit('bossCountChanged', { change, type });
+    }
+
+    function setGamePaused(paused, reason) {
+        isGamePaused = paused;
+        events.emit('pauseChanged', { paused, reason });
+    }
+
+    // ===== Entity Arrays =====
+    const enemies = [];
+    const bosses = []; // New boss system
+    const blasterShots = [];
+    const enemyProjectiles = [];
+    const beams = [];
+    const relics = [];
+    const gems = [];
+    const coins = [];
+    const skeletons = [];
+    const temporaryEffects = [];
+    const gravityWellEffects = [];
+    const damagingAuras = [];
+    const relicProjectiles = [];
+    const relicSpawnQueue = [];
+
+    // Ability system entity arrays
+    const acidGrenades = [];
+    const acidPools = [];
+    const lightningStrikes = [];
+    const spiritWolves = [];
+    const playerShield = { active: false, mesh: null, hp: 0 };
+    const meteorStrikes = [];
+    const voidRifts = [];
+    const timeWarps = [];
+
+    // Enemy tracking
+    const enemyCounts = {
+        box: 0,
+        shooter: 0,
+        tank: 0,
+        berserker: 0,
+        magnetic: 0,
+        elite: 0,
+        phantom: 0
+    };
+
+    // Gem tracking for relic spawning
+    const gemCounts = {
+        damage: { current: 0, required: 3 },
+        speed: { current: 0, required: 3 },
+        attackSpeed: { current: 0, required: 3 },
+        luck: { current: 0, required: 3 },
+        vacuum: { current: 0, required: 3 },
+        crit: { current: 0, required: 3 }
+    };
+
+    // Set AreaWarningManager dependencies (now that arrays are initialized)
+    AreaWarningManager.clock = clock;
+    AreaWarningManager.scene = scene;
+    AreaWarningManager.temporaryEffects = temporaryEffects;
+    AreaWarningManager.createDebris = (position, color, radius) =>
+        createDebris(position, color, radius, scene, temporaryEffects, clock);
+
+    // ===== Player Stats =====
+    const playerStats = createPlayerStats();
+
+    // ===== Player Buffs =====
+    const playerBuffs = {
+        moveSpeedMult: 1.0,
+        damageMult: 1.0,
+        attackSpeedMult: 1.0
+    };
+
+    // ===== Spatial Grid =====
+    const spatialGrid = new SpatialGrid(ARENA_SIZE * 2, ARENA_SIZE * 2, 100);
+
+    // Trail material for blaster shots (only when trails are rendered)
+    let trailMaterial = null;
+    if (trailRenderer) {
+        trailMaterial = trailRenderer.createMaterial();
+        trailMaterial.uniforms.headColor.value.set(0, 1, 1, 1);
+        trailMaterial.uniforms.tailColor.value.set(0, 1, 1, 0);
+        trailMaterial.uniforms.trailWidth.value = 2;
+    }
+
+    // ===== Object Pools =====
+    const objectPools = {
+        blasterShots: new ObjectPool(() => {
+            const shotGeometry = new THREE.SphereGeometry(1, 8, 8);
+            const shotMaterial = new THREE.MeshBasicMaterial({ color: 0x00ffff });
+            const mesh = new THREE.Mesh(shotGeometry, shotMaterial);
+            const trail = trailRenderer ? trailRenderer.createTrail(mesh, trailMaterial) : null;
+            return {
+                mesh,
+                trail,
+                targetPoint: new THREE.Vector3(),
+                initialPosition: new THREE.Vector3(),
+                pierceLeft: 1,
+                hitEnemies: [],
+                source: 'blaster', // Telemetry source of the shot's hits
+                active: false
+            };
+        }, 50, scene),
+
+        enemyProjectiles: new ObjectPool(() => {
+            const projGeometry = new THREE.SphereGeometry(2, 8, 8);
+            const projMaterial = new THREE.MeshBasicMaterial({ color: 0xff00ff });
+            const mesh = new THREE.Mesh(projGeometry, projMaterial);
+            return {
+                mesh,
+                direction: new THREE.Vector3(),
+                speed: BASE_ENEMY_PROJECTILE_SPEED,
+                distanceTraveled: 0,
+                range: 300,
+                radius: 2,
+                source: null, // Telemetry source, e.g. 'enemy:shooter'
+                active: false
+            };
+        }, 100, scene),
+
+        relicProjectiles: new ObjectPool(() => {
+            const projGeometry = new THREE.SphereGeometry(3, 8, 8);
+            const projMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+            const mesh = new THREE.Mesh(projGeometry, projMaterial);
+            return {
+                mesh,
+                direction: new THREE.Vector3(),
+                speed: 5.0,
+                damage: 0,
+                distanceTraveled: 0,
+                range: 300,
+                splashDamage: 0,
+                splashRadius: 0,
+                source: null, // Telemetry source, e.g. 'relic:damage'
+                active: false
+            };
+        }, 50, scene)
+    };
+
+    // Coin sprite material
+    const coinSpriteMaterial = new THREE.SpriteMaterial({
+        color: 0xFFD700
+    });
+
+    // ===== Replay Hooks =====
+    // Outcome tracking for replay verification (reset each run)
+    let lastOutcomeWave = 0;
+    let seenRelics = new WeakSet();
+    let seenBosses = new WeakSet();
+
+    // Level-up popup hooks: record the player's pick, or feed back the recorded one during playback
+    const upgradeChoiceHooks = {
+        onUpgradeChosen: (index, options) => {
+            replaySystem.recordChoice(simulationStep, 'upgrade', index, options.map(option => option.text));
+            events.emit('upgradeChosen', { options, index });
+        },
+        onUpgradeRerolled: (options) => {
+            replaySystem.recordChoice(simulationStep, 'upgrade', 'reroll', options.map(option => option.text));
+        },
+        getReplayChoice: () => replaySystem.nextChoice('upgrade')
+    };
+
+    // ===== Enemy Behaviors =====
+    const enemyBehaviors = createEnemyBehaviors({
+        enemies,
+        enemyPrototypes,
+        playerCone,
+        relics,
+        enemyProjectiles,
+        objectPools,
+        AudioManager,
+        AreaWarningManager,
+        calculateLobTrajectory,
+        rng,
+        getGameSpeedMultiplier: () => gameSpeedMultiplier,
+        getClock: () => clock
+    });
+
+    // ===== Combat System =====
+    const combatSystem = createCombatSystem({
+        scene,
+        clock,
+        spatialGrid,
+        objectPools,
+        damageNumberManager,
+        AudioManager,
+        relicInfo,
+        rng,
+        enemyBehaviors,
+        recordDamageDealt: telemetry.recordDamageDealt,
+        events,
+        createExplosion: (pos, radius) => createExplosion(pos, radius, scene, temporaryEffects, clock),
+        // A relic broken by enemies drops its gems, like any destroyed relic
+        destroyRelic: (relicGroup, index) => destroyRelic(relicGroup, index, getRelicDependencies())
+    });
+
+    // ===== Relic Combat Strategies =====
+    const relicCombatStrategies = createRelicCombatStrategies({
+        scene,
+        spatialGrid,
+        objectPools,
+        beams,
+        relicProjectiles,
+        gravityWellEffects,
+        damagingAuras,
+        damageNumberManager,
+        AudioManager,
+        AreaWarningManager,
+        createGravityVortex: (parent, count, radius, color, isRotated) =>
+            createGravityVortex(parent, count, radius, color, isRotated, gravityWellEffects),
+        getGameSpeedMultiplier: () => gameSpeedMultiplier,
+        getClock: () => clock,
+        recordDamageDealt: telemetry.recordDamageDealt
+    });
+
+    // ===== Relic Tiers =====
+    // Standing at an active relic feeds it gems of its type; max-tier relics fuse into hybrids
+    const relicTiers = createRelicTiers({
+        relics,
+        relicInfo,
+        gemCounts,
+        playerCone,
+        RelicCombatStrategies: relicCombatStrategies,
+        fuseRelics: (first, second) => fuseRelics(first, second, getRelicDependencies()),
+        onGemFed: (type) => ui.updateGemCounter(type, gemCounts[type].current, gemCounts[type].required, false),
+        isRepairing: () => relicRepair.isRepairing(),
+        events,
+        AudioManager
+    });
+
+    // ===== Relic Placement =====
+    // Earned relics land where the player puts them; active relics can be moved for gold
+    const relicPlacement = createRelicPlacement({
+        scene,
+        relics,
+        relicInfo,
+        playerCone,
+        getRelicDependencies,
+        getGold: () => gold,
+        spendGold,
+        onPromptChange: (prompt) => ui.updateRelicPrompt(prompt),
+        events,
+        AudioManager
+    });
+
+    // ===== Relic Synergies =====
+    // Active relics of matching types near each other link up and boost each other
+    const relicSynergies = createRelicSynergies({
+        scene,
+        relics,
+        RelicCombatStrategies: relicCombatStrategies,
+        onSynergiesChange: (synergies) => ui.updateSynergyPanel(synergies),
+        events
+    });
+
+    // ===== Relic Repair =====
+    // Holding the repair action at a damaged relic heals it for gold, or gems of its type
+    const relicRepair = createRelicRepair({
+        relics,
+        playerCone,
+        gemCounts,
+        getGold: () => gold,
+        spendGold,
+        onGemSpent: (type) => ui.updateGemCounter(type, gemCounts[type].current, gemCounts[type].required, false),
+        events,
+        AudioManager
+    });
+
+    // ===== Player Ability System =====
+    const playerAbilitySystem = createPlayerAbilitySystem({
+        scene,
+        spatialGrid,
+        objectPools,
+        AudioManager,
+        clock,
+        AreaWarningManager,
+        rng,
+        events,
+        recordDamageDealt: telemetry.recordDamageDealt
+    });
+
+    // ===== Run Shop =====
+    // Sells rerolls, healing, gems, buffs and cooldown upgrades for gold between waves
+    const runShop = createRunShop({
+        getGold: () => gold,
+        spendGold,
+        getWave: () => waveNumber,
+        getPlayerHealth: () => ({ health: playerHealth, maxHealth: playerStats.maxHealth }),
+        healPlayer,
+        gemCounts,
+        addGems: collectGems,
+        getUnlockedAbilities: () => playerAbilitySystem.getUnlockedAbilities(),
+        setCooldownMultiplier: playerAbilitySystem.setCooldownMultiplier,
+        getClock: () => clock,
+        events
+    });
+
+    // ===== Wave Manager =====
+    const waveManager = createWaveManager({
+        scene,
+        enemies,
+        bosses,
+        enemyPrototypes,
+        playerCone,
+        enemyCounts,
+        getBossCount: () => bossCount,
+        changeBossCount,
+        getLevel: () => level,
+        getGameSpeedMultiplier: () => gameSpeedMultiplier,
+        createGravityVortex: (parent, count, radius, color, isRotated) =>
+            createGravityVortex(parent, count, radius, color, isRotated, gravityWellEffects),
+        gravityWellEffects,
+        bossUIManager,
+        updateWaveUI: ui.updateWaveUI,
+        MAX_BOSSES,
+        MIN_BOX_RATIO,
+        rng,
+        events,
+        getDifficulty: () => difficulty,
+        getCampaign: () => campaign,
+        onCampaignComplete: () => winCampaign(),
+        onIntermission: (wave) => openRunShop(wave)
+    });
+    /**
+     * Updates player position based on the input frame for this step
+     * @param {number} delta - Game delta for this step
+     * @param {Object} inputFrame - Sampled live input or recorded replay frame
+     */
+    function updatePlayerMovement(delta, inputFrame) {
+        // Keyboard + drag movement
+        const movement = getFrameMovement(inputFrame);
+
+        if (movement.length() > 0) {
+            movement.normalize();
+            const speed = BASE_PLAYER_SPEED * playerBuffs.moveSpeedMult * delta * 60;
+            playerCone.position.x += movement.x * speed;
+            playerCone.position.z += movement.y * speed;
+
+            // Keep player in bounds
+            playerCone.position.x = Math.max(-ARENA_PLAYABLE_HALF_SIZE, Math.min(ARENA_PLAYABLE_HALF_SIZE, playerCone.position.x));
+            playerCone.position.z = Math.max(-ARENA_PLAYABLE_HALF_SIZE, Math.min(ARENA_PLAYABLE_HALF_SIZE, playerCone.position.z));
+
+            // Rotate player to face movement direction
+            const angle = Math.atan2(movement.x, movement.y);
+            playerCone.rotation.y = angle;
+        }
+    }
+
+    /**
+     * Updates enemy AI and movement
+     */
+    function updateEnemies(delta) {
+        // ===== WAVE MANAGER SYSTEM =====
+        // New wave management system handles all wave spawning logic
+        if (autoSpawnEnabled) {
+            const currentTime = clock.getElapsedTime();
+            waveManager.update(delta, currentTime);
+
+            // Sync wave number for other systems
+            waveNumber = waveManager.getCurrentWaveNumber();
+        }
+
+        // Update each enemy
+        for (let i = enemies.length - 1; i >= 0; i--) {
+            const enemy = enemies[i];
+
+            // Check if dead
+            if (enemy.health <= 0) {
+                const deathDependencies = {
+                    scene,
+                    skeletons,
+                    coins,
+                    gems,
+                    gemTypes,
+                    enemyCounts,
+                    gravityWellEffects,
+                    coinSpriteMaterial,
+                    playerStats,
+                    addScore,
+                    changeBossCount,
+                    rng,
+                    events
+                };
+                handleEnemyDeath(enemy, deathDependencies);
+                scene.remove(enemy.mesh);
+                enemies.splice(i, 1);
+
+                // Award experience
+                // Boss swarms: only last member gives boss XP
+                const isBossKill = enemy.isBoss && (!enemy.isBossSwarm || enemy.isLastSwarmMember);
+                experience += isBossKill ? 20 : 3;
+                ui.updateExperienceBar(experience, experienceToNextLevel);
+
+                // Check if boss was killed - show ability selection
+                if (isBossKill) {
+                    showAbilitySelectionPopup();
+                }
+
+                // Check for level up
+                checkLevelUp();
+
+                continue;
+            }
+
+            // Add to spatial grid
+            spatialGrid.add(enemy);
+
+            // Reset pull forces
+            enemy.pullForces.set(0, 0, 0);
+
+            // Update hit effect
+            if (enemy.hitEffectUntil && clock.getElapsedTime() > enemy.hitEffectUntil) {
+                enemy.mesh.material.emissive.copy(enemy.initialColor || new THREE.Color(0x000000));
+                enemy.mesh.material.emissiveIntensity = enemy.baseEmissiveIntensity;
+                enemy.hitEffectUntil = null;
+            }
+
+            // Check if enemy is frozen
+            const now = clock.getElapsedTime();
+            const isFrozen = enemy.frozenUntil && now < enemy.frozenUntil;
+
+            if (isFrozen) {
+                // Apply frozen visual effect
+                if (!enemy.wasFrozen) {
+                    enemy.wasFrozen = true;
+                    // Save original colors and rotation
+                    enemy.preFrozenColor = enemy.mesh.material.color.clone();
+                    enemy.preFrozenEmissive = enemy.mesh.material.emissive.clone();
+                    enemy.preFrozenIntensity = enemy.mesh.material.emissiveIntensity;
+                    enemy.frozenRotation = enemy.mesh.rotation.clone();
+                }
+
+                // Apply frost color (cyan tint)
+                enemy.mesh.material.color.setHex(0x88FFFF);
+                enemy.mesh.material.emissive.setHex(0x00FFFF);
+
+                // Pulsing frost animation
+                const pulseSpeed = 3;
+                const pulse = Math.sin(now * pulseSpeed) * 0.5 + 0.5; // 0 to 1
+                enemy.mesh.material.emissiveIntensity = 0.5 + pulse * 0.5; // 0.5 to 1.0
+
+                // Lock rotation
+                if (enemy.frozenRotation) {
+                    enemy.mesh.rotation.copy(enemy.frozenRotation);
+                }
+            } else if (enemy.wasFrozen) {
+                // Restore original appearance
+                enemy.wasFrozen = false;
+                if (enemy.preFrozenColor) {
+                    enemy.mesh.material.color.copy(enemy.preFrozenColor);
+                }
+                if (enemy.preFrozenEmissive) {
+                    enemy.mesh.material.emissive.copy(enemy.preFrozenEmissive);
+                    enemy.mesh.material.emissiveIntensity = enemy.preFrozenIntensity;
+                }
+            }
+
+            // Type-specific AI: movement, attacks and auras (see enemyBehaviors.js)
+            enemyBehaviors.update(enemy, { delta, now, isFrozen });
+
+            // Rotate enemy to face its target (only on Y-axis to prevent tilting into ground)
+            // Skip rotation if frozen (rotation is locked)
+            if (!isFrozen) {
+                const target = enemy.targetRelic ? enemy.targetRelic.ring.position : playerCone.position;
+                const targetPosition = new THREE.Vector3(
+                    target.x,
+                    enemy.mesh.position.y,
+                    target.z
+                );
+                enemy.mesh.lookAt(targetPosition);
+            }
+        }
+    }
+
+    /**
+     * Updates relics (placement, spawning and combat)
+     * @param {number} delta - Game delta for this step
+     * @param {Object} inputFrame - Input of this step (the interact action places and moves relics)
+     */
+    function updateRelics(delta, inputFrame) {
+        const now = clock.getElapsedTime();
+
+        // Place relics from queue, one at a time
+        if (relicSpawnQueue.length > 0 && relics.length < MAX_RELICS && !relicPlacement.isPlacing()) {
+            // Sort queue by priority
+            relicSpawnQueue.sort((a, b) => relicPriority.indexOf(a) - relicPriority.indexOf(b));
+
+            relicPlacement.start(relicSpawnQueue.shift()); // Highest priority
+        }
+
+        // Check player distance to relics for state transitions
+        for (const group of relics) {
+            if (group.state === 'active') continue; // Skip active relics
+
+            const distance = playerCone.position.distanceTo(group.ring.position);
+
+            if (group.state === 'idle' || group.state === 'returning') {
+                if (distance < RELIC_INTERACTION_RADIUS) { // Player is close enough to start converting
+                    if (group.state !== 'lowering') {
+                        group.state = 'lowering';
+                        group.loweringSpeed = 0.1; // Start with a base speed
+                    }
+                }
+            } else if (group.state === 'lowering' || group.state === 'converting') {
+                if (distance > 40) { // Player moved away
+                    group.loweringSpeed = 0; // Reset acceleration speed
+                    group.state = 'returning';
+                }
+            }
+        }
+
+        // Update relic states
+        const LOWERING_ACCELERATION = 0.02; // Progress per second^2
+        const CONVERSION_DURATION = 2.0;   // Seconds
+        const RETURNING_SPEED = 0.3;       // Progress per second (2 seconds to return)
+
+        for (let i = relics.length - 1; i >= 0; i--) {
+            const group = relics[i];
+
+            // Update summoning circle animations
+            const playerDistance = playerCone.position.distanceTo(group.ring.position);
+            const isPlayerInside = playerDistance < RELIC_INTERACTION_RADIUS;
+
+            // Manage circle element visibility based on player presence
+            if (isPlayerInside && (group.state === 'lowering' || group.state === 'converting')) {
+                // Player is inside - show all elements with pulsing
+                const pulseSpeed = 5.0;
+                const pulse = Math.sin(now * pulseSpeed) * 0.3 + 0.7;
+
+                // Show and fade in outer ring (keep bright)
+                if (group.ringOuterMesh && group.ringOuterMesh.material) {
+                    const targetOpacity = 0.8 * pulse;
+                    group.ringOuterMesh.material.opacity = targetOpacity;
+                }
+
+                // Show inner ring
+                if (group.ringInnerMesh) {
+                    group.ringInnerMesh.visible = true;
+                    if (group.ringInnerMesh.material) {
+                        const targetOpacity = 0.5 * pulse;
+                        group.ringInnerMesh.material.opacity = targetOpacity;
+                    }
+                }
+
+                // Show rune circles
+                if (group.runeCircles) {
+                    group.runeCircles.forEach(rune => {
+                        rune.visible = true;
+                        if (rune.material) {
+                            const targetOpacity = 0.6 * pulse;
+                            rune.material.opacity = targetOpacity;
+                        }
+                    });
+                }
+
+                // Show particles
+                if (group.particles) {
+                    group.particles.visible = true;
+                }
+
+                // Spin ring (rotate around Y axis to keep it flat on ground)
+                group.ring.rotation.y += delta * 0.375; // Quarter speed
+
+                // Rotate individual rune circles in opposite direction for mystical effect
+                if (group.runeCircles) {
+                    group.runeCircles.forEach(rune => {
+                        rune.rotation.z += delta * 0.75; // Quarter speed counter-rotation
+                    });
+                }
+            } else {
+                // Player is not inside - hide all except outer ring (static)
+                if (group.ringOuterMesh && group.ringOuterMesh.material) {
+                    // Return outer ring to full opacity (no pulse)
+                    group.ringOuterMesh.material.opacity = 1.0;
+                }
+
+                // Hide inner ring
+                if (group.ringInnerMesh) {
+                    group.ringInnerMesh.visible = false;
+                }
+
+                // Hide rune circles
+                if (group.runeCircles) {
+                    group.runeCircles.forEach(rune => {
+                        rune.visible = false;
+                    });
+                }
+
+                // Hide particles
+                if (group.particles) {
+                    group.particles.visible = false;
+                }
+
+                // Stop rotation when player leaves
+                // Ring stays at current rotation
+            }
+
+            // Update particle system
+            if (group.particles && group.particleVelocities) {
+                const positions = group.particles.geometry.attributes.position.array;
+
+                // Activate particles when converting
+                if (group.state === 'converting' || group.state === 'lowering') {
+                    group.particles.material.opacity = Math.min(0.8, group.particles.material.opacity + delta * 2);
+
+                    // Animate particles spiraling upward
+                    for (let p = 0; p < group.particleVelocities.length; p++) {
+                        const vel = group.particleVelocities[p];
+
+                        // Spiral motion
+                        vel.angle += vel.orbitSpeed * delta;
+                        vel.radius = Math.max(5, vel.radius - delta * 3); // Spiral inward
+
+                        positions[p * 3] = Math.cos(vel.angle) * vel.radius;
+                        positions[p * 3 + 1] += vel.verticalSpeed * delta * 30;
+                        positions[p * 3 + 2] = Math.sin(vel.angle) * vel.radius;
+
+                        // Reset particle if it goes too high
+                        if (positions[p * 3 + 1] > 40) {
+                            positions[p * 3 + 1] = 0;
+                            vel.radius = 5 + Math.random() * 20;
+                        }
+
+                        // Reset if too close to center
+                        if (vel.radius < 5) {
+                            vel.radius = 25;
+                        }
+                    }
+
+                    group.particles.geometry.attributes.position.needsUpdate = true;
+                } else {
+                    // Fade out particles when not converting
+                    group.particles.material.opacity = Math.max(0, group.particles.material.opacity - delta);
+                }
+            }
+
+            // Fade out entire ring after conversion completes
+            if (group.state === 'active') {
+                // Fade out outer ring
+                if (group.ringOuterMesh && group.ringOuterMesh.material) {
+                    group.ringOuterMesh.material.opacity = Math.max(0, group.ringOuterMesh.material.opacity - delta * 2);
+                    // Hide completely when fully faded
+                    if (group.ringOuterMesh.material.opacity <= 0) {
+                        group.ringOuterMesh.visible = false;
+                    }
+                }
+
+                // Hide inner ring and runes immediately when active
+                if (group.ringInnerMesh) {
+                    group.ringInnerMesh.visible = false;
+                }
+                if (group.runeCircles) {
+                    group.runeCircles.forEach(rune => {
+                        rune.visible = false;
+                    });
+                }
+
+                // Hide particles
+                if (group.particles) {
+                    group.particles.visible = false;
+                }
+            }
+
+            if (group.state === 'lowering') {
+                group.loweringSpeed += LOWERING_ACCELERATION * delta;
+                group.animationProgress += group.loweringSpeed * delta;
+                group.animationProgress = Math.min(1, group.animationProgress);
+                group.relic.position.y = group.initialY - (group.initialY - 24) * group.animationProgress;
+
+                if (group.animationProgress >= 1) {
+                    group.state = 'converting';
+                    group.loweringSpeed = 0; // Reset for next time
+                }
+            } else if (group.state === 'converting') {
+                group.conversionProgress += delta / CONVERSION_DURATION;
+                group.conversionProgress = Math.min(1, group.conversionProgress);
+
+                const originalColor = new THREE.Color(relicInfo[group.type].color);
+                const newColor = originalColor.lerp(playerConeOriginalColor, group.conversionProgress);
+                group.relic.material.color.set(newColor);
+                group.relic.material.emissive.set(newColor);
+
+                // Pulse light intensity during conversion
+                const lightPulse = Math.sin(now * 8) * 0.5 + 1.5;
+                if (group.light) {
+                    group.light.intensity = 2 + group.conversionProgress * 3 * lightPulse;
+                }
+
+                if (group.conversionProgress >= 1) {
+                    group.state = 'active';
+                    events.emit('relicActivated', {
+                        relic: group,
+                        type: group.type,
+                        activeCount: relics.filter(relic => relic.state === 'active').length
+                    });
+                    const strategy = relicCombatStrategies[group.type];
+                    if (strategy && strategy.onActivate) {
+                        strategy.onActivate(group);
+                    }
+
+                    // Enhanced completion effect - expanding energy wave
+                    const flashGeometry = new THREE.SphereGeometry(group.radius * 1.5, 16, 16);
+                    const flashMaterial = new THREE.MeshBasicMaterial({
+                        color: playerConeOriginalColor,
+                        transparent: true,
+                        opacity: 0.8
+                    });
+                    const flash = new THREE.Mesh(flashGeometry, flashMaterial);
+                    flash.position.copy(group.relic.position);
+                    scene.add(flash);
+                    temporaryEffects.push({
+                        mesh: flash,
+                        startTime: clock.getElapsedTime(),
+                        duration: 0.6,
+                        type: 'summoningComplete',
+                        initialScale: 1
+                    });
+
+                    // Ground wave effect
+                    const waveGeometry = new THREE.RingGeometry(25, 30, 32);
+                    const waveMaterial = new THREE.MeshBasicMaterial({
+                        color: playerConeOriginalColor,
+                        transparent: true,
+                        opacity: 0.8,
+                        side: THREE.DoubleSide
+                    });
+                    const wave = new THREE.Mesh(waveGeometry, waveMaterial);
+                    wave.position.set(group.ring.position.x, 0.2, group.ring.position.z);
+                    wave.rotation.x = -Math.PI / 2;
+                    scene.add(wave);
+                    temporaryEffects.push({
+                        mesh: wave,
+                        startTime: clock.getElapsedTime(),
+                        duration: 0.8,
+                        type: 'groundWave',
+                        initialScale: 1
+                    });
+
+                    // Burst light effect
+                    if (group.light) {
+                        group.light.intensity = 10;
+                    }
+
+                    AudioManager.play('explosion', 0.7, group.ring.position);
+                }
+            } else if (group.state === 'returning') {
+                group.animationProgress -= RETURNING_SPEED * delta;
+                group.animationProgress = Math.max(0, group.animationProgress);
+                group.conversionProgress -= RETURNING_SPEED * delta;
+                group.conversionProgress = Math.max(0, group.conversionProgress);
+
+                const originalColor = new THREE.Color(relicInfo[group.type].color);
+                const newColor = originalColor.lerp(playerConeOriginalColor, group.conversionProgress);
+                group.relic.material.color.set(newColor);
+                group.relic.material.emissive.set(newColor);
+
+                // Use the same consistent position formula
+                group.relic.position.y = group.initialY - (group.initialY - 24) * group.animationProgress;
+
+                // Hide inner ring, runes, and particles when returning
+                if (group.ringInnerMesh) {
+                    group.ringInnerMesh.visible = false;
+                }
+                if (group.runeCircles) {
+                    group.runeCircles.forEach(rune => {
+                        rune.visible = false;
+                    });
+                }
+                if (group.particles) {
+                    group.particles.visible = false;
+                }
+
+                if (group.animationProgress <= 0) {
+                    group.state = 'idle';
+                    // Ensure outer ring is visible and at full opacity when idle
+                    if (group.ringOuterMesh) {
+                        group.ringOuterMesh.visible = true;
+                        if (group.ringOuterMesh.material) {
+                            group.ringOuterMesh.material.opacity = 1.0;
+                        }
+                    }
+                }
+            } else if (group.state === 'idle') {
+                // Ensure outer ring stays visible and at full opacity in idle state
+                if (group.ringOuterMesh) {
+                    group.ringOuterMesh.visible = true;
+                    if (group.ringOuterMesh.material) {
+                        group.ringOuterMesh.material.opacity = 1.0;
+                    }
+                }
+                // Ensure others stay hidden
+                if (group.ringInnerMesh) {
+                    group.ringInnerMesh.visible = false;
+                }
+                if (group.runeCircles) {
+                    group.runeCircles.forEach(rune => {
+                        rune.visible = false;
+                    });
+                }
+                if (group.particles) {
+                    group.particles.visible = false;
+                }
+            } else if (group.state === 'active') {
+                // Universal active logic (health color)
+                group.relic.position.y = 24;
+                const healthRatio = Math.max(0, group.health / group.maxHealth);
+                const color = new THREE.Color(playerConeOriginalColor).lerp(new THREE.Color(0xff0000), 1 - healthRatio);
+                group.relic.material.color.set(color);
+                group.relic.material.emissive.set(color);
+
+                // Normalize light intensity after conversion burst
+                if (group.light && group.light.intensity > 2) {
+                    group.light.intensity = Math.max(2, group.light.intensity - delta * 15);
+                }
+
+                // Update relic combat behavior
+                const strategy = relicCombatStrategies[group.type];
+                if (strategy && strategy.update) {
+                    strategy.update(group, now, delta);
+                }
+
+                // Rotate relic
+                group.relic.rotation.y += delta * 0.2;
+            }
+        }
+
+        relicRepair.update(delta, inputFrame); // Before feeding, which waits while the player repairs
+        relicTiers.update(delta);
+        relicPlacement.update(delta, inputFrame);
+        relicSynergies.update();
+        if (relicHealthBars) {
+            relicHealthBars.update(relics, playerCone.position);
+        }
+
+        // Update relic projectiles
+        for (let i = relicProjectiles.length - 1; i >= 0; i--) {
+            const proj = relicProjectiles[i];
+            proj.mesh.position.addScaledVector(proj.direction, proj.speed);
+            proj.distanceTraveled += proj.speed;
+
+            // Check collision with enemies
+            let hit = false;
+            for (const enemy of enemies) {
+                if (!enemy.health || enemy.health <= 0) continue;
+
+                if (proj.mesh.position.distanceTo(enemy.mesh.position) < enemy.radius + 3) {
+                    enemy.health -= proj.damage;
+                    telemetry.recordDamageDealt(proj.source, proj.damage);
+                    damageNumberManager.create(enemy.mesh, proj.damage, { isCritical: false });
+
+                    // Splash damage
+                    if (proj.splashRadius > 0) {
+                        createExplosion(enemy.mesh.position, proj.splashRadius, scene, temporaryEffects, clock);
+
+                        for (const other of enemies) {
+                            if (other === enemy || !other.health || other.health <= 0) continue;
+
+                            const dist = enemy.mesh.position.distanceTo(other.mesh.position);
+                            if (dist < proj.splashRadius) {
+                                other.health -= proj.splashDamage;
+                                telemetry.recordDamageDealt(proj.source, proj.splashDamage);
+                                damageNumberManager.create(other.mesh, proj.splashDamage, { isCritical: false });
+                            }
+                        }
+                    }
+
+                    hit = true;
+                    break;
+                }
+            }
+
+            if (hit || proj.distanceTraveled > proj.range) {
+                objectPools.relicProjectiles.release(proj);
+                relicProjectiles.splice(i, 1);
+            }
+        }
+
+        // Update player speed buff
+        playerIsBoosted = false;
+        playerBuffs.moveSpeedMult = 1.0;
+        playerBuffs.damageMult = 1.0;
+        playerBuffs.attackSpeedMult = 1.0;
+
+        for (const relicGroup of relics) {
+            if (relicGroup.state !== 'active') continue;
+            // A hybrid with a Speed Booster parent buffs like one
+            const booster = getRelicParts(relicGroup).find(part => part.type === 'speed');
+            if (booster) {
+                const dist = playerCone.position.distanceTo(relicGroup.relic.position);
+                if (dist < booster.stats.range) {
+                    playerIsBoosted = true;
+                    playerBuffs.moveSpeedMult = booster.stats.buffs.moveSpeed;
+                    playerBuffs.damageMult = booster.stats.buffs.damage;
+                    playerBuffs.attackSpeedMult = booster.stats.buffs.attackSpeed;
+                    break;
+                }
+            }
+        }
+
+        // Buffs bought in the run shop stack on top
+        runShop.applyBuffs(playerBuffs);
+    }
+
+    /**
+     * Adds collected gems to a relic type's counter, earning a relic when it fills
+     * @param {string} type - Gem (relic) type
+     * @param {number} count - Gems collected
+     */
+    function collectGems(type, count) {
+        const gemData = gemCounts[type];
+        if (!gemData) return;
+
+        for (let n = 0; n < count; n++) {
+            gemData.current++;
+
+            // Update gem counter UI (sparkles when a relic is earned)
+            const relicEarned = gemData.current >= gemData.required;
+            ui.updateGemCounter(type, gemData.current, gemData.required, relicEarned);
+
+            // Check if we should spawn a relic
+            if (relicEarned) {
+                scheduleRelicSpawn(type, relicSpawnQueue);
+                gemData.current = 0;
+                gemData.required++;
+            }
+        }
+    }
+
+    /**
+     * Takes gold from the run's wallet
+     * @param {number} amount - Gold spent
+     */
+    function spendGold(amount) {
+        gold -= amount;
+        ui.updateWallet(gold);
+    }
+
+    /**
+     * Restores player health, up to max health
+     * @param {number} amount - Health restored
+     */
+    function healPlayer(amount) {
+        const healed = Math.min(amount, playerStats.maxHealth - playerHealth);
+        if (healed <= 0) return;
+
+        playerHealth += healed;
+        if (healthBarElement) {
+            healthBarElement.style.width = (playerHealth / playerStats.maxHealth) * 100 + '%';
+        }
+        damageNumberManager.create(playerCone, Math.round(healed), { isHeal: true });
+    }
+
+    /**
+     * Updates gems and coins (movement and collection)
+     */
+    function updateGemsAndCoins(delta) {
+        // Update gems
+        for (let i = gems.length - 1; i >= 0; i--) {
+            const gem = gems[i];
+
+            // Attraction to player
+            const distance = playerCone.position.distanceTo(gem.mesh.position);
+            if (distance < playerStats.pickupRadius) {
+                const direction = new THREE.Vector3()
+                    .subVectors(playerCone.position, gem.mesh.position)
+                    .normalize();
+                gem.velocity.add(direction.multiplyScalar(0.3));
+            }
+
+            gem.mesh.position.add(gem.velocity);
+            gem.velocity.multiplyScalar(0.95); // Friction
+            gem.mesh.rotation.y += delta * 0.8;
+
+            // Collection
+            if (distance < playerStats.playerRadius + 2) {
+                // Track gem collection for relic spawning
+                collectGems(gem.type, 1);
+
+                scene.remove(gem.mesh);
+                gem.mesh.geometry.dispose();
+                gem.mesh.material.dispose();
+                gems.splice(i, 1);
+
+                AudioManager.play('pickup', 0.6);
+            }
+        }
+
+        // Update coins
+        for (let i = coins.length - 1; i >= 0; i--) {
+            const coin = coins[i];
+
+            // Attraction to player
+            const distance = playerCone.position.distanceTo(coin.mesh.position);
+
+            // Lock-on system: once in range, coin locks onto player
+            if (!coin.lockedOn && distance < playerStats.coinPickupRadius) {
+                coin.lockedOn = true;
+
+                // Initial push-away effect: coin moves slightly away before accelerating towards player
+                const pushDirection = new THREE.Vector3()
+                    .subVectors(coin.mesh.position, playerCone.position)
+                    .normalize();
+                coin.velocity.add(pushDirection.multiplyScalar(7)); // Small push away
+            }
+
+            // Attract to player if locked on (regardless of distance)
+            if (coin.lockedOn) {
+                const direction = new THREE.Vector3()
+                    .subVectors(playerCone.position, coin.mesh.position)
+                    .normalize();
+                coin.velocity.add(direction.multiplyScalar(0.6)); // Accelerate towards player
+            }
+
+            coin.mesh.position.add(coin.velocity);
+            coin.velocity.multiplyScalar(0.9);
+
+            // Collection
+            if (distance < playerStats.playerRadius + 5) {
+                scene.remove(coin.mesh);
+                coins.splice(i, 1);
+                addScore(10, 'coin');
+                coinsCollected++;
+                gold += coin.gold;
+                ui.updateWallet(gold);
+                AudioManager.play('coin', 0.5);
+            }
+        }
+    }
+
+    /**
+     * Updates skeletons and other decorative effects
+     */
+    function updateSkeletons(delta) {
+        for (let i = skeletons.length - 1; i >= 0; i--) {
+            const skeleton = skeletons[i];
+            const age = (Date.now() - skeleton.createdAt) / 1000;
+
+            if (age > 10.0) {
+                // Fade out over 2 seconds
+                skeleton.mesh.material.opacity = Math.max(0, 1.0 - (age - 10.0) / 2.0);
+
+                if (skeleton.mesh.material.opacity <= 0) {
+                    scene.remove(skeleton.mesh);
+                    if (!skeleton.isGeometryShared) {
+                        skeleton.mesh.geometry.dispose();
+                    }
+                    skeleton.mesh.material.dispose();
+                    skeletons.splice(i, 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Updates health regeneration
+     */
+    function updateHealthRegen(delta) {
+        if (difficulty.noRegen) return;
+        if (playerStats.regenRate > 0 && playerHealth < playerStats.maxHealth) {
+            const healingThisFrame = playerStats.regenRate * delta;
+            playerHealth = Math.min(playerStats.maxHealth, playerHealth + healingThisFrame);
+            if (healthBarElement) {
+                healthBarElement.style.width = (playerHealth / playerStats.maxHealth) * 100 + '%';
+            }
+
+            accumulatedRegen += healingThisFrame;
+            const now = clock.getElapsedTime();
+            if (now - lastRegenNumberTime > 1.0) { // Show number every 1 second
+                if (accumulatedRegen >= 1.0) {
+                    damageNumberManager.create(playerCone, Math.round(accumulatedRegen), { isHeal: true });
+                    accumulatedRegen = 0;
+                    lastRegenNumberTime = now;
+                } else if (accumulatedRegen > 0) {
+                    // Reset timer even if we don't show a number to prevent infinite accumulation on very low regen
+                    lastRegenNumberTime = now;
+                }
+            }
+        }
+    }
+
+    /**
+     * Updates player hit animation
+     */
+    function updatePlayerHitAnimation(delta) {
+        if (isPlayerHit) {
+            hitAnimationTime += delta;
+            const flashInterval = 0.1;
+            const flashCount = Math.floor(hitAnimationTime / flashInterval);
+
+            if (flashCount % 2 === 0) {
+                playerCone.material.emissive.set(0xff0000);
+                playerCone.material.emissiveIntensity = 1.0;
+            } else {
+                playerCone.material.emissive.set(0x00ffff);
+                playerCone.material.emissiveIntensity = 0.5;
+            }
+
+            if (hitAnimationTime > 0.3) {
+                isPlayerHit = false;
+                hitAnimationTime = 0;
+                playerCone.material.emissive.copy(playerConeOriginalColor);
+                playerCone.material.emissiveIntensity = 0.4;
+            }
+        }
+
+        // Health bar shake
+        if (healthBarElement && clock.getElapsedTime() > healthBarShakeUntil) {
+            healthBarElement.parentElement.classList.remove('health-bar-shaking');
+        }
+    }
+
+    /**
+     * Levels up once enough experience is banked. The upgrade pick comes from the
+     * popup, a replay, or chooseUpgrade() in headless runs.
+     */
+    function checkLevelUp() {
+        if (experience < experienceToNextLevel) return;
+
+        const progressionState = {
+            level,
+            experience,
+            experienceToNextLevel,
+            gameSpeedMultiplier,
+            playerScaleMultiplier,
+            maxEnemies,
+            playerStats,
+            playerCone,
+            enemies,
+            playerHealth,
+            damageNumberManager,
+            updateStatsUI: ui.updateStatsUI,
+            updateLevelUI: ui.updateLevelUI,
+            updateExperienceBar: ui.updateExperienceBar,
+            setGamePaused,
+            rng,
+            events,
+            speedCurve: difficulty.speedCurve,
+            getRerolls: runShop.getRerolls,
+            useReroll: runShop.useReroll,
+            ...upgradeChoiceHooks
+        };
+        if (chooseUpgrade) {
+            progressionState.showUpgrades = (state) => {
+                const options = getUpgradeOptions(3, playerStats, rng);
+                const index = chooseUpgrade(options);
+                state.onUpgradeChosen(index, options);
+                if (options[index]) applyUpgrade(options[index], state);
+            };
+        }
+
+        const updates = levelUp(progressionState);
+        level = updates.level;
+        experience = updates.experience;
+        experienceToNextLevel = updates.experienceToNextLevel;
+        gameSpeedMultiplier = updates.gameSpeedMultiplier;
+        playerScaleMultiplier = updates.playerScaleMultiplier;
+        maxEnemies = updates.maxEnemies;
+    }
+
+    /**
+     * Shows the ability selection popup after boss kill
+     */
+    function showAbilitySelectionPopup() {
+        const unownedAbilities = playerAbilitySystem.getUnownedAbilities();
+
+        // If no more abilities to unlock, skip
+        if (unownedAbilities.length === 0) {
+            console.log('All abilities already unlocked!');
+            return;
+        }
+
+        // Randomly select up to 3 abilities to offer
+        const offeredCount = Math.min(3, unownedAbilities.length);
+        const shuffled = rng.shuffle([...unownedAbilities]);
+        const offeredAbilities = shuffled.slice(0, offeredCount);
+        const offeredStep = simulationStep;
+
+        // Headless runs pick immediately, without pausing
+        if (chooseAbility) {
+            const abilityId = chooseAbility(offeredAbilities);
+            replaySystem.recordChoice(offeredStep, 'ability', abilityId, offeredAbilities);
+            playerAbilitySystem.unlockAbility(abilityId);
+            return;
+        }
+
+        setGamePaused(true, 'ability');
+
+        // Show the ability cards
+        ui.showAbilitySelection(offeredAbilities, (abilityId) => {
+            replaySystem.recordChoice(offeredStep, 'ability', abilityId, offeredAbilities);
+            playerAbilitySystem.unlockAbility(abilityId);
+            hideAbilitySelectionPopup();
+            AudioManager.play('powerup', 1.0);
+        });
+
+        // Replays pick the recorded ability once the current step has finished
+        const replayChoice = replaySystem.nextChoice('ability');
+        if (replayChoice !== undefined) {
+            queueMicrotask(() => {
+                playerAbilitySystem.unlockAbility(replayChoice);
+                hideAbilitySelectionPopup();
+            });
+        }
+    }
+
+    /**
+     * Hides the ability selection popup
+     */
+    function hideAbilitySelectionPopup() {
+        ui.hideAbilitySelection();
+        setGamePaused(false, 'ability');
+    }
+
+    /**
+     * Opens the run shop after a cleared wave, if the wallet affords anything in it.
+     * The purchases come from the shop screen, a replay, or chooseShopItem() in
+     * headless runs.
+     * @param {number} wave - The wave that was cleared
+     */
+    function openRunShop(wave) {
+        if (!runShop.hasAffordableItem()) return;
+
+        runShop.open(wave);
+        const offered = runShop.getOffer().map(offer => offer.id);
+        const offeredStep = simulationStep;
+
+        // Headless runs shop immediately, without pausing
+        if (chooseShopItem) {
+            let offerId = chooseShopItem(runShop.getOffer());
+            while (offerId && runShop.buy(offerId)) {
+                offerId = chooseShopItem(runShop.getOffer());
+            }
+            replaySystem.recordChoice(offeredStep, 'shop', runShop.close(), offered);
+            return;
+        }
+
+        setGamePaused(true, 'shop');
+
+        ui.showRunShop(runShop, () => {
+            replaySystem.recordChoice(offeredStep, 'shop', runShop.close(), offered);
+            hideRunShop();
+        });
+
+        // Replays buy the recorded items once the current step has finished
+        const replayChoice = replaySystem.nextChoice('shop');
+        if (replayChoice !== undefined) {
+            queueMicrotask(() => {
+                replayChoice.forEach(offerId => runShop.buy(offerId));
+                runShop.close();
+                hideRunShop();
+            });
+        }
+    }
+
+    /**
+     * Hides the run shop
+     */
+    function hideRunShop() {
+        ui.hideRunShop();
+        setGamePaused(false, 'shop');
+    }
+
+    /**
+     * Checks for game over condition
+     */
+    function checkGameOver() {
+        if (playerHealth <= 0 && !isGameOver) {
+            console.log('GAME OVER - Player died');
+            AudioManager.play('gameOver', 1.0);
+            endRun();
+        }
+    }
+
+    /**
+     * Ends a campaign run as won once the final boss's last stage is defeated
+     */
+    function winCampaign() {
+        if (isGameOver) return;
+
+        console.log('VICTORY - Campaign complete');
+        AudioManager.play('powerup', 1.0);
+        isVictory = true;
+        endRun();
+    }
+
+    /**
+     * Stops the run, announces its result and finishes the recording
+     */
+    function endRun() {
+        isGameOver = true;
+
+        const result = getResult();
+        events.emit('runEnded', { result });
+        if (!replaySystem.isPlaying()) {
+            replaySystem.finishRecording(result);
+        }
+
+        onGameOver(result);
+    }
+
+    /**
+     * @returns {Object} Summary of the current run; score has the difficulty's score
+     *   multiplier applied, baseScore is what was collected
+     */
+    function getResult() {
+        return {
+            seed: rng.getSeed(),
+            score: applyScoreMultiplier(score, difficulty),
+            baseScore: score,
+            coins: coinsCollected,
+            level,
+            wave: waveNumber,
+            bossesKilled,
+            characterClass,
+            difficulty: difficulty.difficulty,
+            modifiers: difficulty.modifiers,
+            scoreMultiplier: difficulty.scoreMultiplier,
+            mode,
+            act: campaign ? campaign.getAct(waveNumber).index + 1 : null,
+            victory: isVictory,
+            abilities: playerAbilitySystem.getUnlockedAbilities(),
+            relics: relics.filter(group => group.state === 'active').map(group => group.type),
+            causeOfDeath: isGameOver && !isVictory ? lastDamageSource : null,
+            steps: simulationStep,
+            duration: clock.getElapsedTime()
+        };
+    }
+
+    /**
+     * @returns {Object} What the adaptive music follows: { isGameOver, inIntermission,
+     *   enemyCount, bossPhase } (bossPhase is the highest phase of any boss alive, or null)
+     */
+    function getMusicState() {
+        return {
+            isGameOver,
+            inIntermission: waveManager.isInIntermission(),
+            enemyCount: enemies.length,
+            bossPhase: bosses.length > 0 ? Math.max(...bosses.map(boss => boss.currentPhase)) : null
+        };
+    }
+
+    /**
+     * Updates all active bosses
+     */
+    function updateBosses(delta) {
+        // Create game state for boss system
+        const gameState = {
+            scene,
+            playerCone,
+            enemies,
+            bosses,
+            spatialGrid,
+            AudioManager,
+            damageNumberManager,
+            bossUIManager,
+            clock,
+            scheduler,
+            enemyProjectiles,
+            objectPools,
+            playerStats,
+            level,
+            waveNumber,
+            // For minion spawning
+            spawnSpecificEnemy,
+            enemyPrototypes,
+            enemyCounts,
+            gameSpeedMultiplier,
+            createGravityVortex: (parent, count, radius, color, isRotated) =>
+                createGravityVortex(parent, count, radius, color, isRotated, gravityWellEffects),
+            gravityWellEffects,
+            rng,
+            events,
+            // Mortar boss dependencies
+            AreaWarningManager,
+            calculateLobTrajectory,
+            MORTAR_CONFIG
+        };
+
+        // Update each boss
+        for (let i = bosses.length - 1; i >= 0; i--) {
+            const boss = bosses[i];
+
+            // Check if boss is dead
+            if (boss.health <= 0) {
+                console.log(`Boss ${boss.bossType} defeated!`);
+                bossesKilled++;
+                events.emit('bossDefeated', { boss, bossType: boss.bossType });
+
+                // Award XP
+                experience += BOSS_XP_REWARD;
+                ui.updateExperienceBar(experience, experienceToNextLevel);
+
+                // Create death explosion
+                createExplosion(boss.mesh.position, 80, scene, temporaryEffects, clock);
+
+                // Drop gems/coins
+                const deathDependencies = {
+                    scene,
+                    skeletons,
+                    coins,
+                    gems,
+                    gemTypes,
+                    enemyCounts,
+                    gravityWellEffects,
+                    coinSpriteMaterial,
+                    playerStats,
+                    addScore,
+                    changeBossCount,
+                    rng,
+                    events
+                };
+
+                // Create fake enemy object for handleEnemyDeath
+                const fakeBossEnemy = {
+                    mesh: boss.mesh,
+                    type: boss.bossType,
+                    isBoss: true,
+                    health: 0
+                };
+                handleEnemyDeath(fakeBossEnemy, deathDependencies);
+
+                // Show ability selection popup (not for the boss that wins the campaign)
+                if (!boss.endsCampaign) {
+                    showAbilitySelectionPopup();
+                }
+
+                // Clean up boss
+                destroyBoss(boss, scene);
+                if (bossUIManager) {
+                    bossUIManager.removeHealthBar(boss.id);
+                }
+                bosses.splice(i, 1);
+
+                // Check for level up
+                checkLevelUp();
+
+                continue;
+            }
+
+            // Update boss
+            updateBoss(boss, gameState, delta);
+
+            // Apply gravity pull from boss to player
+            if (boss.phaseData.behaviors.gravityPull) {
+                const pullForce = playerCone.userData.gravityPull;
+                if (pullForce) {
+                    playerCone.position.add(pullForce);
+                    delete playerCone.userData.gravityPull;
+                }
+
+                // Apply gravity pull damage over time
+                const gravityDamage = playerCone.userData.gravityPullDamage;
+                if (gravityDamage) {
+                    // Apply damage scaled by delta time and armor
+                    const damage = (gravityDamage * delta) * (50 / (50 + playerStats.armor));
+                    playerHealth -= damage;
+                    lastDamageSource = `gravity:${boss.bossType}`;
+                    events.emit('playerDamaged', { amount: damage, source: `boss:${boss.bossType}:gravityPull`, health: playerHealth });
+
+                    // Show damage number every 0.5 seconds to avoid spam
+                    const now = clock.getElapsedTime() * 1000;
+                    if (!boss.lastGravityDamageNumberTime || now - boss.lastGravityDamageNumberTime > 500) {
+                        boss.lastGravityDamageNumberTime = now;
+                        damageNumberManager.create(playerCone, Math.round(damage), { isCritical: false });
+                    }
+
+                    delete playerCone.userData.gravityPullDamage;
+                }
+            }
+
+            // Check contact damage with player
+            const distanceToBoss = boss.mesh.position.distanceTo(playerCone.position);
+            // Handle different geometry types
+            const geomParams = boss.mesh.geometry.parameters;
+            let baseRadius = geomParams?.radius || geomParams?.radiusTop || geomParams?.radiusBottom || 30;
+            const collisionDistance = baseRadius * boss.mesh.scale.x;
+
+            if (distanceToBoss < collisionDistance + 10) {
+                // Apply contact damage with cooldown (1 second between hits)
+                const now = clock.getElapsedTime() * 1000;
+                if (!boss.lastContactDamageTime || now - boss.lastContactDamageTime > 1000) {
+                    boss.lastContactDamageTime = now;
+
+                    // Player hit by boss contact damage
+                    const damage = boss.contactDamage * (50 / (50 + playerStats.armor));
+
+                    playerHealth -= damage;
+                    lastDamageSource = `boss:${boss.bossType}`;
+                    events.emit('playerDamaged', { amount: damage, source: `boss:${boss.bossType}:contact`, health: playerHealth });
+                    damageNumberManager.create(playerCone, damage, { isCritical: false });
+
+                    if (playerHealth <= 0) {
+                        playerHealth = 0;
+                        // Game over will be handled by checkGameOver() in the main loop
+                    }
+
+                    // Visual feedback
+                    isPlayerHit = true;
+                    hitAnimationTime = 0;
+                    healthBarShakeUntil = clock.getElapsedTime() + 0.2;
+                }
+            }
+        }
+
+        // Update boss UI
+        if (bossUIManager) {
+            bossUIManager.update(camera, delta); // Note: delta is actually gameDelta here (passed as parameter)
+        }
+    }
+
+    // ===== Simulation Step =====
+    /**
+     * Advances the game by one fixed step. Everything that affects the outcome of a run
+     * happens here, driven only by the step input frame, the seeded RNG and the game clock,
+     * so feeding a recorded run back through this function reproduces it.
+     * @param {number} stepDelta - Fixed step length in seconds (unscaled)
+     * @param {Object} inputFrame - Input held during this step ({ keys, dragX, dragY })
+     */
+    function stepSimulation(stepDelta, inputFrame) {
+        clock.tick(stepDelta);
+        const gameDelta = stepDelta * gameSpeedMultiplier; // Scale time by game speed
+
+        // Run delayed actions that came due this step (boss telegraphs, hit flashes...)
+        scheduler.update(gameDelta);
+
+        replaySystem.recordFrame(simulationStep, inputFrame);
+
+        // Clear spatial grid
+        spatialGrid.clear();
+
+        // Update enemies first (they populate the spatial grid)
+        updateEnemies(gameDelta);
+
+        // Update bosses
+        updateBosses(gameDelta);
+
+        // Update player
+        updatePlayerMovement(gameDelta, inputFrame);
+
+        // Update player shooting (now enemies are in spatial grid)
+        const shootingState = {
+            playerCone,
+            playerStats,
+            blasterShots,
+            playerBuffs,
+            bosses
+        };
+        combatSystem.updatePlayerShooting(shootingState);
+
+        // Update blaster shots
+        combatSystem.updateBlasterShots({
+            blasterShots,
+            playerStats,
+            playerBuffs,
+            bosses,
+            scheduler,
+            bossTakeDamage
+        });
+
+        // Update player abilities
+        const abilityState = {
+            playerCone,
+            playerStats,
+            enemies,
+            blasterShots,
+            acidGrenades,
+            acidPools,
+            lightningStrikes,
+            spiritWolves,
+            playerShield,
+            meteorStrikes,
+            voidRifts,
+            timeWarps,
+            temporaryEffects,
+            scene,
+            DamageNumberManager: damageNumberManager,
+            AreaWarningManager,
+            isGameOver,
+            isGamePaused
+        };
+        playerAbilitySystem.updateAbilities(abilityState);
+        playerAbilitySystem.updateAcidGrenades(abilityState, gameDelta);
+        playerAbilitySystem.updateAcidPools(abilityState, gameDelta);
+        playerAbilitySystem.updateLightningStrikes(abilityState);
+        playerAbilitySystem.updateSpiritWolves(abilityState, gameDelta);
+        playerAbilitySystem.updateShieldBurst(abilityState, gameDelta);
+        playerAbilitySystem.updateMeteorStrikes(abilityState);
+        playerAbilitySystem.updateVoidRifts(abilityState, gameDelta);
+        playerAbilitySystem.updateTimeWarps(abilityState, gameDelta);
+
+        // Update enemy projectiles
+        const projectileState = {
+            enemyProjectiles,
+            playerCone,
+            playerStats,
+            relics,
+            gameSpeedMultiplier,
+            playerIsBoosted,
+            healthBarElement,
+            playerHealth,
+            isPlayerHit,
+            hitAnimationTime,
+            playerShield,
+            difficulty
+        };
+        combatSystem.updateEnemyProjectiles(projectileState);
+        // Read back updated values
+        playerHealth = projectileState.playerHealth;
+        lastDamageSource = projectileState.lastDamageSource ?? lastDamageSource;
+        isPlayerHit = projectileState.isPlayerHit;
+        hitAnimationTime = projectileState.hitAnimationTime;
+
+        // Update player collision
+        const collisionState = {
+            playerCone,
+            playerStats,
+            relics,
+            playerIsBoosted,
+            healthBarElement,
+            playerHealth,
+            isPlayerHit,
+            hitAnimationTime,
+            healthBarShakeUntil,
+            playerShield
+        };
+        combatSystem.updatePlayerCollision(collisionState);
+        // Read back updated values
+        playerHealth = collisionState.playerHealth;
+        lastDamageSource = collisionState.lastDamageSource ?? lastDamageSource;
+        isPlayerHit = collisionState.isPlayerHit;
+        hitAnimationTime = collisionState.hitAnimationTime;
+        healthBarShakeUntil = collisionState.healthBarShakeUntil;
+
+        // Enemies that target relics walking into them
+        combatSystem.updateRelicCollision({ enemies, relics, playerCone });
+
+        // Update beams
+        combatSystem.updateBeams(beams);
+
+        // Update relics
+        updateRelics(gameDelta, inputFrame);
+
+        // Update gems and coins
+        updateGemsAndCoins(gameDelta);
+
+        // Update skeletons
+        updateSkeletons(gameDelta);
+
+        // Update damaging auras
+        for (let i = damagingAuras.length - 1; i >= 0; i--) {
+            const aura = damagingAuras[i];
+            const now = clock.getElapsedTime();
+
+            // Check if aura has expired
+            if (now >= aura.startTime + aura.duration) {
+                scene.remove(aura.mesh);
+                aura.mesh.geometry.dispose();
+                aura.mesh.material.dispose();
+                damagingAuras.splice(i, 1);
+                continue;
+            }
+
+            // Update aura animation
+            aura.mesh.rotation.y += gameDelta * 2;
+
+            if (now >= aura.nextDamageTick) {
+                const nearbyEnemies = spatialGrid.getNearby({
+                    mesh: { position: aura.position },
+                    radius: aura.radius
+                });
+
+                for (const enemy of nearbyEnemies) {
+                    if (!enemy.health || enemy.health <= 0) continue;
+
+                    const dist = aura.position.distanceTo(enemy.mesh.position);
+                    if (dist < aura.radius) {
+                        const damage = aura.damagePerSecond;
+                        enemy.health -= damage;
+                        telemetry.recordDamageDealt(aura.source, damage);
+                        damageNumberManager.create(enemy.mesh, damage, { isCritical: false });
+                        if (enemy.health > 0) {
+                            AudioManager.play('hit', 0.3, enemy.mesh.position);
+                        }
+                    }
+                }
+
+                aura.nextDamageTick = now + 1.0; // Tick every 1 second
+            }
+        }
+
+        // Update health regeneration
+        updateHealthRegen(gameDelta);
+
+        // Update player hit animation
+        updatePlayerHitAnimation(gameDelta);
+
+        // Update effects
+        updateTemporaryEffects(temporaryEffects, clock, scene, gameDelta);
+        updateGravityVortexEffects(gravityWellEffects, gameDelta);
+
+        // Update managers
+        AreaWarningManager.update(gameDelta);
+        if (trailRenderer) {
+            trailRenderer.update();
+        }
+
+        // Check game over
+        checkGameOver();
+
+        // Capture random outcomes and a state checksum for replay verification
+        recordStepOutcomes();
+        if (simulationStep % CHECKPOINT_INTERVAL === 0) {
+            replaySystem.checkpoint(simulationStep, computeStateChecksum());
+        }
+        simulationStep++;
+    }
+
+    /**
+     * Records wave starts, relic spawns and boss spawns that happened during this step,
+     * and announces new bosses on the event bus
+     */
+    function recordStepOutcomes() {
+        if (waveNumber !== lastOutcomeWave) {
+            lastOutcomeWave = waveNumber;
+            replaySystem.recordOutcome(simulationStep, 'wave', { wave: waveNumber, style: waveManager.getWaveStyle() });
+        }
+
+        for (const group of relics) {
+            if (seenRelics.has(group)) continue;
+            seenRelics.add(group);
+            replaySystem.recordOutcome(simulationStep, 'relic', {
+                type: group.type,
+                x: Math.round(group.ring.position.x * 100) / 100,
+                z: Math.round(group.ring.position.z * 100) / 100
+            });
+        }
+
+        for (const boss of bosses) {
+            if (seenBosses.has(boss)) continue;
+            seenBosses.add(boss);
+            replaySystem.recordOutcome(simulationStep, 'boss', { type: boss.bossType });
+            events.emit('bossSpawned', { boss, bossType: boss.bossType });
+        }
+    }
+
+    /**
+     * Hashes the state a desync would show up in first (RNG position, counts, player)
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    function computeStateChecksum() {
+        const values = [
+            rng.getState(),
+            score,
+            level,
+            enemies.length,
+            bosses.length,
+            relics.length,
+            Math.round(playerCone.position.x * 100),
+            Math.round(playerCone.position.z * 100),
+            Math.round(playerHealth * 100)
+        ];
+        let hash = 0x811c9dc5;
+        for (const value of values) {
+            hash = Math.imul(hash ^ (value | 0), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // ===== Reset Game Function (lines ~3629-3792) =====
+    /**
+     * Clears the arena and starts a new run
+     * @param {Object} [options]
+     * @param {number|string} [options.seed] - Seed for the run (random if omitted)
+     * @param {Object} [options.loadout] - Permanent upgrades to start with (see metaProgression.js)
+     * @param {string} [options.characterClass] - Key of characterClasses to play (default class if omitted)
+     * @param {string} [options.difficulty] - Difficulty preset (default preset if omitted)
+     * @param {string[]} [options.modifiers] - Run modifiers to play with
+     * @param {string} [options.mode] - Key of gameModes to play (endless if omitted)
+     */
+    function resetGame(options = {}) {
+        setMode(options.mode);
+        setCharacterClass(options.characterClass);
+        difficulty = resolveDifficulty(options.difficulty, options.modifiers);
+        clearRun(options.seed ?? SeededRandom.generateSeed());
+        spawnInitialEntities(options.loadout);
+    }
+
+    /**
+     * Puts every piece of run state back to its starting value and empties the arena
+     * @param {number|string} seed - Seed for the new sequence
+     */
+    function clearRun(seed) {
+        // Reset game state
+        score = 0;
+        coinsCollected = 0;
+        gold = 0;
+        bossesKilled = 0;
+        lastDamageSource = null;
+        level = 1;
+        experience = 0;
+        experienceToNextLevel = 20;
+        playerHealth = 100;
+        maxEnemies = INITIAL_ENEMY_COUNT;
+        waveNumber = 0;
+        lastTrickleSpawnTime = 0;
+        waveJustStarted = false;
+        gameSpeedMultiplier = 1.0;
+
+        // Start a new seeded sequence
+        rng.setSeed(seed);
+        console.log(`Run seed: ${rng.getSeed()}`);
+        events.emit('runStarted', { seed: rng.getSeed() });
+
+        // Restart simulated time
+        clock.reset();
+        if (bossUIManager) {
+            bossUIManager.clear(); // Boss effects cancel their scheduled removal, so before the scheduler
+        }
+        scheduler.clear();
+        simulationStep = 0;
+        lastOutcomeWave = 0;
+        seenRelics = new WeakSet();
+        seenBosses = new WeakSet();
+
+        // Reset wave manager
+        waveManager.reset();
+        playerScaleMultiplier = 1.0;
+        bossCount = 0;
+        isGameOver = false;
+        isVictory = false;
+        isGamePaused = false;
+        isPlayerHit = false;
+        hitAnimationTime = 0;
+        healthBarShakeUntil = 0;
+        playerIsBoosted = false;
+        accumulatedRegen = 0;
+        lastRegenNumberTime = 0;
+
+        // Reset player
+        playerCone.position.set(0, 1.5, 0);
+        playerCone.scale.set(1, 1, 1);
+        playerCone.rotation.set(0, 0, 0);
+
+        // Reset player material colors
+        playerCone.material.color.copy(playerConeOriginalColor);
+        playerCone.material.emissive.copy(playerConeOriginalColor);
+        playerCone.material.emissiveIntensity = 0.4;
+
+        // Reset player stats to the class's stat block
+        resetPlayerStats(playerStats, characterClass);
+        ui.updateStatsUI(playerStats);
+
+        // Reset player buffs
+        playerBuffs.moveSpeedMult = 1.0;
+        playerBuffs.damageMult = 1.0;
+        playerBuffs.attackSpeedMult = 1.0;
+
+        // Reset UI
+        ui.updateScoreUI(score);
+        ui.updateWallet(gold);
+        ui.updateLevelUI(level);
+        ui.updateWaveUI(waveNumber);
+        ui.updateExperienceBar(experience, experienceToNextLevel);
+        if (healthBarElement) {
+            healthBarElement.style.width = '100%';
+            healthBarElement.parentElement.classList.remove('health-bar-shaking');
+        }
+
+        // Clear all entities
+        for (const enemy of enemies) {
+            scene.remove(enemy.mesh);
+            if (enemy.wireframe) enemy.mesh.remove(enemy.wireframe);
+            if (!enemy.isGeometryShared && enemy.mesh.geometry) enemy.mesh.geometry.dispose();
+            if (enemy.mesh.material) enemy.mesh.material.dispose();
+            if (enemy.gravityEffect) {
+                scene.remove(enemy.gravityEffect.mesh);
+            }
+        }
+        enemies.length = 0;
+
+        // Clear all bosses
+        for (const boss of bosses) {
+            destroyBoss(boss, scene);
+            if (bossUIManager) {
+                bossUIManager.removeHealthBar(boss.id);
+            }
+        }
+        bosses.length = 0;
+
+        for (const shot of blasterShots) {
+            if (shot.trail) shot.trail.deactivate();
+            objectPools.blasterShots.release(shot);
+        }
+        blasterShots.length = 0;
+
+        for (const proj of enemyProjectiles) {
+            objectPools.enemyProjectiles.release(proj);
+        }
+        enemyProjectiles.length = 0;
+
+        for (const beam of beams) {
+            scene.remove(beam.mesh);
+            beam.mesh.geometry.dispose();
+            beam.mesh.material.dispose();
+        }
+        beams.length = 0;
+
+        for (const relicGroup of relics) {
+            scene.remove(relicGroup.relic);
+            relicGroup.relic.geometry.dispose();
+            relicGroup.relic.material.dispose();
+            if (relicGroup.aura) {
+                scene.remove(relicGroup.aura);
+                relicGroup.aura.geometry.dispose();
+                relicGroup.aura.material.dispose();
+            }
+            if (relicGroup.gravityEffect) {
+                scene.remove(relicGroup.gravityEffect.mesh);
+            }
+            if (relicGroup.auraVisual) {
+                relicGroup.relic.remove(relicGroup.auraVisual);
+                relicGroup.auraVisual.geometry.dispose();
+                relicGroup.auraVisual.material.dispose();
+            }
+            // Clean up summoning circle ring group and all its children
+            if (relicGroup.ring) {
+                relicGroup.ring.traverse((child) => {
+                    if (child.geometry) child.geometry.dispose();
+                    if (child.material) child.material.dispose();
+                });
+                scene.remove(relicGroup.ring);
+            }
+            // Clean up particles
+            if (relicGroup.particles) {
+                relicGroup.particles.geometry.dispose();
+                relicGroup.particles.material.dispose();
+                scene.remove(relicGroup.particles);
+            }
+            // Clean up light
+            if (relicGroup.light) {
+                scene.remove(relicGroup.light);
+            }
+        }
+        relics.length = 0;
+        relicPlacement.reset();
+        relicSynergies.reset();
+        relicRepair.reset();
+        runShop.reset();
+        if (relicHealthBars) {
+            relicHealthBars.clear();
+        }
+
+        for (const gem of gems) {
+            scene.remove(gem.mesh);
+            gem.mesh.geometry.dispose();
+            gem.mesh.material.dispose();
+        }
+        gems.length = 0;
+
+        for (const coin of coins) {
+            scene.remove(coin.mesh);
+        }
+        coins.length = 0;
+
+        for (const skeleton of skeletons) {
+            scene.remove(skeleton.mesh);
+            skeleton.mesh.geometry.dispose();
+            skeleton.mesh.material.dispose();
+        }
+        skeletons.length = 0;
+
+        for (const effect of temporaryEffects) {
+            scene.remove(effect.mesh);
+            effect.mesh.geometry.dispose();
+            effect.mesh.material.dispose();
+        }
+        temporaryEffects.length = 0;
+
+        for (const effect of gravityWellEffects) {
+            scene.remove(effect.mesh);
+        }
+        gravityWellEffects.length = 0;
+
+        damagingAuras.length = 0;
+
+        for (const proj of relicProjectiles) {
+            objectPools.relicProjectiles.release(proj);
+        }
+        relicProjectiles.length = 0;
+
+        // Clear ability entities
+        for (const grenade of acidGrenades) {
+            scene.remove(grenade.mesh);
+            grenade.mesh.geometry.dispose();
+            grenade.mesh.material.dispose();
+        }
+        acidGrenades.length = 0;
+
+        for (const pool of acidPools) {
+            scene.remove(pool.mesh);
+            pool.mesh.geometry.dispose();
+            pool.mesh.material.dispose();
+        }
+        acidPools.length = 0;
+
+        lightningStrikes.length = 0;
+
+        // Clear spirit wolves
+        for (const wolf of spiritWolves) {
+            scene.remove(wolf.mesh);
+            wolf.mesh.geometry.dispose();
+            wolf.mesh.material.dispose();
+        }
+        spiritWolves.length = 0;
+
+        // Clear player shield
+        if (playerShield.active && playerShield.mesh) {
+            scene.remove(playerShield.mesh);
+            playerShield.mesh.geometry.dispose();
+            playerShield.mesh.material.dispose();
+        }
+        playerShield.active = false;
+        playerShield.mesh = null;
+        playerShield.hp = 0;
+
+        // Clear meteor strikes
+        for (const meteor of meteorStrikes) {
+            if (meteor.mesh) {
+                scene.remove(meteor.mesh);
+                meteor.mesh.geometry.dispose();
+                meteor.mesh.material.dispose();
+                // Dispose trail too
+                if (meteor.mesh.children.length > 0) {
+                    meteor.mesh.children.forEach(child => {
+                        if (child.geometry) child.geometry.dispose();
+                        if (child.material) child.material.dispose();
+                    });
+                }
+            }
+        }
+        meteorStrikes.length = 0;
+
+        // Clear void rifts
+        for (const rift of voidRifts) {
+            scene.remove(rift.mesh);
+            rift.mesh.geometry.dispose();
+            rift.mesh.material.dispose();
+        }
+        voidRifts.length = 0;
+
+        // Clear time warps
+        for (const warp of timeWarps) {
+            // Restore enemy speeds
+            if (warp.affectedEnemies) {
+                warp.affectedEnemies.forEach(enemy => {
+                    if (enemy && enemy.originalSpeed !== undefined) {
+                        enemy.speed = enemy.originalSpeed;
+                        delete enemy.originalSpeed;
+                        delete enemy.inTimeWarp;
+                    }
+                });
+            }
+            scene.remove(warp.mesh);
+            warp.mesh.geometry.dispose();
+            warp.mesh.material.dispose();
+        }
+        timeWarps.length = 0;
+
+        // Reset abilities on game restart
+        playerAbilitySystem.devClearAbilities();
+
+        // Reset enemy counts
+        for (const key in enemyCounts) {
+            enemyCounts[key] = 0;
+        }
+
+        // Reset gem counts
+        for (const type in gemCounts) {
+            gemCounts[type].current = 0;
+            gemCounts[type].required = 3;
+            ui.updateGemCounter(type, gemCounts[type].current, gemCounts[type].required, false);
+        }
+
+        // Reset managers
+        spatialGrid.clear();
+        // Clear damage numbers manually
+        if (damageNumberManager.activeNumbers) {
+            damageNumberManager.activeNumbers.forEach(num => {
+                if (num.pooledSprite && num.pooledSprite.sprite) {
+                    scene.remove(num.pooledSprite.sprite);
+                    damageNumberManager.pool.push(num.pooledSprite);
+                }
+            });
+            damageNumberManager.activeNumbers.length = 0;
+        }
+        AreaWarningManager.warnings.length = 0;
+
+        // Reset combat system
+        combatSystem.setLastShotTime(0);
+    }
+
+    /**
+     * Dependencies for spawning or restoring relics
+     */
+    function getRelicDependencies() {
+        return {
+            scene,
+            relics,
+            relicInfo,
+            playerCone,
+            relicPriority,
+            playerStats,
+            level,
+            RELIC_SPAWN_Y,
+            MAX_RELICS,
+            createGem: (gemType, position) => createGem(gemType, position, {
+                scene,
+                gems,
+                gemTypes,
+                rng
+            }),
+            RelicCombatStrategies: relicCombatStrategies,
+            gravityWellEffects,
+            relicSpawnQueue,
+            rng
+        };
+    }
+
+    /**
+     * Applies the permanent upgrades bought between runs
+     * @param {Object} loadout - { statBonuses, relics, abilities }
+     */
+    function applyLoadout(loadout) {
+        for (const stat in loadout.statBonuses) {
+            if (stat in playerStats) {
+                playerStats[stat] += loadout.statBonuses[stat];
+            }
+        }
+        playerHealth = playerStats.maxHealth;
+        ui.updateStatsUI(playerStats);
+
+        for (const abilityId of loadout.abilities) {
+            playerAbilitySystem.unlockAbility(abilityId);
+        }
+    }
+
+    /**
+     * Sets the game mode of the next run; campaign runs get their wave plan
+     * @param {string|null} [modeId] - Key of gameModes (default mode if omitted)
+     */
+    function setMode(modeId) {
+        modeId = modeId ?? DEFAULT_MODE;
+        if (!gameModes[modeId]) {
+            console.warn(`[Simulation] Unknown game mode '${modeId}', using '${DEFAULT_MODE}'`);
+            modeId = DEFAULT_MODE;
+        }
+        mode = modeId;
+        campaign = mode === 'campaign' ? createCampaignPlan() : null;
+    }
+
+    /**
+     * Switches the player to a character class: shape, colors and stat block.
+     * Its starting abilities and relics are handed out by spawnInitialEntities().
+     * @param {string|null} [classId] - Key of characterClasses (default class if omitted)
+     */
+    function setCharacterClass(classId) {
+        classId = classId ?? DEFAULT_CLASS;
+        if (!characterClasses[classId]) {
+            console.warn(`[Simulation] Unknown character class '${classId}', using '${DEFAULT_CLASS}'`);
+            classId = DEFAULT_CLASS;
+        }
+        characterClass = classId;
+
+        const { mesh } = characterClasses[classId];
+        playerCone.geometry.dispose();
+        playerCone.geometry = createGeometry(mesh.geometry);
+        playerConeOriginalColor.set(mesh.color);
+        playerCone.material.color.copy(playerConeOriginalColor);
+        playerCone.material.emissive.copy(playerConeOriginalColor);
+        coneLight.color.copy(playerConeOriginalColor);
+
+        resetPlayerStats(playerStats, classId);
+    }
+
+    /**
+     * Gives the player the class's starting abilities and places its relics,
+     * already converted, in a ring around the start position
+     * @param {Object} relicDependencies - From getRelicDependencies()
+     */
+    function applyClassKit(relicDependencies) {
+        const classInfo = characterClasses[characterClass];
+
+        for (const abilityId of classInfo.abilities) {
+            playerAbilitySystem.unlockAbility(abilityId);
+        }
+
+        classInfo.relics.forEach((type, index) => {
+            const angle = (index / classInfo.relics.length) * Math.PI * 2;
+            restoreRelic({
+                type,
+                x: playerCone.position.x + Math.cos(angle) * CLASS_RELIC_DISTANCE,
+                z: playerCone.position.z + Math.sin(angle) * CLASS_RELIC_DISTANCE,
+                active: true
+            }, relicDependencies);
+        });
+    }
+
+    /**
+     * Spawns the opening relics and enemies of a run and starts recording it
+     * @param {Object} [loadout] - Permanent upgrades to start with
+     */
+    function spawnInitialEntities(loadout) {
+        loadout = { ...EMPTY_LOADOUT, ...loadout };
+        applyLoadout(loadout);
+
+        // Spawn initial relics, the class's relics, then the starting relics bought between runs
+        const relicDependencies = getRelicDependencies();
+        spawnInitialRelics(relicDependencies);
+        applyClassKit(relicDependencies);
+        for (const type of loadout.relics) {
+            spawnRelic(type, true, relicDependencies);
+        }
+
+        // Spawn initial enemies
+        const enemyDependencies = {
+            scene,
+            enemies,
+            enemyPrototypes,
+            playerCone,
+            enemyCounts,
+            getBossCount: () => bossCount,
+            changeBossCount,
+            level,
+            gameSpeedMultiplier,
+            createGravityVortex: (parent, count, radius, color, isRotated) =>
+                createGravityVortex(parent, count, radius, color, isRotated, gravityWellEffects),
+            gravityWellEffects,
+            MAX_BOSSES,
+            MIN_BOX_RATIO,
+            rng,
+            difficulty
+        };
+
+        for (let i = 0; i < INITIAL_ENEMY_COUNT; i++) {
+            spawnEnemy(enemyDependencies);
+        }
+
+        // Record the new run unless it was started to watch a replay
+        if (!replaySystem.isPlaying()) {
+            replaySystem.startRecording({
+                seed: rng.getSeed(),
+                timestep: FIXED_TIMESTEP,
+                loadout,
+                characterClass,
+                difficulty: difficulty.difficulty,
+                modifiers: difficulty.modifiers,
+                mode
+            });
+        }
+    }
+
+    // ===== Save / Resume =====
+    /**
+     * Captures everything needed to continue the run later as plain JSON data.
+     * Enemies, bosses and projectiles are left out; a resumed run restarts the
+     * saved wave with a fresh spawn. A relic still being placed is saved as queued,
+     * or where it was picked up if it was being moved.
+     * @returns {Object} Run snapshot
+     */
+    function serialize() {
+        const savedGems = {};
+        for (const type in gemCounts) {
+            savedGems[type] = { ...gemCounts[type] };
+        }
+        const placing = relicPlacement.getPending();
+
+        return {
+            seed: rng.getSeed(),
+            rngState: rng.getState(),
+            mode,
+            characterClass,
+            difficulty: difficulty.difficulty,
+            modifiers: difficulty.modifiers,
+            score,
+            coins: coinsCollected,
+            gold,
+            bossesKilled,
+            level,
+            experience,
+            experienceToNextLevel,
+            playerHealth,
+            maxEnemies,
+            gameSpeedMultiplier,
+            playerScaleMultiplier,
+            wave: waveNumber,
+            player: { x: playerCone.position.x, z: playerCone.position.z },
+            playerStats: { ...playerStats },
+            abilities: playerAbilitySystem.getUnlockedAbilities(),
+            relics: relics.map(group => ({
+                type: group.type,
+                x: group.relic.position.x,
+                z: group.relic.position.z,
+                health: group.health,
+                maxHealth: group.maxHealth,
+                active: group.state === 'active',
+                tier: group.tier,
+                tierProgress: group.tierProgress,
+                fusedTypes: group.fusedTypes || null
+            })).concat(placing && placing.savedRelic ? [{ ...placing.savedRelic }] : []),
+            relicSpawnQueue: placing && !placing.savedRelic
+                ? [placing.type, ...relicSpawnQueue]
+                : [...relicSpawnQueue],
+            gemCounts: savedGems,
+            shop: runShop.serialize()
+        };
+    }
+
+    /**
+     * Continues a run from a snapshot taken with serialize()
+     * @param {Object} snapshot - Saved run
+     */
+    function restore(snapshot) {
+        setMode(snapshot.mode);
+        setCharacterClass(snapshot.characterClass);
+        difficulty = resolveDifficulty(snapshot.difficulty, snapshot.modifiers);
+        clearRun(snapshot.seed);
+        rng.setState(snapshot.rngState);
+
+        // A resumed run can't be reproduced from its seed, so it isn't recorded
+        replaySystem.discardRecording();
+
+        score = snapshot.score;
+        coinsCollected = snapshot.coins ?? 0;
+        gold = snapshot.gold ?? 0;
+        bossesKilled = snapshot.bossesKilled ?? 0;
+        level = snapshot.level;
+        experience = snapshot.experience;
+        experienceToNextLevel = snapshot.experienceToNextLevel;
+        maxEnemies = snapshot.maxEnemies;
+        gameSpeedMultiplier = snapshot.gameSpeedMultiplier;
+        playerScaleMultiplier = snapshot.playerScaleMultiplier;
+
+        Object.assign(playerStats, snapshot.playerStats);
+        playerHealth = Math.min(snapshot.playerHealth, playerStats.maxHealth);
+
+        playerCone.position.set(snapshot.player.x, 1.5, snapshot.player.z);
+        playerCone.scale.set(playerScaleMultiplier, playerScaleMultiplier, playerScaleMultiplier);
+
+        for (const abilityId of snapshot.abilities) {
+            playerAbilitySystem.unlockAbility(abilityId);
+        }
+        if (snapshot.shop) {
+            runShop.restore(snapshot.shop);
+        }
+
+        for (const type in snapshot.gemCounts) {
+            if (gemCounts[type]) {
+                Object.assign(gemCounts[type], snapshot.gemCounts[type]);
+            }
+        }
+
+        const relicDependencies = getRelicDependencies();
+        for (const savedRelic of snapshot.relics) {
+            restoreRelic(savedRelic, relicDependencies);
+        }
+        relicSpawnQueue.push(...snapshot.relicSpawnQueue);
+
+        // The saved wave starts over on the next step
+        waveManager.resumeAt(snapshot.wave);
+        waveNumber = snapshot.wave;
+
+        ui.updateStatsUI(playerStats);
+        ui.updateScoreUI(score);
+        ui.updateWallet(gold);
+        ui.updateLevelUI(level);
+        ui.updateWaveUI(waveNumber);
+        ui.updateExperienceBar(experience, experienceToNextLevel);
+        for (const type in gemCounts) {
+            ui.updateGemCounter(type, gemCounts[type].current, gemCounts[type].required, false);
+        }
+        if (healthBarElement) {
+            healthBarElement.style.width = (playerHealth / playerStats.maxHealth) * 100 + '%';
+        }
+
+        console.log(`Resumed run ${snapshot.seed} at wave ${snapshot.wave}, level ${level}`);
+    }
+
+    /**
+     * Starts the first run on the freshly built arena
+     * @param {Object} [options]
+     * @param {number|string} [options.seed] - Seed for the run (keeps the injected rng's seed if omitted)
+     * @param {Object} [options.loadout] - Permanent upgrades to start with
+     * @param {string} [options.characterClass] - Key of characterClasses to play (default class if omitted)
+     * @param {string} [options.difficulty] - Difficulty preset (default preset if omitted)
+     * @param {string[]} [options.modifiers] - Run modifiers to play with
+     * @param {string} [options.mode] - Key of gameModes to play (endless if omitted)
+     */
+    function start(options = {}) {
+        if (options.seed !== undefined) {
+            rng.setSeed(options.seed);
+            console.log(`Run seed: ${rng.getSeed()}`);
+        }
+        setMode(options.mode);
+        setCharacterClass(options.characterClass);
+        difficulty = resolveDifficulty(options.difficulty, options.modifiers);
+        ui.updateStatsUI(playerStats);
+        ui.updateScoreUI(score);
+        ui.updateWallet(gold);
+        ui.updateLevelUI(level);
+        // Wave UI will update automatically when first wave starts (waveNumber increments from 0 to 1)
+        ui.updateExperienceBar(experience, experienceToNextLevel);
+        for (const type in gemCounts) {
+            ui.updateGemCounter(type, gemCounts[type].current, gemCounts[type].required, false);
+        }
+
+        spawnInitialEntities(options.loadout);
+    }
+
+    /**
+     * Builds the game state object the debug panel works on
+     * @param {Object} extra - Additional entries (camera, renderer, ...)
+     * @returns {Object} Live view of the simulation state with getters/setters
+     */
+    function createDebugState(extra = {}) {
+        return {
+            ...extra,
+            // Three.js
+            scene,
+            clock,
+            rng,
+
+            // Player
+            playerCone,
+            playerStats,
+            playerBuffs,
+            get playerHealth() { return playerHealth; },
+            set playerHealth(val) { playerHealth = val; },
+
+            // Game state
+            get level() { return level; },
+            set level(val) { level = val; },
+            get experience() { return experience; },
+            set experience(val) { experience = val; },
+            get experienceToNextLevel() { return experienceToNextLevel; },
+            set experienceToNextLevel(val) { experienceToNextLevel = val; },
+            get score() { return score; },
+            set score(val) { score = val; },
+            get waveNumber() { return waveNumber; },
+            set waveNumber(val) { waveNumber = val; },
+            get maxEnemies() { return maxEnemies; },
+            set maxEnemies(val) { maxEnemies = val; },
+            get gameSpeedMultiplier() { return gameSpeedMultiplier; },
+            set gameSpeedMultiplier(val) { gameSpeedMultiplier = val; },
+            get bossCount() { return bossCount; },
+            set bossCount(val) { bossCount = val; },
+            changeBossCount,
+            get autoSpawnEnabled() { return autoSpawnEnabled; },
+            set autoSpawnEnabled(val) { autoSpawnEnabled = val; },
+            maxRelics: MAX_RELICS,
+            MAX_RELICS: MAX_RELICS,
+            RELIC_SPAWN_Y: RELIC_SPAWN_Y,
+
+            // Entity arrays
+            enemies,
+            bosses,
+            relics,
+            relicSpawnQueue,
+            gems,
+            coins,
+            blasterShots,
+            enemyProjectiles,
+            relicProjectiles,
+            temporaryEffects,
+            gravityWellEffects,
+            beams,
+
+            // Entity tracking
+            enemyCounts,
+            gemCounts,
+
+            // Managers
+            spatialGrid,
+            damageNumberManager,
+            bossUIManager,
+
+            // Systems
+            abilitySystem: playerAbilitySystem,
+            waveManager: waveManager,
+            telemetry,
+            events,
+
+            // Config
+            enemyPrototypes,
+            gemTypes,
+            relicInfo,
+
+            // Functions
+            createGravityVortex: (parent, count, radius, color, isRotated) =>
+                createGravityVortex(parent, count, radius, color, isRotated, gravityWellEffects),
+            destroyBoss: destroyBoss,
+            levelUp: () => levelUp({
+                level,
+                experience,
+                experienceToNextLevel,
+                playerStats,
+                rng,
+                showLevelUpPopup: () => showLevelUpPopup({ playerStats, rng, setGamePaused })
+            }),
+            updateStatsUI: () => ui.updateStatsUI(playerStats),
+            updateScoreUI: () => ui.updateScoreUI(score),
+            updateLevelUI: () => ui.updateLevelUI(level),
+            updateExperienceBar: () => ui.updateExperienceBar(experience, experienceToNextLevel)
+        };
+    }
+
+    return {
+        step: stepSimulation,
+        start,
+        reset: resetGame,
+        serialize,
+        restore,
+        getResult,
+        getMusicState,
+        getStep: () => simulationStep,
+        isGameOver: () => isGameOver,
+        isPaused: () => isGamePaused,
+        createDebugState,
+        scene,
+        clock,
+        playerCone,
+        abilitySystem: playerAbilitySystem,
+        telemetry,
+        events
+    };
+}
@@ -14,9 +14,11 @@
  * - gravityWellEffects: Array of active gravity well effects
  * - coinSpriteMaterial: Material for coin sprites
  * - playerStats: Player statistics object (for luck)
+ * - rng: SeededRandom instance for drop rolls (optional)
  */
 
 import * as THREE from 'three';
+import { defaultRandom } from '../utils/SeededRandom.js';
 
 // Enemy to gem type mapping
 const enemyGemMapping = {
@@ -40,9 +42,10 @@ const enemyGemMapping = {
  * - scene: THREE.Scene to add gem meshes
  * - gems: Array of active gems
  * - gemTypes: Configuration for gem types
+ * - rng: SeededRandom instance for scatter offset (optional)
  */
 export function createGem(gemType, position, dependencies) {
-    const { scene, gems, gemTypes } = dependencies;
+    const { scene, gems, gemTypes, rng = defaultRandom } = dependencies;
 
     const gemInfo = gemTypes[gemType];
     if (!gemInfo) {
@@ -58,7 +61,7 @@ export function createGem(gemType, position, dependencies) {
     const wireframe = new THREE.LineSegments(wireframeGeometry, wireframeMaterial);
     gem.add(wireframe);
 
-    gem.position.copy(position).add(new THREE.Vector3(Math.random() * 10 - 5, 0, Math.random() * 10 - 5));
+    gem.position.copy(position).add(new THREE.Vector3(rng.range(-5, 5), 0, rng.range(-5, 5)));
     gem.position.y = 2;
     scene.add(gem);
     gems.push({ mesh: gem, type: gemType, velocity: new THREE.Vector3() });
@@ -76,12 +79,13 @@ export function createGem(gemType, position, dependencies) {
  * - gems: Array of active gems
  * - gemTypes: Configuration for gem types
  * - enemyCounts: Object tracking enemy counts by type
- * - bossCount: Current boss count (passed as mutable object/getter)
  * - gravityWellEffects: Array of gravity well effects
  * - coinSpriteMaterial: Material for coin sprites
  * - playerStats: Player statistics (for luck)
- * - score: Current score (passed as mutable object/getter)
- * - scoreElement: DOM element for displaying score
+ * - addScore: Callback(amount, type) for the score the kill earns
+ * - changeBossCount: Callback(change, type), -1 when a boss (or a boss swarm's last member) dies
+ * - rng: SeededRandom instance for drop rolls (optional)
+ * - events: EventBus, gets enemyKilled once the drops are made (optional)
  */
 export function handleEnemyDeath(enemy, dependencies) {
     const {
@@ -91,14 +95,13 @@ export function handleEnemyDeath(enemy, dependencies) {
         gems,
         gemTypes,
         enemyCounts,
-        getBossCount,
-        setBossCount,
         gravityWellEffects,
         coinSpriteMaterial,
         playerStats,
-        getScore,
-        setScore,
-        scoreElement
+        addScore,
+        changeBossCount,
+        rng = defaultRandom,
+        events = null
     } = dependencies;
 
     if (enemy.gravityEffect) {
@@ -146,16 +149,14 @@ export function handleEnemyDeath(enemy, dependencies) {
 
     // Handle boss swarm: decrement boss count when last member dies
     if (enemy.isBossSwarm && enemy.isLastSwarmMember) {
-        const newBossCount = getBossCount() - 1;
-        setBossCount(newBossCount);
+        changeBossCount(-1, enemy.type);
     }
 
     if (shouldDropRewards) {
         if (enemy.isBoss || (enemy.isBossSwarm && enemy.isLastSwarmMember)) {
             // Don't double-decrement boss count
             if (!enemy.isBossSwarm) {
-                const newBossCount = getBossCount() - 1;
-                setBossCount(newBossCount);
+                changeBossCount(-1, enemy.type);
             }
 
             // Drop a big XP coin
@@ -176,12 +177,12 @@ export function handleEnemyDeath(enemy, dependencies) {
             const allGemTypes = Object.keys(gemTypes);
             const otherGemTypes = allGemTypes.filter(t => t !== gemType);
             if (otherGemTypes.length > 0) {
-                const randomGemType = otherGemTypes[Math.floor(Math.random() * otherGemTypes.length)];
+                const randomGemType = rng.pick(otherGemTypes);
                 createGem(randomGemType, enemy.mesh.position, dependencies);
             }
         } else {
             // Normal enemies drop one XP coin
-            const goldAmount = Math.floor(Math.random() * 5) + 1;
+            const goldAmount = rng.int(1, 5);
             const coin = new THREE.Sprite(coinSpriteMaterial.clone());
             coin.scale.set(3, 3, 1);
             coin.position.copy(enemy.mesh.position);
@@ -192,7 +193,7 @@ export function handleEnemyDeath(enemy, dependencies) {
             // And have a chance to drop a specific gem (if not a 'box' enemy)
             if (gemType) {
                 const dropChance = playerStats.luck; // 50% base luck = 50% chance.
-                if (Math.random() < dropChance) {
+                if (rng.chance(dropChance)) {
                     const gemInfo = gemTypes[gemType]; // Define gemInfo for this scope
                     const gem = new THREE.Mesh(gemInfo.geometry, new THREE.MeshStandardMaterial({ color: gemInfo.color, flatShading: true, emissive: gemInfo.color, emissiveIntensity: 1.0, toneMapped: false }));
 
@@ -210,8 +211,15 @@ export function handleEnemyDeath(enemy, dependencies) {
             }
         }
 
-        const newScore = getScore() + 1;
-        setScore(newScore);
-        scoreElement.textContent = newScore;
+        addScore(1, enemy.type);
+    }
+
+    if (events) {
+        events.emit('enemyKilled', {
+            enemy,
+            type: enemy.type,
+            isBoss: !!enemy.isBoss,
+            position: enemy.mesh.position
+        });
     }
 }
@@ -1,15 +1,135 @@
 /**
  * Input System
- * Handles keyboard, mouse, and touch input for player movement
+ * Handles keyboard, mouse, touch and gamepad input for player movement
+ *
+ * Input is mapped to actions:
+ * - held actions (moveUp/Left/Down/Right, shoot, interact, repair) are sampled
+ *   into each simulation step's input frame
+ * - triggered actions (pause, debugToggle, mute) fire onAction() callbacks
+ *   once per press
+ * Keyboard keys for every action are rebindable (setKeyBindings), one action
+ * per key; MENU_KEY is reserved for the menus. A gamepad's
+ * left stick drives movementDirection like a drag; its buttons use the
+ * standard mapping in GAMEPAD_BUTTONS.
  *
  * Dependencies:
  * - DOM: renderer.domElement, document.getElementById('spacebar-symbol'), document.body
+ * - Gamepad API: navigator.getGamepads (optional)
  * - THREE.js: THREE.Vector2
  * - Game State: isGameOver flag
  */
 
 import * as THREE from 'three';
 
+// Keys captured per simulation step (bit index = position in this list).
+// New keys go at the end so the bits of recorded replays keep their meaning.
+const RECORDED_KEYS = ['KeyW', 'KeyA', 'KeyS', 'KeyD', 'Space', 'KeyE', 'KeyR'];
+
+// Held actions and the recorded key each one stands for. Rebound keys are stored
+// under the recorded key, so frames and replays don't depend on the bindings.
+const ACTION_KEYS = {
+    moveUp: 'KeyW',
+    moveLeft: 'KeyA',
+    moveDown: 'KeyS',
+    moveRight: 'KeyD',
+    shoot: 'Space',
+    interact: 'KeyE',
+    repair: 'KeyR'
+};
+
+// Triggered actions and their default keys
+const TRIGGER_KEYS = {
+    pause: 'KeyP',
+    debugToggle: 'KeyT',
+    mute: 'KeyM'
+};
+
+// Opens and closes the menus (see main.js); can't be bound to an action
+export const MENU_KEY = 'Escape';
+
+// Action -> buttons of a standard-mapping gamepad
+// (0 = A/Cross, 2 = X/Square, 3 = Y/Triangle, 7 = right trigger, 8 = Back/Select, 9 = Start, 12-15 = d-pad)
+const GAMEPAD_BUTTONS = {
+    moveUp: [12],
+    moveDown: [13],
+    moveLeft: [14],
+    moveRight: [15],
+    shoot: [0, 7],
+    interact: [2],
+    repair: [3],
+    debugToggle: [8],
+    pause: [9]
+};
+
+// Stick deflection ignored as drift
+const GAMEPAD_DEADZONE = 0.25;
+
+// Drag directions are rounded to this precision before the simulation sees them,
+// so a recorded frame reproduces exactly the same movement on playback
+const DRAG_PRECISION = 1000;
+
+/**
+ * Converts a sampled input frame into a movement vector (keyboard + drag, not normalized)
+ * @param {Object} frame - Frame from sampleFrame() or a replay ({ keys, dragX, dragY })
+ * @returns {THREE.Vector2} Combined movement vector
+ */
+export function getFrameMovement(frame) {
+    const movement = new THREE.Vector2();
+    if (frame.keys & (1 << RECORDED_KEYS.indexOf('KeyW'))) movement.y -= 1;
+    if (frame.keys & (1 << RECORDED_KEYS.indexOf('KeyS'))) movement.y += 1;
+    if (frame.keys & (1 << RECORDED_KEYS.indexOf('KeyA'))) movement.x -= 1;
+    if (frame.keys & (1 << RECORDED_KEYS.indexOf('KeyD'))) movement.x += 1;
+    movement.x += frame.dragX;
+    movement.y += frame.dragY;
+    return movement;
+}
+
+/**
+ * @param {Object} frame - Frame from sampleFrame() or a replay
+ * @param {string} action - Held action, e.g. 'interact'
+ * @returns {boolean} Whether the action was held during the frame
+ */
+export function isFrameActionHeld(frame, action) {
+    return (frame.keys & (1 << RECORDED_KEYS.indexOf(ACTION_KEYS[action]))) !== 0;
+}
+
+/**
+ * Picks one key per action. A binding that reuses a key already taken by an
+ * earlier action, or MENU_KEY, is dropped and the action falls back to its
+ * default key; if that is taken too the action stays unbound.
+ * @param {Object} bindings - Action -> KeyboardEvent.code
+ * @returns {Object} Action -> key, for the actions that got one
+ */
+function resolveKeyBindings(bindings) {
+    const defaults = { ...ACTION_KEYS, ...TRIGGER_KEYS };
+    const owners = { [MENU_KEY]: 'menu' }; // Key -> action using it
+    const resolved = {};
+    const dropped = [];
+
+    for (const action in defaults) {
+        const key = bindings[action] || defaults[action];
+        if (key in owners) {
+            dropped.push(action);
+        } else {
+            owners[key] = action;
+            resolved[action] = key;
+        }
+    }
+
+    for (const action of dropped) {
+        const key = defaults[action];
+        const wanted = bindings[action] || key;
+        if (key in owners) {
+            console.warn(`[Input] ${action}: no free key (${wanted} is used by ${owners[wanted]}); leaving it unbound`);
+            continue;
+        }
+        console.warn(`[Input] ${action}: ${wanted} is used by ${owners[wanted]}; falling back to ${key}`);
+        owners[key] = action;
+        resolved[action] = key;
+    }
+    return resolved;
+}
+
 export function createInputSystem({ renderer, scene }) {
     // ===== State =====
     const keyState = {};
@@ -17,17 +137,73 @@ export function createInputSystem({ renderer, scene }) {
     let dragStartPoint = null;
     const movementDirection = new THREE.Vector2();
 
+    // Pressed key -> recorded key, for keys bound to a held action (see setKeyBindings)
+    let boundKeys = {};
+    // Pressed key -> triggered action
+    let triggerKeys = {};
+    const actionListeners = {};
+
+    // Gamepad state, refreshed by update()
+    const gamepadKeys = {};             // Recorded keys held on the gamepad
+    const gamepadPressed = {};          // Action -> whether its button was down last poll
+    let isStickActive = false;
+
     // Visual elements for drag
     let dragDot = null;
     let dragLine = null;
 
     // ===== Keyboard Input =====
+    /**
+     * @returns {string|null} The key a press is stored under, or null for a
+     *   default key that has been rebound away
+     */
+    function translateKey(code) {
+        if (code in boundKeys) return boundKeys[code];
+        return RECORDED_KEYS.includes(code) ? null : code;
+    }
+
+    /**
+     * Installs keyboard bindings (see resolveKeyBindings for conflicting keys)
+     * @param {Object} bindings - Action -> KeyboardEvent.code; actions left out keep their default key
+     */
+    function setKeyBindings(bindings) {
+        const resolved = resolveKeyBindings(bindings);
+        boundKeys = {};
+        for (const action in ACTION_KEYS) {
+            if (resolved[action]) boundKeys[resolved[action]] = ACTION_KEYS[action];
+        }
+        triggerKeys = {};
+        for (const action in TRIGGER_KEYS) {
+            if (resolved[action]) triggerKeys[resolved[action]] = action;
+        }
+
+        // Keys held under the old bindings would otherwise never be released
+        for (let key in keyState) {
+            delete keyState[key];
+        }
+    }
+
+    function triggerAction(action) {
+        (actionListeners[action] || []).forEach(listener => listener());
+    }
+
+    setKeyBindings({});
+
     window.addEventListener('keydown', (e) => {
-        keyState[e.code] = true;
+        const code = translateKey(e.code);
+        if (code) keyState[code] = true;
+
+        // Typing into a form field (settings, debug panel) is not a command
+        const tag = e.target && e.target.tagName;
+        const isTyping = tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+        if (e.code in triggerKeys && !e.repeat && !isTyping) {
+            triggerAction(triggerKeys[e.code]);
+        }
     });
 
     window.addEventListener('keyup', (e) => {
-        keyState[e.code] = false;
+        const code = translateKey(e.code);
+        if (code) keyState[code] = false;
     });
 
     // ===== Spacebar Button (Touch/Mobile) =====
@@ -212,6 +388,45 @@ export function createInputSystem({ renderer, scene }) {
         endDrag();
     });
 
+    // ===== Gamepad =====
+    /**
+     * Reads the first connected gamepad: stick and d-pad movement, held buttons,
+     * and presses of triggered actions
+     */
+    function pollGamepad() {
+        for (let key in gamepadKeys) {
+            delete gamepadKeys[key];
+        }
+
+        const gamepads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        const gamepad = gamepads.find(pad => pad && pad.connected);
+
+        // The stick only steers while no drag is in progress
+        const stickX = gamepad ? gamepad.axes[0] || 0 : 0;
+        const stickY = gamepad ? gamepad.axes[1] || 0 : 0;
+        const stickActive = Math.sqrt(stickX * stickX + stickY * stickY) > GAMEPAD_DEADZONE;
+        if (!isDragging) {
+            if (stickActive) {
+                movementDirection.set(stickX, stickY).normalize();
+            } else if (isStickActive) {
+                movementDirection.set(0, 0);
+            }
+        }
+        isStickActive = stickActive && !isDragging;
+
+        for (const action in GAMEPAD_BUTTONS) {
+            const pressed = !!gamepad && GAMEPAD_BUTTONS[action].some(index =>
+                gamepad.buttons[index] && gamepad.buttons[index].pressed);
+
+            if (action in ACTION_KEYS) {
+                if (pressed) gamepadKeys[ACTION_KEYS[action]] = true;
+            } else if (pressed && !gamepadPressed[action]) {
+                triggerAction(action);
+            }
+            gamepadPressed[action] = pressed;
+        }
+    }
+
     // ===== Public API =====
     return {
         keyState,
@@ -233,6 +448,44 @@ export function createInputSystem({ renderer, scene }) {
             return movement;
         },
 
+        /**
+         * Polls the gamepad (call once per rendered frame, before sampling)
+         */
+        update: pollGamepad,
+
+        /**
+         * Registers a callback for a triggered action
+         * @param {string} action - 'pause', 'debugToggle' or 'mute'
+         * @param {Function} listener - Called once per key or button press
+         */
+        onAction(action, listener) {
+            if (!actionListeners[action]) actionListeners[action] = [];
+            actionListeners[action].push(listener);
+        },
+
+        setKeyBindings,
+
+        /**
+         * Snapshot the input for one simulation step
+         * @returns {Object} Frame { keys: bitmask of RECORDED_KEYS, dragX, dragY }
+         */
+        sampleFrame() {
+            let keys = 0;
+            RECORDED_KEYS.forEach((code, bit) => {
+                if (keyState[code] || gamepadKeys[code]) keys |= 1 << bit;
+            });
+
+            // Drag and stick directions share movementDirection
+            let dragX = 0;
+            let dragY = 0;
+            if (isDragging || isStickActive) {
+                dragX = Math.round(movementDirection.x * DRAG_PRECISION) / DRAG_PRECISION;
+                dragY = Math.round(movementDirection.y * DRAG_PRECISION) / DRAG_PRECISION;
+            }
+
+            return { keys, dragX, dragY };
+        },
+
         /**
          * Check if a key is currently pressed
          * @param {string} code - Key code (e.g., 'Space', 'KeyW')
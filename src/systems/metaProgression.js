@@ -0,0 +1,224 @@
+/**
+ * Meta Progression System
+ * Persistent coin bank and permanent upgrades that carry over between runs
+ *
+ * Coins picked up during a run are banked when it ends and can be spent on
+ * (see src/config/metaUpgrades.js):
+ * - starting stat bonuses (several levels each)
+ * - starting relics, placed near the player at the start of every run
+ * - abilities owned from the start of every run
+ *
+ * What was bought is turned into a run loadout ({ statBonuses, relics, abilities })
+ * that the game simulation applies when a run starts.
+ *
+ * Stored data (JSON, localStorage):
+ * { version, coins, totalCoins, stats: { id: level }, relics: [type], abilities: [id] }
+ *
+ * Dependencies:
+ * - storage: Web Storage object (optional, defaults to localStorage when available)
+ */
+
+import metaUpgrades from '../config/metaUpgrades.js';
+import { ABILITY_DEFINITIONS } from './playerAbilities.js';
+
+export const META_VERSION = 1;
+
+const META_KEY = 'arenaRoguelike.meta';
+
+/**
+ * Combines run loadouts (e.g. the meta shop's and an achievement reward's): stat
+ * bonuses add up, relics are all placed, abilities are owned once
+ * @param {...Object|null} loadouts - { statBonuses, relics, abilities }, missing parts allowed
+ * @returns {Object} { statBonuses, relics, abilities }
+ */
+export function mergeLoadouts(...loadouts) {
+    const merged = { statBonuses: {}, relics: [], abilities: [] };
+    for (const loadout of loadouts) {
+        if (!loadout) continue;
+        for (const stat in loadout.statBonuses) {
+            merged.statBonuses[stat] = (merged.statBonuses[stat] || 0) + loadout.statBonuses[stat];
+        }
+        merged.relics.push(...(loadout.relics || []));
+        for (const abilityId of loadout.abilities || []) {
+            if (!merged.abilities.includes(abilityId)) merged.abilities.push(abilityId);
+        }
+    }
+    return merged;
+}
+
+/**
+ * @returns {Object} Progress of a player who has never banked a coin
+ */
+function createEmptyProgress() {
+    return {
+        version: META_VERSION,
+        coins: 0,
+        totalCoins: 0,
+        stats: {},
+        relics: [],
+        abilities: []
+    };
+}
+
+/**
+ * Creates the meta progression store
+ * @param {Object} dependencies - { storage } (optional)
+ * @returns {Object} Meta progression API
+ */
+export function createMetaProgression(dependencies = {}) {
+    const {
+        storage = globalThis.localStorage ?? null
+    } = dependencies;
+
+    let progress = load();
+
+    /**
+     * Reads stored progress, falling back to a fresh profile
+     */
+    function load() {
+        const json = storage ? storage.getItem(META_KEY) : null;
+        if (!json) return createEmptyProgress();
+
+        try {
+            const data = JSON.parse(json);
+            if (data && data.version === META_VERSION) {
+                return { ...createEmptyProgress(), ...data };
+            }
+            console.warn(`[Meta] Ignoring progress with unsupported version: ${data && data.version}`);
+        } catch (error) {
+            console.warn('[Meta] Ignoring unreadable progress:', error.message);
+        }
+        return createEmptyProgress();
+    }
+
+    function persist() {
+        if (!storage) return;
+        try {
+            storage.setItem(META_KEY, JSON.stringify(progress));
+        } catch (error) {
+            console.warn('[Meta] Could not save progress:', error.message);
+        }
+    }
+
+    /**
+     * Spends coins if the bank covers the cost
+     * @returns {boolean} Whether the purchase went through
+     */
+    function spend(cost) {
+        if (cost === null || progress.coins < cost) return false;
+        progress.coins -= cost;
+        return true;
+    }
+
+    // ===== Coins =====
+
+    /**
+     * Banks the coins collected during a run
+     * @param {number} amount - Coins to add
+     */
+    function addCoins(amount) {
+        if (!(amount > 0)) return;
+        progress.coins += amount;
+        progress.totalCoins += amount;
+        persist();
+    }
+
+    // ===== Stat Upgrades =====
+
+    function getStatLevel(id) {
+        return progress.stats[id] || 0;
+    }
+
+    /**
+     * @param {string} id - Key of metaUpgrades.stats
+     * @returns {number|null} Cost of the next level, or null when maxed/unknown
+     */
+    function getStatCost(id) {
+        const upgrade = metaUpgrades.stats[id];
+        if (!upgrade) return null;
+        const currentLevel = getStatLevel(id);
+        if (currentLevel >= upgrade.maxLevel) return null;
+        return upgrade.baseCost * (currentLevel + 1);
+    }
+
+    function buyStat(id) {
+        if (!spend(getStatCost(id))) return false;
+        progress.stats[id] = getStatLevel(id) + 1;
+        persist();
+        return true;
+    }
+
+    // ===== Starting Relics =====
+
+    function ownsRelic(type) {
+        return progress.relics.includes(type);
+    }
+
+    function getRelicCost(type) {
+        const relic = metaUpgrades.relics[type];
+        if (!relic || ownsRelic(type)) return null;
+        return relic.cost;
+    }
+
+    function buyRelic(type) {
+        if (!spend(getRelicCost(type))) return false;
+        progress.relics.push(type);
+        persist();
+        return true;
+    }
+
+    // ===== Starting Abilities =====
+
+    function ownsAbility(abilityId) {
+        return progress.abilities.includes(abilityId);
+    }
+
+    function getAbilityCost(abilityId) {
+        if (!ABILITY_DEFINITIONS[abilityId] || ownsAbility(abilityId)) return null;
+        return metaUpgrades.abilityCost;
+    }
+
+    function buyAbility(abilityId) {
+        if (!spend(getAbilityCost(abilityId))) return false;
+        progress.abilities.push(abilityId);
+        persist();
+        return true;
+    }
+
+    // ===== Run Loadout =====
+
+    /**
+     * Builds the loadout a new run starts with
+     * @returns {Object} { statBonuses: { stat: amount }, relics: [type], abilities: [id] }
+     */
+    function getLoadout() {
+        const statBonuses = {};
+        for (const id in progress.stats) {
+            const upgrade = metaUpgrades.stats[id];
+            if (!upgrade) continue;
+            statBonuses[upgrade.stat] = (statBonuses[upgrade.stat] || 0) + upgrade.amount * progress.stats[id];
+        }
+
+        return {
+            statBonuses,
+            relics: progress.relics.filter(type => metaUpgrades.relics[type]),
+            abilities: progress.abilities.filter(id => ABILITY_DEFINITIONS[id])
+        };
+    }
+
+    return {
+        addCoins,
+        getCoins: () => progress.coins,
+        getTotalCoins: () => progress.totalCoins,
+        getStatLevel,
+        getStatCost,
+        buyStat,
+        ownsRelic,
+        getRelicCost,
+        buyRelic,
+        ownsAbility,
+        getAbilityCost,
+        buyAbility,
+        getLoadout
+    };
+}
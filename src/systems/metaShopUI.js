@@ -0,0 +1,129 @@
+/**
+ * Meta Shop UI
+ * Between-runs screen for spending banked coins on permanent upgrades
+ *
+ * EXTERNAL DEPENDENCIES (via DOM):
+ * - HTML elements with IDs: meta-shop-overlay, meta-shop-coins, meta-shop-sections,
+ *   meta-shop-close
+ *
+ * Dependencies:
+ * - metaProgression: Store from createMetaProgression()
+ * - onChange: Called after every purchase (optional, e.g. to refresh the bank display)
+ */
+
+import metaUpgrades from '../config/metaUpgrades.js';
+import relicInfo from '../config/relicInfo.js';
+import { ABILITY_DEFINITIONS } from './playerAbilities.js';
+
+/**
+ * Creates the shop screen
+ * @param {Object} dependencies - See file header
+ * @returns {Object} { open, close }
+ */
+export function createMetaShopUI(dependencies) {
+    const { metaProgression, onChange = () => {} } = dependencies;
+
+    const overlay = document.getElementById('meta-shop-overlay');
+    const coinsElement = document.getElementById('meta-shop-coins');
+    const sectionsElement = document.getElementById('meta-shop-sections');
+    const closeButton = document.getElementById('meta-shop-close');
+
+    /**
+     * Builds one shop card
+     * @param {Object} item - { icon, name, description, detail, cost, owned, ownedLabel, onBuy }
+     */
+    function createCard({ icon, name, description, detail, cost, owned, ownedLabel = 'OWNED', onBuy }) {
+        const card = document.createElement('div');
+        card.className = 'meta-card';
+
+        const affordable = cost !== null && metaProgression.getCoins() >= cost;
+        if (owned) card.classList.add('owned');
+        else if (!affordable) card.classList.add('locked');
+
+        card.innerHTML = `
+            <div class="meta-icon">${icon}</div>
+            <div class="meta-name">${name}</div>
+            <div class="meta-description">${description}</div>
+            <div class="meta-detail">${detail}</div>
+            <div class="meta-cost">${owned ? ownedLabel : `${cost} coins`}</div>
+        `;
+
+        if (!owned && affordable) {
+            card.addEventListener('click', () => {
+                if (onBuy()) {
+                    onChange();
+                    render();
+                }
+            });
+        }
+
+        return card;
+    }
+
+    /**
+     * Adds a titled row of cards
+     */
+    function addSection(title, cards) {
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        sectionsElement.appendChild(heading);
+
+        const row = document.createElement('div');
+        row.className = 'meta-cards-row';
+        cards.forEach(card => row.appendChild(card));
+        sectionsElement.appendChild(row);
+    }
+
+    function render() {
+        coinsElement.textContent = metaProgression.getCoins();
+        sectionsElement.innerHTML = '';
+
+        addSection('Starting Stats', Object.entries(metaUpgrades.stats).map(([id, upgrade]) => {
+            const statLevel = metaProgression.getStatLevel(id);
+            const cost = metaProgression.getStatCost(id);
+            return createCard({
+                icon: upgrade.icon,
+                name: upgrade.name,
+                description: upgrade.description,
+                detail: `Level ${statLevel}/${upgrade.maxLevel}`,
+                cost,
+                owned: cost === null,
+                ownedLabel: 'MAXED',
+                onBuy: () => metaProgression.buyStat(id)
+            });
+        }));
+
+        addSection('Starting Relics', Object.keys(metaUpgrades.relics).map(type => createCard({
+            icon: `<span style="color: #${relicInfo[type].color.toString(16).padStart(6, '0')}">◆</span>`,
+            name: relicInfo[type].name,
+            description: 'Placed near you at the start of every run',
+            detail: `${relicInfo[type].health} HP`,
+            cost: metaProgression.getRelicCost(type),
+            owned: metaProgression.ownsRelic(type),
+            onBuy: () => metaProgression.buyRelic(type)
+        })));
+
+        addSection('Starting Abilities', Object.values(ABILITY_DEFINITIONS).map(def => createCard({
+            icon: def.icon,
+            name: def.name,
+            description: def.description,
+            detail: `Cooldown: ${def.baseCooldown}s`,
+            cost: metaProgression.getAbilityCost(def.id),
+            owned: metaProgression.ownsAbility(def.id),
+            onBuy: () => metaProgression.buyAbility(def.id)
+        })));
+    }
+
+    function open() {
+        render();
+        overlay.classList.add('visible');
+    }
+
+    function close() {
+        overlay.classList.remove('visible');
+    }
+
+    closeButton.addEventListener('click', close);
+
+    return { open, close };
+}
@@ -11,6 +11,7 @@
  */
 
 import * as THREE from 'three';
+import { defaultRandom } from '../utils/SeededRandom.js';
 
 /**
  * Ability metadata definitions
@@ -141,13 +142,26 @@ export const ABILITY_DEFINITIONS = {
 
 /**
  * Creates the player ability system
+ * @param {Object} dependencies - { scene, spatialGrid, objectPools, AudioManager, clock, rng,
+ *   recordDamageDealt: (source, amount) telemetry hook (optional),
+ *   events: EventBus, gets abilityUnlocked, and abilityTriggered for every cast (optional) }
  */
 export function createPlayerAbilitySystem(dependencies) {
-    const { scene, spatialGrid, objectPools, AudioManager, clock } = dependencies;
+    const {
+        scene,
+        spatialGrid,
+        objectPools,
+        AudioManager,
+        clock,
+        rng = defaultRandom,
+        recordDamageDealt = () => {},
+        events = null
+    } = dependencies;
 
     // Track unlocked abilities and their cooldowns
     const unlockedAbilities = [];
     const abilityCooldowns = {}; // abilityId -> last activation timestamp
+    const cooldownMultipliers = {}; // abilityId -> multiplier from run shop upgrades (1 if absent)
 
     // Initialize all cooldowns to 0 (ready immediately)
     Object.keys(ABILITY_DEFINITIONS).forEach(id => {
@@ -172,6 +186,7 @@ export function createPlayerAbilitySystem(dependencies) {
         if (!isUnlocked(abilityId)) {
             unlockedAbilities.push(abilityId);
             console.log(`Unlocked ability: ${ABILITY_DEFINITIONS[abilityId].name}`);
+            if (events) events.emit('abilityUnlocked', { abilityId, owned: [...unlockedAbilities] });
         }
     }
 
@@ -188,16 +203,27 @@ export function createPlayerAbilitySystem(dependencies) {
     function isAbilityReady(abilityId, playerStats) {
         const def = ABILITY_DEFINITIONS[abilityId];
         const now = clock.getElapsedTime();
-        const effectiveCooldown = def.baseCooldown * (1 - (playerStats.cooldownReduction || 0));
+        const effectiveCooldown = def.baseCooldown * (cooldownMultipliers[abilityId] ?? 1) *
+            (1 - (playerStats.cooldownReduction || 0));
         const timeSinceLastUse = now - (abilityCooldowns[abilityId] || 0);
         return timeSinceLastUse >= effectiveCooldown;
     }
 
     /**
-     * Mark ability as used
+     * Sets an ability's own cooldown multiplier, on top of the cooldownReduction stat
+     * @param {string} abilityId - Key of ABILITY_DEFINITIONS
+     * @param {number} multiplier - 1 for the base cooldown
+     */
+    function setCooldownMultiplier(abilityId, multiplier) {
+        cooldownMultipliers[abilityId] = multiplier;
+    }
+
+    /**
+     * Mark ability as used (every trigger calls this once it actually fires)
      */
     function markAbilityUsed(abilityId) {
         abilityCooldowns[abilityId] = clock.getElapsedTime();
+        if (events) events.emit('abilityTriggered', { abilityId });
     }
 
     /**
@@ -295,6 +321,7 @@ export function createPlayerAbilitySystem(dependencies) {
             // Shotgun pellets don't pierce
             shot.pierceLeft = 0;
             shot.hitEnemies.length = 0; // Clear hit list
+            shot.source = 'ability:shotgunBlast'; // Telemetry source
 
             // Visual styling (orange/yellow)
             shot.mesh.material.color.setHex(def.color);
@@ -361,7 +388,7 @@ export function createPlayerAbilitySystem(dependencies) {
             throwDirection.normalize();
         } else {
             // No enemy - throw forward 30 units in a random direction
-            const randomAngle = Math.random() * Math.PI * 2;
+            const randomAngle = rng.next() * Math.PI * 2;
             throwDirection.set(Math.sin(randomAngle), 0, Math.cos(randomAngle));
             targetPos = grenadeMesh.position.clone().add(
                 throwDirection.clone().multiplyScalar(30)
@@ -420,7 +447,7 @@ export function createPlayerAbilitySystem(dependencies) {
         }
 
         // Pick random target
-        const target = inRangeEnemies[Math.floor(Math.random() * inRangeEnemies.length)];
+        const target = rng.pick(inRangeEnemies);
 
         const strikePos = target.mesh.position.clone();
 
@@ -491,6 +518,7 @@ export function createPlayerAbilitySystem(dependencies) {
         // Apply damage to first target
         const initialDamage = def.baseDamage * def.damageMultipliers[0];
         currentTarget.health -= initialDamage;
+        recordDamageDealt('ability:chainLightning', initialDamage);
         if (DamageNumberManager) {
             DamageNumberManager.create(currentTarget.mesh, Math.round(initialDamage), { isCritical: false });
         }
@@ -523,6 +551,7 @@ export function createPlayerAbilitySystem(dependencies) {
             // Apply diminishing damage
             const chainDamage = def.baseDamage * def.damageMultipliers[i];
             nextTarget.health -= chainDamage;
+            recordDamageDealt('ability:chainLightning', chainDamage);
             if (DamageNumberManager) {
                 DamageNumberManager.create(nextTarget.mesh, Math.round(chainDamage), { isCritical: false });
             }
@@ -597,8 +626,8 @@ export function createPlayerAbilitySystem(dependencies) {
         // Spawn meteors at random positions
         for (let i = 0; i < def.meteorCount; i++) {
             // Random position within range
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * def.spawnRange;
+            const angle = rng.next() * Math.PI * 2;
+            const distance = rng.next() * def.spawnRange;
             const impactPos = new THREE.Vector3(
                 playerCone.position.x + Math.cos(angle) * distance,
                 0,
@@ -998,7 +1027,7 @@ export function createPlayerAbilitySystem(dependencies) {
 
                 // Play sound
                 if (AudioManager && AudioManager.play) {
-                    AudioManager.play('explosion', 0.4);
+                    AudioManager.play('explosion', 0.4, grenade.mesh.position);
                 }
             }
         }
@@ -1038,6 +1067,7 @@ export function createPlayerAbilitySystem(dependencies) {
                     if (!enemy.lastAcidDamage || now - enemy.lastAcidDamage > 0.5) {
                         const damage = pool.damagePerSecond * 0.5;
                         enemy.health -= damage;
+                        recordDamageDealt('ability:acidGrenade', damage);
                         enemy.lastAcidDamage = now;
 
                         // Visual feedback
@@ -1103,6 +1133,7 @@ export function createPlayerAbilitySystem(dependencies) {
                         const damage = strike.damage * damageFalloff;
 
                         enemy.health -= damage;
+                        recordDamageDealt('ability:lightningStrike', damage);
 
                         // Visual feedback
                         enemy.hitEffectUntil = now + 0.2;
@@ -1118,7 +1149,7 @@ export function createPlayerAbilitySystem(dependencies) {
 
                 // Play sound
                 if (AudioManager && AudioManager.play) {
-                    AudioManager.play('explosion', 0.7);
+                    AudioManager.play('explosion', 0.7, strike.position);
                 }
 
                 lightningStrikes.splice(i, 1);
@@ -1184,6 +1215,7 @@ export function createPlayerAbilitySystem(dependencies) {
                 const distToEnemy = Math.sqrt(nearestDistSq);
                 if (distToEnemy < wolf.attackRange && now - wolf.lastAttackTime >= wolf.attackCooldown) {
                     nearestEnemy.health -= wolf.damage;
+                    recordDamageDealt('ability:spiritWolves', wolf.damage);
                     wolf.lastAttackTime = now;
 
                     // Track kills
@@ -1256,6 +1288,7 @@ export function createPlayerAbilitySystem(dependencies) {
 
                 if (distSq <= def.explosionRadius * def.explosionRadius) {
                     enemy.health -= def.explosionDamage;
+                    recordDamageDealt('ability:shieldBurst', def.explosionDamage);
 
                     // Visual feedback
                     enemy.hitEffectUntil = now + 0.2;
@@ -1356,6 +1389,7 @@ export function createPlayerAbilitySystem(dependencies) {
 
                         if (distSq <= meteor.impactRadius * meteor.impactRadius) {
                             enemy.health -= meteor.damage;
+                            recordDamageDealt('ability:meteorStrike', meteor.damage);
 
                             // Visual feedback
                             enemy.hitEffectUntil = now + 0.2;
@@ -1371,7 +1405,7 @@ export function createPlayerAbilitySystem(dependencies) {
 
                     // Play sound
                     if (AudioManager && AudioManager.play) {
-                        AudioManager.play('explosion', 0.9);
+                        AudioManager.play('explosion', 0.9, meteor.impactPosition);
                     }
 
                     // Clean up meteor mesh
@@ -1445,6 +1479,7 @@ export function createPlayerAbilitySystem(dependencies) {
                     if (now - rift.lastDamageTick >= 0.5) {
                         const damage = rift.damagePerSecond * 0.5;
                         enemy.health -= damage;
+                        recordDamageDealt('ability:voidRift', damage);
 
                         // Visual feedback
                         enemy.hitEffectUntil = now + 0.1;
@@ -1542,9 +1577,14 @@ export function createPlayerAbilitySystem(dependencies) {
         getUnownedAbilities,
         getUnlockedAbilities: () => [...unlockedAbilities],
         isAbilityReady,
+        setCooldownMultiplier,
         abilityCooldowns,
         // Dev mode functions
         devGrantAbility: unlockAbility,
-        devClearAbilities: () => { unlockedAbilities.length = 0; }
+        devClearAbilities: () => {
+            unlockedAbilities.length = 0;
+            Object.keys(abilityCooldowns).forEach(id => { abilityCooldowns[id] = 0; });
+            Object.keys(cooldownMultipliers).forEach(id => { delete cooldownMultipliers[id]; });
+        }
     };
 }
@@ -3,14 +3,18 @@
  * Factory function for creating and managing player statistics
  * Extracted from index-reference.html (lines ~1271-1289)
  *
- * DEPENDENCIES: None - pure data object
+ * DEPENDENCIES: Config - characterClasses (per-class stat overrides)
  */
 
+import characterClasses, { DEFAULT_CLASS } from '../config/characterClasses.js';
+
 /**
  * Creates a new player stats object with default values
+ * @param {string} [characterClass] - Key of characterClasses whose stats override the defaults
  * @returns {Object} Player stats object with all combat and movement properties
  */
-export function createPlayerStats() {
+export function createPlayerStats(characterClass = DEFAULT_CLASS) {
+    const classInfo = characterClasses[characterClass] || characterClasses[DEFAULT_CLASS];
     return {
         attackDistance: 100,
         projectileSpeed: 3,
@@ -28,15 +32,17 @@ export function createPlayerStats() {
         playerRadius: 1.5,
         coinPickupRadius: 115,
         luck: 0.5,
-        cooldownReduction: 0
+        cooldownReduction: 0,
+        ...classInfo.stats
     };
 }
 
 /**
  * Resets player stats to default values (in-place mutation)
  * @param {Object} playerStats - The player stats object to reset
+ * @param {string} [characterClass] - Class whose stat block to reset to
  */
-export function resetPlayerStats(playerStats) {
-    const defaults = createPlayerStats();
+export function resetPlayerStats(playerStats, characterClass = DEFAULT_CLASS) {
+    const defaults = createPlayerStats(characterClass);
     Object.assign(playerStats, defaults);
 }
@@ -17,6 +17,7 @@
 
 import * as THREE from 'three';
 import { BASE_PLAYER_RADIUS, INITIAL_ENEMY_COUNT, MAX_ENEMIES_TOTAL } from '../config/constants.js';
+import { defaultRandom } from '../utils/SeededRandom.js';
 
 // Stat upgrade pool configuration
 const statUpgradePool = {
@@ -67,6 +68,12 @@ export function updateExperienceBar(experience, experienceToNextLevel) {
  * - playerStats: Player statistics object
  * - playerCone: THREE.Mesh of the player
  * - enemies: Array of active enemy objects
+ * - rng: SeededRandom used to roll upgrade offers (optional)
+ * - updateLevelUI: Function to show the new level (optional, defaults to #level)
+ * - updateExperienceBar: Function to redraw the experience bar (optional, defaults to #experience-bar)
+ * - showUpgrades: Function(state) that offers the upgrade pick (optional, defaults to showLevelUpPopup)
+ * - events: EventBus, gets levelUp before the upgrade pick is offered (optional)
+ * - speedCurve: Exponent on the per-level game speed-up, from the difficulty rules (optional, 1)
  */
 export function levelUp(state) {
     const {
@@ -77,20 +84,25 @@ export function levelUp(state) {
         playerScaleMultiplier,
         playerStats,
         playerCone,
-        enemies
+        enemies,
+        updateLevelUI = (value) => { document.getElementById('level').textContent = value; },
+        updateExperienceBar: redrawExperienceBar = updateExperienceBar,
+        showUpgrades = showLevelUpPopup,
+        events = null,
+        speedCurve = 1
     } = state;
 
     // Increment level
     const newLevel = level + 1;
-    document.getElementById('level').textContent = newLevel;
+    updateLevelUI(newLevel);
 
     // Update experience
     const newExperience = experience - experienceToNextLevel;
     const newExperienceToNextLevel = Math.floor(experienceToNextLevel * 1.2 + 5);
-    updateExperienceBar(newExperience, newExperienceToNextLevel);
+    redrawExperienceBar(newExperience, newExperienceToNextLevel);
 
     // Game Speed & Player Growth Scaling
-    const speedIncreaseFactor = Math.max(1.03, 1.15 - (newLevel - 2) * 0.02);
+    const speedIncreaseFactor = Math.max(1.03, 1.15 - (newLevel - 2) * 0.02) ** speedCurve;
     const newGameSpeedMultiplier = Math.min(8.0, gameSpeedMultiplier * speedIncreaseFactor);
 
     const scaleIncreaseFactor = Math.max(1.01, 1.10 - (newLevel - 2) * 0.01);
@@ -105,8 +117,10 @@ export function levelUp(state) {
     // Note: No need to update enemy speeds - gameSpeedMultiplier is applied
     // through gameDelta each frame in the main game loop
 
+    if (events) events.emit('levelUp', { level: newLevel });
+
     // Show upgrade popup
-    showLevelUpPopup(state);
+    showUpgrades(state);
 
     // Increase max enemies with level
     const newMaxEnemies = Math.min(MAX_ENEMIES_TOTAL, INITIAL_ENEMY_COUNT + (newLevel - 1) * 2);
@@ -139,6 +153,7 @@ export function getQuality(normalizedValue) {
  * Generates random upgrade options for level up
  * @param {number} count - Number of upgrade options to generate
  * @param {Object} playerStats - Player statistics object (for luck calculation)
+ * @param {SeededRandom} [rng] - Random source for the offer rolls (defaults to unseeded)
  * @returns {Array<Object>} Array of upgrade option objects
  *
  * Each option object contains:
@@ -147,20 +162,17 @@ export function getQuality(normalizedValue) {
  * - text: Display text (string)
  * - quality: Quality tier (string)
  */
-export function getUpgradeOptions(count, playerStats) {
+export function getUpgradeOptions(count, playerStats, rng = defaultRandom) {
     const options = [];
     const availableStats = [...statUpgradePool.common];
 
     // Shuffle available stats
-    for (let i = availableStats.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [availableStats[i], availableStats[j]] = [availableStats[j], availableStats[i]];
-    }
+    rng.shuffle(availableStats);
 
     for (let i = 0; i < count && i < availableStats.length; i++) {
         const stat = availableStats[i];
         let value, text, quality;
-        const luckFactor = Math.max(Math.random(), Math.random() + playerStats.luck - 0.5);
+        const luckFactor = Math.max(rng.next(), rng.next() + playerStats.luck - 0.5);
         const normalizedValue = Math.min(luckFactor, 1);
 
         switch (stat) {
@@ -288,37 +300,23 @@ export function hideLevelUpPopup(state) {
     skipButtonAnimationId = null;
 
     // Resume game
-    if (state.setGamePaused) state.setGamePaused(false);
+    state.setGamePaused(false, 'upgrade');
 }
 
 /**
- * Shows the level up popup with upgrade options
- * @param {Object} state - Game state object
- *
- * State properties:
- * - playerStats: Player statistics object
- * - playerHealth: Current player health (for maxHealth upgrade)
- * - damageNumberManager: Manager for damage number popups
- * - playerCone: THREE.Mesh of the player
- * - updateStatsUI: Function to update the stats UI
- *
- * Returns updated state with isGamePaused set to true
+ * Builds the row of upgrade cards for the level up popup
+ * @param {Object[]} options - Upgrade options from getUpgradeOptions()
+ * @param {Object} state - Game state object (see showLevelUpPopup)
+ * @returns {HTMLElement} The cards row
  */
-export function showLevelUpPopup(state) {
-    const { playerStats, setGamePaused } = state;
-
-    // Pause game
-    if (setGamePaused) setGamePaused(true);
-
-    const options = getUpgradeOptions(3, playerStats);
-    const optionsContainer = document.getElementById('upgrade-options');
-    optionsContainer.innerHTML = ''; // Clear previous options
+function createUpgradeCards(options, state) {
+    const { onUpgradeChosen } = state;
 
     // Create a row container for upgrade cards
     const cardsRow = document.createElement('div');
     cardsRow.className = 'upgrade-cards-row';
 
-    options.forEach(option => {
+    options.forEach((option, index) => {
         const button = document.createElement('div');
         button.className = 'upgrade-button';
         const qualityInfo = qualityTiers[option.quality];
@@ -361,6 +359,7 @@ export function showLevelUpPopup(state) {
         });
 
         const onSelect = () => {
+            if (onUpgradeChosen) onUpgradeChosen(index, options);
             applyUpgrade(option, state);
             hideLevelUpPopup(state);
         };
@@ -370,8 +369,75 @@ export function showLevelUpPopup(state) {
         cardsRow.appendChild(button);
     });
 
+    return cardsRow;
+}
+
+/**
+ * Shows the level up popup with upgrade options
+ * @param {Object} state - Game state object
+ *
+ * State properties:
+ * - playerStats: Player statistics object
+ * - playerHealth: Current player health (for maxHealth upgrade)
+ * - damageNumberManager: Manager for damage number popups
+ * - playerCone: THREE.Mesh of the player
+ * - updateStatsUI: Function to update the stats UI
+ * - rng: SeededRandom used to roll upgrade offers (optional)
+ * - onUpgradeChosen: Callback(index, options) when the player picks (-1 = skipped) (optional)
+ * - onUpgradeRerolled: Callback(options) when the player rerolls the options shown (optional)
+ * - getReplayChoice: Returns a recorded choice index, or 'reroll', to apply instead of waiting for input (optional)
+ * - getRerolls: Returns the reroll charges bought in the run shop (optional, no reroll button without it)
+ * - useReroll: Uses up a reroll charge, returns whether there was one (optional)
+ * - setGamePaused: Callback(paused, reason), paused while the popup is open
+ */
+export function showLevelUpPopup(state) {
+    const {
+        playerStats,
+        setGamePaused,
+        rng,
+        onUpgradeChosen,
+        onUpgradeRerolled,
+        getReplayChoice,
+        getRerolls = () => 0,
+        useReroll = () => false
+    } = state;
+
+    // Pause game
+    setGamePaused(true, 'upgrade');
+
+    let options = getUpgradeOptions(3, playerStats, rng);
+    const optionsContainer = document.getElementById('upgrade-options');
+    optionsContainer.innerHTML = ''; // Clear previous options
+
+    let cardsRow = createUpgradeCards(options, state);
     optionsContainer.appendChild(cardsRow);
 
+    // Reroll Button (only with reroll charges from the run shop)
+    const rerollButton = document.createElement('div');
+    rerollButton.id = 'reroll-button';
+
+    function updateRerollButton() {
+        const rerolls = getRerolls();
+        rerollButton.textContent = `🎲 REROLL (${rerolls})`;
+        rerollButton.style.display = rerolls > 0 ? '' : 'none';
+    }
+
+    function reroll() {
+        if (!useReroll()) return;
+        if (onUpgradeRerolled) onUpgradeRerolled(options);
+
+        options = getUpgradeOptions(3, playerStats, rng);
+        const newCardsRow = createUpgradeCards(options, state);
+        optionsContainer.replaceChild(newCardsRow, cardsRow);
+        cardsRow = newCardsRow;
+        updateRerollButton();
+    }
+
+    updateRerollButton();
+    rerollButton.addEventListener('click', reroll);
+    rerollButton.addEventListener('touchend', (e) => { e.preventDefault(); reroll(); });
+    optionsContainer.appendChild(rerollButton);
+
     // Skip Button
     const skipContainer = document.createElement('div');
     skipContainer.id = 'skip-button-container';
@@ -402,6 +468,7 @@ export function showLevelUpPopup(state) {
         skipButtonHoldStart = performance.now();
         skipButtonHoldLoop();
         skipButtonHoldTimer = setTimeout(() => {
+            if (onUpgradeChosen) onUpgradeChosen(-1, options);
             hideLevelUpPopup(state);
         }, SKIP_HOLD_DURATION);
     };
@@ -421,4 +488,20 @@ export function showLevelUpPopup(state) {
     skipContainer.addEventListener('touchend', endHold);
 
     document.getElementById('level-up-overlay').classList.add('visible');
+
+    // Replays resolve the popup with the recorded choice once the current step has finished
+    if (getReplayChoice) {
+        let replayChoice = getReplayChoice();
+        if (replayChoice !== undefined) {
+            queueMicrotask(() => {
+                // Recorded rerolls come first, each followed by the choice on the new options
+                while (replayChoice === 'reroll') {
+                    reroll();
+                    replayChoice = getReplayChoice();
+                }
+                if (options[replayChoice]) applyUpgrade(options[replayChoice], state);
+                hideLevelUpPopup(state);
+            });
+        }
+    }
 }
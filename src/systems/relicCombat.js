@@ -6,7 +6,6 @@
  * EXTERNAL DEPENDENCIES (must be passed/injected):
  * - scene: THREE.Scene object for adding visual effects
  * - spatialGrid: SpatialGrid instance for enemy proximity queries
- * - relicInfo: Relic configuration data (from src/config/relicInfo.js)
  * - objectPools: Object containing pooled objects (relicProjectiles)
  * - gameSpeedMultiplier: Current game speed modifier
  * - clock: THREE.Clock for timing
@@ -18,6 +17,13 @@
  * - AudioManager: Audio playback manager
  * - AreaWarningManager: Manager for area warning indicators
  * - createGravityVortex: Function from effects.js
+ * - recordDamageDealt: (source, amount) telemetry hook, see telemetry.js (optional)
+ *
+ * Relic projectiles and damaging auras carry a `source` ('relic:<type>') so the
+ * simulation can credit their hits to the relic that fired them.
+ *
+ * Strategies read their numbers from `relic.stats` (the relicInfo entry scaled
+ * for the relic's tier, see relicTiers.js), never from relicInfo directly.
  */
 
 import * as THREE from 'three';
@@ -37,7 +43,6 @@ export default function createRelicCombatStrategies(dependencies) {
     const {
         scene,
         spatialGrid,
-        relicInfo,
         objectPools,
         beams,
         relicProjectiles,
@@ -48,13 +53,14 @@ export default function createRelicCombatStrategies(dependencies) {
         AreaWarningManager,
         createGravityVortex,
         getGameSpeedMultiplier,
-        getClock
+        getClock,
+        recordDamageDealt = () => {}
     } = dependencies;
 
-    return {
+    const strategies = {
         attackSpeed: { // Purple Beam
             update(relic, now, delta) {
-                const info = relicInfo.attackSpeed;
+                const info = relic.stats;
                 const gameSpeedMultiplier = getGameSpeedMultiplier();
                 if (now - relic.lastActionTime < (info.cooldown / gameSpeedMultiplier)) return;
 
@@ -113,9 +119,10 @@ export default function createRelicCombatStrategies(dependencies) {
                         const distToBeam = enemyPos.distanceTo(closestPoint);
                         if (distToBeam < (enemy.radius + beamThickness)) {
                             enemy.health -= info.damage;
+                            recordDamageDealt('relic:attackSpeed', info.damage);
                             damageNumberManager.create(enemy.mesh, info.damage, { isCritical: false });
                             if (enemy.health > 0) {
-                                AudioManager.play('hit', 0.3);
+                                AudioManager.play('hit', 0.3, enemy.mesh.position);
                             }
                         }
                     }
@@ -124,7 +131,7 @@ export default function createRelicCombatStrategies(dependencies) {
         },
         damage: { // Red Cannon
             update(relic, now, delta) {
-                const info = relicInfo.damage;
+                const info = relic.stats;
                 const gameSpeedMultiplier = getGameSpeedMultiplier();
                 if (now - relic.lastActionTime < (info.cooldown / gameSpeedMultiplier)) return;
 
@@ -152,6 +159,7 @@ export default function createRelicCombatStrategies(dependencies) {
                     p.damage = info.damage;
                     p.distanceTraveled = 0;
                     p.type = 'red_cannon';
+                    p.source = 'relic:damage';
                     p.splashDamage = info.splashDamage;
                     p.splashRadius = info.splashRadius;
                     relicProjectiles.push(p);
@@ -160,10 +168,11 @@ export default function createRelicCombatStrategies(dependencies) {
         },
         speed: { // Green Buff
             onActivate(relic) {
-                const info = relicInfo[relic.type];
+                const info = relic.stats;
                 if (!info || !info.range) return;
 
-                const auraGeometry = new THREE.SphereGeometry(info.range, 32, 32);
+                // The aura is a child of the relic mesh, which grows with the tier
+                const auraGeometry = new THREE.SphereGeometry(info.range / relic.relic.scale.x, 32, 32);
                 const auraMaterial = new THREE.MeshBasicMaterial({
                     color: info.color,
                     transparent: true,
@@ -188,14 +197,14 @@ export default function createRelicCombatStrategies(dependencies) {
         },
         vacuum: { // Blue Gravity Well
             onActivate(relic) {
-                const info = relicInfo.vacuum;
+                const info = relic.stats;
                 const clock = getClock();
                 relic.nextDamageTick = clock.getElapsedTime() + info.damageTickInterval;
                 relic.warningTriggered = false;
-                relic.gravityEffect = createGravityVortex(relic.relic, 200, info.range * 0.8, info.color, true, gravityWellEffects);
+                relic.gravityEffect = createGravityVortex(relic.relic, 200, (info.range * 0.8) / relic.relic.scale.x, info.color, true, gravityWellEffects);
             },
             update(relic, now, delta) {
-                const info = relicInfo.vacuum;
+                const info = relic.stats;
                 const WARNING_LEAD_TIME = 0.25;
 
                 if (!relic.warningTriggered && now >= relic.nextDamageTick - WARNING_LEAD_TIME) {
@@ -228,6 +237,7 @@ export default function createRelicCombatStrategies(dependencies) {
                               const proximityFactor = (info.range - distance) / info.range;
                               const damage = info.baseDamage * Math.pow(2, proximityFactor * 3);
                               enemy.health -= damage;
+                              recordDamageDealt('relic:vacuum', damage);
                               damageNumberManager.create(enemy.mesh, damage, {});
                           }
                       }
@@ -250,7 +260,7 @@ export default function createRelicCombatStrategies(dependencies) {
         },
         crit: { // Yellow Multi-shot
             update(relic, now, delta) {
-                const info = relicInfo.crit;
+                const info = relic.stats;
                 const gameSpeedMultiplier = getGameSpeedMultiplier();
                 if (now - relic.lastActionTime < (info.cooldown / gameSpeedMultiplier)) return;
 
@@ -272,6 +282,7 @@ export default function createRelicCombatStrategies(dependencies) {
                         p.damage = info.damage;
                         p.distanceTraveled = 0;
                         p.type = 'yellow_multishot';
+                        p.source = 'relic:crit';
                         relicProjectiles.push(p);
                     }
                 }
@@ -279,7 +290,7 @@ export default function createRelicCombatStrategies(dependencies) {
         },
         luck: { // White Aura Strike
             update(relic, now, delta) {
-                const info = relicInfo.luck;
+                const info = relic.stats;
                 const gameSpeedMultiplier = getGameSpeedMultiplier();
                 if (now - relic.lastActionTime < (info.cooldown / gameSpeedMultiplier)) return;
 
@@ -314,14 +325,15 @@ export default function createRelicCombatStrategies(dependencies) {
                         radius: info.radius,
                         damagePerSecond: info.damagePerSecond,
                         nextDamageTick: now + AURA_DAMAGE_INTERVAL,
-                        warningTriggered: false
+                        warningTriggered: false,
+                        source: 'relic:luck'
                     });
                 }
             }
         },
         droneSwarm: { // Cyan Drone Swarm
             onActivate(relic) {
-                const info = relicInfo.droneSwarm;
+                const info = relic.stats;
                 relic.drones = [];
 
                 const angleStep = (Math.PI * 2) / info.droneCount;
@@ -346,14 +358,18 @@ export default function createRelicCombatStrategies(dependencies) {
                 }
             },
             update(relic, now, delta) {
-                const info = relicInfo.droneSwarm;
+                const info = relic.stats;
                 const gameSpeedMultiplier = getGameSpeedMultiplier();
                 const rotationRadians = (info.orbitSpeed * Math.PI * delta) / 180;
 
                 if (!relic.drones) return;
 
+                // Hive Mind synergy (spreadTargets): drones split the enemies nearest the relic
+                // between them, like Multi-Shot, instead of all picking their own nearest
+                let spreadTargets = null;
+
                 // Update each drone's orbit and shooting
-                relic.drones.forEach((drone) => {
+                relic.drones.forEach((drone, index) => {
                     // Rotate orbit
                     drone.userData.orbitAngle += rotationRadians;
                     const angle = drone.userData.orbitAngle;
@@ -387,6 +403,17 @@ export default function createRelicCombatStrategies(dependencies) {
                             }
                         }
 
+                        if (info.spreadTargets && nearestEnemy) {
+                            if (!spreadTargets) {
+                                spreadTargets = spatialGrid.getNearby({ mesh: { position: relic.relic.position }, radius: info.range })
+                                    .filter(e => e.health > 0 && relic.relic.position.distanceTo(e.mesh.position) < info.range);
+                                spreadTargets.sort((a, b) => relic.relic.position.distanceTo(a.mesh.position) - relic.relic.position.distanceTo(b.mesh.position));
+                            }
+                            if (spreadTargets.length > 0) {
+                                nearestEnemy = spreadTargets[index % spreadTargets.length];
+                            }
+                        }
+
                         if (nearestEnemy) {
                             drone.userData.lastShotTime = now;
 
@@ -402,6 +429,7 @@ export default function createRelicCombatStrategies(dependencies) {
                             p.damage = info.droneDamage;
                             p.distanceTraveled = 0;
                             p.type = 'drone_shot';
+                            p.source = 'relic:droneSwarm';
                             relicProjectiles.push(p);
                         }
                     }
@@ -417,6 +445,56 @@ export default function createRelicCombatStrategies(dependencies) {
                     relic.drones = [];
                 }
             }
+        },
+        hybrid: { // Fused relic: both parents' attacks plus a resonance pulse
+            onActivate(relic) {
+                const clock = getClock();
+                relic.nextResonance = clock.getElapsedTime() + relic.stats.resonanceInterval;
+                relic.warningTriggered = false;
+                for (const part of relic.parts) {
+                    const strategy = strategies[part.type];
+                    if (strategy && strategy.onActivate) strategy.onActivate(part);
+                }
+            },
+            update(relic, now, delta) {
+                const info = relic.stats;
+                const WARNING_LEAD_TIME = 0.25;
+
+                for (const part of relic.parts) {
+                    const strategy = strategies[part.type];
+                    if (strategy && strategy.update) strategy.update(part, now, delta);
+                }
+
+                if (!relic.warningTriggered && now >= relic.nextResonance - WARNING_LEAD_TIME) {
+                    AreaWarningManager.create(relic.relic.position, info.resonanceRange, info.color, WARNING_LEAD_TIME, 'gradient');
+                    relic.warningTriggered = true;
+                }
+                if (now < relic.nextResonance) return;
+
+                const potentialTargets = spatialGrid.getNearby({
+                    mesh: { position: relic.relic.position },
+                    radius: info.resonanceRange
+                });
+                for (const enemy of potentialTargets) {
+                    if (!enemy.health || enemy.health <= 0) continue;
+                    if (relic.relic.position.distanceTo(enemy.mesh.position) < info.resonanceRange) {
+                        enemy.health -= info.resonanceDamage;
+                        recordDamageDealt('relic:hybrid', info.resonanceDamage);
+                        damageNumberManager.create(enemy.mesh, info.resonanceDamage, {});
+                    }
+                }
+                AudioManager.play('explosion', 0.4, relic.relic.position);
+                relic.nextResonance = now + info.resonanceInterval;
+                relic.warningTriggered = false;
+            },
+            onDeactivate(relic) {
+                for (const part of relic.parts) {
+                    const strategy = strategies[part.type];
+                    if (strategy && strategy.onDeactivate) strategy.onDeactivate(part);
+                }
+            }
         }
     };
+
+    return strategies;
 }
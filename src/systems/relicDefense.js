@@ -0,0 +1,144 @@
+/**
+ * Relic Defense System
+ * How much damage relics take from enemies, and repairing damaged relics
+ * (tuning in src/config/relicDefense.js)
+ *
+ * The player shields a relic by standing in its circle: it takes
+ * `shieldedDamageMultiplier` of every hit while they are there. Holding the
+ * repair action in the circle of a damaged active relic heals it a little every
+ * tick, paid with the run's gold, or with a gem of the relic's type when the
+ * gold runs out.
+ *
+ * Repairs follow the input frames, the player's position and the game clock,
+ * so they add no RNG rolls and replay the same.
+ *
+ * Dependencies:
+ * - relics: Array of relic groups
+ * - playerCone: Player mesh
+ * - gemCounts: Gem counters per relic type ({ current, required }), spent on repairs
+ * - getGold: () => gold in the run's wallet
+ * - spendGold: (amount) takes gold from the wallet
+ * - onGemSpent: (type) when a repair used up a gem, to update its counter (optional)
+ * - events: EventBus for relicRepaired (optional)
+ * - AudioManager: Audio playback manager
+ */
+
+import defenseConfig from '../config/relicDefense.js';
+import { RELIC_INTERACTION_RADIUS } from '../config/constants.js';
+import { getRelicParts } from './relicTiers.js';
+import { isFrameActionHeld } from './input.js';
+
+/**
+ * @param {Object} group - Relic group
+ * @param {THREE.Vector3} playerPosition - Player position
+ * @returns {boolean} Whether the player stands in the relic's circle, shielding it
+ */
+export function isRelicShielded(group, playerPosition) {
+    return playerPosition.distanceTo(group.ring.position) < RELIC_INTERACTION_RADIUS;
+}
+
+/**
+ * Damage a relic takes from an enemy hit
+ * @param {Object} group - Relic group that is hit
+ * @param {number} amount - Damage of the hit
+ * @param {THREE.Vector3} playerPosition - Player position
+ * @returns {number} Damage after the player's shielding
+ */
+export function getRelicDamage(group, amount, playerPosition) {
+    return isRelicShielded(group, playerPosition)
+        ? amount * defenseConfig.shieldedDamageMultiplier
+        : amount;
+}
+
+/**
+ * Creates the system that repairs relics while the repair action is held
+ * @param {Object} dependencies - See file header
+ * @returns {Object} { update, isRepairing, reset }
+ */
+export function createRelicRepair(dependencies) {
+    const {
+        relics,
+        playerCone,
+        gemCounts,
+        getGold,
+        spendGold,
+        onGemSpent = () => {},
+        events = null,
+        AudioManager
+    } = dependencies;
+
+    const { tickInterval, healPerTick, goldPerTick, healPerGem } = defenseConfig.repair;
+
+    let tickTimer = 0;
+    let repairing = false;
+
+    function findDamagedRelicAtPlayer() {
+        return relics.find(group => group.state === 'active' && group.health < group.maxHealth &&
+            isRelicShielded(group, playerCone.position)) || null;
+    }
+
+    /**
+     * @returns {string|null} A relic type of the group with a gem to spend (either parent for hybrids)
+     */
+    function findGemType(group) {
+        const part = getRelicParts(group).find(part => gemCounts[part.type]?.current > 0);
+        return part ? part.type : null;
+    }
+
+    /**
+     * Heals the relic once, if the player can pay for it
+     */
+    function repairTick(group) {
+        let heal;
+        if (getGold() >= goldPerTick) {
+            spendGold(goldPerTick);
+            heal = healPerTick;
+        } else {
+            const gemType = findGemType(group);
+            if (!gemType) return;
+            gemCounts[gemType].current--;
+            onGemSpent(gemType);
+            heal = healPerGem;
+        }
+
+        const amount = Math.min(group.maxHealth * heal, group.maxHealth - group.health);
+        group.health += amount;
+
+        AudioManager.play('pickup', 0.3, group.ring.position);
+        if (events) events.emit('relicRepaired', { relic: group, type: group.type, amount });
+    }
+
+    /**
+     * Repairs the damaged relic the player stands at while the repair action is held
+     * @param {number} delta - Game-speed-scaled step time
+     * @param {Object} inputFrame - Input of this step ({ keys, dragX, dragY })
+     */
+    function update(delta, inputFrame) {
+        const group = isFrameActionHeld(inputFrame, 'repair') ? findDamagedRelicAtPlayer() : null;
+        repairing = group !== null;
+        if (!group) {
+            tickTimer = 0; // The first tick of the next repair heals at once
+            return;
+        }
+
+        tickTimer -= delta;
+        if (tickTimer <= 0) {
+            tickTimer += tickInterval;
+            repairTick(group);
+        }
+    }
+
+    /**
+     * Stops a repair in progress (new run)
+     */
+    function reset() {
+        tickTimer = 0;
+        repairing = false;
+    }
+
+    return {
+        update,
+        isRepairing: () => repairing,
+        reset
+    };
+}
@@ -0,0 +1,160 @@
+/**
+ * Relic Health Bars
+ *
+ * Floating canvas health bars over damaged active relics, drawn like the boss
+ * health bars in bossUI.js. A bar shows up once a relic takes damage, is
+ * redrawn when its health changes and goes away when it is fully repaired or
+ * destroyed. While the player shields the relic the bar gets a blue frame.
+ */
+
+import * as THREE from 'three';
+import { isRelicShielded } from './relicDefense.js';
+
+const CANVAS_WIDTH = 256;
+const CANVAS_HEIGHT = 48;
+const BAR_HEIGHT_ABOVE_RELIC = 45; // Above the relic's mesh, which floats at y = 24
+
+/**
+ * Draw a relic health bar on canvas, green at full health to red when nearly destroyed
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} healthPercent - Health left, 0 to 1
+ * @param {number} health - Health left, for the text
+ * @param {boolean} shielded - Whether the player shields the relic
+ */
+function drawRelicHealthBar(ctx, healthPercent, health, shielded) {
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    const barWidth = CANVAS_WIDTH * 0.9;
+    const barHeight = 24;
+    const barX = (CANVAS_WIDTH - barWidth) / 2;
+    const barY = (CANVAS_HEIGHT - barHeight) / 2;
+
+    // Background (black with alpha)
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(barX - 4, barY - 4, barWidth + 8, barHeight + 8);
+
+    // Border, blue while shielded
+    ctx.strokeStyle = shielded ? '#33aaff' : '#ffffff';
+    ctx.lineWidth = shielded ? 4 : 2;
+    ctx.strokeRect(barX - 2, barY - 2, barWidth + 4, barHeight + 4);
+
+    // Health bar background (dark red)
+    ctx.fillStyle = '#3d0000';
+    ctx.fillRect(barX, barY, barWidth, barHeight);
+
+    // Health bar fill
+    ctx.fillStyle = `hsl(${Math.round(healthPercent * 120)}, 90%, 50%)`;
+    ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
+
+    // Health text
+    ctx.font = 'bold 16px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 3;
+    ctx.fillStyle = '#ffffff';
+
+    const healthText = `${Math.ceil(health)}`;
+    ctx.strokeText(healthText, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+    ctx.fillText(healthText, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+}
+
+/**
+ * Create a health bar sprite for a relic
+ * @param {THREE.Scene} scene - THREE.js scene
+ * @returns {Object} { sprite, canvas, ctx, texture, drawn }
+ */
+function createRelicHealthBar(scene) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
+    const ctx = canvas.getContext('2d');
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false
+    }));
+    sprite.scale.set(80, 15, 1);
+    sprite.renderOrder = 998; // On top, under the boss bars
+
+    scene.add(sprite);
+    return { sprite, canvas, ctx, texture, drawn: '' };
+}
+
+/**
+ * Relic Health Bar Manager
+ * Keeps a health bar over every damaged active relic
+ */
+export class RelicHealthBarManager {
+    /**
+     * @param {THREE.Scene} scene - Scene the health bars are added to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.activeHealthBars = new Map(); // relic group -> healthBar
+    }
+
+    /**
+     * Shows, redraws and removes bars to match the relics' health
+     * @param {Array} relics - Relic groups
+     * @param {THREE.Vector3} playerPosition - Player position (shielded relics)
+     */
+    update(relics, playerPosition) {
+        const damaged = new Set(relics.filter(group =>
+            group.state === 'active' && group.health < group.maxHealth));
+
+        this.activeHealthBars.forEach((healthBar, group) => {
+            if (!damaged.has(group)) this.removeHealthBar(group);
+        });
+
+        damaged.forEach(group => {
+            let healthBar = this.activeHealthBars.get(group);
+            if (!healthBar) {
+                healthBar = createRelicHealthBar(this.scene);
+                this.activeHealthBars.set(group, healthBar);
+            }
+
+            healthBar.sprite.position.set(
+                group.ring.position.x,
+                BAR_HEIGHT_ABOVE_RELIC,
+                group.ring.position.z
+            );
+
+            // Redraw only when what the bar shows changes
+            const healthPercent = Math.max(0, group.health / group.maxHealth);
+            const shielded = isRelicShielded(group, playerPosition);
+            const state = `${Math.ceil(group.health)}:${shielded}`;
+            if (state !== healthBar.drawn) {
+                drawRelicHealthBar(healthBar.ctx, healthPercent, group.health, shielded);
+                healthBar.texture.needsUpdate = true;
+                healthBar.drawn = state;
+            }
+        });
+    }
+
+    /**
+     * Remove the health bar of a relic
+     * @param {Object} group - Relic group
+     */
+    removeHealthBar(group) {
+        const healthBar = this.activeHealthBars.get(group);
+        if (!healthBar) return;
+
+        this.scene.remove(healthBar.sprite);
+        healthBar.texture.dispose();
+        healthBar.sprite.material.dispose();
+        this.activeHealthBars.delete(group);
+    }
+
+    /**
+     * Clear all relic health bars (new run)
+     */
+    clear() {
+        this.activeHealthBars.forEach((healthBar, group) => this.removeHealthBar(group));
+    }
+}
+
+export default RelicHealthBarManager;
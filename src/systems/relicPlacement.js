@@ -0,0 +1,308 @@
+/**
+ * Relic Placement System
+ * Lets the player choose where earned relics land, and pick up active relics
+ * to move them (tuning in src/config/relicPlacement.js)
+ *
+ * A relic waiting to be placed is shown as a ghost with its attack range on the
+ * ground, in front of the player. The interact action puts it down if the spot
+ * keeps the spacing to the other relics; otherwise, or once the time is up, it
+ * lands on its own. Only one relic is placed at a time: the simulation holds
+ * its spawn queue while a placement is pending.
+ *
+ * A new relic lands idle and still has to be converted. A moved relic comes back
+ * active, with the tier, health and hybrid parents it was picked up with.
+ *
+ * Placement follows the input frames, the player's position and facing and the
+ * game clock, so a replay puts every relic where it was put live. Only the
+ * random fallback for a blocked spot rolls the RNG.
+ *
+ * Dependencies:
+ * - scene: THREE.Scene for the ghost
+ * - relics: Array of relic groups
+ * - relicInfo: Relic configuration data (from src/config/relicInfo.js)
+ * - playerCone: Player mesh (position, rotation.y = facing)
+ * - getRelicDependencies: () => dependencies of spawnRelic / restoreRelic
+ * - getGold: () => gold in the run's wallet
+ * - spendGold: (amount) takes gold from the wallet
+ * - onPromptChange: (prompt) when the prompt for the player changes (optional); prompt is null,
+ *   { action: 'place', name, valid, timeLeft, moving } or { action: 'move', name, cost, affordable, damaged }
+ *   (damaged: the relic can be repaired, see relicDefense.js)
+ * - events: EventBus for relicPlaced and relicPickedUp (optional)
+ * - AudioManager: Audio playback manager
+ */
+
+import * as THREE from 'three';
+import { ARENA_PLAYABLE_HALF_SIZE, RELIC_INTERACTION_RADIUS } from '../config/constants.js';
+import placementConfig from '../config/relicPlacement.js';
+import { spawnRelic, restoreRelic, removeRelic } from './relicSpawning.js';
+import { getRelicParts } from './relicTiers.js';
+import { isFrameActionHeld } from './input.js';
+
+/**
+ * Creates the system that places earned relics and moves active ones
+ * @param {Object} dependencies - See file header
+ * @returns {Object} { start, update, isPlacing, getPending, reset }
+ */
+export function createRelicPlacement(dependencies) {
+    const {
+        scene,
+        relics,
+        relicInfo,
+        playerCone,
+        getRelicDependencies,
+        getGold,
+        spendGold,
+        onPromptChange = () => {},
+        events = null,
+        AudioManager
+    } = dependencies;
+
+    const { distance, timeout, spacing, relocateCost, ghostOpacity, validColor, blockedColor } = placementConfig;
+
+    // { type, name, savedRelic (moved relics only), timeLeft, valid, ghost, rangeRing }
+    let pending = null;
+    let wasInteracting = false;
+    let shownPrompt = 'null';
+
+    function clamp(value) {
+        return Math.max(-ARENA_PLAYABLE_HALF_SIZE, Math.min(ARENA_PLAYABLE_HALF_SIZE, value));
+    }
+
+    /**
+     * @returns {THREE.Vector3} Spot `distance` in front of the player, inside the arena
+     */
+    function getGhostPosition() {
+        const facing = playerCone.rotation.y;
+        return new THREE.Vector3(
+            clamp(playerCone.position.x + Math.sin(facing) * distance),
+            0,
+            clamp(playerCone.position.z + Math.cos(facing) * distance)
+        );
+    }
+
+    function isClear(position) {
+        return relics.every(group =>
+            Math.hypot(group.ring.position.x - position.x, group.ring.position.z - position.z) >= spacing);
+    }
+
+    // Hybrids are named after both parents, like their relicInfo-like entry
+    function getRelicName(group) {
+        return group.fusedTypes
+            ? group.fusedTypes.map(type => relicInfo[type].name).join(' / ')
+            : relicInfo[group.type].name;
+    }
+
+    function findRelicAtPlayer() {
+        return relics.find(group => group.state === 'active' &&
+            playerCone.position.distanceTo(group.ring.position) < RELIC_INTERACTION_RADIUS) || null;
+    }
+
+    /**
+     * Shows the ghost and waits for the player to put the relic down
+     * @param {Object} placement - { type, name, savedRelic, geometry, range }
+     */
+    function beginPlacement({ type, name, savedRelic, geometry, range }) {
+        const ghost = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: validColor,
+            transparent: true,
+            opacity: ghostOpacity,
+            wireframe: true
+        }));
+        const rangeRing = new THREE.Mesh(
+            new THREE.RingGeometry(range - 2, range, 64),
+            new THREE.MeshBasicMaterial({
+                color: validColor,
+                transparent: true,
+                opacity: ghostOpacity,
+                side: THREE.DoubleSide
+            })
+        );
+        rangeRing.rotation.x = -Math.PI / 2;
+        scene.add(ghost);
+        scene.add(rangeRing);
+
+        pending = { type, name, savedRelic, timeLeft: timeout, valid: true, ghost, rangeRing };
+        moveGhost();
+    }
+
+    function moveGhost() {
+        const position = getGhostPosition();
+        pending.valid = isClear(position);
+
+        const color = pending.valid ? validColor : blockedColor;
+        pending.ghost.material.color.set(color);
+        pending.rangeRing.material.color.set(color);
+        pending.ghost.position.set(position.x, 24, position.z);
+        pending.rangeRing.position.set(position.x, 0.2, position.z);
+    }
+
+    function removeGhost() {
+        scene.remove(pending.ghost);
+        scene.remove(pending.rangeRing);
+        // The ghost shares its geometry with relicInfo
+        pending.ghost.material.dispose();
+        pending.rangeRing.geometry.dispose();
+        pending.rangeRing.material.dispose();
+    }
+
+    /**
+     * Puts the pending relic down
+     * @param {THREE.Vector3|null} position - Where it lands (null: a random spot near the player)
+     */
+    function land(position) {
+        const { type, savedRelic } = pending;
+        removeGhost();
+        pending = null;
+
+        const relicDependencies = getRelicDependencies();
+        let group;
+        if (position) {
+            group = restoreRelic({ ...(savedRelic || { type }), x: position.x, z: position.z }, relicDependencies);
+        } else {
+            spawnRelic(type, true, relicDependencies);
+            group = relics[relics.length - 1];
+        }
+
+        AudioManager.play('pickup', 0.6, group.ring.position);
+        if (events) events.emit('relicPlaced', { relic: group, type, moved: Boolean(savedRelic) });
+    }
+
+    function updatePlacement(delta, pressed) {
+        moveGhost();
+        pending.timeLeft -= delta;
+
+        if (pending.valid && (pressed || pending.timeLeft <= 0)) {
+            land(getGhostPosition());
+        } else if (pending.timeLeft <= 0) {
+            // A moved relic goes back where it came from; a new one lands at a random spot nearby
+            const { savedRelic } = pending;
+            land(savedRelic ? new THREE.Vector3(savedRelic.x, 0, savedRelic.z) : null);
+        }
+    }
+
+    /**
+     * Picks up an active relic for the relocation fee
+     */
+    function pickUp(group) {
+        spendGold(relocateCost);
+
+        const parts = getRelicParts(group);
+        const savedRelic = {
+            type: group.type,
+            x: group.ring.position.x,
+            z: group.ring.position.z,
+            health: group.health,
+            maxHealth: group.maxHealth,
+            active: true,
+            tier: group.tier,
+            tierProgress: group.tierProgress,
+            fusedTypes: group.fusedTypes || null
+        };
+        const shape = relicInfo[parts[0].type];
+        removeRelic(group, relics.indexOf(group), getRelicDependencies());
+
+        AudioManager.play('pickup', 0.6, group.ring.position);
+        if (events) events.emit('relicPickedUp', { type: group.type, cost: relocateCost });
+
+        beginPlacement({
+            type: group.type,
+            name: getRelicName(group),
+            savedRelic,
+            geometry: shape.geometry,
+            range: Math.max(...parts.map(part => part.stats.range))
+        });
+    }
+
+    /**
+     * Tells the UI what the interact action would do now, when that changes
+     */
+    function updatePrompt() {
+        let prompt = null;
+        if (pending) {
+            prompt = {
+                action: 'place',
+                name: pending.name,
+                valid: pending.valid,
+                timeLeft: Math.ceil(pending.timeLeft),
+                moving: Boolean(pending.savedRelic)
+            };
+        } else {
+            const group = findRelicAtPlayer();
+            if (group) {
+                prompt = {
+                    action: 'move',
+                    name: getRelicName(group),
+                    cost: relocateCost,
+                    affordable: getGold() >= relocateCost,
+                    damaged: group.health < group.maxHealth
+                };
+            }
+        }
+
+        const key = JSON.stringify(prompt);
+        if (key !== shownPrompt) {
+            shownPrompt = key;
+            onPromptChange(prompt);
+        }
+    }
+
+    /**
+     * Starts placing an earned relic
+     * @param {string} type - Relic type
+     */
+    function start(type) {
+        const info = relicInfo[type];
+        if (!info) {
+            console.warn(`[RelicPlacement] Unknown relic type: ${type}`);
+            return;
+        }
+        beginPlacement({ type, name: info.name, savedRelic: null, geometry: info.geometry, range: info.range });
+    }
+
+    /**
+     * Moves the ghost and handles the interact action
+     * @param {number} delta - Game-speed-scaled step time
+     * @param {Object} inputFrame - Input of this step ({ keys, dragX, dragY })
+     */
+    function update(delta, inputFrame) {
+        const interacting = isFrameActionHeld(inputFrame, 'interact');
+        const pressed = interacting && !wasInteracting;
+        wasInteracting = interacting;
+
+        if (pending) {
+            updatePlacement(delta, pressed);
+        } else if (pressed) {
+            const group = findRelicAtPlayer();
+            if (group && getGold() >= relocateCost) pickUp(group);
+        }
+
+        updatePrompt();
+    }
+
+    /**
+     * @returns {Object|null} The relic being placed: { type, savedRelic } (savedRelic
+     *   is where a moved relic was picked up, in the shape of a saved run's relics)
+     */
+    function getPending() {
+        return pending ? { type: pending.type, savedRelic: pending.savedRelic } : null;
+    }
+
+    /**
+     * Drops a pending placement without placing it (new run)
+     */
+    function reset() {
+        if (pending) removeGhost();
+        pending = null;
+        wasInteracting = false;
+        shownPrompt = 'null';
+        onPromptChange(null);
+    }
+
+    return {
+        start,
+        update,
+        isPlacing: () => pending !== null,
+        getPending,
+        reset
+    };
+}
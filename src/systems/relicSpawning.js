@@ -1,6 +1,6 @@
 /**
  * Relic Spawning System
- * Handles spawning, scheduling, and destruction of relics
+ * Handles spawning, scheduling, restoring, and destruction of relics
  * Extracted from index-reference.html (lines ~1148-1250, 1960-1962, 2370-2402)
  *
  * EXTERNAL DEPENDENCIES (must be passed/injected):
@@ -14,10 +14,17 @@
  * - gravityWellEffects: Array of active gravity well effects
  * - MAX_RELICS: Maximum number of relics allowed
  * - RELIC_SPAWN_Y: Y position for spawning relics
+ * - rng: SeededRandom instance for placement rolls (optional)
+ *
+ * Relics start at tier 1 with their relicInfo stats in `stats`; tiers and
+ * hybrids are handled by relicTiers.js.
  */
 
 import * as THREE from 'three';
 import { ARENA_PLAYABLE_HALF_SIZE } from '../config/constants.js';
+import relicTierConfig from '../config/relicTiers.js';
+import { defaultRandom } from '../utils/SeededRandom.js';
+import { scaleRelicStats, createHybridInfo, setRelicTier } from './relicTiers.js';
 
 /**
  * Spawns a relic of the specified type
@@ -33,16 +40,17 @@ import { ARENA_PLAYABLE_HALF_SIZE } from '../config/constants.js';
  * - playerCone: Player object with position
  * - MAX_RELICS: Maximum allowed relics
  * - RELIC_SPAWN_Y: Y coordinate for spawning
+ * - rng: SeededRandom instance for placement (optional)
  */
 export function spawnRelic(gemType, nearPlayer = true, dependencies) {
     const {
         relics,
         relicSpawnQueue,
         relicInfo,
-        scene,
         playerCone,
         MAX_RELICS,
-        RELIC_SPAWN_Y
+        RELIC_SPAWN_Y,
+        rng = defaultRandom
     } = dependencies;
 
     if (relics.length >= MAX_RELICS) {
@@ -68,9 +76,9 @@ export function spawnRelic(gemType, nearPlayer = true, dependencies) {
         // Spawn near player, but not too close
         // Initial relics spawn closer (80-180), regular relics spawn further (200-400)
         const spawnRadius = nearPlayer
-            ? 80 + Math.random() * 100
-            : 200 + Math.random() * 200;
-        const spawnAngle = Math.random() * Math.PI * 2;
+            ? 80 + rng.next() * 100
+            : 200 + rng.next() * 200;
+        const spawnAngle = rng.next() * Math.PI * 2;
         position = new THREE.Vector3(
             playerCone.position.x + Math.cos(spawnAngle) * spawnRadius,
             RELIC_SPAWN_Y,
@@ -94,14 +102,28 @@ export function spawnRelic(gemType, nearPlayer = true, dependencies) {
         if (attempts > 20) {
             // Fallback to random placement after 20 attempts to avoid lag
             position = new THREE.Vector3(
-                (Math.random() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2),
+                (rng.next() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2),
                 RELIC_SPAWN_Y,
-                (Math.random() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2)
+                (rng.next() - 0.5) * (ARENA_PLAYABLE_HALF_SIZE * 2)
             );
             break;
         }
     } while (tooClose);
 
+    createRelicAt(gemType, position, dependencies);
+}
+
+/**
+ * Builds a relic (mesh, summoning circle, particles, light) at a fixed position
+ * @param {string} gemType - Type of relic
+ * @param {THREE.Vector3} position - Where the relic hovers (y = spawn height)
+ * @param {Object} dependencies - Same dependencies as spawnRelic
+ * @param {Object} [info] - Look and stats (defaults to the type's relicInfo entry)
+ * @returns {Object} The relic group added to `relics`
+ */
+function createRelicAt(gemType, position, dependencies, info = dependencies.relicInfo[gemType]) {
+    const { relics, scene, RELIC_SPAWN_Y } = dependencies;
+
     const relicMaterial = new THREE.MeshStandardMaterial({
         color: info.color,
         flatShading: true,
@@ -226,7 +248,7 @@ export function spawnRelic(gemType, nearPlayer = true, dependencies) {
     scene.add(light);
 
     const initialY = RELIC_SPAWN_Y;
-    relics.push({
+    const group = {
         relic, // was octahedron
         ring: ringGroup, // Now a group with multiple elements
         ringOuterMesh: outerRing,
@@ -236,6 +258,11 @@ export function spawnRelic(gemType, nearPlayer = true, dependencies) {
         particleVelocities: particleVelocities,
         light,
         type: gemType,
+        tier: 1,
+        tierProgress: 0, // Gems fed towards the next tier
+        stats: scaleRelicStats(info),
+        feedTimer: 0,
+        fusionProgress: 0,
         health: info.health,
         maxHealth: info.health,
         radius: 24, // All relics have same interaction radius for now
@@ -248,7 +275,121 @@ export function spawnRelic(gemType, nearPlayer = true, dependencies) {
         loweringSpeed: 0,
         nextDamageTick: 0,
         warningTriggered: false
-    });
+    };
+    relics.push(group);
+    return group;
+}
+
+/**
+ * Builds a hybrid relic of two relic types (see relicTiers.js). It fights with
+ * one part per parent type and shows the second parent as a wireframe core.
+ * @param {string[]} types - The two parent types
+ * @param {THREE.Vector3} position - Where the relic hovers
+ * @param {Object} dependencies - Same dependencies as spawnRelic
+ * @returns {Object} The relic group added to `relics` (still to be activated)
+ */
+function createHybridAt(types, position, dependencies) {
+    const { relicInfo } = dependencies;
+    const info = createHybridInfo(types, relicInfo);
+    const group = createRelicAt('hybrid', position, dependencies, info);
+
+    group.tier = relicTierConfig.maxTier;
+    group.fusedTypes = [...types];
+    group.parts = types.map((type, index) => ({
+        relic: group.relic,
+        type,
+        radius: group.radius,
+        stats: info.parts[index],
+        lastActionTime: 0
+    }));
+    group.relic.scale.setScalar(1 + relicTierConfig.scalePerTier * group.tier);
+
+    const core = new THREE.Mesh(
+        relicInfo[types[1]].geometry,
+        new THREE.MeshBasicMaterial({ color: relicInfo[types[1]].color, wireframe: true })
+    );
+    core.scale.setScalar(0.6);
+    group.relic.add(core);
+    group.hybridCore = core;
+
+    return group;
+}
+
+/**
+ * Makes a freshly built relic active, as if it had just been converted
+ * @param {Object} group - Relic group
+ * @param {Object} RelicCombatStrategies - Combat strategies
+ */
+function activateRelic(group, RelicCombatStrategies) {
+    group.state = 'active';
+    group.animationProgress = 1;
+    group.conversionProgress = 1;
+    group.relic.position.y = 24;
+
+    const strategy = RelicCombatStrategies[group.type];
+    if (strategy && strategy.onActivate) {
+        strategy.onActivate(group);
+    }
+}
+
+/**
+ * Fuses two active relics into a hybrid halfway between them
+ * @param {Object} first - Relic group (its type becomes the hybrid's shape)
+ * @param {Object} second - Relic group of another type
+ * @param {Object} dependencies - Same dependencies as destroyRelic and spawnRelic
+ * @returns {Object} The new, active hybrid relic
+ */
+export function fuseRelics(first, second, dependencies) {
+    const { relics, RELIC_SPAWN_Y, RelicCombatStrategies } = dependencies;
+
+    const position = new THREE.Vector3()
+        .addVectors(first.ring.position, second.ring.position)
+        .multiplyScalar(0.5);
+    position.y = RELIC_SPAWN_Y;
+
+    // The parents are used up, so they drop no gems
+    const types = [first.type, second.type];
+    removeRelic(first, relics.indexOf(first), dependencies);
+    removeRelic(second, relics.indexOf(second), dependencies);
+
+    const hybrid = createHybridAt(types, position, dependencies);
+    activateRelic(hybrid, RelicCombatStrategies);
+    return hybrid;
+}
+
+/**
+ * Rebuilds a relic from a saved run
+ * @param {Object} savedRelic - { type, x, z, health, maxHealth, active, tier, tierProgress, fusedTypes }
+ * @param {Object} dependencies - Same dependencies as spawnRelic (plus RelicCombatStrategies)
+ * @returns {Object|undefined} The relic group, or undefined if its type is unknown
+ *
+ * Converted relics come back already active; unconverted ones come back idle.
+ */
+export function restoreRelic(savedRelic, dependencies) {
+    const { relicInfo, RELIC_SPAWN_Y, RelicCombatStrategies } = dependencies;
+
+    const types = savedRelic.fusedTypes || [savedRelic.type];
+    const unknownType = types.find(type => !relicInfo[type]);
+    if (unknownType) {
+        console.warn(`Skipping saved relic of unknown type: ${unknownType}`);
+        return;
+    }
+
+    const position = new THREE.Vector3(savedRelic.x, RELIC_SPAWN_Y, savedRelic.z);
+    const group = savedRelic.fusedTypes
+        ? createHybridAt(savedRelic.fusedTypes, position, dependencies)
+        : createRelicAt(savedRelic.type, position, dependencies);
+    if (!savedRelic.fusedTypes && savedRelic.tier > 1) {
+        setRelicTier(group, savedRelic.tier, RelicCombatStrategies, relicInfo);
+    }
+    group.tierProgress = savedRelic.tierProgress ?? 0;
+    group.maxHealth = savedRelic.maxHealth ?? group.maxHealth;
+    group.health = Math.min(savedRelic.health ?? group.maxHealth, group.maxHealth);
+
+    if (savedRelic.active) {
+        activateRelic(group, RelicCombatStrategies);
+    }
+    return group;
 }
 
 /**
@@ -286,19 +427,30 @@ export function scheduleRelicSpawn(gemType, relicSpawnQueue) {
  * - gravityWellEffects: Array of active gravity well effects
  */
 export function destroyRelic(group, index, dependencies) {
+    const { createGem } = dependencies;
+
+    // --- Gem Drop ---
+    // Relics always drop one gem of their type upon destruction (hybrids one per parent).
+    for (const type of group.fusedTypes || [group.type]) {
+        createGem(type, group.relic.position);
+    }
+    removeRelic(group, index, dependencies);
+}
+
+/**
+ * Takes a relic out of the arena without a gem drop (fused or picked up to be moved)
+ * @param {Object} group - The relic object to remove
+ * @param {number} index - Index of the relic in the relics array
+ * @param {Object} dependencies - Same dependencies as destroyRelic (createGem unused)
+ */
+export function removeRelic(group, index, dependencies) {
     const {
         scene,
         relics,
         RelicCombatStrategies,
-        createGem,
         gravityWellEffects
     } = dependencies;
 
-    // --- Gem Drop ---
-    // Relics always drop one gem of their type upon destruction.
-    if (group.type) {
-        createGem(group.type, group.relic.position);
-    }
     const strategy = RelicCombatStrategies[group.type];
     if (strategy && strategy.onDeactivate) {
         strategy.onDeactivate(group);
@@ -318,6 +470,13 @@ export function destroyRelic(group, index, dependencies) {
         group.auraVisual.material.dispose();
         group.auraVisual = null;
     }
+    for (const halo of group.tierHalos || []) {
+        halo.geometry.dispose();
+        halo.material.dispose();
+    }
+    if (group.hybridCore) {
+        group.hybridCore.material.dispose();
+    }
     group.relic.material.dispose();
 
     // Clean up ring group and all its children
@@ -0,0 +1,229 @@
+/**
+ * Relic Synergies System
+ * Links active relics of matching types placed near each other and gives them
+ * the synergy's bonuses (declared in src/config/relicSynergies.js)
+ *
+ * Bonuses go into each relic's `stats`, which the combat strategies read. The
+ * stats without bonuses are kept in `baseStats`; when a tier-up replaces a
+ * relic's stats, its bonuses are applied again on top of the new ones. A relic
+ * whose bonuses change has its strategy restarted, so auras and drones pick
+ * them up. Hybrids get the bonuses per part.
+ *
+ * Links only depend on where relics stand, so they add no RNG rolls.
+ *
+ * Dependencies:
+ * - scene: THREE.Scene for the link beams
+ * - relics: Array of relic groups
+ * - RelicCombatStrategies: Combat strategies, restarted when a relic's bonuses change
+ * - onSynergiesChange: (synergies) when the active synergies change, to update the HUD (optional);
+ *   synergies: [{ id, name, description, links }] in config order
+ * - events: EventBus for synergyFormed (optional)
+ */
+
+import * as THREE from 'three';
+import synergyConfig from '../config/relicSynergies.js';
+import { getRelicParts } from './relicTiers.js';
+
+/**
+ * Applies synergy bonuses to a relic type's stats
+ * @param {Object} baseStats - Stats without bonuses
+ * @param {string} type - Relic type the stats belong to
+ * @param {string[]} synergyIds - Synergies the relic takes part in
+ * @returns {Object} Copy of the stats with the bonuses for the type
+ */
+export function applySynergyBonuses(baseStats, type, synergyIds) {
+    const stats = { ...baseStats };
+    for (const id of synergyIds) {
+        const bonus = synergyConfig.synergies[id].bonuses[type] || {};
+        for (const stat in bonus) {
+            if (bonus[stat] === true) {
+                stats[stat] = true;
+            } else if (typeof stats[stat] === 'number') {
+                stats[stat] *= bonus[stat];
+            }
+        }
+    }
+    return stats;
+}
+
+/**
+ * Creates the system that links relics and keeps their bonuses up to date
+ * @param {Object} dependencies - See file header
+ * @returns {Object} { update, getActiveSynergies, reset }
+ */
+export function createRelicSynergies(dependencies) {
+    const {
+        scene,
+        relics,
+        RelicCombatStrategies,
+        onSynergiesChange = () => {},
+        events = null
+    } = dependencies;
+
+    const { linkRange, synergies } = synergyConfig;
+
+    let links = []; // { id, first, second, beam }
+    let shownSynergies = '[]';
+
+    function hasType(group, type) {
+        return getRelicParts(group).some(part => part.type === type);
+    }
+
+    /**
+     * @returns {Object[]} Every synergy between two active relics in range: { id, first, second }
+     */
+    function findLinks() {
+        const active = relics.filter(group => group.state === 'active');
+        const found = [];
+
+        for (let i = 0; i < active.length; i++) {
+            for (let j = i + 1; j < active.length; j++) {
+                const first = active[i];
+                const second = active[j];
+                if (first.ring.position.distanceTo(second.ring.position) > linkRange) continue;
+
+                for (const id in synergies) {
+                    const [a, b] = synergies[id].types;
+                    if ((hasType(first, a) && hasType(second, b)) || (hasType(first, b) && hasType(second, a))) {
+                        found.push({ id, first, second });
+                    }
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Gives a relic part the bonuses of exactly these synergies
+     * @returns {boolean} Whether its stats changed
+     */
+    function applyToPart(part, synergyIds) {
+        // A tier-up replaced the stats, so they are the new base
+        if (part.stats !== part.boostedStats) {
+            part.baseStats = part.stats;
+            part.boostedStats = part.stats;
+            part.synergies = [];
+        }
+        if (synergyIds.join(',') === part.synergies.join(',')) return false;
+
+        part.stats = applySynergyBonuses(part.baseStats, part.type, synergyIds);
+        part.boostedStats = part.stats;
+        part.synergies = synergyIds;
+        return true;
+    }
+
+    function restartStrategy(group) {
+        const strategy = RelicCombatStrategies[group.type];
+        if (strategy && strategy.onDeactivate) strategy.onDeactivate(group);
+        if (strategy && strategy.onActivate) strategy.onActivate(group);
+    }
+
+    function updateBonuses(found) {
+        // Part -> synergies whose bonuses it gets
+        const granted = new Map();
+        for (const link of found) {
+            for (const part of [...getRelicParts(link.first), ...getRelicParts(link.second)]) {
+                if (!synergies[link.id].bonuses[part.type]) continue;
+                if (!granted.has(part)) granted.set(part, new Set());
+                granted.get(part).add(link.id);
+            }
+        }
+
+        for (const group of relics) {
+            if (group.state !== 'active') continue;
+            let changed = false;
+            for (const part of getRelicParts(group)) {
+                const ids = granted.get(part) || new Set();
+                changed = applyToPart(part, Object.keys(synergies).filter(id => ids.has(id))) || changed;
+            }
+            if (changed) restartStrategy(group);
+        }
+    }
+
+    function createBeam(link) {
+        const beam = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([
+                link.first.relic.position.clone(),
+                link.second.relic.position.clone()
+            ]),
+            new THREE.LineBasicMaterial({ color: synergies[link.id].color, transparent: true, opacity: 0.7 })
+        );
+        scene.add(beam);
+        return beam;
+    }
+
+    function removeBeam(beam) {
+        scene.remove(beam);
+        beam.geometry.dispose();
+        beam.material.dispose();
+    }
+
+    /**
+     * Keeps the beams of links that still hold, and draws the new ones
+     */
+    function updateBeams(found) {
+        for (const link of links) {
+            const kept = found.find(other =>
+                other.id === link.id && other.first === link.first && other.second === link.second);
+            if (kept) {
+                kept.beam = link.beam;
+            } else {
+                removeBeam(link.beam);
+            }
+        }
+
+        for (const link of found) {
+            if (link.beam) continue;
+            link.beam = createBeam(link);
+            if (events) events.emit('synergyFormed', { synergy: link.id, relics: [link.first, link.second] });
+        }
+        links = found;
+    }
+
+    /**
+     * @returns {Object[]} Active synergies: [{ id, name, description, links }] in config order
+     */
+    function getActiveSynergies() {
+        return Object.keys(synergies)
+            .map(id => ({
+                id,
+                name: synergies[id].name,
+                description: synergies[id].description,
+                links: links.filter(link => link.id === id).length
+            }))
+            .filter(synergy => synergy.links > 0);
+    }
+
+    function reportSynergies() {
+        const active = getActiveSynergies();
+        const key = JSON.stringify(active);
+        if (key !== shownSynergies) {
+            shownSynergies = key;
+            onSynergiesChange(active);
+        }
+    }
+
+    /**
+     * Relinks the relics and updates their bonuses, beams and the HUD
+     */
+    function update() {
+        const found = findLinks();
+        updateBonuses(found);
+        updateBeams(found);
+        reportSynergies();
+    }
+
+    /**
+     * Removes every link (new run)
+     */
+    function reset() {
+        for (const link of links) {
+            removeBeam(link.beam);
+        }
+        links = [];
+        shownSynergies = '[]';
+        onSynergiesChange([]);
+    }
+
+    return { update, getActiveSynergies, reset };
+}
@@ -0,0 +1,254 @@
+/**
+ * Relic Tiers System
+ * Levels converted relics with gems and fuses max-tier relics into hybrids
+ * (tuning in src/config/relicTiers.js)
+ *
+ * Every relic carries `stats`: its relicInfo entry scaled for its tier. The
+ * combat strategies read their numbers from there, so a tier-up only has to
+ * swap the stats and restart the relic's strategy. A hybrid relic has one set
+ * of stats per parent in `parts`, each fought with that parent's strategy.
+ *
+ * Feeding and fusing are driven by where the player stands and the game clock,
+ * so they add no RNG rolls.
+ *
+ * Dependencies:
+ * - relics: Array of relic groups
+ * - relicInfo: Relic configuration data (from src/config/relicInfo.js)
+ * - gemCounts: Gem counters ({ type: { current, required } }) that gems are fed from
+ * - playerCone: Player mesh (position)
+ * - RelicCombatStrategies: Combat strategies, restarted when a relic's stats change
+ * - fuseRelics: (first, second) => hybrid group, see relicSpawning.js
+ * - onGemFed: (type) called after a gem counter was drained, to update its UI (optional)
+ * - isRepairing: () => whether the player is repairing a relic; feeding and fusing wait
+ *   meanwhile, so the gems are left for the repair (optional)
+ * - events: EventBus for relicTierUp and relicFused (optional)
+ * - AudioManager: Audio playback manager
+ */
+
+import * as THREE from 'three';
+import relicTierConfig from '../config/relicTiers.js';
+import { RELIC_INTERACTION_RADIUS } from '../config/constants.js';
+
+/**
+ * Scales a relic type's stats for a tier
+ * @param {Object} info - relicInfo entry
+ * @param {number} [tier] - 1-based tier
+ * @param {number} [extraMultiplier] - Applied on top to every multiplied stat (hybrids)
+ * @returns {Object} Copy of the entry with the scaled stats
+ */
+export function scaleRelicStats(info, tier = 1, extraMultiplier = 1) {
+    const { multipliers, increments } = relicTierConfig;
+    const stats = { ...info };
+    const steps = tier - 1;
+
+    for (const stat in multipliers) {
+        if (typeof info[stat] !== 'number') continue;
+        // Cooldowns shrink with the tier, so the hybrid bonus divides them
+        const bonus = multipliers[stat] < 1 ? 1 / extraMultiplier : extraMultiplier;
+        stats[stat] = info[stat] * (multipliers[stat] ** steps) * bonus;
+    }
+    for (const stat in increments) {
+        if (typeof info[stat] === 'number') stats[stat] = info[stat] + increments[stat] * steps;
+    }
+    return stats;
+}
+
+/**
+ * Builds the relicInfo-like entry of a hybrid relic
+ * @param {string[]} types - The two parent types
+ * @param {Object} relicInfo - Relic configuration
+ * @returns {Object} { name, geometry, color, health, parts: [stats, stats], resonance... }
+ */
+export function createHybridInfo(types, relicInfo) {
+    const { maxTier, fusion } = relicTierConfig;
+    const [first, second] = types.map(type => relicInfo[type]);
+    const parts = types.map(type => scaleRelicStats(relicInfo[type], maxTier, fusion.statMultiplier));
+
+    return {
+        name: `${first.name} / ${second.name}`,
+        geometry: first.geometry,
+        color: new THREE.Color(first.color).lerp(new THREE.Color(second.color), 0.5).getHex(),
+        health: Math.round(parts[0].health + parts[1].health),
+        parts,
+        resonanceInterval: fusion.resonanceInterval,
+        resonanceDamage: fusion.resonanceDamage,
+        resonanceRange: fusion.resonanceRange
+    };
+}
+
+/**
+ * @param {Object} group - Relic group
+ * @returns {Object[]} What fights for the relic: the hybrid's parts, or the relic itself
+ */
+export function getRelicParts(group) {
+    return group.parts || [group];
+}
+
+/**
+ * Shows a relic's tier: the mesh grows and gets one halo per tier above the first
+ * @param {Object} group - Relic group
+ */
+function updateTierVisuals(group) {
+    const { scalePerTier } = relicTierConfig;
+
+    for (const halo of group.tierHalos || []) {
+        group.relic.remove(halo);
+        halo.geometry.dispose();
+        halo.material.dispose();
+    }
+    group.tierHalos = [];
+
+    group.relic.scale.setScalar(1 + scalePerTier * (group.tier - 1));
+    for (let i = 1; i < group.tier; i++) {
+        const halo = new THREE.Mesh(
+            new THREE.TorusGeometry(26 + i * 6, 0.8, 8, 48),
+            new THREE.MeshBasicMaterial({ color: 0xffd700, transparent: true, opacity: 0.8 })
+        );
+        // Lie flat in the world whatever the relic's own tilt
+        halo.rotation.x = Math.PI / 2 - group.relic.rotation.x;
+        group.relic.add(halo);
+        group.tierHalos.push(halo);
+    }
+}
+
+/**
+ * Sets a relic's tier: scales its stats and health and restarts its strategy
+ * @param {Object} group - Relic group (not a hybrid)
+ * @param {number} tier - New 1-based tier
+ * @param {Object} RelicCombatStrategies - Combat strategies
+ * @param {Object} relicInfo - Relic configuration
+ */
+export function setRelicTier(group, tier, RelicCombatStrategies, relicInfo) {
+    const strategy = RelicCombatStrategies[group.type];
+    const restart = group.state === 'active';
+    if (restart && strategy && strategy.onDeactivate) {
+        strategy.onDeactivate(group);
+    }
+
+    group.tier = tier;
+    group.stats = scaleRelicStats(relicInfo[group.type], tier);
+    group.maxHealth = Math.round(group.stats.health);
+    group.health = group.maxHealth;
+    updateTierVisuals(group);
+
+    if (restart && strategy && strategy.onActivate) {
+        strategy.onActivate(group);
+    }
+}
+
+/**
+ * Creates the system that feeds and fuses relics the player stands at
+ * @param {Object} dependencies - See file header
+ * @returns {Object} { update }
+ */
+export function createRelicTiers(dependencies) {
+    const {
+        relics,
+        relicInfo,
+        gemCounts,
+        playerCone,
+        RelicCombatStrategies,
+        fuseRelics,
+        onGemFed = () => {},
+        isRepairing = () => false,
+        events = null,
+        AudioManager
+    } = dependencies;
+
+    const { maxTier, gemsPerTier, feedInterval, fusion } = relicTierConfig;
+
+    function isPlayerAt(group) {
+        return playerCone.position.distanceTo(group.ring.position) < RELIC_INTERACTION_RADIUS;
+    }
+
+    /**
+     * Moves one gem a feed interval from the counter into the relic
+     */
+    function feed(group, delta) {
+        const gemData = gemCounts[group.type];
+        if (!gemData || gemData.current <= 0) {
+            group.feedTimer = 0;
+            return;
+        }
+
+        group.feedTimer += delta;
+        if (group.feedTimer < feedInterval) return;
+        group.feedTimer = 0;
+
+        gemData.current--;
+        group.tierProgress++;
+        onGemFed(group.type);
+
+        if (group.tierProgress >= gemsPerTier[group.tier - 1]) {
+            group.tierProgress = 0;
+            setRelicTier(group, group.tier + 1, RelicCombatStrategies, relicInfo);
+            group.light.intensity = 10;
+            AudioManager.play('powerup', 0.6, group.ring.position);
+            if (events) events.emit('relicTierUp', { relic: group, type: group.type, tier: group.tier });
+        }
+    }
+
+    /**
+     * Nearest max-tier relic of another type the relic can fuse with
+     */
+    function findFusionPartner(group) {
+        let partner = null;
+        let nearest = fusion.range;
+        for (const other of relics) {
+            if (other === group || other.state !== 'active' || other.parts) continue;
+            if (other.type === group.type || other.tier < maxTier) continue;
+            const distance = other.ring.position.distanceTo(group.ring.position);
+            if (distance < nearest) {
+                nearest = distance;
+                partner = other;
+            }
+        }
+        return partner;
+    }
+
+    /**
+     * Channels the fusion while the player stands at a max-tier relic with a partner nearby
+     * @returns {boolean} Whether the relics were fused this step
+     */
+    function channelFusion(group, delta) {
+        const partner = findFusionPartner(group);
+        if (!partner) {
+            group.fusionProgress = 0;
+            return false;
+        }
+
+        group.fusionProgress += delta;
+        const glow = 2 + (group.fusionProgress / fusion.duration) * 8;
+        group.light.intensity = glow;
+        partner.light.intensity = glow;
+
+        if (group.fusionProgress < fusion.duration) return false;
+
+        const hybrid = fuseRelics(group, partner);
+        AudioManager.play('explosion', 0.8, hybrid.ring.position);
+        if (events) events.emit('relicFused', { relic: hybrid, types: hybrid.fusedTypes });
+        return true;
+    }
+
+    /**
+     * Feeds or fuses the active relic the player stands at
+     * @param {number} delta - Game-speed-scaled step time
+     */
+    function update(delta) {
+        for (const group of relics) {
+            if (group.state !== 'active' || group.parts) continue;
+
+            if (!isPlayerAt(group) || isRepairing()) {
+                group.feedTimer = 0;
+                group.fusionProgress = 0;
+            } else if (group.tier < maxTier) {
+                feed(group, delta);
+            } else if (channelFusion(group, delta)) {
+                // Fusing changed the relics array; the rest wait for the next step
+                return;
+            }
+        }
+    }
+
+    return { update };
+}
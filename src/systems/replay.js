@@ -0,0 +1,349 @@
+/**
+ * Replay System
+ * Records a run as seed + per-step input + player choices, and plays it back
+ *
+ * A run is fully determined by:
+ * - the RNG seed (waves, spawns, upgrade offers, relic placement, drops)
+ * - the permanent upgrades the run started with (loadout)
+ * - the character class played (older replays without one used the default class)
+ * - the difficulty preset and run modifiers (older replays were played on normal)
+ * - the game mode (older replays are endless runs)
+ * - the input frame fed into each fixed simulation step
+ * - the level-up / ability / run shop choices made while the game was paused
+ *
+ * Random outcomes (wave styles, relic spawns, bosses, offers) and periodic state
+ * checksums are recorded alongside, so playback can detect and report a desync
+ * instead of silently drifting.
+ *
+ * Replay file format (JSON):
+ * {
+ *   version, seed, timestep, steps,
+ *   loadout:     { statBonuses, relics, abilities }  // null = no permanent upgrades
+ *   characterClass: key of characterClasses            // null = default class
+ *   difficulty:  key of the difficulty presets        // null = default preset
+ *   modifiers:   [modifier key, ...]
+ *   mode:        key of gameModes                  // null = endless
+ *   inputs:      [[step, keys, dragX, dragY], ...]   // only when input changes
+ *   choices:     [{ step, type, value, offered }, ...]
+ *   outcomes:    [[step, kind, data], ...]
+ *   checkpoints: [[step, checksum], ...]
+ *   result:      { score, level, wave, ... }
+ * }
+ *
+ * Dependencies:
+ * - DOM: document (for file download)
+ */
+
+export const REPLAY_VERSION = 1;
+
+// Steps between state checksums
+export const CHECKPOINT_INTERVAL = 60;
+
+const EMPTY_FRAME = { keys: 0, dragX: 0, dragY: 0 };
+
+/**
+ * Creates the replay recorder/player
+ * @returns {Object} Replay system API
+ */
+export function createReplaySystem() {
+    let mode = 'idle'; // 'idle' | 'recording' | 'playing'
+    let recording = null;
+    let lastReplay = null;
+    let lastFrame = null;
+
+    // Playback cursors
+    let playback = null;
+
+    function framesEqual(a, b) {
+        return a && b && a.keys === b.keys && a.dragX === b.dragX && a.dragY === b.dragY;
+    }
+
+    /**
+     * Starts recording a new run
+     * @param {Object} options
+     * @param {number} options.seed - RNG seed the run was started with
+     * @param {number} options.timestep - Fixed simulation step in seconds
+     * @param {Object} [options.loadout] - Permanent upgrades the run started with
+     * @param {string} [options.characterClass] - Character class played
+     * @param {string} [options.difficulty] - Difficulty preset played
+     * @param {string[]} [options.modifiers] - Run modifiers played with
+     * @param {string} [options.mode] - Game mode played
+     */
+    function startRecording({ seed, timestep, loadout = null, characterClass = null, difficulty = null, modifiers = [], mode: gameMode = null }) {
+        recording = {
+            version: REPLAY_VERSION,
+            seed,
+            timestep,
+            loadout,
+            characterClass,
+            difficulty,
+            modifiers,
+            mode: gameMode,
+            steps: 0,
+            inputs: [],
+            choices: [],
+            outcomes: [],
+            checkpoints: [],
+            result: null
+        };
+        lastFrame = null;
+        mode = 'recording';
+    }
+
+    /**
+     * Records the input frame consumed by a simulation step (run-length encoded)
+     * @param {number} step - Simulation step index
+     * @param {Object} frame - { keys, dragX, dragY }
+     */
+    function recordFrame(step, frame) {
+        if (mode !== 'recording') return;
+        recording.steps = step + 1;
+        if (framesEqual(frame, lastFrame)) return;
+        recording.inputs.push([step, frame.keys, frame.dragX, frame.dragY]);
+        lastFrame = { ...frame };
+    }
+
+    /**
+     * Records a choice made on a paused popup
+     * @param {number} step - Simulation step the popup opened on
+     * @param {string} type - 'upgrade' | 'ability' | 'shop'
+     * @param {*} value - Chosen option index (-1 = skipped, 'reroll' = rerolled), ability id,
+     *   or the offer ids bought in the run shop
+     * @param {Array} offered - What was on offer (captured outcome)
+     */
+    function recordChoice(step, type, value, offered = []) {
+        if (mode !== 'recording') return;
+        recording.choices.push({ step, type, value, offered });
+    }
+
+    /**
+     * Records a random outcome for desync detection and review
+     * @param {number} step - Simulation step index
+     * @param {string} kind - e.g. 'wave', 'relic', 'boss'
+     * @param {Object} data - Outcome details
+     */
+    function recordOutcome(step, kind, data) {
+        if (mode === 'recording') {
+            recording.outcomes.push([step, kind, data]);
+        } else if (mode === 'playing') {
+            verifyOutcome(step, kind, data);
+        }
+    }
+
+    /**
+     * Records (or, during playback, verifies) a state checksum
+     * @param {number} step - Simulation step index
+     * @param {number} checksum - Hash of the simulation state
+     */
+    function checkpoint(step, checksum) {
+        if (mode === 'recording') {
+            recording.checkpoints.push([step, checksum]);
+            return;
+        }
+        if (mode !== 'playing') return;
+
+        const { checkpoints } = playback.replay;
+        while (playback.checkpointIndex < checkpoints.length && checkpoints[playback.checkpointIndex][0] < step) {
+            playback.checkpointIndex++;
+        }
+        const expected = checkpoints[playback.checkpointIndex];
+        if (expected && expected[0] === step && expected[1] !== checksum) {
+            reportDesync(step, `state checksum ${checksum} != recorded ${expected[1]}`);
+        }
+    }
+
+    function verifyOutcome(step, kind, data) {
+        const { outcomes } = playback.replay;
+        const index = playback.outcomeIndex;
+        const expected = outcomes[index];
+        playback.outcomeIndex++;
+
+        if (!expected) {
+            reportDesync(step, `unexpected ${kind} outcome`);
+            return;
+        }
+        if (expected[0] !== step || expected[1] !== kind || JSON.stringify(expected[2]) !== JSON.stringify(data)) {
+            reportDesync(step, `${kind} outcome ${JSON.stringify(data)} != recorded ${JSON.stringify(expected[2])}`);
+        }
+    }
+
+    function reportDesync(step, message) {
+        if (playback.desynced) return;
+        playback.desynced = true;
+        console.warn(`[Replay] Desync at step ${step}: ${message}`);
+    }
+
+    /**
+     * Finalizes the current recording
+     * @param {Object} result - Run summary (score, level, wave, ...)
+     * @returns {Object|null} The finished replay
+     */
+    function finishRecording(result) {
+        if (mode !== 'recording') return null;
+        recording.result = result;
+        lastReplay = recording;
+        recording = null;
+        mode = 'idle';
+        return lastReplay;
+    }
+
+    /**
+     * Drops the current recording without keeping it (e.g. a resumed run that
+     * cannot be reproduced from its seed)
+     */
+    function discardRecording() {
+        if (mode !== 'recording') return;
+        recording = null;
+        mode = 'idle';
+    }
+
+    /**
+     * Starts feeding a replay into the simulation
+     * @param {Object} replay - Parsed replay data
+     */
+    function startPlayback(replay) {
+        playback = {
+            replay,
+            inputIndex: 0,
+            checkpointIndex: 0,
+            outcomeIndex: 0,
+            choiceCursors: { upgrade: 0, ability: 0, shop: 0 },
+            desynced: false
+        };
+        recording = null;
+        lastReplay = replay;
+        mode = 'playing';
+    }
+
+    /**
+     * Returns the recorded input frame for a step
+     * @param {number} step - Simulation step index
+     * @returns {Object} { keys, dragX, dragY }
+     */
+    function getFrame(step) {
+        const { inputs } = playback.replay;
+        while (playback.inputIndex + 1 < inputs.length && inputs[playback.inputIndex + 1][0] <= step) {
+            playback.inputIndex++;
+        }
+        const entry = inputs[playback.inputIndex];
+        if (!entry || entry[0] > step) return EMPTY_FRAME;
+        return { keys: entry[1], dragX: entry[2], dragY: entry[3] };
+    }
+
+    /**
+     * Takes the next recorded choice of a type
+     * @param {string} type - 'upgrade' | 'ability'
+     * @returns {*} Recorded value, or undefined if the replay has none left
+     */
+    function nextChoice(type) {
+        if (mode !== 'playing') return undefined;
+        const choices = playback.replay.choices.filter(c => c.type === type);
+        const choice = choices[playback.choiceCursors[type]];
+        if (!choice) {
+            console.warn(`[Replay] No recorded ${type} choice left`);
+            return undefined;
+        }
+        playback.choiceCursors[type]++;
+        return choice.value;
+    }
+
+    /**
+     * @param {number} step - Simulation step index
+     * @returns {boolean} True once every recorded step has been played
+     */
+    function isPlaybackFinished(step) {
+        return mode === 'playing' && step >= playback.replay.steps;
+    }
+
+    function stopPlayback() {
+        if (mode !== 'playing') return;
+        playback = null;
+        mode = 'idle';
+    }
+
+    /**
+     * Serializes a replay to a compact JSON string
+     * @param {Object} replay - Replay to export (defaults to last finished)
+     * @returns {string|null}
+     */
+    function exportReplay(replay = lastReplay) {
+        if (!replay) return null;
+        return JSON.stringify(replay);
+    }
+
+    /**
+     * Downloads a replay as a .json file
+     * @param {Object} replay - Replay to export (defaults to last finished)
+     */
+    function downloadReplay(replay = lastReplay) {
+        const json = exportReplay(replay);
+        if (!json) {
+            console.warn('[Replay] Nothing to export');
+            return;
+        }
+
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `arena-replay-${replay.seed}-${replay.result ? replay.result.score : 0}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Parses and validates a replay file
+     * @param {string} json - Replay file contents
+     * @returns {Object|null} Replay data, or null if invalid
+     */
+    function parseReplay(json) {
+        let replay;
+        try {
+            replay = JSON.parse(json);
+        } catch (error) {
+            console.error('[Replay] Invalid replay file:', error.message);
+            return null;
+        }
+
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            console.error(`[Replay] Unsupported replay version: ${replay && replay.version}`);
+            return null;
+        }
+        if (!Array.isArray(replay.inputs) || !Array.isArray(replay.choices) || typeof replay.steps !== 'number') {
+            console.error('[Replay] Replay file is missing inputs, choices or steps');
+            return null;
+        }
+
+        replay.loadout = replay.loadout || null;
+        replay.characterClass = replay.characterClass || null;
+        replay.difficulty = replay.difficulty || null;
+        replay.modifiers = replay.modifiers || [];
+        replay.mode = replay.mode || null;
+        replay.outcomes = replay.outcomes || [];
+        replay.checkpoints = replay.checkpoints || [];
+        return replay;
+    }
+
+    return {
+        startRecording,
+        recordFrame,
+        recordChoice,
+        recordOutcome,
+        checkpoint,
+        finishRecording,
+        discardRecording,
+        startPlayback,
+        stopPlayback,
+        getFrame,
+        nextChoice,
+        isPlaybackFinished,
+        exportReplay,
+        downloadReplay,
+        parseReplay,
+        isRecording: () => mode === 'recording',
+        isPlaying: () => mode === 'playing',
+        getLastReplay: () => lastReplay
+    };
+}
@@ -0,0 +1,161 @@
+/**
+ * Run History System
+ * Local leaderboard and history of finished runs, kept in localStorage
+ *
+ * Every finished run is stored as an entry:
+ * { date, mode, seed, characterClass, difficulty, modifiers, score, scoreMultiplier, wave,
+ *   level, bossesKilled, abilities, relics, duration, causeOfDeath, act, victory }
+ *
+ * The history keeps the most recent runs; the leaderboard keeps the best
+ * scores per mode (keys of src/config/gameModes.js) separately, so old
+ * personal bests survive the history being trimmed. Daily challenge runs
+ * aren't added here; they're kept as attempts by src/systems/dailyChallenge.js.
+ *
+ * Stored data (JSON):
+ * { version, runs: [entry, ...newest first], leaderboard: { mode: [entry, ...best first] } }
+ *
+ * Dependencies:
+ * - storage: Web Storage object (optional, defaults to localStorage when available)
+ */
+
+import { DEFAULT_MODE } from '../config/gameModes.js';
+
+export const HISTORY_VERSION = 1;
+
+const HISTORY_KEY = 'arenaRoguelike.runHistory';
+const MAX_HISTORY = 50;
+const MAX_LEADERBOARD = 10;
+
+function createEmptyHistory() {
+    return { version: HISTORY_VERSION, runs: [], leaderboard: {} };
+}
+
+/**
+ * Creates the run history store
+ * @param {Object} dependencies - { storage } (optional)
+ * @returns {Object} Run history API
+ */
+export function createRunHistory(dependencies = {}) {
+    const {
+        storage = globalThis.localStorage ?? null
+    } = dependencies;
+
+    let history = load();
+
+    function load() {
+        const json = storage ? storage.getItem(HISTORY_KEY) : null;
+        if (!json) return createEmptyHistory();
+
+        try {
+            const data = JSON.parse(json);
+            if (data && data.version === HISTORY_VERSION) {
+                return { ...createEmptyHistory(), ...data };
+            }
+            console.warn(`[History] Ignoring history with unsupported version: ${data && data.version}`);
+        } catch (error) {
+            console.warn('[History] Ignoring unreadable history:', error.message);
+        }
+        return createEmptyHistory();
+    }
+
+    function persist() {
+        if (!storage) return;
+        try {
+            storage.setItem(HISTORY_KEY, JSON.stringify(history));
+        } catch (error) {
+            console.warn('[History] Could not save history:', error.message);
+        }
+    }
+
+    /**
+     * Records a finished run
+     * @param {Object} result - Run summary from the simulation (getResult())
+     * @param {string} [mode] - Game mode the run was played in
+     * @returns {Object} The stored entry, with its leaderboard rank (1-based, or null)
+     */
+    function addRun(result, mode = DEFAULT_MODE) {
+        const entry = {
+            date: Date.now(),
+            mode,
+            seed: result.seed,
+            characterClass: result.characterClass ?? null,
+            difficulty: result.difficulty ?? null,
+            modifiers: result.modifiers ?? [],
+            score: result.score,
+            scoreMultiplier: result.scoreMultiplier ?? 1,
+            wave: result.wave,
+            level: result.level,
+            bossesKilled: result.bossesKilled ?? 0,
+            abilities: result.abilities ?? [],
+            relics: result.relics ?? [],
+            duration: Math.round(result.duration),
+            causeOfDeath: result.causeOfDeath ?? null,
+            act: result.act ?? null,
+            victory: result.victory ?? false
+        };
+
+        history.runs.unshift(entry);
+        history.runs.length = Math.min(history.runs.length, MAX_HISTORY);
+
+        const board = history.leaderboard[mode] || [];
+        board.push(entry);
+        board.sort((a, b) => b.score - a.score || a.date - b.date);
+        board.length = Math.min(board.length, MAX_LEADERBOARD);
+        history.leaderboard[mode] = board;
+
+        persist();
+
+        const rank = board.indexOf(entry);
+        return { ...entry, rank: rank === -1 ? null : rank + 1 };
+    }
+
+    /**
+     * @param {string} [mode] - Only runs of this mode (all modes if omitted)
+     * @returns {Object[]} Recent runs, newest first
+     */
+    function getRuns(mode) {
+        return mode ? history.runs.filter(run => run.mode === mode) : [...history.runs];
+    }
+
+    /**
+     * @param {string} [mode]
+     * @returns {Object[]} Best runs of a mode, best first
+     */
+    function getLeaderboard(mode = DEFAULT_MODE) {
+        return [...(history.leaderboard[mode] || [])];
+    }
+
+    /**
+     * Best value of each stat over a mode's runs (they may come from different runs)
+     * @param {string} [mode]
+     * @returns {Object|null} { score, wave, level, bossesKilled, duration }, or null with no runs
+     */
+    function getPersonalBests(mode = DEFAULT_MODE) {
+        const runs = [...getLeaderboard(mode), ...getRuns(mode)];
+        if (runs.length === 0) return null;
+
+        const best = (field) => Math.max(...runs.map(run => run[field]));
+        return {
+            score: best('score'),
+            wave: best('wave'),
+            level: best('level'),
+            bossesKilled: best('bossesKilled'),
+            duration: best('duration')
+        };
+    }
+
+    /**
+     * @returns {string[]} Modes that have at least one recorded run
+     */
+    function getModes() {
+        return Object.keys(history.leaderboard);
+    }
+
+    return {
+        addRun,
+        getRuns,
+        getLeaderboard,
+        getPersonalBests,
+        getModes
+    };
+}
@@ -0,0 +1,232 @@
+/**
+ * Run History UI
+ * Leaderboard, personal bests and recent runs, per game mode. The daily
+ * challenge tab shows the days played instead, one attempt each.
+ *
+ * EXTERNAL DEPENDENCIES (via DOM):
+ * - HTML elements with IDs: history-overlay, history-modes, history-bests,
+ *   history-daily, history-daily-attempts, history-runs-section, history-leaderboard,
+ *   history-runs, history-close
+ *
+ * Dependencies:
+ * - runHistory: Store from createRunHistory()
+ * - dailyChallenges: Store from createDailyChallenges() (optional, no daily board without it)
+ */
+
+import bossTypes from '../config/bossTypes.js';
+import characterClasses from '../config/characterClasses.js';
+import dailyConfig from '../config/dailyChallenge.js';
+import difficultyConfig from '../config/difficulty.js';
+import gameModes, { DEFAULT_MODE } from '../config/gameModes.js';
+import relicInfo from '../config/relicInfo.js';
+import { resolveDifficulty } from './difficulty.js';
+import { ABILITY_DEFINITIONS } from './playerAbilities.js';
+
+/**
+ * Formats seconds as m:ss
+ */
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Turns a recorded damage source into a readable cause of death
+ * @param {string|null} cause - e.g. 'projectile', 'contact:box', 'boss:tank'
+ */
+export function formatCauseOfDeath(cause) {
+    if (!cause) return '-';
+    const [kind, type] = cause.split(':');
+    const bossName = bossTypes[type] ? bossTypes[type].name : 'a boss';
+
+    switch (kind) {
+        case 'mortar': return 'Mortar blast';
+        case 'projectile': return 'Enemy fire';
+        case 'contact': return `Rammed by ${type}`;
+        case 'boss': return bossName;
+        case 'gravity': return `${bossName}'s gravity`;
+        default: return cause;
+    }
+}
+
+/**
+ * Shows a run's difficulty as the preset's icon followed by its modifiers' icons,
+ * with the names and score multiplier on hover
+ * @param {Object} run - Run entry
+ */
+function formatDifficulty(run) {
+    const preset = difficultyConfig.presets[run.difficulty];
+    if (!preset) return '-';
+
+    const modifiers = run.modifiers
+        .map(id => difficultyConfig.modifiers[id])
+        .filter(Boolean);
+    const names = [preset.name, ...modifiers.map(modifier => modifier.name)].join(', ');
+    const icons = [preset.icon, ...modifiers.map(modifier => modifier.icon)].join('');
+    return `<span title="${names} (x${run.scoreMultiplier} score)">${icons}</span>`;
+}
+
+/**
+ * Creates the history screen
+ * @param {Object} dependencies - See file header
+ * @returns {Object} { open, close }
+ */
+export function createRunHistoryUI(dependencies) {
+    const { runHistory, dailyChallenges = null } = dependencies;
+
+    const overlay = document.getElementById('history-overlay');
+    const modesElement = document.getElementById('history-modes');
+    const bestsElement = document.getElementById('history-bests');
+    const dailyElement = document.getElementById('history-daily');
+    const dailyAttemptsElement = document.getElementById('history-daily-attempts');
+    const runsSectionElement = document.getElementById('history-runs-section');
+    const leaderboardElement = document.getElementById('history-leaderboard');
+    const runsElement = document.getElementById('history-runs');
+    const closeButton = document.getElementById('history-close');
+
+    let selectedMode = DEFAULT_MODE;
+
+    /**
+     * Fills a table with one row per run
+     * @param {HTMLTableElement} table - Target table
+     * @param {Object[]} runs - Run entries
+     * @param {boolean} ranked - Whether to number the rows
+     */
+    function renderRunTable(table, runs, ranked) {
+        table.innerHTML = `
+            <tr>
+                <th>${ranked ? '#' : 'Date'}</th><th>Class</th><th>Difficulty</th><th>Score</th><th>Wave</th><th>Lvl</th><th>Bosses</th>
+                <th>Time</th><th>Abilities</th><th>Relics</th><th>Outcome</th>
+            </tr>
+        `;
+
+        if (runs.length === 0) {
+            const row = table.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 11;
+            cell.textContent = 'No runs yet';
+            return;
+        }
+
+        runs.forEach((run, index) => {
+            const row = table.insertRow();
+            const abilities = run.abilities
+                .map(id => ABILITY_DEFINITIONS[id] ? ABILITY_DEFINITIONS[id].icon : '?')
+                .join('');
+            const relics = run.relics
+                .map(type => relicInfo[type] ? `<span style="color: #${relicInfo[type].color.toString(16).padStart(6, '0')}">◆</span>` : '')
+                .join('');
+
+            row.innerHTML = `
+                <td>${ranked ? index + 1 : new Date(run.date).toLocaleDateString()}</td>
+                <td>${characterClasses[run.characterClass] ? characterClasses[run.characterClass].icon : '-'}</td>
+                <td>${formatDifficulty(run)}</td>
+                <td>${run.score}</td>
+                <td>${run.wave}</td>
+                <td>${run.level}</td>
+                <td>${run.bossesKilled}</td>
+                <td>${formatDuration(run.duration)}</td>
+                <td>${abilities || '-'}</td>
+                <td>${relics || '-'}</td>
+                <td>${run.victory ? '🏆 Victory' : formatCauseOfDeath(run.causeOfDeath)}</td>
+            `;
+        });
+    }
+
+    /**
+     * Fills the daily board: every day played, best score first
+     * @param {Object[]} attempts - Attempts from dailyChallenges.getAttempts()
+     */
+    function renderDailyTable(attempts) {
+        dailyAttemptsElement.innerHTML = `
+            <tr>
+                <th>#</th><th>Day</th><th>Class</th><th>Relics</th><th>Difficulty</th><th>Score</th><th>Wave</th><th>Lvl</th>
+            </tr>
+        `;
+
+        if (attempts.length === 0) {
+            const row = dailyAttemptsElement.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 8;
+            cell.textContent = 'No daily challenges played yet';
+            return;
+        }
+
+        const ranked = [...attempts].sort((a, b) => b.score - a.score);
+        ranked.forEach((attempt, index) => {
+            const row = dailyAttemptsElement.insertRow();
+            const difficulty = formatDifficulty({
+                difficulty: dailyConfig.difficulty,
+                modifiers: attempt.modifiers,
+                scoreMultiplier: resolveDifficulty(dailyConfig.difficulty, attempt.modifiers).scoreMultiplier
+            });
+
+            row.innerHTML = `
+                <td>${index + 1}</td>
+                <td>${attempt.date}</td>
+                <td>${characterClasses[attempt.characterClass] ? characterClasses[attempt.characterClass].icon : '-'}</td>
+                <td>${attempt.relicSet}</td>
+                <td>${difficulty}</td>
+                <td>${attempt.finished ? attempt.score : 'Unfinished'}</td>
+                <td>${attempt.finished ? attempt.wave : '-'}</td>
+                <td>${attempt.finished ? attempt.level : '-'}</td>
+            `;
+        });
+    }
+
+    function render() {
+        const dailyAttempts = dailyChallenges ? dailyChallenges.getAttempts() : [];
+
+        // Mode tabs (the default mode is always listed, daily once a day has been played)
+        const modes = [...new Set([
+            DEFAULT_MODE,
+            ...runHistory.getModes(),
+            ...(dailyAttempts.length > 0 ? ['daily'] : [])
+        ])];
+        modesElement.innerHTML = '';
+        modes.forEach(mode => {
+            const button = document.createElement('button');
+            button.className = 'game-over-button';
+            button.textContent = gameModes[mode] ? gameModes[mode].name : mode;
+            button.disabled = mode === selectedMode;
+            button.addEventListener('click', () => {
+                selectedMode = mode;
+                render();
+            });
+            modesElement.appendChild(button);
+        });
+
+        // Daily runs are only kept as attempts, so the daily tab shows their board
+        // in place of the bests, leaderboard and recent runs
+        const showDaily = selectedMode === 'daily' && dailyChallenges !== null;
+        dailyElement.style.display = showDaily ? '' : 'none';
+        bestsElement.style.display = showDaily ? 'none' : '';
+        runsSectionElement.style.display = showDaily ? 'none' : '';
+        if (showDaily) {
+            renderDailyTable(dailyAttempts);
+            return;
+        }
+
+        const bests = runHistory.getPersonalBests(selectedMode);
+        bestsElement.textContent = bests
+            ? `Best score ${bests.score} - Wave ${bests.wave} - Level ${bests.level} - ` +
+              `${bests.bossesKilled} bosses - ${formatDuration(bests.duration)} survived`
+            : 'No runs in this mode yet';
+
+        renderRunTable(leaderboardElement, runHistory.getLeaderboard(selectedMode), true);
+        renderRunTable(runsElement, runHistory.getRuns(selectedMode), false);
+    }
+
+    function open() {
+        render();
+        overlay.classList.add('visible');
+    }
+
+    function close() {
+        overlay.classList.remove('visible');
+    }
+
+    closeButton.addEventListener('click', close);
+
+    return { open, close };
+}
@@ -0,0 +1,271 @@
+/**
+ * Run Setup UI
+ * Screen shown before a run to pick the game mode, the character class, the
+ * difficulty preset and any run modifiers
+ *
+ * The last picks are remembered in localStorage and preselected the next time
+ * the screen opens. The combined score multiplier of the difficulty picks is
+ * shown above the start button.
+ *
+ * The daily challenge mode sets the class, difficulty and modifiers itself: the
+ * screen shows the day's picks instead of the player's, and the start button is
+ * disabled once the day has been played.
+ *
+ * EXTERNAL DEPENDENCIES (via DOM):
+ * - HTML elements with IDs: run-setup-overlay, run-setup-modes, run-setup-classes,
+ *   run-setup-difficulties, run-setup-modifiers, run-setup-score, run-setup-start
+ *
+ * Dependencies:
+ * - dailyChallenges: Store from createDailyChallenges()
+ * - storage: Web Storage object (optional, defaults to localStorage when available)
+ */
+
+import characterClasses, { DEFAULT_CLASS } from '../config/characterClasses.js';
+import difficultyConfig, { DEFAULT_DIFFICULTY } from '../config/difficulty.js';
+import gameModes, { DEFAULT_MODE } from '../config/gameModes.js';
+import relicInfo from '../config/relicInfo.js';
+import { ABILITY_DEFINITIONS } from './playerAbilities.js';
+import { createPlayerStats } from './playerStats.js';
+import { resolveDifficulty } from './difficulty.js';
+
+const MODE_KEY = 'arenaRoguelike.mode';
+const CLASS_KEY = 'arenaRoguelike.characterClass';
+const DIFFICULTY_KEY = 'arenaRoguelike.difficulty';
+
+// Stats listed on the cards when a class changes them
+const STAT_LABELS = {
+    maxHealth: 'Health',
+    damage: 'Damage',
+    critChance: 'Crit',
+    critMultiplier: 'Crit dmg',
+    armor: 'Armor',
+    regenRate: 'Regen',
+    attackSpeed: 'Fire delay',
+    cooldownReduction: 'Cooldown cut',
+    luck: 'Luck',
+    pickupRadius: 'Pickup'
+};
+
+/**
+ * Creates the run setup screen
+ * @param {Object} dependencies - See file header
+ * @returns {Object} { open, getSelection }
+ */
+export function createRunSetupUI(dependencies = {}) {
+    const {
+        dailyChallenges,
+        storage = globalThis.localStorage ?? null
+    } = dependencies;
+
+    const overlay = document.getElementById('run-setup-overlay');
+    const modesElement = document.getElementById('run-setup-modes');
+    const classesElement = document.getElementById('run-setup-classes');
+    const difficultiesElement = document.getElementById('run-setup-difficulties');
+    const modifiersElement = document.getElementById('run-setup-modifiers');
+    const scoreElement = document.getElementById('run-setup-score');
+    const startButton = document.getElementById('run-setup-start');
+
+    let selection = null; // Picks on the open screen
+    let onStart = null;
+
+    /**
+     * @returns {Object} The picks of last time (defaults the first time):
+     *   { mode, characterClass, difficulty, modifiers }
+     */
+    function loadPicks() {
+        const storedMode = storage ? storage.getItem(MODE_KEY) : null;
+        const mode = gameModes[storedMode] ? storedMode : DEFAULT_MODE;
+
+        const storedClass = storage ? storage.getItem(CLASS_KEY) : null;
+        const characterClass = characterClasses[storedClass] ? storedClass : DEFAULT_CLASS;
+
+        let stored = null;
+        try {
+            stored = JSON.parse(storage ? storage.getItem(DIFFICULTY_KEY) : null);
+        } catch (error) {
+            console.warn('[RunSetup] Ignoring unreadable difficulty:', error.message);
+        }
+        const difficulty = stored && difficultyConfig.presets[stored.difficulty] ? stored.difficulty : DEFAULT_DIFFICULTY;
+        const modifiers = stored && Array.isArray(stored.modifiers)
+            ? stored.modifiers.filter(id => difficultyConfig.modifiers[id])
+            : [];
+
+        return { mode, characterClass, difficulty, modifiers };
+    }
+
+    /**
+     * Turns picks into the options a run starts with; the daily challenge
+     * replaces the player's picks with the day's
+     * @param {Object} picks - { mode, characterClass, difficulty, modifiers }
+     * @returns {Object} { mode, characterClass, difficulty, modifiers }, plus
+     *   { seed, loadout } for the daily challenge
+     */
+    function toRunOptions(picks) {
+        if (picks.mode !== 'daily') return { ...picks };
+
+        const { seed, characterClass, difficulty, modifiers, loadout } = dailyChallenges.getToday();
+        return { mode: picks.mode, seed, characterClass, difficulty, modifiers, loadout };
+    }
+
+    /**
+     * @returns {Object} Options of a run with the picks of last time (see toRunOptions())
+     */
+    function getSelection() {
+        return toRunOptions(loadPicks());
+    }
+
+    // Only the player's own picks are saved; the daily challenge's don't replace them
+    function saveSelection() {
+        if (!storage) return;
+        try {
+            storage.setItem(MODE_KEY, selection.mode);
+            storage.setItem(CLASS_KEY, selection.characterClass);
+            storage.setItem(DIFFICULTY_KEY, JSON.stringify({
+                difficulty: selection.difficulty,
+                modifiers: selection.modifiers
+            }));
+        } catch (error) {
+            console.warn('[RunSetup] Could not save picks:', error.message);
+        }
+    }
+
+    /**
+     * Lists how a class's stats differ from the default class, e.g. "Health 60"
+     */
+    function describeStats(classId) {
+        const defaults = createPlayerStats(DEFAULT_CLASS);
+        const stats = createPlayerStats(classId);
+        return Object.keys(STAT_LABELS)
+            .filter(stat => stats[stat] !== defaults[stat])
+            .map(stat => `${STAT_LABELS[stat]} ${Math.round(stats[stat] * 100) / 100}`)
+            .join(', ');
+    }
+
+    function describeKit(classInfo) {
+        const kit = [
+            ...classInfo.abilities.map(id => ABILITY_DEFINITIONS[id] ? `${ABILITY_DEFINITIONS[id].icon} ${ABILITY_DEFINITIONS[id].name}` : id),
+            ...classInfo.relics.map(type => relicInfo[type] ? `◆ ${relicInfo[type].name}` : type)
+        ];
+        return kit.join(', ');
+    }
+
+    /**
+     * Card for one option; clicking it calls onClick and redraws the screen
+     */
+    function createCard({ icon, name, description, detail, cost }, selected, onClick) {
+        const card = document.createElement('div');
+        card.className = 'meta-card';
+        if (selected) card.classList.add('owned');
+
+        card.innerHTML = `
+            <div class="meta-icon">${icon}</div>
+            <div class="meta-name">${name}</div>
+            <div class="meta-description">${description}</div>
+            ${detail ? `<div class="meta-detail">${detail}</div>` : ''}
+            ${cost ? `<div class="meta-cost">${cost}</div>` : ''}
+        `;
+
+        card.addEventListener('click', () => {
+            onClick();
+            render();
+        });
+        return card;
+    }
+
+    function render() {
+        const challenge = selection.mode === 'daily' ? dailyChallenges.getToday() : null;
+        const shown = challenge ? toRunOptions(selection) : selection;
+        overlay.classList.toggle('daily', Boolean(challenge));
+
+        modesElement.innerHTML = '';
+        Object.entries(gameModes).forEach(([modeId, modeInfo]) => {
+            const card = createCard(modeInfo, modeId === selection.mode, () => {
+                selection.mode = modeId;
+            });
+            modesElement.appendChild(card);
+        });
+
+        classesElement.innerHTML = '';
+        Object.entries(characterClasses).forEach(([classId, classInfo]) => {
+            const card = createCard({
+                ...classInfo,
+                detail: describeStats(classId),
+                cost: describeKit(classInfo)
+            }, classId === shown.characterClass, () => {
+                if (!challenge) selection.characterClass = classId;
+            });
+            classesElement.appendChild(card);
+        });
+
+        difficultiesElement.innerHTML = '';
+        Object.entries(difficultyConfig.presets).forEach(([presetId, preset]) => {
+            const card = createCard({
+                ...preset,
+                cost: `x${preset.scoreMultiplier} score`
+            }, presetId === shown.difficulty, () => {
+                if (!challenge) selection.difficulty = presetId;
+            });
+            difficultiesElement.appendChild(card);
+        });
+
+        modifiersElement.innerHTML = '';
+        Object.entries(difficultyConfig.modifiers).forEach(([modifierId, modifier]) => {
+            const active = shown.modifiers.includes(modifierId);
+            const card = createCard({
+                ...modifier,
+                cost: `x${modifier.scoreMultiplier} score`
+            }, active, () => {
+                if (challenge) return;
+                selection.modifiers = active
+                    ? selection.modifiers.filter(id => id !== modifierId)
+                    : [...selection.modifiers, modifierId];
+            });
+            modifiersElement.appendChild(card);
+        });
+
+        const rules = resolveDifficulty(shown.difficulty, shown.modifiers);
+        scoreElement.textContent = `Score multiplier: x${rules.scoreMultiplier}`;
+        startButton.disabled = false;
+
+        if (challenge) {
+            const attempt = dailyChallenges.getAttempt(challenge.date);
+            scoreElement.textContent = `Daily challenge ${challenge.date} - ${challenge.relicSet} relics - ${scoreElement.textContent}`;
+            if (attempt) {
+                scoreElement.textContent += attempt.finished
+                    ? ` - Played today: score ${attempt.score}, wave ${attempt.wave}`
+                    : ' - Already attempted today';
+                startButton.disabled = true;
+            }
+        }
+    }
+
+    /**
+     * Shows the screen; the start button closes it
+     * @param {Function} callback - Called with the run options (see toRunOptions())
+     */
+    function open(callback) {
+        selection = loadPicks();
+        onStart = callback;
+        render();
+        overlay.classList.add('visible');
+    }
+
+    startButton.addEventListener('click', () => {
+        if (!onStart) return;
+
+        // Starting the daily challenge uses up the day's attempt
+        if (selection.mode === 'daily' && !dailyChallenges.startAttempt(dailyChallenges.getToday())) {
+            render();
+            return;
+        }
+
+        saveSelection();
+        overlay.classList.remove('visible');
+
+        const callback = onStart;
+        onStart = null;
+        callback(toRunOptions(selection));
+    });
+
+    return { open, getSelection };
+}
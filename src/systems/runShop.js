@@ -0,0 +1,297 @@
+/**
+ * Run Shop System
+ * The shop that opens between waves and sells items for the run's gold
+ * (items and prices in src/config/runShop.js)
+ *
+ * The shop keeps what the run bought that lasts: reroll charges for the
+ * level-up choices, running buffs and ability cooldown upgrades. The wallet
+ * itself belongs to the simulation, which also spends it on relics.
+ *
+ * What is on offer depends only on the run's state (wave, health, gem counters,
+ * abilities), so opening the shop adds no RNG rolls. Offer ids are item keys,
+ * plus `overclock:<abilityId>` for cooldown upgrades.
+ *
+ * Dependencies:
+ * - getGold: () => gold in the wallet
+ * - spendGold: (amount) takes gold from the wallet
+ * - getWave: () => current wave number
+ * - getPlayerHealth: () => { health, maxHealth }
+ * - healPlayer: (amount) restores player health
+ * - gemCounts: Gem counters per relic type ({ current, required })
+ * - addGems: (type, count) adds gems to a counter, earning relics like picked-up gems
+ * - getUnlockedAbilities: () => ability ids the player owns
+ * - setCooldownMultiplier: (abilityId, multiplier) from the player ability system
+ * - getClock: () => simulation clock, times the buffs
+ * - events: EventBus for shopPurchase (optional)
+ */
+
+import shopConfig from '../config/runShop.js';
+import relicInfo from '../config/relicInfo.js';
+import { ABILITY_DEFINITIONS } from './playerAbilities.js';
+
+/**
+ * Creates the run shop
+ * @param {Object} dependencies - See file header
+ * @returns {Object} Run shop API
+ */
+export function createRunShop(dependencies) {
+    const {
+        getGold,
+        spendGold,
+        getWave,
+        getPlayerHealth,
+        healPlayer,
+        gemCounts,
+        addGems,
+        getUnlockedAbilities,
+        setCooldownMultiplier,
+        getClock,
+        events = null
+    } = dependencies;
+
+    const { items, priceScalePerWave } = shopConfig;
+    const cooldownItem = Object.values(items).find(item => item.kind === 'cooldown');
+
+    let rerolls = 0;
+    let buffs = {};          // itemId -> game time the buff runs out
+    let cooldownLevels = {}; // abilityId -> overclock levels bought
+    let openWave = null;     // Wave the shop is open after, null while closed
+    let purchases = [];      // Offer ids bought since the shop opened
+
+    /**
+     * @returns {number} Price of an item at the current wave
+     */
+    function getPrice(item) {
+        return Math.round(item.baseCost * (1 + priceScalePerWave * (Math.max(1, getWave()) - 1)));
+    }
+
+    /**
+     * @returns {string|null} Gem type whose counter is closest to earning a relic
+     */
+    function getBundleGemType() {
+        let best = null;
+        for (const type in gemCounts) {
+            const { current, required } = gemCounts[type];
+            if (!best || current / required > gemCounts[best].current / gemCounts[best].required) {
+                best = type;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Builds one offer entry
+     * @returns {Object} { id, name, icon, description, detail, price, available }
+     */
+    function createOffer(id, item, { name = item.name, description = item.description, detail = '', available = true } = {}) {
+        const price = getPrice(item);
+        return { id, name, icon: item.icon, description, detail, price, available: available && getGold() >= price };
+    }
+
+    /**
+     * @returns {Object[]} Everything the shop sells now; `available` is false for items the
+     *   wallet can't afford or that would do nothing
+     */
+    function getOffer() {
+        const offer = [];
+        const now = getClock().getElapsedTime();
+
+        for (const id in items) {
+            const item = items[id];
+            switch (item.kind) {
+                case 'reroll':
+                    offer.push(createOffer(id, item, { detail: `${rerolls} held` }));
+                    break;
+                case 'heal': {
+                    const { health, maxHealth } = getPlayerHealth();
+                    offer.push(createOffer(id, item, {
+                        detail: health >= maxHealth ? 'Full health' : `${Math.ceil(health)} / ${maxHealth} HP`,
+                        available: health < maxHealth
+                    }));
+                    break;
+                }
+                case 'gems': {
+                    const type = getBundleGemType();
+                    offer.push(createOffer(id, item, {
+                        detail: type ? relicInfo[type].name : 'No gem counters',
+                        available: type !== null
+                    }));
+                    break;
+                }
+                case 'buff': {
+                    const timeLeft = (buffs[id] ?? 0) - now;
+                    offer.push(createOffer(id, item, { detail: timeLeft > 0 ? `${Math.ceil(timeLeft)}s left` : '' }));
+                    break;
+                }
+                case 'cooldown':
+                    for (const abilityId of getUnlockedAbilities()) {
+                        const level = cooldownLevels[abilityId] ?? 0;
+                        offer.push(createOffer(`${id}:${abilityId}`, item, {
+                            name: `${item.name}: ${ABILITY_DEFINITIONS[abilityId].name}`,
+                            detail: `Level ${level}/${item.maxLevel}`,
+                            available: level < item.maxLevel
+                        }));
+                    }
+                    break;
+                default:
+                    console.warn(`[RunShop] Unknown item kind "${item.kind}" for item "${id}"`);
+            }
+        }
+        return offer;
+    }
+
+    function applyCooldownLevel(abilityId) {
+        setCooldownMultiplier(abilityId, Math.pow(cooldownItem.multiplier, cooldownLevels[abilityId]));
+    }
+
+    /**
+     * Gives the player what an item does
+     */
+    function applyItem(itemId, abilityId) {
+        const item = items[itemId];
+        switch (item.kind) {
+            case 'reroll':
+                rerolls++;
+                break;
+            case 'heal':
+                healPlayer(getPlayerHealth().maxHealth * item.amount);
+                break;
+            case 'gems':
+                addGems(getBundleGemType(), item.amount);
+                break;
+            case 'buff':
+                buffs[itemId] = getClock().getElapsedTime() + item.duration;
+                break;
+            case 'cooldown':
+                cooldownLevels[abilityId] = (cooldownLevels[abilityId] ?? 0) + 1;
+                applyCooldownLevel(abilityId);
+                break;
+        }
+    }
+
+    /**
+     * Buys an item from the open shop
+     * @param {string} offerId - Id from getOffer()
+     * @returns {boolean} Whether it was bought
+     */
+    function buy(offerId) {
+        if (openWave === null) return false;
+
+        const entry = getOffer().find(offer => offer.id === offerId);
+        if (!entry || !entry.available) return false;
+
+        const [itemId, abilityId] = offerId.split(':');
+        spendGold(entry.price);
+        applyItem(itemId, abilityId);
+        purchases.push(offerId);
+
+        if (events) events.emit('shopPurchase', { item: offerId, price: entry.price, wave: openWave });
+        return true;
+    }
+
+    /**
+     * @returns {boolean} Whether the wallet affords anything the shop sells now
+     */
+    function hasAffordableItem() {
+        return getOffer().some(offer => offer.available);
+    }
+
+    /**
+     * Opens the shop after a cleared wave
+     * @param {number} wave - The wave that was cleared
+     */
+    function open(wave) {
+        openWave = wave;
+        purchases = [];
+    }
+
+    /**
+     * Closes the shop
+     * @returns {string[]} Offer ids bought while it was open, in order
+     */
+    function close() {
+        openWave = null;
+        return purchases;
+    }
+
+    /**
+     * Multiplies the running shop buffs into the player's buffs
+     * @param {Object} playerBuffs - { moveSpeedMult, damageMult, ... } for this step
+     */
+    function applyBuffs(playerBuffs) {
+        const now = getClock().getElapsedTime();
+        for (const id in buffs) {
+            if (buffs[id] <= now) continue;
+            const item = items[id];
+            playerBuffs[item.buff] *= item.multiplier;
+        }
+    }
+
+    /**
+     * Uses up a reroll charge
+     * @returns {boolean} Whether there was one
+     */
+    function useReroll() {
+        if (rerolls <= 0) return false;
+        rerolls--;
+        return true;
+    }
+
+    /**
+     * @returns {Object} What a saved run keeps: { rerolls, buffs (seconds left), cooldownLevels }
+     */
+    function serialize() {
+        const now = getClock().getElapsedTime();
+        const buffsLeft = {};
+        for (const id in buffs) {
+            if (buffs[id] > now) buffsLeft[id] = buffs[id] - now;
+        }
+        return { rerolls, buffs: buffsLeft, cooldownLevels: { ...cooldownLevels } };
+    }
+
+    /**
+     * Continues from serialize(); abilities must be unlocked first
+     * @param {Object} saved - Result of serialize()
+     */
+    function restore(saved) {
+        const now = getClock().getElapsedTime();
+        rerolls = saved.rerolls ?? 0;
+        buffs = {};
+        for (const id in saved.buffs) {
+            if (items[id]) buffs[id] = now + saved.buffs[id];
+        }
+        cooldownLevels = {};
+        for (const abilityId in saved.cooldownLevels) {
+            if (!ABILITY_DEFINITIONS[abilityId] || !cooldownItem) continue;
+            cooldownLevels[abilityId] = saved.cooldownLevels[abilityId];
+            applyCooldownLevel(abilityId);
+        }
+    }
+
+    /**
+     * Forgets everything bought (new run)
+     */
+    function reset() {
+        rerolls = 0;
+        buffs = {};
+        cooldownLevels = {};
+        openWave = null;
+        purchases = [];
+    }
+
+    return {
+        getGold,
+        getOffer,
+        buy,
+        hasAffordableItem,
+        open,
+        close,
+        isOpen: () => openWave !== null,
+        applyBuffs,
+        getRerolls: () => rerolls,
+        useReroll,
+        serialize,
+        restore,
+        reset
+    };
+}
@@ -0,0 +1,78 @@
+/**
+ * Run Shop UI
+ * Between-waves screen for spending the run's gold (see runShop.js)
+ *
+ * EXTERNAL DEPENDENCIES (via DOM):
+ * - HTML elements with IDs: run-shop-overlay, run-shop-gold, run-shop-items, run-shop-close
+ */
+
+/**
+ * Creates the shop screen
+ * @returns {Object} { show, hide }
+ */
+export function createRunShopUI() {
+    const overlay = document.getElementById('run-shop-overlay');
+    const goldElement = document.getElementById('run-shop-gold');
+    const itemsElement = document.getElementById('run-shop-items');
+    const closeButton = document.getElementById('run-shop-close');
+
+    let shop = null;    // Run shop API while the screen is open
+    let onClose = null;
+
+    /**
+     * Builds one shop card
+     * @param {Object} offer - { id, name, icon, description, detail, price, available }
+     */
+    function createCard(offer) {
+        const card = document.createElement('div');
+        card.className = 'meta-card';
+        if (!offer.available) card.classList.add('locked');
+
+        card.innerHTML = `
+            <div class="meta-icon">${offer.icon}</div>
+            <div class="meta-name">${offer.name}</div>
+            <div class="meta-description">${offer.description}</div>
+            <div class="meta-detail">${offer.detail}</div>
+            <div class="meta-cost">${offer.price} gold</div>
+        `;
+
+        if (offer.available) {
+            card.addEventListener('click', () => {
+                if (shop && shop.buy(offer.id)) render();
+            });
+        }
+
+        return card;
+    }
+
+    function render() {
+        const offer = shop.getOffer();
+        goldElement.textContent = shop.getGold();
+        itemsElement.innerHTML = '';
+        offer.forEach(entry => itemsElement.appendChild(createCard(entry)));
+    }
+
+    /**
+     * Opens the shop screen
+     * @param {Object} runShop - Run shop API from createRunShop()
+     * @param {Function} close - Called when the player leaves the shop
+     */
+    function show(runShop, close) {
+        shop = runShop;
+        onClose = close;
+        render();
+        overlay.classList.add('visible');
+    }
+
+    function hide() {
+        overlay.classList.remove('visible');
+        shop = null;
+        onClose = null;
+    }
+
+    closeButton.addEventListener('click', () => {
+        if (onClose) onClose();
+    });
+
+    return { show, hide };
+}
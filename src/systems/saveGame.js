@@ -0,0 +1,91 @@
+/**
+ * Save Game System
+ * Keeps one in-progress run in localStorage so it survives a closed tab
+ *
+ * The snapshot itself comes from the game simulation (serialize / restore);
+ * this module only stores, versions and validates it.
+ *
+ * Save format (JSON):
+ * {
+ *   version, savedAt,
+ *   run: { seed, rngState, score, level, experience, wave, playerStats,
+ *          abilities, relics, gemCounts, ... }   // see gameSimulation serialize()
+ * }
+ *
+ * Dependencies:
+ * - storage: Web Storage object (optional, defaults to localStorage when available)
+ */
+
+export const SAVE_VERSION = 1;
+
+const SAVE_KEY = 'arenaRoguelike.savedRun';
+
+/**
+ * Creates the save/load helper
+ * @param {Object} dependencies - { storage } (optional)
+ * @returns {Object} Save system API
+ */
+export function createSaveSystem(dependencies = {}) {
+    const {
+        storage = globalThis.localStorage ?? null
+    } = dependencies;
+
+    /**
+     * Stores a run snapshot, replacing any previous save
+     * @param {Object} run - Snapshot from simulation.serialize()
+     * @returns {boolean} Whether the save was written
+     */
+    function save(run) {
+        if (!storage) return false;
+        try {
+            storage.setItem(SAVE_KEY, JSON.stringify({ version: SAVE_VERSION, savedAt: Date.now(), run }));
+            return true;
+        } catch (error) {
+            console.warn('[Save] Could not save run:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Reads the saved run
+     * @returns {Object|null} { version, savedAt, run }, or null if there is no usable save
+     */
+    function load() {
+        if (!storage) return null;
+
+        const json = storage.getItem(SAVE_KEY);
+        if (!json) return null;
+
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            console.warn('[Save] Discarding unreadable save:', error.message);
+            clear();
+            return null;
+        }
+
+        if (!data || data.version !== SAVE_VERSION || !data.run) {
+            console.warn(`[Save] Discarding save with unsupported version: ${data && data.version}`);
+            clear();
+            return null;
+        }
+
+        return data;
+    }
+
+    /**
+     * Deletes the saved run (after game over or when starting fresh)
+     */
+    function clear() {
+        if (!storage) return;
+        storage.removeItem(SAVE_KEY);
+    }
+
+    return {
+        save,
+        load,
+        clear,
+        hasSave: () => load() !== null
+    };
+}
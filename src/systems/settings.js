@@ -0,0 +1,148 @@
+/**
+ * Settings System
+ * Player options, kept in localStorage and applied live through onChange listeners
+ *
+ * Stored data (JSON):
+ * { version, values: { ...DEFAULT_SETTINGS overrides } }
+ *
+ * Dependencies:
+ * - storage: Web Storage object (optional, defaults to localStorage when available)
+ */
+
+export const SETTINGS_VERSION = 1;
+
+const SETTINGS_KEY = 'arenaRoguelike.settings';
+
+export const DEFAULT_SETTINGS = {
+    graphicsQuality: 'high',    // 'low' | 'medium' | 'high'
+    shadows: true,
+    damageNumbers: true,
+    screenShake: true,
+    colorPalette: 'default',    // Key of src/config/colorPalettes.js
+    volumes: { master: 1.0, sfx: 0.8, ui: 0.8, music: 0.5 },
+    muted: false,
+    // Action -> KeyboardEvent.code
+    keyBindings: {
+        moveUp: 'KeyW',
+        moveLeft: 'KeyA',
+        moveDown: 'KeyS',
+        moveRight: 'KeyD',
+        shoot: 'Space',
+        interact: 'KeyE',
+        repair: 'KeyR',
+        pause: 'KeyP',
+        mute: 'KeyM',
+        debugToggle: 'KeyT'
+    }
+};
+
+/**
+ * @returns {Object} A deep copy of the defaults
+ */
+function createDefaultValues() {
+    return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+}
+
+/**
+ * Creates the settings store
+ * @param {Object} dependencies - { storage } (optional)
+ * @returns {Object} Settings API
+ */
+export function createSettings(dependencies = {}) {
+    const {
+        storage = globalThis.localStorage ?? null
+    } = dependencies;
+
+    let values = load();
+    const listeners = [];
+
+    /**
+     * Reads stored settings over the defaults, so options added later get their default
+     */
+    function load() {
+        const defaults = createDefaultValues();
+        const json = storage ? storage.getItem(SETTINGS_KEY) : null;
+        if (!json) return defaults;
+
+        try {
+            const data = JSON.parse(json);
+            if (data && data.version === SETTINGS_VERSION) {
+                const stored = data.values || {};
+                return {
+                    ...defaults,
+                    ...stored,
+                    volumes: { ...defaults.volumes, ...stored.volumes },
+                    keyBindings: { ...defaults.keyBindings, ...stored.keyBindings }
+                };
+            }
+            console.warn(`[Settings] Ignoring settings with unsupported version: ${data && data.version}`);
+        } catch (error) {
+            console.warn('[Settings] Ignoring unreadable settings:', error.message);
+        }
+        return defaults;
+    }
+
+    function persist() {
+        if (!storage) return;
+        try {
+            storage.setItem(SETTINGS_KEY, JSON.stringify({ version: SETTINGS_VERSION, values }));
+        } catch (error) {
+            console.warn('[Settings] Could not save settings:', error.message);
+        }
+    }
+
+    function notify() {
+        listeners.forEach(listener => listener(getAll()));
+    }
+
+    /**
+     * @param {string} key - Key of DEFAULT_SETTINGS
+     */
+    function get(key) {
+        return values[key];
+    }
+
+    /**
+     * @returns {Object} Copy of every setting
+     */
+    function getAll() {
+        return JSON.parse(JSON.stringify(values));
+    }
+
+    /**
+     * Changes one setting (objects such as volumes are replaced whole)
+     * @param {string} key - Key of DEFAULT_SETTINGS
+     * @param {*} value - New value
+     */
+    function set(key, value) {
+        if (!(key in DEFAULT_SETTINGS)) {
+            console.warn(`[Settings] Unknown setting: ${key}`);
+            return;
+        }
+        values[key] = value;
+        persist();
+        notify();
+    }
+
+    function reset() {
+        values = createDefaultValues();
+        persist();
+        notify();
+    }
+
+    /**
+     * Registers a listener called with every setting after each change
+     * @param {Function} listener - (settings) => void
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    return {
+        get,
+        getAll,
+        set,
+        reset,
+        onChange
+    };
+}
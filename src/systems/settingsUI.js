@@ -0,0 +1,223 @@
+/**
+ * Settings UI
+ * Options screen; every change is written to the settings store straight away
+ * (and applied live by its onChange listeners)
+ *
+ * EXTERNAL DEPENDENCIES (via DOM):
+ * - HTML elements with IDs: settings-overlay, settings-sections, settings-reset,
+ *   settings-close
+ *
+ * Dependencies:
+ * - settings: Store from createSettings()
+ * - onClose: Called when the screen closes (optional)
+ */
+
+import colorPalettes from '../config/colorPalettes.js';
+import { MENU_KEY } from './input.js';
+
+const QUALITY_OPTIONS = { low: 'Low', medium: 'Medium', high: 'High' };
+
+const VOLUME_LABELS = { master: 'Master', sfx: 'Sound Effects', ui: 'Interface', music: 'Music' };
+
+const ACTION_LABELS = {
+    moveUp: 'Move Up',
+    moveLeft: 'Move Left',
+    moveDown: 'Move Down',
+    moveRight: 'Move Right',
+    shoot: 'Shoot',
+    interact: 'Place / Move Relic',
+    repair: 'Repair Relic',
+    pause: 'Pause',
+    mute: 'Mute',
+    debugToggle: 'Debug Panel'
+};
+
+/**
+ * Readable name of a KeyboardEvent.code ('KeyW' -> 'W', 'ArrowUp' -> 'Arrow Up')
+ */
+export function formatKey(code) {
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code.replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+/**
+ * Creates the settings screen
+ * @param {Object} dependencies - See file header
+ * @returns {Object} { open, close, isOpen }
+ */
+export function createSettingsUI(dependencies) {
+    const { settings, onClose = () => {} } = dependencies;
+
+    const overlay = document.getElementById('settings-overlay');
+    const sectionsElement = document.getElementById('settings-sections');
+    const resetButton = document.getElementById('settings-reset');
+    const closeButton = document.getElementById('settings-close');
+
+    let open = false;
+    let stopListeningForKey = null; // Cancels a pending key rebind
+    let controlsNote = '';          // Outcome of the last rebind (swap, reserved key), shown under Controls
+
+    // ===== Controls =====
+
+    function addSection(title) {
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        sectionsElement.appendChild(heading);
+    }
+
+    /**
+     * Adds a labelled row holding a control element
+     */
+    function addRow(label, control) {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+
+        const text = document.createElement('span');
+        text.textContent = label;
+
+        row.appendChild(text);
+        row.appendChild(control);
+        sectionsElement.appendChild(row);
+    }
+
+    function createToggle(key) {
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = settings.get(key);
+        input.addEventListener('change', () => settings.set(key, input.checked));
+        return input;
+    }
+
+    function createSelect(key, options) {
+        const select = document.createElement('select');
+        for (const value in options) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = options[value];
+            select.appendChild(option);
+        }
+        select.value = settings.get(key);
+        select.addEventListener('change', () => settings.set(key, select.value));
+        return select;
+    }
+
+    function createVolumeSlider(category) {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = 0;
+        input.max = 100;
+        input.value = Math.round(settings.get('volumes')[category] * 100);
+        input.addEventListener('input', () => {
+            settings.set('volumes', { ...settings.get('volumes'), [category]: input.value / 100 });
+        });
+        return input;
+    }
+
+    /**
+     * Button showing an action's key; click it, then press the new key (Escape cancels).
+     * A key already bound to another action swaps the two bindings.
+     */
+    function createKeyBinding(action) {
+        const button = document.createElement('button');
+        button.className = 'game-over-button settings-key';
+        button.textContent = formatKey(settings.get('keyBindings')[action]);
+
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            if (stopListeningForKey) stopListeningForKey();
+            button.textContent = '...';
+
+            const onKey = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                stopListeningForKey();
+                if (e.code === MENU_KEY) {
+                    controlsNote = `${formatKey(MENU_KEY)} is reserved for the menu`;
+                } else {
+                    rebind(action, e.code);
+                }
+                render();
+            };
+            window.addEventListener('keydown', onKey, { capture: true });
+            stopListeningForKey = () => {
+                window.removeEventListener('keydown', onKey, { capture: true });
+                stopListeningForKey = null;
+            };
+        });
+
+        return button;
+    }
+
+    /**
+     * Binds a key to an action, giving the action's old key to whichever action had the new one
+     */
+    function rebind(action, code) {
+        const bindings = settings.get('keyBindings');
+        const other = Object.keys(bindings).find(name => name !== action && bindings[name] === code);
+        const updated = { ...bindings, [action]: code };
+        controlsNote = '';
+        if (other) {
+            updated[other] = bindings[action];
+            controlsNote = `${formatKey(code)} was ${ACTION_LABELS[other]}: swapped, ${ACTION_LABELS[other]} is now ${formatKey(bindings[action])}`;
+        }
+        settings.set('keyBindings', updated);
+    }
+
+    function render() {
+        sectionsElement.innerHTML = '';
+
+        addSection('Graphics');
+        addRow('Quality', createSelect('graphicsQuality', QUALITY_OPTIONS));
+        addRow('Shadows', createToggle('shadows'));
+        addRow('Damage Numbers', createToggle('damageNumbers'));
+        addRow('Screen Shake', createToggle('screenShake'));
+        const palettes = {};
+        for (const id in colorPalettes) palettes[id] = colorPalettes[id].name;
+        addRow('Color Palette', createSelect('colorPalette', palettes));
+
+        addSection('Audio');
+        for (const category in VOLUME_LABELS) {
+            addRow(VOLUME_LABELS[category], createVolumeSlider(category));
+        }
+        addRow('Mute', createToggle('muted'));
+
+        addSection('Controls');
+        if (controlsNote) {
+            const note = document.createElement('p');
+            note.className = 'settings-note';
+            note.textContent = controlsNote;
+            sectionsElement.appendChild(note);
+        }
+        for (const action in ACTION_LABELS) {
+            addRow(ACTION_LABELS[action], createKeyBinding(action));
+        }
+    }
+
+    function openSettings() {
+        controlsNote = '';
+        render();
+        overlay.classList.add('visible');
+        open = true;
+    }
+
+    function close() {
+        if (stopListeningForKey) stopListeningForKey();
+        overlay.classList.remove('visible');
+        open = false;
+        onClose();
+    }
+
+    resetButton.addEventListener('click', () => {
+        settings.reset();
+        controlsNote = '';
+        render();
+    });
+    closeButton.addEventListener('click', close);
+
+    return {
+        open: openSettings,
+        close,
+        isOpen: () => open
+    };
+}
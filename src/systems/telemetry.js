@@ -0,0 +1,228 @@
+/**
+ * Telemetry System
+ * Per-run balance numbers, collected in one place and exported as JSON or CSV
+ *
+ * Everything except damage dealt arrives as game events (runStarted, playerDamaged,
+ * bossSpawned, bossPhaseChanged, bossDefeated, levelUp, upgradeChosen, runEnded).
+ * Damage dealt is reported through recordDamageDealt(), called by every system
+ * that hurts enemies, so each hit stays a plain function call. Nothing here
+ * changes how the run plays out, so recording never affects determinism.
+ *
+ * What is collected:
+ * - damage dealt by source:  'blaster', 'relic:<type>', 'ability:<id>'
+ * - damage taken by source:  'enemy:<type>', 'boss:<type>:<attack>' (contact,
+ *   gravityPull or the attack's behavior name from bossTypes.js)
+ * - boss phases: how long each phase of each boss lasted and how it ended
+ * - upgrade offers from getUpgradeOptions() and which one was picked
+ * - XP curve: time and wave of every level-up
+ * - death: cause (same values as the run result's causeOfDeath), time, wave, level, score
+ *
+ * Report format (JSON):
+ * {
+ *   version, seed,
+ *   damageDealt: { source: { total, hits } },
+ *   damageTaken: { source: { total, hits } },
+ *   bossPhases:  [{ bossType, bossId, phase, start, duration, outcome }],  // outcome: 'nextPhase' | 'killed' | 'alive'
+ *   upgrades:    { offers: [{ time, offered: [text], picked }],           // picked: index, -1 = skipped
+ *                  byStat: { stat: { offered, picked } } },
+ *   xpCurve:     [{ level, time, wave }],
+ *   death:       { cause, time, wave, level, score } | null
+ * }
+ *
+ * CSV export flattens the report to rows of: category,name,value,count
+ *
+ * Dependencies:
+ * - events: EventBus to collect from
+ * - getTime: () => run time in seconds
+ * - getWave: () => current wave number
+ * - DOM: document (for file download)
+ */
+
+export const TELEMETRY_VERSION = 1;
+
+function createEmptyReport(seed) {
+    return {
+        version: TELEMETRY_VERSION,
+        seed,
+        damageDealt: {},
+        damageTaken: {},
+        bossPhases: [],
+        upgrades: { offers: [], byStat: {} },
+        xpCurve: [],
+        death: null
+    };
+}
+
+function addDamage(table, source, amount) {
+    if (!(amount > 0)) return;
+    const entry = table[source] || (table[source] = { total: 0, hits: 0 });
+    entry.total += amount;
+    entry.hits++;
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Creates the run telemetry recorder and subscribes it to the game events
+ * @param {Object} dependencies - { events, getTime, getWave }
+ * @returns {Object} Telemetry API
+ */
+export function createTelemetry(dependencies) {
+    const { events, getTime, getWave } = dependencies;
+
+    let report = createEmptyReport(null);
+    let openPhases = new Map(); // boss id -> { bossType, phase, start }
+
+    function startRun(seed) {
+        report = createEmptyReport(seed);
+        openPhases = new Map();
+    }
+
+    /**
+     * @param {string} source - 'blaster', 'relic:<type>' or 'ability:<id>'
+     * @param {number} amount - Damage dealt by one hit
+     */
+    function recordDamageDealt(source, amount) {
+        addDamage(report.damageDealt, source, amount);
+    }
+
+    function describePhase(bossId, open, time, outcome) {
+        return {
+            bossType: open.bossType,
+            bossId,
+            phase: open.phase,
+            start: round(open.start),
+            duration: round(time - open.start),
+            outcome
+        };
+    }
+
+    function closePhase(bossId, time, outcome) {
+        const open = openPhases.get(bossId);
+        if (!open) return;
+        report.bossPhases.push(describePhase(bossId, open, time, outcome));
+        openPhases.delete(bossId);
+    }
+
+    function openPhase(boss, phase) {
+        openPhases.set(boss.id, { bossType: boss.bossType, phase, start: getTime() });
+    }
+
+    function recordUpgradeChoice(options, picked) {
+        report.upgrades.offers.push({
+            time: round(getTime()),
+            offered: options.map(option => option.text),
+            picked
+        });
+
+        options.forEach((option, index) => {
+            const stat = report.upgrades.byStat[option.stat] ||
+                (report.upgrades.byStat[option.stat] = { offered: 0, picked: 0 });
+            stat.offered++;
+            if (index === picked) stat.picked++;
+        });
+    }
+
+    function finishRun(result) {
+        report.death = {
+            cause: result.causeOfDeath,
+            time: round(result.duration),
+            wave: result.wave,
+            level: result.level,
+            score: result.score
+        };
+    }
+
+    /**
+     * @returns {Object} Copy of the current run's report (see file header); bosses
+     *   still alive are listed with the phase they are in, timed up to now
+     */
+    function getReport() {
+        const copy = JSON.parse(JSON.stringify(report));
+        const now = report.death ? report.death.time : getTime();
+        openPhases.forEach((open, bossId) => {
+            copy.bossPhases.push(describePhase(bossId, open, now, 'alive'));
+        });
+        for (const table of [copy.damageDealt, copy.damageTaken]) {
+            for (const source in table) table[source].total = round(table[source].total);
+        }
+        return copy;
+    }
+
+    /**
+     * @returns {string} The report as CSV rows of category,name,value,count
+     */
+    function exportCSV() {
+        const data = getReport();
+        const rows = [['category', 'name', 'value', 'count']];
+
+        for (const [source, entry] of Object.entries(data.damageDealt)) {
+            rows.push(['damageDealt', source, entry.total, entry.hits]);
+        }
+        for (const [source, entry] of Object.entries(data.damageTaken)) {
+            rows.push(['damageTaken', source, entry.total, entry.hits]);
+        }
+        for (const phase of data.bossPhases) {
+            rows.push(['bossPhase', `${phase.bossType}#${phase.bossId} phase ${phase.phase} (${phase.outcome})`, phase.duration, '']);
+        }
+        for (const [stat, entry] of Object.entries(data.upgrades.byStat)) {
+            rows.push(['upgrade', stat, entry.picked, entry.offered]);
+        }
+        for (const point of data.xpCurve) {
+            rows.push(['levelUp', point.level, point.time, point.wave]);
+        }
+        if (data.death) {
+            rows.push(['death', data.death.cause, data.death.time, data.death.wave]);
+        }
+
+        return rows.map(row => row.map(csvField).join(',')).join('\n');
+    }
+
+    /**
+     * Downloads the current run's report
+     * @param {string} [format] - 'json' or 'csv'
+     */
+    function download(format = 'json') {
+        const isCSV = format === 'csv';
+        const contents = isCSV ? exportCSV() : JSON.stringify(getReport(), null, 2);
+
+        const blob = new Blob([contents], { type: isCSV ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `arena-telemetry-${report.seed}.${isCSV ? 'csv' : 'json'}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // ===== Event Subscriptions =====
+    events.on('runStarted', ({ seed }) => startRun(seed));
+    events.on('runEnded', ({ result }) => finishRun(result));
+    events.on('playerDamaged', ({ source, amount }) => addDamage(report.damageTaken, source, amount));
+    events.on('bossSpawned', ({ boss }) => openPhase(boss, boss.currentPhase));
+    events.on('bossPhaseChanged', ({ boss, phase }) => {
+        closePhase(boss.id, getTime(), 'nextPhase');
+        openPhase(boss, phase);
+    });
+    events.on('bossDefeated', ({ boss }) => closePhase(boss.id, getTime(), 'killed'));
+    events.on('levelUp', ({ level }) => {
+        report.xpCurve.push({ level, time: round(getTime()), wave: getWave() });
+    });
+    events.on('upgradeChosen', ({ options, index }) => recordUpgradeChoice(options, index));
+
+    return {
+        recordDamageDealt,
+        getReport,
+        exportCSV,
+        download
+    };
+}
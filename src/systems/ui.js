@@ -71,3 +71,14 @@ export function updateLevelUI(level) {
 export function updateWaveUI(wave) {
     document.getElementById('wave').textContent = wave;
 }
+
+/**
+ * Updates the wallet display
+ * @param {number} gold - Gold in the run's wallet
+ *
+ * Dependencies:
+ * - HTML element with ID: wallet-gold
+ */
+export function updateWalletUI(gold) {
+    document.getElementById('wallet-gold').textContent = gold;
+}
@@ -7,6 +7,9 @@
  * - Pattern/Shape: Enemies spawn in formations (circle, arc, spiral, X-shape)
  * - Trickle/Mini-Horde: Small initial group + periodic mini-hordes
  *
+ * In campaign runs the boss waves and their bosses follow the campaign plan,
+ * and the wave after the last act is the multi-stage final boss.
+ *
  * Integrates with existing enemySpawning.js functions using dependency injection
  */
 
@@ -19,6 +22,8 @@ import {
     getWeightedRandomEnemyType
 } from './enemySpawning.js';
 import { ARENA_PLAYABLE_HALF_SIZE } from '../config/constants.js';
+import { defaultRandom } from '../utils/SeededRandom.js';
+import { NORMAL_RULES } from './difficulty.js';
 
 /**
  * Wave spawn style types
@@ -88,7 +93,12 @@ const DEFAULT_CONFIG = {
 
 /**
  * Creates a Wave Manager instance
- * @param {Object} dependencies - External dependencies
+ * @param {Object} dependencies - External dependencies (rng: optional SeededRandom for wave rolls;
+ *   events: optional EventBus, gets waveStarted, waveCompleted and actStarted; getDifficulty: optional
+ *   () => the run's rules from resolveDifficulty(), for boss frequency and spawned enemy stats;
+ *   getCampaign: optional () => plan from createCampaignPlan() in campaign runs, null otherwise;
+ *   onCampaignComplete: optional callback once the final boss's last stage is defeated;
+ *   onIntermission: optional callback(wave) when a cleared wave's intermission starts)
  * @param {Object} config - Optional configuration overrides
  * @returns {Object} Wave Manager API
  */
@@ -101,7 +111,7 @@ export function createWaveManager(dependencies, config = {}) {
         playerCone,
         enemyCounts,
         getBossCount,
-        setBossCount,
+        changeBossCount,
         getLevel,
         getGameSpeedMultiplier,
         createGravityVortex,
@@ -109,7 +119,13 @@ export function createWaveManager(dependencies, config = {}) {
         bossUIManager,
         updateWaveUI,
         MAX_BOSSES,
-        MIN_BOX_RATIO
+        MIN_BOX_RATIO,
+        rng = defaultRandom,
+        events = null,
+        getDifficulty = () => NORMAL_RULES,
+        getCampaign = () => null,
+        onCampaignComplete = () => {},
+        onIntermission = () => {}
     } = dependencies;
 
     // Merge config with defaults
@@ -127,6 +143,12 @@ export function createWaveManager(dependencies, config = {}) {
     let trickleNextSpawnTime = 0;
     let trickleSpawnsRemaining = 0;
 
+    // Campaign state
+    let announcedAct = null; // Index of the act actStarted was last emitted for
+    let finalStage = 0; // Final boss stage being fought (or next to spawn)
+    let finalStageBoss = null;
+    let finalStageSpawnTime = 0; // Earliest time the next stage may spawn
+
     /**
      * Gets enemy spawn dependencies object
      */
@@ -138,14 +160,16 @@ export function createWaveManager(dependencies, config = {}) {
             playerCone,
             enemyCounts,
             getBossCount,
-            setBossCount,
+            changeBossCount,
             level: getLevel(),
             gameSpeedMultiplier: getGameSpeedMultiplier(),
             createGravityVortex: (parent, count, radius, color, isRotated) =>
                 createGravityVortex(parent, count, radius, color, isRotated, gravityWellEffects),
             gravityWellEffects,
             MAX_BOSSES,
-            MIN_BOX_RATIO
+            MIN_BOX_RATIO,
+            rng,
+            difficulty: getDifficulty()
         };
     }
 
@@ -160,7 +184,10 @@ export function createWaveManager(dependencies, config = {}) {
             bosses,
             bossUIManager,
             playerCone,
-            bossType
+            bossType,
+            rng,
+            difficulty: getDifficulty(),
+            events
         };
     }
 
@@ -175,7 +202,7 @@ export function createWaveManager(dependencies, config = {}) {
      * Randomly selects a wave style
      */
     function selectWaveStyle() {
-        const rand = Math.random();
+        const rand = rng.next();
 
         if (rand < 0.33) {
             return WAVE_STYLES.DIRECTIONAL;
@@ -191,14 +218,14 @@ export function createWaveManager(dependencies, config = {}) {
      */
     function selectEdgeDirection() {
         const directions = Object.values(EDGE_DIRECTIONS);
-        return directions[Math.floor(Math.random() * directions.length)];
+        return rng.pick(directions);
     }
 
     /**
      * Selects a pattern type based on probabilities
      */
     function selectPatternType() {
-        const rand = Math.random();
+        const rand = rng.next();
         let cumulative = 0;
 
         for (const [pattern, probability] of Object.entries(waveConfig.patternProbabilities)) {
@@ -223,7 +250,7 @@ export function createWaveManager(dependencies, config = {}) {
         const offset = (index - total / 2) * spacing;
 
         // Random depth variation
-        const depth = (Math.random() - 0.5) * directionalDepth;
+        const depth = (rng.next() - 0.5) * directionalDepth;
 
         let x, z;
 
@@ -260,7 +287,7 @@ export function createWaveManager(dependencies, config = {}) {
         const playerPos = playerCone.position;
 
         // Random distance from player
-        const distance = patternMinDistance + Math.random() * (patternMaxDistance - patternMinDistance);
+        const distance = patternMinDistance + rng.next() * (patternMaxDistance - patternMinDistance);
 
         let angle, radius, x, z;
 
@@ -274,7 +301,7 @@ export function createWaveManager(dependencies, config = {}) {
 
             case PATTERN_TYPES.ARC:
                 // 180-degree arc in front of player (random side)
-                const arcStart = Math.random() * Math.PI * 2;
+                const arcStart = rng.next() * Math.PI * 2;
                 angle = arcStart + (index / total) * Math.PI;
                 x = playerPos.x + Math.cos(angle) * distance;
                 z = playerPos.z + Math.sin(angle) * distance;
@@ -322,7 +349,7 @@ export function createWaveManager(dependencies, config = {}) {
      * @param {Object} enemyDeps - Enemy dependencies
      */
     function spawnEnemyAtPosition(position, enemyDeps) {
-        const enemyType = getWeightedRandomEnemyType(getLevel()) || 'box';
+        const enemyType = getWeightedRandomEnemyType(getLevel(), rng) || 'box';
 
         // Temporarily override spawn logic to use our position
         const originalPlayerPos = playerCone.position.clone();
@@ -423,12 +450,13 @@ export function createWaveManager(dependencies, config = {}) {
 
     /**
      * Starts a boss wave
+     * @param {string|null} [bossType] - Boss to bring (random by level if omitted)
      */
-    function startBossWave() {
+    function startBossWave(bossType = null) {
         console.log(`Starting Wave ${currentWave} (BOSS WAVE)`);
 
         // Spawn boss
-        const bossDeps = getBossDependencies();
+        const bossDeps = getBossDependencies(bossType);
         spawnNewBoss(bossDeps);
 
         // Spawn accompanying enemies
@@ -438,6 +466,70 @@ export function createWaveManager(dependencies, config = {}) {
         }
     }
 
+    /**
+     * Starts the campaign's final boss wave; the stages spawn from updateFinalBoss()
+     */
+    function startFinalBoss(currentTime) {
+        console.log(`Starting Wave ${currentWave} (FINAL BOSS)`);
+        finalStage = 0;
+        finalStageBoss = null;
+        finalStageSpawnTime = currentTime;
+    }
+
+    /**
+     * Spawns the next final boss stage once no boss is left alive, and reports the
+     * campaign complete when the last stage is defeated
+     */
+    function updateFinalBoss(currentTime) {
+        const { finalBoss } = getCampaign();
+
+        if (finalStageBoss) {
+            if (bosses.includes(finalStageBoss)) return; // Stage still being fought
+
+            console.log(`Final boss stage ${finalStage + 1} defeated!`);
+            finalStageBoss = null;
+            finalStage++;
+            finalStageSpawnTime = currentTime + waveConfig.bossIntermissionDuration;
+
+            if (finalStage >= finalBoss.stages.length) {
+                isWaveActive = false;
+                if (events) events.emit('waveCompleted', { wave: currentWave });
+                onCampaignComplete();
+                return;
+            }
+        }
+
+        // Only one boss at a time: wait out any boss left over from an earlier wave
+        if (currentTime < finalStageSpawnTime || bosses.length > 0) return;
+
+        const stage = finalBoss.stages[finalStage];
+        const boss = spawnNewBoss({
+            ...getBossDependencies(stage.bossType),
+            healthMultiplier: stage.healthMultiplier,
+            displayName: `${finalBoss.name}: ${stage.name}`
+        });
+        if (!boss) return;
+
+        boss.endsCampaign = finalStage === finalBoss.stages.length - 1;
+        finalStageBoss = boss;
+
+        const enemyDeps = getEnemyDependencies();
+        for (let i = 0; i < waveConfig.bossWaveEnemyCount; i++) {
+            spawnEnemy(enemyDeps);
+        }
+    }
+
+    /**
+     * Emits actStarted when a campaign wave belongs to a different act than the last one announced
+     */
+    function announceAct(campaign) {
+        const act = campaign.getAct(currentWave);
+        if (act.index === announcedAct) return;
+
+        announcedAct = act.index;
+        if (events) events.emit('actStarted', { act: act.index + 1, name: act.name, wave: currentWave });
+    }
+
     /**
      * Starts a new wave
      */
@@ -452,10 +544,17 @@ export function createWaveManager(dependencies, config = {}) {
             updateWaveUI(currentWave);
         }
 
-        // Check if boss wave
-        if (isBossWave(currentWave)) {
+        const campaign = getCampaign();
+        if (campaign) announceAct(campaign);
+
+        // Check if boss wave (campaigns have a set boss on the last wave of every act)
+        const campaignBoss = campaign ? campaign.getBossType(currentWave) : null;
+        if (campaign && campaign.isFinalWave(currentWave)) {
+            waveStyle = 'final';
+            startFinalBoss(currentTime);
+        } else if (campaign ? campaignBoss : isBossWave(currentWave, getDifficulty().bossWaveInterval)) {
             waveStyle = 'boss';
-            startBossWave();
+            startBossWave(campaignBoss);
         } else {
             // Select and execute wave style
             waveStyle = selectWaveStyle();
@@ -472,6 +571,8 @@ export function createWaveManager(dependencies, config = {}) {
                     break;
             }
         }
+
+        if (events) events.emit('waveStarted', { wave: currentWave, style: waveStyle });
     }
 
     /**
@@ -490,6 +591,9 @@ export function createWaveManager(dependencies, config = {}) {
 
             // Reset trickle state
             trickleSpawnsRemaining = 0;
+
+            if (events) events.emit('waveCompleted', { wave: currentWave });
+            onIntermission(currentWave);
         }
     }
 
@@ -499,7 +603,10 @@ export function createWaveManager(dependencies, config = {}) {
      * @param {number} currentTime - Current elapsed time (seconds)
      */
     function update(deltaTime, currentTime) {
-        if (isWaveActive) {
+        if (isWaveActive && waveStyle === 'final') {
+            // The final boss wave ends with its last stage, not with the enemies
+            updateFinalBoss(currentTime);
+        } else if (isWaveActive) {
             // Update trickle wave spawning
             if (waveStyle === WAVE_STYLES.TRICKLE) {
                 updateTrickleWave(currentTime);
@@ -536,6 +643,8 @@ export function createWaveManager(dependencies, config = {}) {
         startBossWave();
         isWaveActive = true;
         waveStartTime = currentTime;
+
+        if (events) events.emit('waveStarted', { wave: currentWave, style: waveStyle });
     }
 
     /**
@@ -547,6 +656,19 @@ export function createWaveManager(dependencies, config = {}) {
         waveStyle = null;
         isInIntermission = false;
         trickleSpawnsRemaining = 0;
+        announcedAct = null;
+        finalStage = 0;
+        finalStageBoss = null;
+    }
+
+    /**
+     * Restarts from the beginning of a given wave (used when resuming a saved run).
+     * The wave is spawned fresh on the next update().
+     * @param {number} waveNumber - Wave to resume at
+     */
+    function resumeAt(waveNumber) {
+        reset();
+        currentWave = Math.max(0, waveNumber - 1);
     }
 
     // Return public API
@@ -555,6 +677,7 @@ export function createWaveManager(dependencies, config = {}) {
         startNextWave: (currentTime) => startNextWave(currentTime),
         forceBossWave,
         reset,
+        resumeAt,
         getCurrentWaveNumber: () => currentWave,
         isWaveActive: () => isWaveActive,
         isInIntermission: () => isInIntermission,
@@ -186,13 +186,13 @@ export class DebugControls {
             playerCone: this.gameState.playerCone,
             enemyCounts: this.gameState.enemyCounts,
             getBossCount: () => this.gameState.bossCount,
-            setBossCount: (count) => { this.gameState.bossCount = count; },
             level: actualLevel,
             waveNumber: this.gameState.waveNumber || 1,
             gameSpeedMultiplier: this.gameState.gameSpeedMultiplier,
             createGravityVortex: this.gameState.createGravityVortex,
             gravityWellEffects: this.gameState.gravityWellEffects,
-            MAX_BOSSES: this.gameState.MAX_BOSSES || 3
+            MAX_BOSSES: this.gameState.MAX_BOSSES || 3,
+            changeBossCount: this.gameState.changeBossCount
         };
 
         // Special handling for swarms
@@ -226,13 +226,13 @@ export class DebugControls {
                 playerCone: this.gameState.playerCone,
                 enemyCounts: this.gameState.enemyCounts,
                 getBossCount: () => this.gameState.bossCount,
-                setBossCount: (count) => { this.gameState.bossCount = count; },
                 level: this.gameState.level,
                 waveNumber: this.gameState.waveNumber || 1,
                 gameSpeedMultiplier: this.gameState.gameSpeedMultiplier,
                 createGravityVortex: this.gameState.createGravityVortex,
                 gravityWellEffects: this.gameState.gravityWellEffects,
-                MAX_BOSSES: this.gameState.MAX_BOSSES || 3
+                MAX_BOSSES: this.gameState.MAX_BOSSES || 3,
+                changeBossCount: this.gameState.changeBossCount
             };
             spawnBossSwarm(dependencies);
             console.log('Spawned The Hivemind boss');
@@ -30,7 +30,6 @@ export class DebugPanel {
         this.setupUpdateLoop();
 
         console.log('🔧 Debug Panel System initialized!');
-        console.log('Press T to toggle debug panel');
     }
 
     /**
@@ -850,9 +849,23 @@ export class DebugPanel {
                     <span id="diag-fps">60</span>
                 </div>
             </div>
+            <div style="margin-top: 10px;">
+                <strong style="color: #ffff00;">Run Telemetry:</strong>
+                <div class="debug-grid">
+                    <button class="debug-btn" id="telemetry-export-json">Export JSON</button>
+                    <button class="debug-btn" id="telemetry-export-csv">Export CSV</button>
+                </div>
+            </div>
         `;
 
         this.createPanelSection(container, 'diagnostics', 'Diagnostics', '📊', content);
+
+        // Telemetry covers the run so far (the game over screen exports finished runs)
+        ['json', 'csv'].forEach(format => {
+            document.getElementById(`telemetry-export-${format}`).addEventListener('click', () => {
+                if (this.gameState.telemetry) this.gameState.telemetry.download(format);
+            });
+        });
     }
 
     /**
@@ -920,14 +933,11 @@ export class DebugPanel {
                 return;
             }
 
-            // T - Toggle panel
-            if (e.key === 't' || e.key === 'T') {
-                this.toggle();
-            }
-
-            // Esc - Close panel
+            // Esc - Close panel (and keep the key from also opening the settings)
             if (e.key === 'Escape' && this.isVisible) {
+                e.stopPropagation();
                 this.hide();
+                return;
             }
 
             // Ctrl + Number - Jump to panel
@@ -0,0 +1,112 @@
+/**
+ * EventBus - Typed publish/subscribe for gameplay events.
+ *
+ * Systems emit what happened (an enemy died, a boss changed phase, the player
+ * leveled up) and anything interested subscribes, instead of every pair being
+ * wired together through dependency objects and callbacks.
+ *
+ * Event names and payload fields come from src/config/gameEvents.js. Unknown
+ * names and payloads missing a listed field are reported once per event with a
+ * warning; a subscriber that throws is logged and skipped so the others (and
+ * the simulation step) still run.
+ */
+import gameEvents from '../config/gameEvents.js';
+
+class EventBus {
+    /**
+     * @param {Object} [eventTypes] - Event name -> payload field names (defaults to gameEvents)
+     */
+    constructor(eventTypes = gameEvents) {
+        this.eventTypes = eventTypes;
+        this.listeners = new Map(); // event name -> [handler, ...]
+        this.reported = new Set();  // Warnings already shown
+    }
+
+    /**
+     * Subscribes to an event
+     * @param {string} type - Event name from gameEvents
+     * @param {Function} handler - Called with the payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+        if (!this.isKnown(type)) return () => {};
+
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Subscribes to the next occurrence of an event only
+     * @param {string} type - Event name from gameEvents
+     * @param {Function} handler - Called with the payload
+     * @returns {Function} Unsubscribe function
+     */
+    once(type, handler) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Removes a handler added with on()
+     * @param {string} type - Event name
+     * @param {Function} handler - Handler to remove
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+
+    /**
+     * Sends an event to every subscriber, in subscription order
+     * @param {string} type - Event name from gameEvents
+     * @param {Object} payload - Fields listed for the event
+     */
+    emit(type, payload = {}) {
+        if (!this.isKnown(type)) return;
+
+        for (const field of this.eventTypes[type]) {
+            if (!(field in payload)) {
+                this.reportOnce(`${type}.${field}`, `[EventBus] '${type}' emitted without '${field}'`);
+            }
+        }
+
+        const handlers = this.listeners.get(type);
+        if (!handlers || handlers.length === 0) return;
+
+        // Copy so handlers can unsubscribe while the event is being delivered
+        for (const handler of [...handlers]) {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`[EventBus] '${type}' subscriber failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Drops every subscription
+     */
+    clear() {
+        this.listeners.clear();
+    }
+
+    isKnown(type) {
+        if (Object.prototype.hasOwnProperty.call(this.eventTypes, type)) return true;
+        this.reportOnce(type, `[EventBus] Unknown event type: ${type}`);
+        return false;
+    }
+
+    reportOnce(key, message) {
+        if (this.reported.has(key)) return;
+        this.reported.add(key);
+        console.warn(message);
+    }
+}
+
+export default EventBus;
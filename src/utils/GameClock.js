@@ -0,0 +1,48 @@
+/**
+ * GameClock - Simulation clock advanced by the fixed-timestep game loop.
+ *
+ * Exposes the same getElapsedTime()/getDelta() interface as THREE.Clock so it
+ * can be injected anywhere a `clock` dependency is expected. Unlike THREE.Clock
+ * it never reads wall time: it only moves when tick() is called for a
+ * simulation step, so cooldowns and timers behave identically in live play
+ * and in replays, and stand still while the game is paused.
+ */
+class GameClock {
+    constructor() {
+        this.elapsedTime = 0;
+        this.lastDelta = 0;
+    }
+
+    /**
+     * Advances simulated time by one step
+     * @param {number} delta - Step length in seconds
+     */
+    tick(delta) {
+        this.lastDelta = delta;
+        this.elapsedTime += delta;
+    }
+
+    /**
+     * @returns {number} Simulated seconds since the run started
+     */
+    getElapsedTime() {
+        return this.elapsedTime;
+    }
+
+    /**
+     * @returns {number} Length of the last simulation step in seconds
+     */
+    getDelta() {
+        return this.lastDelta;
+    }
+
+    /**
+     * Rewinds to time zero (new run)
+     */
+    reset() {
+        this.elapsedTime = 0;
+        this.lastDelta = 0;
+    }
+}
+
+export default GameClock;
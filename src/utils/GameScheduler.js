@@ -0,0 +1,119 @@
+/**
+ * GameScheduler - Delayed and repeating actions on game time.
+ *
+ * Replaces setTimeout/setInterval for gameplay. The simulation advances it by
+ * each step's gameDelta, so scheduled actions stand still while the game is
+ * paused, stretch and shrink with the game speed multiplier, and fire on the
+ * same simulation step in live play and in replays.
+ *
+ * Actions that come due in the same update run in due-time order (ties in the
+ * order they were scheduled), so the outcome never depends on wall time.
+ */
+class GameScheduler {
+    constructor() {
+        this.time = 0;
+        this.tasks = new Map(); // id -> { dueTime, interval, callback, order }
+        this.nextId = 1;
+        this.nextOrder = 0;
+    }
+
+    /**
+     * Runs a callback once after a delay
+     * @param {number} delay - Game seconds to wait
+     * @param {Function} callback - Action to run
+     * @returns {number} Task id for cancel()
+     */
+    after(delay, callback) {
+        return this.addTask(delay, null, callback);
+    }
+
+    /**
+     * Runs a callback repeatedly, first after one interval
+     * @param {number} interval - Game seconds between runs (0 runs once per update)
+     * @param {Function} callback - Action to run; return false to stop repeating
+     * @returns {number} Task id for cancel()
+     */
+    every(interval, callback) {
+        return this.addTask(interval, interval, callback);
+    }
+
+    addTask(delay, interval, callback) {
+        const id = this.nextId++;
+        this.tasks.set(id, {
+            dueTime: this.time + Math.max(0, delay),
+            interval,
+            callback,
+            order: this.nextOrder++
+        });
+        return id;
+    }
+
+    /**
+     * Stops a pending task (unknown or finished ids are ignored)
+     * @param {number} id - Id returned by after() or every()
+     */
+    cancel(id) {
+        this.tasks.delete(id);
+    }
+
+    /**
+     * @param {number} id - Id returned by after() or every()
+     * @returns {boolean} True while the task is still waiting to run (or repeating)
+     */
+    isPending(id) {
+        return this.tasks.has(id);
+    }
+
+    /**
+     * Advances game time and runs every action that came due
+     * @param {number} delta - Game seconds elapsed (already scaled by game speed)
+     */
+    update(delta) {
+        this.time += delta;
+
+        const due = [];
+        this.tasks.forEach((task, id) => {
+            if (task.dueTime <= this.time) due.push(id);
+        });
+        due.sort((a, b) => {
+            const taskA = this.tasks.get(a);
+            const taskB = this.tasks.get(b);
+            return taskA.dueTime - taskB.dueTime || taskA.order - taskB.order;
+        });
+
+        for (const id of due) {
+            const task = this.tasks.get(id);
+            if (!task) continue; // Cancelled by an earlier action
+
+            if (task.interval === null) {
+                this.tasks.delete(id);
+                task.callback();
+                continue;
+            }
+
+            // Repeating tasks run at most once per update and keep their cadence
+            task.dueTime = Math.max(task.dueTime + task.interval, this.time);
+            task.order = this.nextOrder++;
+            if (task.callback() === false) {
+                this.tasks.delete(id);
+            }
+        }
+    }
+
+    /**
+     * @returns {number} Game seconds the scheduler has advanced since the last clear()
+     */
+    getTime() {
+        return this.time;
+    }
+
+    /**
+     * Drops every pending action and rewinds to time zero (new run)
+     */
+    clear() {
+        this.tasks.clear();
+        this.time = 0;
+    }
+}
+
+export default GameScheduler;
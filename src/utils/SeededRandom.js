@@ -0,0 +1,159 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator for gameplay rolls.
+ *
+ * Every gameplay decision that should be reproducible (wave styles, spawn
+ * positions, upgrade offers, relic placement, drops) pulls from one instance
+ * of this class, injected through the systems' `dependencies` objects.
+ * Starting a run with the same seed replays the same sequence of rolls.
+ *
+ * Purely cosmetic randomness (particles, debris, damage number jitter) keeps
+ * using Math.random() so visual effects never shift the gameplay sequence.
+ *
+ * Uses the mulberry32 algorithm: fast, 32-bit state, good enough distribution
+ * for game logic.
+ */
+class SeededRandom {
+    /**
+     * @param {number|string} [seed] - Seed for the sequence. Strings are hashed;
+     *   omitted seeds are generated from Math.random().
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Creates a new random 32-bit seed
+     * @returns {number} Unsigned 32-bit integer seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Converts any seed value to an unsigned 32-bit integer
+     * @param {number|string} seed - Numeric seed or arbitrary string (e.g. "2024-05-01")
+     * @returns {number} Unsigned 32-bit integer seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        // Numeric strings (e.g. from a URL) map back to the same seed they were printed from
+        if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+            return Number(seed) >>> 0;
+        }
+
+        // FNV-1a hash for string seeds
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Resets the generator to the start of the sequence for a seed
+     * @param {number|string} seed - New seed
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} The normalized seed this sequence started from
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * @returns {number} Current internal state (changes with every roll)
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Continues a sequence from a state captured with getState() (e.g. a saved run)
+     * @param {number} state - Internal state to resume from
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Returns the next float in [0, 1) - drop-in replacement for Math.random()
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Returns a float in [min, max)
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Returns an integer in [min, max] (both inclusive)
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Inclusive upper bound
+     * @returns {number}
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Returns true with the given probability
+     * @param {number} probability - Chance between 0 and 1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Picks a random element from an array
+     * @param {Array} array - Source array
+     * @returns {*} Random element, or undefined for an empty array
+     */
+    pick(array) {
+        if (array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Shuffles an array in place (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} The same array, shuffled
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
+
+/**
+ * Fallback generator for callers that don't inject one (debug tools, legacy paths).
+ * Unseeded, so it behaves like Math.random() but shares the SeededRandom API.
+ */
+export const defaultRandom = new SeededRandom();
+
+export default SeededRandom;
@@ -188,3 +188,42 @@ export function calculateLobTrajectory(startPos, targetPos, flightTime, gravity,
         impactTime: actualFlightTime
     };
 }
+
+/**
+ * Constructor parameters of each declarative geometry type, in argument order
+ * (parameters left out use the THREE.js defaults)
+ */
+export const GEOMETRY_PARAMETERS = {
+    box: ['width', 'height', 'depth'],
+    sphere: ['radius', 'widthSegments', 'heightSegments'],
+    tetrahedron: ['radius', 'detail'],
+    octahedron: ['radius', 'detail'],
+    icosahedron: ['radius', 'detail'],
+    dodecahedron: ['radius', 'detail'],
+    torus: ['radius', 'tube', 'radialSegments', 'tubularSegments'],
+    cone: ['radius', 'height', 'radialSegments'],
+    cylinder: ['radiusTop', 'radiusBottom', 'height', 'radialSegments']
+};
+
+const GEOMETRY_CLASSES = {
+    box: THREE.BoxGeometry,
+    sphere: THREE.SphereGeometry,
+    tetrahedron: THREE.TetrahedronGeometry,
+    octahedron: THREE.OctahedronGeometry,
+    icosahedron: THREE.IcosahedronGeometry,
+    dodecahedron: THREE.DodecahedronGeometry,
+    torus: THREE.TorusGeometry,
+    cone: THREE.ConeGeometry,
+    cylinder: THREE.CylinderGeometry
+};
+
+/**
+ * Builds a geometry from a declarative spec, e.g. { type: 'torus', radius: 8, tube: 3 }
+ * @param {Object} spec - { type, ...parameters } (see GEOMETRY_PARAMETERS)
+ * @returns {THREE.BufferGeometry} The geometry
+ */
+export function createGeometry(spec) {
+    const GeometryClass = GEOMETRY_CLASSES[spec.type];
+    const args = GEOMETRY_PARAMETERS[spec.type].map(name => spec[name]);
+    return new GeometryClass(...args);
+}